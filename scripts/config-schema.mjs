@@ -0,0 +1,638 @@
+#!/usr/bin/env node
+
+/**
+ * OneSkill Config Schema Pipeline
+ *
+ * Answers "what do I have to set before this runs?" — the environment
+ * variables, CLI arguments, config files and n8n credentials an artifact
+ * needs. For each MCP server, skill, n8n node and agent tool it downloads the
+ * repo (one codeload tarball, shared by collection members) and reads:
+ *
+ *   Source       process.env.X / os.environ / os.getenv / os.Getenv / env::var,
+ *                commander / yargs options, argparse / click, Go flag,
+ *                dotenv loading and config-file paths
+ *   server.json  environmentVariables and packageArguments (MCP registry)
+ *   Docs         README.md / SKILL.md mcpServers blocks, `.env` / `export` lines,
+ *                env var tables and lists; .env.example files
+ *   n8n          *.credentials.ts property definitions
+ *
+ * Declarations win over inference: server.json and README tables decide
+ * required / secret / description; otherwise a read without a fallback counts
+ * as required. The result goes to artifacts.config_schema (replaced on every
+ * run) and pre-fills the client config snippet on the detail page.
+ *
+ * Flags:
+ *   --limit N        : max artifacts per run (default: 500)
+ *   --time-budget M  : stop cleanly after M minutes
+ *
+ * LOCAL_STORE=<dir> reads and writes local JSON files instead of Supabase
+ * (scripts/lib/store.mjs). HTTP_FIXTURES=record|replay captures or serves
+ * the tarball downloads (scripts/lib/http-fixtures.mjs). Each run is logged
+ * to pipeline_runs for /status (scripts/lib/run-ledger.mjs).
+ *
+ * Cost: codeload downloads only. No GitHub API, no LLM.
+ */
+
+import { VENDORED_DIR_RE, fetchRepoSource } from './lib/repo-source.mjs';
+import { lineAt, matchBracket } from './lib/source-parse.mjs';
+import { startRun, recordStage, recordError, finishRun } from './lib/run-ledger.mjs';
+import { installHttpFixtures } from './lib/http-fixtures.mjs';
+import { createStore } from './lib/store.mjs';
+
+// HTTP_FIXTURES=record|replay — capture or serve external calls (tests)
+installHttpFixtures();
+
+// ─────────────────────────── Config ───────────────────────────────────
+
+const LIMIT_ARG = process.argv.indexOf('--limit');
+const LIMIT = LIMIT_ARG !== -1 ? parseInt(process.argv[LIMIT_ARG + 1], 10) || 500 : 500;
+
+const TIME_BUDGET_ARG = process.argv.indexOf('--time-budget');
+const TIME_BUDGET_MIN = TIME_BUDGET_ARG !== -1 ? parseInt(process.argv[TIME_BUDGET_ARG + 1], 10) || 0 : 0;
+const START_TIME = Date.now();
+
+const CONFIGURED_TYPES = ['mcp-server', 'skill', 'n8n-node', 'langchain-tool', 'crewai-tool'];
+const MAX_ENTRIES = 50;                 // per list
+const MAX_SOURCES = 3;                  // per entry
+const MAX_DESCRIPTION = 300;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+function log(emoji, msg) { console.log(`${emoji}  ${msg}`); }
+function timeExpired() { return TIME_BUDGET_MIN > 0 && (Date.now() - START_TIME) / 60000 >= TIME_BUDGET_MIN; }
+
+// ─────────────────────────── Environment ──────────────────────────────
+
+const ENV = {
+  SUPABASE_URL:              process.env.SUPABASE_URL,
+  SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
+};
+
+function validateEnv() {
+  const required = store.kind === 'local' ? [] : ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+  const missing = required.filter(k => !ENV[k]);
+  if (missing.length) { console.error(`Missing: ${missing.join(', ')}`); process.exit(1); }
+  log('✅', `Config schema starting (limit: ${LIMIT}${TIME_BUDGET_MIN ? `, budget: ${TIME_BUDGET_MIN}min` : ''})` +
+    (store.kind === 'local' ? ` — ${store.label}` : ''));
+}
+
+// ─────────────────────────── Supabase ─────────────────────────────────
+// Supabase REST, or the JSON files under LOCAL_STORE (scripts/lib/store.mjs)
+
+const store = createStore();
+
+const sbGet   = (table, query = '') => store.get(table, query);
+const sbPatch = (table, query, body) => store.patch(table, query, body);
+
+// ─────────────────────────── Source files ─────────────────────────────
+
+const SKIP_DIR_RE = /(^|\/)(tests?|__tests__|spec|examples?|fixtures)\//i;
+const SKIP_FILE_RE = /\.(test|spec)\.[cm]?[jt]sx?$|(^|\/)test_[^/]*\.py$|_test\.(py|go)$|\.d\.ts$|\.min\.js$/i;
+const SOURCE_RE = /\.([cm]?js|jsx|tsx?|py|go|rs)$/i;
+const DOC_RE = /(^|\/)(README\.md|SKILL\.md|server\.json|\.env\.(example|sample|template))$/i;
+
+function shouldRead(path) {
+  if (VENDORED_DIR_RE.test(path) || SKIP_DIR_RE.test(path) || SKIP_FILE_RE.test(path)) return false;
+  return SOURCE_RE.test(path) || DOC_RE.test(path);
+}
+
+function langOf(path) {
+  const ext = path.split('.').pop().toLowerCase();
+  if (ext === 'py') return 'py';
+  if (ext === 'go') return 'go';
+  if (ext === 'rs') return 'rs';
+  return 'js';
+}
+
+// ─────────────────────────── Observations ─────────────────────────────
+// Every extractor emits observations; merge() folds them per name. Rank
+// orders them: 0 server.json, 1 README tables / lists, 2 source (default),
+// 3 example blocks — a declared required / optional beats an inferred one.
+
+// Standard process / CI / OS variables — read by plenty of code, configured by nobody
+const IGNORED_ENV_RE = /^(NODE_ENV|NODE_OPTIONS|NODE_DEBUG|PATH|HOME|USER|USERNAME|USERPROFILE|SHELL|PWD|TMPDIR|TEMP|TMP|TERM|LANG|LC_\w+|TZ|CI|DEBUG|HOSTNAME|APPDATA|LOCALAPPDATA|PROGRAMFILES|SYSTEMROOT|COMSPEC|XDG_\w+|npm_\w+|GITHUB_ACTIONS|RUNNER_\w+|VERCEL\w*|FORCE_COLOR|NO_COLOR|PYTHONPATH|PYTHONUNBUFFERED|VIRTUAL_ENV|GOPATH|GOOS|GOARCH|CARGO_\w+|JEST_\w+|VITEST\w*)$/;
+const ENV_NAME_RE = /^[A-Z][A-Z0-9_]{1,63}$/;
+const SECRET_RE = /(TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|ACCESS_?KEY|PRIVATE|CREDENTIAL|AUTH|COOKIE|SESSION|_KEY$|^KEY$|DSN|CONNECTION_STRING|DATABASE_URL)/i;
+const PLACEHOLDER_RE = /^$|^(<.*>|\[.*\]|\{\{.*\}\}|\$\{.*\}|\.\.\.|x{3,}|\*+)$|your[_-]?|changeme|replace[_-]?me|^sk-\.\.\.|here$/i;
+
+function cleanText(text) {
+  if (!text) return null;
+  const s = String(text).replace(/\s+/g, ' ').trim();
+  return s ? s.substring(0, MAX_DESCRIPTION) : null;
+}
+
+/** String / number / boolean literal as a display value, else null. */
+function literal(text) {
+  const s = text?.trim();
+  if (!s) return null;
+  const str = /^(['"`])(.*)\1$/s.exec(s);
+  if (str) return str[2].includes('${') ? null : str[2];
+  if (/^-?\d+(\.\d+)?$/.test(s) || /^(true|false|True|False)$/.test(s)) return s;
+  return null;
+}
+
+/** Top-level `{…}` objects of an array literal starting at src[start] === '['. */
+function arrayObjects(src, start) {
+  const end = matchBracket(src, start);
+  if (end === -1) return [];
+  const objects = [];
+  for (let i = start + 1; i < end - 1; i++) {
+    if (src[i] !== '{') continue;
+    const close = matchBracket(src, i);
+    if (close === -1) break;
+    objects.push(src.slice(i, close));
+    i = close - 1;
+  }
+  return objects;
+}
+
+/** Keep the outermost level of an object literal: nested objects and arrays blanked out. */
+function flatten(objectText) {
+  let out = '';
+  for (let i = 1; i < objectText.length - 1; i++) {
+    const ch = objectText[i];
+    if (ch === '{' || ch === '[') {
+      const close = matchBracket(objectText, i);
+      if (close === -1) break;
+      out += ' ';
+      i = close - 1;
+    } else out += ch;
+  }
+  return out;
+}
+
+const field = (flat, key) => new RegExp(`\\b${key}\\s*:\\s*(['"\`])((?:\\\\.|(?!\\1).)*)\\1`).exec(flat)?.[2] ?? null;
+const fieldRaw = (flat, key) => new RegExp(`\\b${key}\\s*:\\s*([^,\\n}]+)`).exec(flat)?.[1] ?? null;
+
+// ─── Environment variable reads in source ───
+
+const GUARD_CHECK_RE = /if\s+not\b|is\s+None|==\s*""|===?\s*(undefined|''|"")|if\s*\(\s*!|\.is_err\(\)|!ok\b/;
+const GUARD_FAIL_RE = /\braise\b|\bthrow\b|sys\.exit|process\.exit|log\.Fatal|panic!?\(|Errorf|errors\.New|\.expect\(/;
+
+/** A read that fails fast when the variable is missing — `if not X: raise`, `if (!x) throw`. */
+function guarded(src, index) {
+  const after = src.slice(index, index + 300);
+  return GUARD_CHECK_RE.test(after) && GUARD_FAIL_RE.test(after);
+}
+
+const JS_ENV_RES = [
+  /process\.env\.([A-Za-z_][A-Za-z0-9_]*)/g,
+  /process\.env\[\s*['"`]([A-Za-z_][A-Za-z0-9_]*)['"`]\s*\]/g,
+  /Deno\.env\.get\(\s*['"`]([A-Za-z_][A-Za-z0-9_]*)['"`]\s*\)/g,
+];
+
+function envReadsJs(src, file) {
+  const out = [];
+  for (const re of JS_ENV_RES) {
+    for (const m of src.matchAll(re)) {
+      const end = m.index + m[0].length;
+      const after = src.slice(end, end + 120);
+      const before = src.slice(Math.max(0, m.index - 12), m.index);
+      const fallback = /^\s*(\?\?|\|\|)\s*([^\n;,)]+)/.exec(after);
+      let required = true;
+      let def = null;
+      if (fallback) { required = false; def = literal(fallback[2]); }
+      else if (/^\s*(\?(?!\.)|&&|[!=]==?)/.test(after) || /(if\s*\(\s*|!!|Boolean\(\s*)$/.test(before)) required = false;
+      else if (/!\s*$/.test(before)) required = guarded(src, m.index - 12);
+      if (/^\s*=(?!=)/.test(after)) continue;   // assignment, not a read
+      out.push({ kind: 'env', name: m[1], required, default: def, source: `${file}:${lineAt(src, m.index)}` });
+    }
+  }
+  // const { API_KEY, PORT = '3000' } = process.env
+  for (const m of src.matchAll(/(?:const|let|var)\s*\{([^}]*)\}\s*=\s*process\.env\b/g)) {
+    for (const part of m[1].split(',')) {
+      const d = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*(?::\s*[A-Za-z_$][\w$]*)?\s*(?:=\s*(.+))?$/.exec(part);
+      if (!d) continue;
+      out.push({ kind: 'env', name: d[1], required: d[2] == null, default: literal(d[2]), source: `${file}:${lineAt(src, m.index)}` });
+    }
+  }
+  return out;
+}
+
+function envReadsPython(src, file) {
+  const out = [];
+  for (const m of src.matchAll(/os\.environ\[\s*['"]([A-Za-z_][A-Za-z0-9_]*)['"]\s*\](?!\s*=(?!=))/g)) {
+    out.push({ kind: 'env', name: m[1], required: true, default: null, source: `${file}:${lineAt(src, m.index)}` });
+  }
+  for (const m of src.matchAll(/os\.(?:environ\.get|getenv)\(\s*['"]([A-Za-z_][A-Za-z0-9_]*)['"]\s*(?:,\s*([^)]*))?\)/g)) {
+    const def = m[2] != null && m[2].trim() !== 'None' ? literal(m[2]) : null;
+    const required = m[2] == null || m[2].trim() === 'None' ? guarded(src, m.index) : false;
+    out.push({ kind: 'env', name: m[1], required, default: def, source: `${file}:${lineAt(src, m.index)}` });
+  }
+  return out;
+}
+
+function envReadsGo(src, file) {
+  return [...src.matchAll(/os\.(?:Getenv|LookupEnv)\(\s*"([A-Za-z_][A-Za-z0-9_]*)"\s*\)/g)].map(m => ({
+    kind: 'env', name: m[1], required: guarded(src, m.index), default: null, source: `${file}:${lineAt(src, m.index)}`,
+  }));
+}
+
+function envReadsRust(src, file) {
+  return [...src.matchAll(/env::var(?:_os)?\(\s*"([A-Za-z_][A-Za-z0-9_]*)"\s*\)/g)].map(m => {
+    const after = src.slice(m.index + m[0].length, m.index + m[0].length + 120);
+    const fallback = /^\s*\.(unwrap_or(?:_else|_default)?|ok\(\)|is_ok\(\))/.exec(after);
+    const def = /^\s*\.unwrap_or\(\s*("[^"]*")/.exec(after)?.[1];
+    return {
+      kind: 'env', name: m[1], required: !fallback, default: def ? literal(def) : null,
+      source: `${file}:${lineAt(src, m.index)}`,
+    };
+  });
+}
+
+// ─── CLI arguments in source ───
+
+function argsJs(src, file) {
+  const out = [];
+  // commander: .option('-p, --port <number>', 'Port to listen on', '3000') / .requiredOption(…)
+  for (const m of src.matchAll(/\.(requiredOption|option)\(\s*(['"`])([^'"`]*--[\w-]+[^'"`]*)\2/g)) {
+    const name = /--[\w-]+/.exec(m[3])[0];
+    const rest = src.slice(m.index + m[0].length, m.index + m[0].length + 300);
+    const desc = /^\s*,\s*(['"`])((?:\\.|(?!\1).)*)\1/.exec(rest);
+    const def = desc ? /^\s*,\s*([^,)]+)\s*\)/.exec(rest.slice(desc[0].length))?.[1] : null;
+    out.push({
+      kind: 'arg', name, required: m[1] === 'requiredOption', description: desc?.[2] ?? null,
+      default: literal(def), source: `${file}:${lineAt(src, m.index)}`,
+    });
+  }
+  // yargs: .option('port', { describe: '…', demandOption: true, default: 3000 })
+  for (const m of src.matchAll(/\.option\(\s*['"`]([a-zA-Z][\w-]*)['"`]\s*,\s*\{/g)) {
+    const open = m.index + m[0].length - 1;
+    const close = matchBracket(src, open);
+    if (close === -1) continue;
+    const flat = flatten(src.slice(open, close));
+    out.push({
+      kind: 'arg', name: `--${m[1]}`, required: /\bdemandOption\s*:\s*true/.test(flat),
+      description: field(flat, 'describe') ?? field(flat, 'description'),
+      default: literal(fieldRaw(flat, 'default')), source: `${file}:${lineAt(src, m.index)}`,
+    });
+  }
+  return out;
+}
+
+function argsPython(src, file) {
+  const out = [];
+  const kwargs = (text) => ({
+    help: /\bhelp\s*=\s*(['"])((?:\\.|(?!\1).)*)\1/.exec(text)?.[2] ?? null,
+    required: /\brequired\s*=\s*True\b/.test(text),
+    default: literal(/\bdefault\s*=\s*([^,)\n]+)/.exec(text)?.[1]),
+  });
+  // argparse add_argument / click.option / click.argument
+  for (const m of src.matchAll(/(add_argument|click\.option|click\.argument)\(\s*(['"])([^'"]+)\2((?:\s*,\s*['"][^'"]+['"])*)/g)) {
+    const open = src.indexOf('(', m.index);
+    const close = matchBracket(src, open, 'py');
+    const call = close === -1 ? m[0] : src.slice(open, close);
+    const names = [m[3], ...[...m[4].matchAll(/['"]([^'"]+)['"]/g)].map(x => x[1])];
+    const long = names.find(n => n.startsWith('--')) || names.find(n => n.startsWith('-'));
+    const k = kwargs(call);
+    const positional = !long;
+    out.push({
+      kind: 'arg', name: positional ? `<${m[3]}>` : long,
+      required: positional ? !/\bnargs\s*=\s*['"][?*]['"]/.test(call) && k.default == null : k.required,
+      description: k.help, default: k.default, source: `${file}:${lineAt(src, m.index)}`,
+    });
+  }
+  return out;
+}
+
+function argsGo(src, file) {
+  const out = [];
+  const re = /flag\.(?:String|Int|Int64|Uint|Bool|Float64|Duration)(Var)?\(\s*(?:&[\w.]+\s*,\s*)?"([\w-]+)"\s*,\s*([^,]+?)\s*,\s*"([^"]*)"\s*\)/g;
+  for (const m of src.matchAll(re)) {
+    out.push({
+      kind: 'arg', name: `--${m[2]}`, required: false, description: m[4] || null,
+      default: literal(m[3]), source: `${file}:${lineAt(src, m.index)}`,
+    });
+  }
+  return out;
+}
+
+// ─── Config files in source ───
+
+const CONFIG_FILE_RE = /['"`]((?:~\/|\.\/)?[\w./-]*?(?:config|settings|credentials)[\w.-]*\.(?:json|ya?ml|toml|ini))['"`]/gi;
+const NOT_CONFIG_RE = /(^|\/)(tsconfig|jsconfig|package|\.?eslint\w*|\.?prettier\w*|babel\.config|jest\.config|vite\.config|vitest\.config|webpack\.config|next\.config|tailwind\.config|postcss\.config|rollup\.config|tsup\.config)[\w.-]*$/i;
+const DOTENV_RE = /\bdotenv\b|load_dotenv\(|godotenv\.Load|dotenvy?::/;
+
+function configFiles(src, file) {
+  const out = [];
+  if (DOTENV_RE.test(src)) {
+    const m = DOTENV_RE.exec(src);
+    out.push({ kind: 'file', name: '.env', description: 'Environment variables can also be set in a .env file', source: `${file}:${lineAt(src, m.index)}` });
+  }
+  for (const m of src.matchAll(CONFIG_FILE_RE)) {
+    if (NOT_CONFIG_RE.test(m[1])) continue;
+    out.push({ kind: 'file', name: m[1], description: null, source: `${file}:${lineAt(src, m.index)}` });
+  }
+  return out;
+}
+
+// ─── server.json ───
+
+/** environmentVariables and packageArguments of the first package (both key spellings). */
+function fromServerJson(text, file) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { return []; }
+  const pkg = (doc?.packages || []).find(p => p && typeof p === 'object');
+  if (!pkg) return [];
+  const out = [];
+  for (const v of pkg.environmentVariables || pkg.environment_variables || []) {
+    if (typeof v?.name !== 'string') continue;
+    out.push({
+      kind: 'env', name: v.name, declared: true, rank: 0,
+      required: !!(v.isRequired ?? v.is_required), secret: (v.isSecret ?? v.is_secret) ?? null,
+      description: v.description, default: v.default ?? null, source: file,
+    });
+  }
+  for (const a of pkg.packageArguments || pkg.package_arguments || []) {
+    const positional = a?.type === 'positional';
+    const name = positional ? `<${a.valueHint || a.value_hint || a.name || 'value'}>` : a?.name;
+    if (typeof name !== 'string' || !name) continue;
+    out.push({
+      kind: 'arg', name: positional || name.startsWith('-') ? name : `--${name}`, declared: true, rank: 0,
+      required: !!(a.isRequired ?? a.is_required), secret: (a.isSecret ?? a.is_secret) ?? null,
+      description: a.description, default: a.default ?? null, source: file,
+    });
+  }
+  return out;
+}
+
+// ─── README / SKILL.md / .env.example ───
+
+/** KEY=value lines; a placeholder value means the user has to fill it in. */
+function envLines(text, source) {
+  const out = [];
+  let comment = null;
+  for (const line of text.split(/\r?\n/)) {
+    const c = /^\s*#\s*(.+)$/.exec(line);
+    if (c) { comment = c[1]; continue; }
+    const m = /^\s*(?:export\s+|set\s+|\$env:)?([A-Z][A-Z0-9_]{1,63})\s*=\s*(.*)$/.exec(line);
+    if (m) {
+      // `PORT=3000 npm start` — the value ends at the first unquoted space
+      const value = /^("[^"]*"|'[^']*'|\S*)/.exec(m[2].trim())[1].replace(/^(['"])(.*)\1$/, '$2');
+      const placeholder = PLACEHOLDER_RE.test(value);
+      out.push({
+        kind: 'env', name: m[1], rank: 3, required: placeholder, description: cleanText(comment),
+        default: placeholder ? null : value, source,
+      });
+    }
+    comment = null;
+  }
+  return out;
+}
+
+/** mcpServers / servers blocks: env keys are required, `--flags` in args are arguments. */
+function clientConfigBlock(text, source) {
+  let doc;
+  try { doc = JSON.parse(text.replace(/^\s*\/\/.*$/gm, '').replace(/,(\s*[}\]])/g, '$1')); } catch { return []; }
+  const servers = doc?.mcpServers || doc?.servers || doc?.mcp?.servers || doc?.context_servers;
+  if (!servers || typeof servers !== 'object') return [];
+  const out = [];
+  for (const server of Object.values(servers)) {
+    if (!server || typeof server !== 'object') continue;
+    for (const [name, value] of Object.entries(server.env || {})) {
+      const v = typeof value === 'string' ? value : '';
+      out.push({ kind: 'env', name, rank: 3, required: true, default: PLACEHOLDER_RE.test(v) ? null : v || null, source });
+    }
+    for (const arg of Array.isArray(server.args) ? server.args : []) {
+      const m = typeof arg === 'string' && /^(--[\w-]+)(?:=(.*))?$/.exec(arg);
+      if (m) out.push({ kind: 'arg', name: m[1], rank: 3, required: false, default: m[2] && !PLACEHOLDER_RE.test(m[2]) ? m[2] : null, source });
+    }
+  }
+  return out;
+}
+
+const TABLE_YES_RE = /^(yes|y|required|✅|✓|\*\*yes\*\*|true)$/i;
+const TABLE_NO_RE = /^(no|n|optional|❌|-|—|false)$/i;
+
+/** Markdown tables and bullet lists documenting env vars: `| GITHUB_TOKEN | Yes | Personal access token |`. */
+function documentedEnv(text, source) {
+  const out = [];
+  let requiredCol = -1;
+  for (const line of text.split(/\r?\n/)) {
+    if (/^\s*\|/.test(line)) {
+      const cells = line.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+      if (cells.every(c => /^:?-{2,}:?$/.test(c))) continue;
+      const name = /^`?\$?([A-Z][A-Z0-9]*_[A-Z0-9_]+)`?$/.exec(cells[0])?.[1];
+      if (!name) {
+        const header = cells.findIndex(c => /^required\??$/i.test(c.replace(/\*/g, '')));
+        if (header !== -1) requiredCol = header;
+        continue;
+      }
+      const flag = requiredCol > 0 ? cells[requiredCol] : cells.find(c => TABLE_YES_RE.test(c) || TABLE_NO_RE.test(c));
+      const description = cells.slice(1).find((c, i) => i + 1 !== requiredCol && c.length > 3 && !TABLE_YES_RE.test(c) && !TABLE_NO_RE.test(c));
+      out.push({
+        kind: 'env', name, rank: 1, declared: flag != null && (TABLE_YES_RE.test(flag) || TABLE_NO_RE.test(flag)),
+        required: flag != null ? TABLE_YES_RE.test(flag) : null,
+        description: cleanText(description?.replace(/`/g, '')), default: null, source,
+      });
+      continue;
+    }
+    requiredCol = -1;
+    const item = /^\s*[-*]\s+`([A-Z][A-Z0-9]*_[A-Z0-9_]+)`\s*(?:\((required|optional)\))?\s*[:—–-]\s*(.+)$/i.exec(line);
+    if (item) {
+      out.push({
+        kind: 'env', name: item[1], rank: 1, declared: !!item[2], required: item[2] ? /required/i.test(item[2]) : null,
+        description: cleanText(item[3].replace(/`/g, '')), default: null, source,
+      });
+    }
+  }
+  return out;
+}
+
+function fromDocument(text, file) {
+  if (/\.env\.\w+$/i.test(file)) return envLines(text, file);
+  const out = documentedEnv(text, file);
+  for (const m of text.matchAll(/```([\w-]*)[^\n]*\n([\s\S]*?)```/g)) {
+    const lang = m[1].toLowerCase();
+    if (/^(json|jsonc|json5)?$/.test(lang) && /"(mcpServers|servers|context_servers)"/.test(m[2])) out.push(...clientConfigBlock(m[2], file));
+    else if (/^(bash|sh|shell|zsh|console|env|dotenv|ini|text|powershell|ps1)?$/.test(lang)) out.push(...envLines(m[2], file));
+  }
+  return out;
+}
+
+// ─── n8n credentials ───
+
+/** *.credentials.ts → { name, display_name, fields } per ICredentialType class. */
+function n8nCredentials(src, file) {
+  const out = [];
+  for (const m of src.matchAll(/class\s+\w+\s+implements\s+ICredentialType\s*\{/g)) {
+    const open = m.index + m[0].length - 1;
+    const close = matchBracket(src, open);
+    if (close === -1) continue;
+    const body = src.slice(open, close);
+    const flatBody = flatten(body);
+    const name = /\bname\s*=\s*['"]([^'"]+)['"]/.exec(flatBody)?.[1];
+    const props = /\bproperties\s*(?::\s*[\w[\]<>]+\s*)?=\s*\[/.exec(body);
+    if (!name || !props) continue;
+    const fields = arrayObjects(body, props.index + props[0].length - 1).map((obj) => {
+      const flat = flatten(obj);
+      const fieldName = field(flat, 'name');
+      if (!fieldName) return null;
+      return {
+        name: fieldName,
+        display_name: field(flat, 'displayName'),
+        type: field(flat, 'type'),
+        required: /\brequired\s*:\s*true/.test(flat),
+        secret: /\bpassword\s*:\s*true/.test(obj),
+        description: cleanText(field(flat, 'description')),
+        default: field(flat, 'default') || literal(fieldRaw(flat, 'default')) || null,
+      };
+    }).filter(Boolean);
+    out.push({
+      name,
+      display_name: /\bdisplayName\s*=\s*['"]([^'"]+)['"]/.exec(flatBody)?.[1] || name,
+      fields: fields.slice(0, MAX_ENTRIES),
+      source: `${file}:${lineAt(src, m.index)}`,
+    });
+  }
+  return out;
+}
+
+// ─── Merge ───
+
+/**
+ * Fold observations into one entry per name. Declared requiredness wins;
+ * otherwise any read without a fallback makes it required. Descriptions
+ * and defaults come from the best-ranked observation that has one.
+ */
+function merge(observations, kind) {
+  const byName = new Map();
+  for (const o of observations) {
+    if (o.kind !== kind) continue;
+    if (!byName.has(o.name)) byName.set(o.name, []);
+    byName.get(o.name).push(o);
+  }
+  const entries = [];
+  for (const [name, obs] of byName) {
+    obs.sort((a, b) => (a.rank ?? 2) - (b.rank ?? 2));
+    const declared = obs.find(o => o.declared && o.required != null);
+    const inferred = obs.filter(o => o.required != null);
+    const entry = {
+      name,
+      required: declared ? declared.required : inferred.some(o => o.required),
+      description: cleanText(obs.find(o => o.description)?.description),
+      default: obs.find(o => o.default != null && o.default !== '')?.default ?? null,
+      sources: [...new Set(obs.map(o => o.source))].slice(0, MAX_SOURCES),
+    };
+    if (kind !== 'file') entry.secret = obs.find(o => o.secret != null)?.secret ?? SECRET_RE.test(name.replace(/^--/, '').replace(/-/g, '_'));
+    if (entry.secret) entry.default = null;
+    if (kind === 'file') { delete entry.required; delete entry.default; }
+    entries.push(entry);
+  }
+  return entries
+    .sort((a, b) => (b.required ? 1 : 0) - (a.required ? 1 : 0) || a.name.localeCompare(b.name))
+    .slice(0, MAX_ENTRIES);
+}
+
+function extractFile({ path, text }) {
+  if (DOC_RE.test(path)) {
+    const name = path.split('/').pop();
+    return /^server\.json$/i.test(name) ? fromServerJson(text, path) : fromDocument(text, path);
+  }
+  const lang = langOf(path);
+  const obs = [...configFiles(text, path)];
+  if (lang === 'js') obs.push(...envReadsJs(text, path), ...argsJs(text, path));
+  if (lang === 'py') obs.push(...envReadsPython(text, path), ...argsPython(text, path));
+  if (lang === 'go') obs.push(...envReadsGo(text, path), ...argsGo(text, path));
+  if (lang === 'rs') obs.push(...envReadsRust(text, path));
+  return obs;
+}
+
+/** Config schema for one artifact's files; null when nothing needs configuring. */
+function extractConfig(files) {
+  const observations = files.flatMap(extractFile)
+    .filter(o => o.kind !== 'env' || (ENV_NAME_RE.test(o.name) && !IGNORED_ENV_RE.test(o.name)));
+  const credentials = files
+    .filter(f => /\.credentials\.ts$/.test(f.path))
+    .flatMap(f => n8nCredentials(f.text, f.path))
+    .slice(0, MAX_ENTRIES);
+
+  const schema = {
+    env: merge(observations, 'env'),
+    args: merge(observations, 'arg'),
+    files: merge(observations, 'file'),
+    credentials,
+  };
+  const empty = !schema.env.length && !schema.args.length && !schema.files.length && !schema.credentials.length;
+  return empty ? null : schema;
+}
+
+// ─────────────────────────── Main ─────────────────────────────────────
+
+async function loadTargets() {
+  const types = await sbGet('artifact_types', `select=id,slug&slug=in.(${CONFIGURED_TYPES.join(',')})`);
+  const typeIds = types.map(t => t.id);
+  if (typeIds.length === 0) return [];
+
+  const targets = [];
+  const PAGE = 1000;
+  while (targets.length < LIMIT) {
+    const batch = await sbGet('artifacts',
+      `select=id,slug,github_repo_full_name,default_branch,subpath` +
+      `&status=eq.active&github_repo_full_name=not.is.null` +
+      `&artifact_type_id=in.(${typeIds.join(',')})` +
+      `&order=config_detected_at.asc.nullsfirst` +
+      `&limit=${Math.min(PAGE, LIMIT - targets.length)}&offset=${targets.length}`
+    );
+    targets.push(...batch);
+    if (batch.length < PAGE) break;
+  }
+  log('📋', `Loaded ${targets.length} artifacts`);
+  return targets;
+}
+
+async function main() {
+  validateEnv();
+  await startRun('config-schema', { store });
+  const targets = await loadTargets();
+  if (targets.length === 0) { log('✅', 'No artifacts to inspect'); return; }
+
+  // Collection members share their repo's tarball
+  const byRepo = new Map();
+  for (const a of targets) {
+    if (!byRepo.has(a.github_repo_full_name)) byRepo.set(a.github_repo_full_name, []);
+    byRepo.get(a.github_repo_full_name).push(a);
+  }
+
+  let configured = 0;
+  let none = 0;
+  let unavailable = 0;
+  for (const [fullName, artifacts] of byRepo) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping'); break; }
+    const now = new Date().toISOString();
+    try {
+      const files = await fetchRepoSource(fullName, artifacts[0].default_branch, { include: shouldRead, userAgent: 'OneSkill-Config/1.0' });
+      if (!files) {
+        for (const a of artifacts) await sbPatch('artifacts', `id=eq.${a.id}`, { config_detected_at: now });
+        unavailable += artifacts.length;
+        continue;
+      }
+
+      for (const a of artifacts) {
+        // Docs count only at the artifact's own root; source anywhere below it
+        const root = a.subpath ? `${a.subpath}/` : '';
+        const own = files.filter(f => f.path.startsWith(root) && (!DOC_RE.test(f.path) || !f.path.slice(root.length).includes('/')));
+        const schema = extractConfig(own);
+        await sbPatch('artifacts', `id=eq.${a.id}`, { config_schema: schema, config_detected_at: now });
+        if (schema) configured++; else none++;
+      }
+      log('  ', `${fullName}: ${files.length} files read${artifacts.length > 1 ? ` for ${artifacts.length} artifacts` : ''}`);
+    } catch (err) {
+      log('  ', `Config detection failed for ${fullName}: ${err.message.substring(0, 80)}`);
+      recordError('config', err);
+    }
+    await sleep(200);
+  }
+
+  const elapsed = ((Date.now() - START_TIME) / 1000 / 60).toFixed(1);
+  log('🏁', `Config schema complete: ${configured} need configuration, ${none} none found, ${unavailable} unavailable`);
+  recordStage('config', { targets: targets.length, configured, none, unavailable });
+  log('⏱️', `Total time: ${elapsed} min`);
+}
+
+main()
+  .then(() => finishRun(timeExpired() ? 'time_budget' : 'completed'))
+  .catch(async (err) => {
+    console.error('\n❌ Fatal:', err);
+    await finishRun('fatal', err);
+    process.exit(1);
+  });
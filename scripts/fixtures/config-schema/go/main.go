@@ -0,0 +1,19 @@
+package main
+
+import (
+	"flag"
+	"log"
+	"os"
+)
+
+func main() {
+	addr := flag.String("addr", ":8080", "Listen address")
+	flag.Parse()
+
+	url := os.Getenv("REDIS_URL")
+	if url == "" {
+		log.Fatal("REDIS_URL is required")
+	}
+	region := os.Getenv("AWS_REGION")
+	log.Println(*addr, url, region)
+}
@@ -0,0 +1,25 @@
+import type { ICredentialType, INodeProperties } from 'n8n-workflow';
+
+export class AcmeApi implements ICredentialType {
+	name = 'acmeApi';
+
+	displayName = 'Acme API';
+
+	properties: INodeProperties[] = [
+		{
+			displayName: 'API Key',
+			name: 'apiKey',
+			type: 'string',
+			typeOptions: { password: true },
+			default: '',
+			required: true,
+		},
+		{
+			displayName: 'Region',
+			name: 'region',
+			type: 'options',
+			description: 'Data center your account lives in',
+			default: 'us',
+		},
+	];
+}
@@ -0,0 +1,18 @@
+import 'dotenv/config';
+import { readFileSync } from 'node:fs';
+import { Command } from 'commander';
+
+const program = new Command()
+  .requiredOption('-r, --repo <name>', 'Repository to watch')
+  .option('-p, --port <number>', 'Port to listen on', '8080')
+  .parse();
+
+const token = process.env.GITHUB_TOKEN;
+const apiBase = process.env.API_BASE_URL ?? 'https://api.github.com';
+const { LOG_LEVEL = 'info' } = process.env;
+const settings = JSON.parse(readFileSync('./config.json', 'utf8'));
+const tsconfig = 'tsconfig.json';
+
+if (process.env.NODE_ENV === 'production') console.log('production');
+
+export { program, token, apiBase, LOG_LEVEL, settings, tsconfig };
@@ -0,0 +1 @@
+export const token = process.env.TEST_ONLY_TOKEN;
@@ -0,0 +1,17 @@
+import argparse
+import os
+
+api_key = os.environ["OPENAI_API_KEY"]
+model = os.getenv("MODEL", "gpt-4o")
+db_path = os.getenv("DB_PATH")
+if not db_path:
+    raise SystemExit("DB_PATH is not set")
+
+parser = argparse.ArgumentParser()
+parser.add_argument("notebook", help="Notebook file to serve")
+parser.add_argument(
+    "--verbose",  # print (debug) output)
+    action="store_true",
+    help="Log every request",
+)
+parser.add_argument("--host", default="127.0.0.1", help="Address to bind")
@@ -0,0 +1,7 @@
+use std::env;
+
+fn main() {
+    let db = env::var("DATABASE_URL").expect("DATABASE_URL must be set");
+    let workers = env::var("WORKERS").unwrap_or("4".to_string());
+    println!("{db} {workers}");
+}
@@ -0,0 +1,25 @@
+package main
+
+import (
+	"context"
+
+	"github.com/mark3labs/mcp-go/mcp"
+	"github.com/mark3labs/mcp-go/server"
+)
+
+func main() {
+	s := server.NewMCPServer("Issue tracker", "1.0.0")
+
+	tool := mcp.NewTool("list_issues",
+		mcp.WithDescription("List open issues in a repository"),
+		mcp.WithString("repo", mcp.Required(), mcp.Description("owner/name of the repository")),
+		mcp.WithNumber("limit", mcp.Description("Maximum issues to return")),
+	)
+	s.AddTool(tool, listIssues)
+
+	server.ServeStdio(s)
+}
+
+func listIssues(ctx context.Context, request mcp.CallToolRequest) (*mcp.CallToolResult, error) {
+	return mcp.NewToolResultText("[]"), nil
+}
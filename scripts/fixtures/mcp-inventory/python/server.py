@@ -0,0 +1,36 @@
+from mcp.server.fastmcp import Context, FastMCP
+from pydantic import Field
+
+mcp = FastMCP("notes")
+
+
+@mcp.tool()
+async def add_note(title: str, body: str = "", tags: list[str] | None = None, ctx: Context = None) -> str:
+    """Add a note to the notebook.
+
+    Args:
+        title: Title of the note
+        body: Note text in Markdown
+    """
+    return "ok"
+
+
+@mcp.tool(name="search", description="Full-text search over notes")
+def search_notes(query: str = Field(description="Words to look for"), limit: int = 10) -> list[str]:
+    return []
+
+
+@mcp.resource("notes://{title}")
+def read_note(title: str) -> str:
+    """One note by title"""
+    return ""
+
+
+@mcp.prompt()
+def review(title: str) -> str:
+    """Ask for a review of a note"""
+    return f"Review the note {title}"
+
+
+if __name__ == "__main__":
+    mcp.run()
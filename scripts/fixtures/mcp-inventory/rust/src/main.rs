@@ -0,0 +1,19 @@
+use rmcp::{tool, tool_router, ServerHandler};
+
+#[derive(Clone)]
+pub struct Counter;
+
+#[tool_router]
+impl Counter {
+    #[tool(description = "Increment the counter by one")]
+    async fn increment(&self) -> String {
+        String::from("1")
+    }
+
+    #[tool(name = "get_value", description = "Current value of the counter")]
+    async fn get(&self) -> String {
+        String::from("0")
+    }
+}
+
+impl ServerHandler for Counter {}
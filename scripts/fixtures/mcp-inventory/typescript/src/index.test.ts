@@ -0,0 +1,4 @@
+import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
+
+const server = new McpServer({ name: "test", version: "0.0.0" });
+server.tool("test_only_tool", "Registered by a test, not the server", async () => ({ content: [] }));
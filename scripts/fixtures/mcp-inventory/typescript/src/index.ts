@@ -0,0 +1,39 @@
+import { McpServer, ResourceTemplate } from "@modelcontextprotocol/sdk/server/mcp.js";
+import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
+import { z } from "zod";
+
+const server = new McpServer({ name: "weather", version: "1.0.0" });
+
+server.tool(
+  "get_forecast",
+  "Get the weather forecast " + "for a location",
+  {
+    latitude: z.number().describe("Latitude of the location"),
+    longitude: z.number().describe("Longitude of the location"),
+    days: z.number().int().optional(),
+  },
+  async ({ latitude, longitude }) => ({ content: [{ type: "text", text: `${latitude},${longitude}` }] }),
+);
+
+server.registerTool(
+  "get_alerts",
+  {
+    title: "Alerts",
+    description: "Active weather alerts for a US state",
+    inputSchema: { state: z.enum(["CA", "NY"]).describe("Two-letter state code") },
+  },
+  async ({ state }) => ({ content: [{ type: "text", text: state }] }),
+);
+
+server.resource(
+  "stations",
+  new ResourceTemplate("weather://stations/{id}", { list: undefined }),
+  { description: "Observation stations" },
+  async (uri) => ({ contents: [] }),
+);
+
+server.prompt("summarize", "Summarize the forecast", { city: z.string() }, ({ city }) => ({
+  messages: [{ role: "user", content: { type: "text", text: `Summarize the weather in ${city}` } }],
+}));
+
+await server.connect(new StdioServerTransport());
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+/**
+ * OneSkill Maintenance Health Pipeline
+ *
+ * Scores how well each repo-level artifact is maintained, 0–100, from
+ * GitHub activity rather than `github_updated_at` (which any bot commit
+ * resets). Runs daily via GitHub Actions, stalest scores first.
+ *
+ * Components (points):
+ *   commit_recency       25  – days since the last commit by a human
+ *   issue_response       20  – median time to first reply by someone other than the author
+ *   active_contributors  15  – distinct human commit authors in the last 90 days
+ *   pr_merge_latency     15  – median open → merge time of recent merged PRs
+ *   issue_close_ratio    15  – closed / (open + closed) issues
+ *   release_cadence      10  – releases published in the last 365 days
+ *
+ * Components without data (no issues, no PRs, never released) are left out
+ * and the score is scaled over the rest. Each artifact stores the score,
+ * a per-component breakdown (health_breakdown) and health_updated_at;
+ * collection members take their repo's values. Repos GitHub no longer
+ * resolves, or whose batch failed, keep their last score and are stamped
+ * health_status 'not_found' / 'failed' so the queue moves past them.
+ *
+ * Flags:
+ *   --limit N        : max artifacts to score per run (default: 2000)
+ *   --time-budget M  : stop cleanly after M minutes
+ *
+ * LOCAL_STORE=<dir> reads and writes local JSON files instead of Supabase
+ * (scripts/lib/store.mjs). HTTP_FIXTURES=record|replay captures or serves
+ * the GitHub calls (scripts/lib/http-fixtures.mjs). Each run is logged to
+ * pipeline_runs for /status (scripts/lib/run-ledger.mjs).
+ *
+ * Cost: GitHub GraphQL only (~1 point per 5 repos). No LLM.
+ */
+
+import { startRun, recordStage, recordError, finishRun } from './lib/run-ledger.mjs';
+import { installHttpFixtures } from './lib/http-fixtures.mjs';
+import { createStore } from './lib/store.mjs';
+import { createGitHubGraphQL } from './lib/github-graphql.mjs';
+
+// HTTP_FIXTURES=record|replay — capture or serve external calls (tests)
+installHttpFixtures();
+
+// ─────────────────────────── Config ───────────────────────────────────
+
+const LIMIT_ARG = process.argv.indexOf('--limit');
+const LIMIT = LIMIT_ARG !== -1 ? parseInt(process.argv[LIMIT_ARG + 1], 10) || 2000 : 2000;
+
+const TIME_BUDGET_ARG = process.argv.indexOf('--time-budget');
+const TIME_BUDGET_MIN = TIME_BUDGET_ARG !== -1 ? parseInt(process.argv[TIME_BUDGET_ARG + 1], 10) || 0 : 0;
+const START_TIME = Date.now();
+
+const REPOS_PER_QUERY = 5;       // GraphQL aliases per request (each pulls issues, PRs, commits)
+const ACTIVITY_WINDOW_DAYS = 90;
+const MAX_RETRIES = 3;
+
+function log(emoji, msg) { console.log(`${emoji}  ${msg}`); }
+function timeExpired() { return TIME_BUDGET_MIN > 0 && (Date.now() - START_TIME) / 60000 >= TIME_BUDGET_MIN; }
+
+// ─────────────────────────── Environment ──────────────────────────────
+
+const ENV = {
+  SUPABASE_URL:              process.env.SUPABASE_URL,
+  SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
+  GITHUB_PAT:                process.env.GITHUB_PAT || process.env.GITHUB_TOKEN,
+};
+
+function validateEnv() {
+  const required = store.kind === 'local' ? ['GITHUB_PAT'] : ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'GITHUB_PAT'];
+  const missing = required.filter(k => !ENV[k]);
+  if (missing.length) { console.error(`Missing: ${missing.join(', ')}`); process.exit(1); }
+  log('✅', `Health score pipeline starting (limit: ${LIMIT}${TIME_BUDGET_MIN ? `, budget: ${TIME_BUDGET_MIN}min` : ''})` +
+    (store.kind === 'local' ? ` — ${store.label}` : ''));
+}
+
+// ─────────────────────────── Supabase ─────────────────────────────────
+// Supabase REST, or the JSON files under LOCAL_STORE (scripts/lib/store.mjs)
+
+const store = createStore();
+
+const sbGet   = (table, query = '') => store.get(table, query);
+const sbPatch = (table, query, body) => store.patch(table, query, body);
+
+// ─────────────────────────── GitHub GraphQL ───────────────────────────
+
+// Retries rate limits and 5xx; { data, errors } or null (scripts/lib/github-graphql.mjs)
+const githubGraphQL = createGitHubGraphQL({ token: ENV.GITHUB_PAT, userAgent: 'OneSkill-Health/1.0', retries: MAX_RETRIES });
+
+const COMMIT_FIELDS = 'committedDate author { email user { login } }';
+
+function repoActivityFields(since) {
+  return `
+    issues(first: 20, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes { createdAt author { login } comments(first: 5) { nodes { createdAt author { login } } } }
+    }
+    openIssues: issues(states: OPEN) { totalCount }
+    closedIssues: issues(states: CLOSED) { totalCount }
+    pullRequests(first: 20, states: MERGED, orderBy: { field: UPDATED_AT, direction: DESC }) {
+      nodes { createdAt mergedAt }
+    }
+    releases(first: 20, orderBy: { field: CREATED_AT, direction: DESC }) { totalCount nodes { publishedAt } }
+    defaultBranchRef { target { ... on Commit {
+      latest: history(first: 20) { nodes { ${COMMIT_FIELDS} } }
+      window: history(first: 100, since: "${since}") { nodes { ${COMMIT_FIELDS} } }
+    } } }`;
+}
+
+/**
+ * Activity for a batch of repos. Returns Map<full name, repo> — repos GitHub
+ * didn't resolve are absent — or null when the request itself failed.
+ */
+async function fetchActivity(fullNames) {
+  const since = new Date(Date.now() - ACTIVITY_WINDOW_DAYS * 86400000).toISOString();
+  const fields = repoActivityFields(since);
+  const aliases = fullNames.map((fullName, i) => {
+    const [owner, name] = fullName.split('/');
+    return `r${i}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(name)}) { ${fields} }`;
+  });
+  const result = await githubGraphQL(`query { ${aliases.join('\n')} }`);
+  if (!result?.data) return null;
+  const found = new Map();
+  fullNames.forEach((fullName, i) => {
+    const repo = result.data[`r${i}`];
+    if (repo) found.set(fullName, repo);
+  });
+  return found;
+}
+
+// ─────────────────────────── Scoring ──────────────────────────────────
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+function isBot(commit) {
+  const login = commit.author?.user?.login || '';
+  const email = commit.author?.email || '';
+  return /\[bot\]$|-bot$|^dependabot|^renovate/i.test(login) || /\[bot\]@|bot@/i.test(email);
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/** Points for `value` against ascending thresholds: [[limit, points], …], else `fallback`. */
+function band(value, thresholds, fallback = 0) {
+  for (const [limit, points] of thresholds) if (value <= limit) return points;
+  return fallback;
+}
+
+/**
+ * Score one repo. Returns { score, breakdown } where breakdown[component] is
+ * { value, unit, points, max }, or null when the repo gives no data for it.
+ */
+function scoreHealth(repo, now = Date.now()) {
+  const breakdown = {};
+  const history = repo.defaultBranchRef?.target;
+
+  // Commit recency — last human commit; a bot-only history counts from the last commit of any kind
+  const latest = history?.latest?.nodes || [];
+  const lastCommit = latest.find(c => !isBot(c)) || latest[0];
+  if (lastCommit) {
+    const days = Math.floor((now - new Date(lastCommit.committedDate).getTime()) / DAY);
+    breakdown.commit_recency = { value: days, unit: 'days', max: 25,
+      points: band(days, [[7, 25], [30, 20], [90, 12], [180, 6], [365, 2]]) };
+  } else {
+    breakdown.commit_recency = null;
+  }
+
+  // Active contributors — distinct human authors in the window
+  const authors = new Set((history?.window?.nodes || []).filter(c => !isBot(c))
+    .map(c => c.author?.user?.login || c.author?.email).filter(Boolean));
+  breakdown.active_contributors = history ? { value: authors.size, unit: 'people', max: 15,
+    points: authors.size === 0 ? 0 : band(authors.size, [[1, 6], [3, 10], [9, 13]], 15) } : null;
+
+  // Issue first response — unanswered issues count as waiting until now
+  const waits = (repo.issues?.nodes || [])
+    .filter(issue => now - new Date(issue.createdAt).getTime() > DAY)
+    .map(issue => {
+      const reply = (issue.comments?.nodes || []).find(c => c.author?.login && c.author.login !== issue.author?.login);
+      return ((reply ? new Date(reply.createdAt).getTime() : now) - new Date(issue.createdAt).getTime()) / HOUR;
+    });
+  const response = median(waits);
+  breakdown.issue_response = response == null ? null : { value: Math.round(response), unit: 'hours', max: 20,
+    points: band(response, [[24, 20], [72, 16], [168, 10], [720, 5]]) };
+
+  // PR merge latency
+  const merges = (repo.pullRequests?.nodes || []).filter(pr => pr.mergedAt)
+    .map(pr => (new Date(pr.mergedAt).getTime() - new Date(pr.createdAt).getTime()) / HOUR);
+  const mergeLatency = median(merges);
+  breakdown.pr_merge_latency = mergeLatency == null ? null : { value: Math.round(mergeLatency), unit: 'hours', max: 15,
+    points: band(mergeLatency, [[24, 15], [72, 12], [168, 8], [720, 4]]) };
+
+  // Open / closed issue ratio — needs a few issues to mean anything
+  const open = repo.openIssues?.totalCount || 0;
+  const closed = repo.closedIssues?.totalCount || 0;
+  const ratio = open + closed >= 5 ? closed / (open + closed) : null;
+  breakdown.issue_close_ratio = ratio == null ? null : { value: Math.round(ratio * 100) / 100, unit: 'closed share', max: 15,
+    points: ratio >= 0.8 ? 15 : ratio >= 0.6 ? 11 : ratio >= 0.4 ? 7 : 3 };
+
+  // Release cadence — repos that never cut a release aren't penalised for it
+  const releasedThisYear = (repo.releases?.nodes || [])
+    .filter(r => r.publishedAt && now - new Date(r.publishedAt).getTime() <= 365 * DAY).length;
+  breakdown.release_cadence = !repo.releases?.totalCount ? null : { value: releasedThisYear, unit: 'releases / year', max: 10,
+    points: releasedThisYear >= 6 ? 10 : releasedThisYear >= 3 ? 8 : releasedThisYear >= 1 ? 5 : 0 };
+
+  const scored = Object.values(breakdown).filter(Boolean);
+  const max = scored.reduce((sum, c) => sum + c.max, 0);
+  const points = scored.reduce((sum, c) => sum + c.points, 0);
+  return { score: max ? Math.round((points / max) * 100) : 0, breakdown };
+}
+
+// ─────────────────────────── Main ─────────────────────────────────────
+
+async function loadTargets() {
+  const targets = [];
+  const PAGE = 1000;
+  while (targets.length < LIMIT) {
+    const batch = await sbGet('artifacts',
+      `select=id,slug,github_repo_full_name` +
+      `&status=eq.active&subpath=eq.&github_repo_full_name=not.is.null` +
+      `&order=health_updated_at.asc.nullsfirst` +
+      `&limit=${Math.min(PAGE, LIMIT - targets.length)}&offset=${targets.length}`
+    );
+    targets.push(...batch);
+    if (batch.length < PAGE) break;
+  }
+  log('📋', `Loaded ${targets.length} artifacts to score`);
+  return targets;
+}
+
+async function main() {
+  validateEnv();
+  await startRun('health-score', { store });
+  const targets = await loadTargets();
+  if (targets.length === 0) { log('✅', 'No artifacts to score'); return; }
+
+  let scored = 0;
+  let notFound = 0;
+  let failed = 0;
+  const bands = { healthy: 0, fair: 0, poor: 0 };
+  for (let i = 0; i < targets.length; i += REPOS_PER_QUERY) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping'); break; }
+    const batch = targets.slice(i, i + REPOS_PER_QUERY);
+    const activity = await fetchActivity(batch.map(a => a.github_repo_full_name));
+
+    for (const a of batch) {
+      const repo = activity?.get(a.github_repo_full_name);
+      let patch;
+      if (repo) {
+        const { score, breakdown } = scoreHealth(repo);
+        patch = { health_score: score, health_breakdown: breakdown, health_status: 'scored' };
+      } else {
+        // Renamed / deleted (refresh deals with those) or a failed batch: keep the
+        // last score, but move the repo to the back of the queue
+        patch = { health_status: activity ? 'not_found' : 'failed' };
+      }
+      patch.health_updated_at = new Date().toISOString();
+      try {
+        await sbPatch('artifacts', `id=eq.${a.id}`, patch);
+        // Collection members share the repo's health
+        await sbPatch('artifacts', `parent_artifact_id=eq.${a.id}`, patch);
+        if (!repo) { if (activity) notFound++; else failed++; }
+        else { scored++; bands[patch.health_score >= 70 ? 'healthy' : patch.health_score >= 40 ? 'fair' : 'poor']++; }
+      } catch (err) {
+        log('  ', `Update failed for ${a.slug}: ${err.message.substring(0, 80)}`);
+        recordError('health', err);
+      }
+    }
+    if (i > 0 && i % 200 === 0) log('  ', `health: ${i}/${targets.length}`);
+  }
+
+  const elapsed = ((Date.now() - START_TIME) / 1000 / 60).toFixed(1);
+  log('🏁', `Health pipeline complete: ${scored} scored (${bands.healthy} healthy, ${bands.fair} fair, ${bands.poor} poor), ${notFound} not found, ${failed} failed`);
+  recordStage('health', { targets: targets.length, scored, not_found: notFound, failed, ...bands });
+  log('⏱️', `Total time: ${elapsed} min`);
+}
+
+main()
+  .then(() => finishRun(timeExpired() ? 'time_budget' : 'completed'))
+  .catch(async (err) => {
+    console.error('\n❌ Fatal:', err);
+    await finishRun('fatal', err);
+    process.exit(1);
+  });
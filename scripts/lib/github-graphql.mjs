@@ -0,0 +1,63 @@
+/**
+ * OneSkill GitHub GraphQL client
+ *
+ * POSTs queries to the GitHub GraphQL API, waiting out rate limits (403/429
+ * until x-ratelimit-reset, RATE_LIMITED errors for a minute) and retrying
+ * 5xx with backoff. Used by the pipelines that batch repo lookups through
+ * aliases: scrape-github.mjs (--refresh, --contributors, commit counts) and
+ * health-score.mjs.
+ *
+ *   const githubGraphQL = createGitHubGraphQL({ token: process.env.GITHUB_PAT });
+ *   const result = await githubGraphQL('query($ids: [ID!]!) { nodes(ids: $ids) { id } }', { ids });
+ *   // → { data, errors } or null
+ */
+
+const GITHUB_GRAPHQL_URL = 'https://api.github.com/graphql';
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+function log(emoji, msg) { console.log(`${emoji}  ${msg}`); }
+
+/**
+ * A query function bound to one token. It returns { data, errors } —
+ * partial data is normal when some lookups in a batch fail (e.g. NOT_FOUND
+ * for a deleted repo) — or null on hard failure or once `retries` are used up.
+ */
+export function createGitHubGraphQL({ token, userAgent = 'OneSkill/1.0', retries = 4 } = {}) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent':   userAgent,
+    Authorization:  `bearer ${token}`,
+  };
+
+  return async function githubGraphQL(query, variables = {}) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      const res = await fetch(GITHUB_GRAPHQL_URL, { method: 'POST', headers, body: JSON.stringify({ query, variables }) });
+
+      if (res.status === 403 || res.status === 429 || res.status >= 500) {
+        if (attempt < retries) {
+          const reset = parseInt(res.headers.get('x-ratelimit-reset') || '0', 10) * 1000;
+          const wait  = res.status >= 500 ? 3000 * (attempt + 1) : Math.min(Math.max(5000, reset - Date.now()) + 2000, 120000);
+          log('⏳', `GraphQL ${res.status} — retry ${attempt + 1}/${retries} in ${(wait / 1000).toFixed(0)}s`);
+          await sleep(wait);
+          continue;
+        }
+        log('🛑', `GraphQL ${res.status} — exhausted ${retries} retries`);
+        return null;
+      }
+      if (!res.ok) {
+        log('⚠️', `GraphQL ${res.status}: ${(await res.text()).substring(0, 200)}`);
+        return null;
+      }
+
+      const body = await res.json();
+      const limited = body.errors?.some(e => e.type === 'RATE_LIMITED');
+      if (limited && attempt < retries) {
+        log('⏳', `GraphQL rate limited — retry ${attempt + 1}/${retries} in 60s`);
+        await sleep(60000);
+        continue;
+      }
+      return { data: body.data || null, errors: body.errors || [] };
+    }
+    return null;
+  };
+}
@@ -0,0 +1,142 @@
+/**
+ * OneSkill HTTP fixtures — record and replay the pipeline's external calls
+ *
+ * With HTTP_FIXTURES set, installHttpFixtures() wraps globalThis.fetch:
+ *
+ *   record  – calls go out as usual; each request and response is written
+ *             to HTTP_FIXTURES_FILE on exit
+ *   replay  – nothing leaves the machine; responses come from the file
+ *
+ *   HTTP_FIXTURES=record HTTP_FIXTURES_FILE=/tmp/discover.json LOCAL_STORE=.local-store \
+ *     node scripts/scrape-github.mjs --discover --type cursor-rules --discover-limit 5
+ *   HTTP_FIXTURES=replay HTTP_FIXTURES_FILE=/tmp/discover.json LOCAL_STORE=/tmp/store \
+ *     node scripts/scrape-github.mjs --discover --type cursor-rules --discover-limit 5
+ *
+ * A fixture file is a JSON array of entries:
+ *
+ *   { "method": "GET", "url": "https://…", "status": 200,
+ *     "headers": { "x-ratelimit-remaining": "0" }, "body": { … } | "text" }
+ *
+ * Instead of `url` an entry may give `match`, a regex tested against the
+ * URL; exact entries win over patterns. `bodyIncludes` (a substring) or
+ * `bodySha1` (recorded) tell POSTs to the same URL apart, `bodyBase64`
+ * holds binary responses and `redirected: true` marks a followed redirect.
+ * Entries that match the same request are served in file order and the
+ * last one repeats, so [403, 200] replays a rate limit and its retry.
+ *
+ * Request headers are never recorded, and the `key` query parameter (the
+ * Gemini API key) is dropped from URLs; `numericFilters` (HN's time window)
+ * is ignored when matching. Supabase calls pass through in both modes.
+ * Unmatched requests in replay get a 404 and a warning on stderr.
+ */
+
+import fs from 'node:fs';
+import { createHash } from 'node:crypto';
+
+const SECRET_PARAMS = ['key'];
+const VOLATILE_PARAMS = ['numericFilters'];
+const RECORDED_HEADERS = ['content-type', 'retry-after', 'x-ratelimit-remaining', 'x-ratelimit-reset'];
+
+/** URL as stored in a fixture: secret params removed */
+function fixtureUrl(url) {
+  const u = new URL(url);
+  for (const p of SECRET_PARAMS) u.searchParams.delete(p);
+  return u.toString();
+}
+
+/** URL as compared in replay: volatile params removed too */
+function matchKey(url) {
+  const u = new URL(fixtureUrl(url));
+  for (const p of VOLATILE_PARAMS) u.searchParams.delete(p);
+  return u.toString();
+}
+
+const sha1 = (s) => createHash('sha1').update(s).digest('hex');
+
+function requestParts(input, init = {}) {
+  const url = typeof input === 'string' ? input : input instanceof URL ? input.toString() : input.url;
+  const method = (init.method || (typeof input === 'object' && 'method' in input ? input.method : 'GET')).toUpperCase();
+  const body = typeof init.body === 'string' ? init.body : '';
+  return { url, method, body };
+}
+
+/** Wrap fetch when HTTP_FIXTURES=record|replay. Returns the mode, or null. */
+export function installHttpFixtures(env = process.env) {
+  const mode = env.HTTP_FIXTURES;
+  if (!mode) return null;
+  if (mode !== 'record' && mode !== 'replay') throw new Error(`HTTP_FIXTURES must be "record" or "replay", got "${mode}"`);
+  const file = env.HTTP_FIXTURES_FILE;
+  if (!file) throw new Error('HTTP_FIXTURES needs HTTP_FIXTURES_FILE');
+
+  const realFetch = globalThis.fetch;
+  const passthrough = (url) => !!env.SUPABASE_URL && url.startsWith(env.SUPABASE_URL);
+
+  if (mode === 'record') {
+    const entries = [];
+    process.on('exit', () => fs.writeFileSync(file, JSON.stringify(entries, null, 2) + '\n'));
+
+    globalThis.fetch = async (input, init) => {
+      const { url, method, body } = requestParts(input, init);
+      const res = await realFetch(input, init);
+      if (passthrough(url)) return res;
+
+      const headers = {};
+      for (const h of RECORDED_HEADERS) if (res.headers.has(h)) headers[h] = res.headers.get(h);
+      const bytes = Buffer.from(await res.clone().arrayBuffer());
+      const type = headers['content-type'] || '';
+      const entry = { method, url: fixtureUrl(url), status: res.status, headers };
+      if (body) entry.bodySha1 = sha1(body);
+      if (res.redirected) entry.redirected = true;
+      if (/json/.test(type)) {
+        try { entry.body = JSON.parse(bytes.toString('utf8')); } catch { entry.body = bytes.toString('utf8'); }
+      } else if (/^text\/|xml|^$/.test(type) && !bytes.includes(0)) {
+        entry.body = bytes.toString('utf8');
+      } else {
+        entry.bodyBase64 = bytes.toString('base64');
+      }
+      entries.push(entry);
+      return res;
+    };
+    return mode;
+  }
+
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const used = new Set();
+  const warned = new Set();
+
+  globalThis.fetch = async (input, init) => {
+    const { url, method, body } = requestParts(input, init);
+    if (passthrough(url)) return realFetch(input, init);
+
+    const key = matchKey(url);
+    const candidates = (exact) => entries.filter(e =>
+      (e.method || 'GET').toUpperCase() === method &&
+      (exact ? e.url && matchKey(e.url) === key : e.match && new RegExp(e.match).test(url)) &&
+      (!e.bodyIncludes || body.includes(e.bodyIncludes)) &&
+      (!e.bodySha1 || sha1(body) === e.bodySha1));
+    const matches = candidates(true).length ? candidates(true) : candidates(false);
+
+    if (matches.length === 0) {
+      if (!warned.has(`${method} ${key}`)) {
+        warned.add(`${method} ${key}`);
+        console.error(`⚠️  No HTTP fixture for ${method} ${key} — answering 404`);
+      }
+      return new Response('No fixture', { status: 404, headers: { 'content-type': 'text/plain' } });
+    }
+
+    const entry = matches.find(e => !used.has(e)) || matches[matches.length - 1];
+    used.add(entry);
+
+    const payload = entry.bodyBase64 != null ? Buffer.from(entry.bodyBase64, 'base64')
+      : entry.body == null ? null
+      : typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body);
+    const headers = { ...entry.headers };
+    if (!Object.keys(headers).some(h => h.toLowerCase() === 'content-type') && entry.body != null) {
+      headers['content-type'] = typeof entry.body === 'string' ? 'text/plain' : 'application/json';
+    }
+    const res = new Response(payload, { status: entry.status || 200, headers });
+    if (entry.redirected) Object.defineProperty(res, 'redirected', { value: true });
+    return res;
+  };
+  return mode;
+}
@@ -0,0 +1,305 @@
+/**
+ * OneSkill LLM provider layer
+ *
+ * One interface for the pipeline's structured-output calls (enrichment
+ * classification, mention sentiment), with adapters for:
+ *
+ *   gemini  – Google Generative Language API (default)
+ *   openai  – any OpenAI-compatible /chat/completions endpoint: OpenAI, Groq,
+ *             OpenRouter, vLLM, a llama.cpp server, or a fake provider in CI
+ *   ollama  – local Ollama server (/api/chat with a JSON-schema `format`)
+ *
+ * Selected by env:
+ *   LLM_PROVIDER   gemini | openai | ollama            (default: gemini)
+ *   LLM_MODEL      model name                          (default per provider)
+ *   LLM_BASE_URL   endpoint root override
+ *   LLM_API_KEY    API key (falls back to GEMINI_API_KEY / OPENAI_API_KEY)
+ *   LLM_PRICE_INPUT / LLM_PRICE_OUTPUT
+ *                  USD per million tokens, for models not in PRICES
+ *
+ * Every call's token usage is priced and added to the instance's running
+ * totals (`llm.totals()`, for the run log). `llm.setBudget()` caps a run:
+ * once the cost or token budget is used up, generateJSON throws
+ * LLMBudgetError instead of calling the provider.
+ *
+ * Schemas are written once in Gemini's OpenAPI subset (type: 'OBJECT',
+ * nullable: true, …) — see GEMINI_RESPONSE_SCHEMA — and each adapter maps
+ * them to its provider's structured-output format.
+ */
+
+const DEFAULTS = {
+  gemini: { model: 'gemini-2.5-flash', baseUrl: 'https://generativelanguage.googleapis.com/v1beta' },
+  openai: { model: 'gpt-4o-mini',      baseUrl: 'https://api.openai.com/v1' },
+  ollama: { model: 'llama3.1',         baseUrl: 'http://localhost:11434' },
+};
+
+/** HTTP-level failure from a provider. `status` drives the callers' retry logic. */
+export class LLMError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+  }
+}
+
+/** The run's LLM budget is used up; no request was sent. */
+export class LLMBudgetError extends LLMError {
+  constructor(message) {
+    super(message, null);
+    this.name = 'LLMBudgetError';
+  }
+}
+
+// ─── Pricing ─────────────────────────────────────────────────────────
+// Paid-tier list prices, USD per million [input, output] tokens. Versioned
+// names (gpt-4o-mini-2024-07-18) match their base model; local Ollama
+// models are free; anything else is unpriced unless LLM_PRICE_* is set.
+
+const PRICES = {
+  'gemini-2.5-flash':      [0.30, 2.50],
+  'gemini-2.5-flash-lite': [0.10, 0.40],
+  'gemini-2.5-pro':        [1.25, 10.00],
+  'gemini-2.0-flash':      [0.10, 0.40],
+  'gemini-2.0-flash-lite': [0.075, 0.30],
+  'gpt-4o-mini':           [0.15, 0.60],
+  'gpt-4o':                [2.50, 10.00],
+  'gpt-4.1-mini':          [0.40, 1.60],
+  'gpt-4.1-nano':          [0.10, 0.40],
+  'gpt-4.1':               [2.00, 8.00],
+};
+
+function priceFor(name, model, env) {
+  if (env.LLM_PRICE_INPUT || env.LLM_PRICE_OUTPUT) {
+    return [parseFloat(env.LLM_PRICE_INPUT) || 0, parseFloat(env.LLM_PRICE_OUTPUT) || 0];
+  }
+  if (name === 'ollama') return [0, 0];
+  const base = Object.keys(PRICES)
+    .filter(m => model === m || model.startsWith(`${m}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? PRICES[base] : null;
+}
+
+/** Estimated USD for one call's { inputTokens, outputTokens } at `price`. */
+export function estimateCost(usage, price) {
+  if (!price) return 0;
+  return (usage.inputTokens * price[0] + usage.outputTokens * price[1]) / 1e6;
+}
+
+// ─── Schema mapping ──────────────────────────────────────────────────
+
+/**
+ * Gemini OpenAPI-subset schema → JSON Schema. With `strict` (OpenAI
+ * structured outputs) every property is required and optional ones become
+ * nullable instead, and objects are closed with additionalProperties: false.
+ */
+export function toJSONSchema(schema, { strict = false } = {}) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const type = String(schema.type || '').toLowerCase();
+  const out = {};
+
+  if (type === 'object') {
+    out.type = 'object';
+    const props = schema.properties || {};
+    const required = new Set(schema.required || []);
+    out.properties = {};
+    for (const [key, prop] of Object.entries(props)) {
+      const mapped = toJSONSchema(prop, { strict });
+      out.properties[key] = strict && !required.has(key) ? nullable(mapped) : mapped;
+    }
+    out.required = strict ? Object.keys(props) : [...required];
+    if (strict) out.additionalProperties = false;
+  } else if (type === 'array') {
+    out.type = 'array';
+    if (schema.items) out.items = toJSONSchema(schema.items, { strict });
+  } else if (type) {
+    out.type = type;
+  }
+  if (Array.isArray(schema.enum)) out.enum = [...schema.enum];
+  if (schema.description) out.description = schema.description;
+
+  return schema.nullable ? nullable(out) : out;
+}
+
+function nullable(jsonSchema) {
+  if (Array.isArray(jsonSchema.type)) return jsonSchema.type.includes('null') ? jsonSchema : { ...jsonSchema, type: [...jsonSchema.type, 'null'] };
+  const out = { ...jsonSchema, type: [jsonSchema.type, 'null'] };
+  if (out.enum) out.enum = [...out.enum, null];
+  return out;
+}
+
+// ─── Adapters ────────────────────────────────────────────────────────
+// Each returns { text, finishReason, usage } where finishReason is
+// normalized to 'stop' | 'length' | 'safety' | 'other' and usage is
+// { inputTokens, outputTokens }.
+
+async function postJSON(url, body, headers = {}) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) {
+    const errText = await res.text().catch(() => '');
+    throw new LLMError(`HTTP ${res.status}: ${errText.substring(0, 200)}`, res.status);
+  }
+  return res.json();
+}
+
+function geminiAdapter({ model, baseUrl, apiKey }) {
+  return async ({ prompt, schema, temperature, maxOutputTokens }) => {
+    const data = await postJSON(`${baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens,
+        responseMimeType: 'application/json',
+        ...(schema ? { responseSchema: schema } : {}),
+        // Disable "thinking" — it eats output tokens and causes MAX_TOKENS truncation
+        ...(model.startsWith('gemini-2.5') ? { thinkingConfig: { thinkingBudget: 0 } } : {}),
+      },
+    });
+    const candidate = data.candidates?.[0];
+    const reason = candidate?.finishReason;
+    return {
+      text: candidate?.content?.parts?.[0]?.text || '',
+      finishReason: !reason || reason === 'STOP' ? 'stop'
+        : reason === 'MAX_TOKENS' ? 'length'
+        : reason === 'SAFETY' || reason === 'RECITATION' ? 'safety' : 'other',
+      usage: {
+        inputTokens:  data.usageMetadata?.promptTokenCount || 0,
+        outputTokens: data.usageMetadata?.candidatesTokenCount || 0,
+      },
+    };
+  };
+}
+
+function openaiAdapter({ model, baseUrl, apiKey }) {
+  return async ({ prompt, schema, temperature, maxOutputTokens }) => {
+    // Structured outputs need an object at the root — wrap arrays and unwrap after
+    const wrapped = schema && String(schema.type).toUpperCase() !== 'OBJECT';
+    const root = wrapped ? { type: 'OBJECT', properties: { items: schema }, required: ['items'] } : schema;
+
+    const data = await postJSON(`${baseUrl}/chat/completions`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxOutputTokens,
+      // json_object mode would force an object root, so schemaless calls rely on the prompt
+      ...(root ? {
+        response_format: { type: 'json_schema', json_schema: { name: 'response', strict: true, schema: toJSONSchema(root, { strict: true }) } },
+      } : {}),
+    }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+    const choice = data.choices?.[0];
+    let text = choice?.message?.content || '';
+    if (wrapped && text) {
+      try { text = JSON.stringify(JSON.parse(text).items ?? null); } catch { /* leave for the caller's repair */ }
+    }
+    const reason = choice?.finish_reason;
+    return {
+      text,
+      finishReason: !reason || reason === 'stop' ? 'stop'
+        : reason === 'length' ? 'length'
+        : reason === 'content_filter' ? 'safety' : 'other',
+      usage: {
+        inputTokens:  data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0,
+      },
+    };
+  };
+}
+
+function ollamaAdapter({ model, baseUrl }) {
+  return async ({ prompt, schema, temperature, maxOutputTokens }) => {
+    const data = await postJSON(`${baseUrl}/api/chat`, {
+      model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: false,
+      format: schema ? toJSONSchema(schema) : 'json',
+      options: { temperature, num_predict: maxOutputTokens },
+    });
+    return {
+      text: data.message?.content || '',
+      finishReason: data.done_reason === 'length' ? 'length' : 'stop',
+      usage: {
+        inputTokens:  data.prompt_eval_count || 0,
+        outputTokens: data.eval_count || 0,
+      },
+    };
+  };
+}
+
+const ADAPTERS = { gemini: geminiAdapter, openai: openaiAdapter, ollama: ollamaAdapter };
+
+// ─── Factory ─────────────────────────────────────────────────────────
+
+/**
+ * Build the provider selected by env. `configured` is false when a hosted
+ * provider has no API key — callers decide whether that is fatal. `price`
+ * is null when the model's cost is unknown (costs then count as 0).
+ *
+ *   const llm = createLLM();
+ *   llm.setBudget({ maxCostUsd: 1.5 });
+ *   const { text, finishReason, usage } = await llm.generateJSON({ prompt, schema });
+ *   usage.costUsd; llm.totals();   // this call; everything so far
+ */
+export function createLLM(env = process.env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" — expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  const model   = env.LLM_MODEL || DEFAULTS[name].model;
+  const baseUrl = (env.LLM_BASE_URL || DEFAULTS[name].baseUrl).replace(/\/$/, '');
+  const apiKey  = env.LLM_API_KEY
+    || (name === 'gemini' ? env.GEMINI_API_KEY : name === 'openai' ? env.OPENAI_API_KEY : null)
+    || null;
+  // Local servers and custom endpoints (llama.cpp, fakes) don't need a key
+  const configured = name === 'ollama' || !!apiKey || (name === 'openai' && !!env.LLM_BASE_URL);
+
+  const call = ADAPTERS[name]({ model, baseUrl, apiKey });
+  const price = priceFor(name, model, env);
+
+  const spent = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  let budget = { maxCostUsd: null, maxTokens: null };
+  const exhausted = () =>
+    (budget.maxCostUsd != null && spent.costUsd >= budget.maxCostUsd) ||
+    (budget.maxTokens != null && spent.inputTokens + spent.outputTokens >= budget.maxTokens);
+
+  return {
+    name,
+    model,
+    configured,
+    price,
+    label: `${name}/${model}`,
+    /** Cap this instance's spend; null leaves that limit off. */
+    setBudget({ maxCostUsd = null, maxTokens = null } = {}) {
+      budget = { maxCostUsd, maxTokens };
+    },
+    /** True once the budget is used up; calls in flight may overshoot it slightly. */
+    get exhausted() { return exhausted(); },
+    /** Everything this instance has spent, in the run log's shape. */
+    totals: () => ({
+      model,
+      calls:         spent.calls,
+      input_tokens:  spent.inputTokens,
+      output_tokens: spent.outputTokens,
+      cost_usd:      Number(spent.costUsd.toFixed(6)),
+      ...(budget.maxCostUsd != null || budget.maxTokens != null ? { budget_exhausted: exhausted() } : {}),
+    }),
+    /**
+     * One structured-output completion; `usage.costUsd` is its estimated cost.
+     * Throws LLMError on HTTP failure, LLMBudgetError once the budget is spent.
+     */
+    generateJSON: async ({ prompt, schema = null, temperature = 0.1, maxOutputTokens = 4096 }) => {
+      if (exhausted()) throw new LLMBudgetError(`LLM budget used up (${spent.inputTokens + spent.outputTokens} tokens, $${spent.costUsd.toFixed(4)})`);
+      const result = await call({ prompt, schema, temperature, maxOutputTokens });
+      result.usage.costUsd = estimateCost(result.usage, price);
+      spent.calls++;
+      spent.inputTokens  += result.usage.inputTokens;
+      spent.outputTokens += result.usage.outputTokens;
+      spent.costUsd      += result.usage.costUsd;
+      return result;
+    },
+  };
+}
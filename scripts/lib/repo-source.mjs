@@ -0,0 +1,68 @@
+/**
+ * OneSkill repo source download
+ *
+ * Fetches a repo's default branch as one codeload tarball (no GitHub API
+ * quota) and returns the text files a caller asks for. Used by the
+ * pipelines that read source code: security-scan.mjs, mcp-inventory.mjs and
+ * config-schema.mjs.
+ *
+ *   const files = await fetchRepoSource('owner/repo', 'main', { include: p => p.endsWith('.ts') });
+ *   // → [{ path: 'src/index.ts', text: '…' }] or null when gone / too large
+ */
+
+import { gunzipSync } from 'node:zlib';
+
+const MAX_TARBALL_BYTES = 30 * 1024 * 1024;     // compressed
+const MAX_UNPACKED_BYTES = 150 * 1024 * 1024;
+const DEFAULT_MAX_FILE_BYTES = 512 * 1024;
+
+/** Directories that never hold the code a listing is about */
+export const VENDORED_DIR_RE = /(^|\/)(node_modules|vendor|third_party|dist|build|out|target|\.git|\.venv|venv|__pycache__)\//i;
+
+/**
+ * Download the default branch and return the files `include(path)` accepts,
+ * paths relative to the repo root. Null when the repo is gone, private or
+ * over the size limits.
+ */
+export async function fetchRepoSource(fullName, branch, { include = () => true, maxFileBytes = DEFAULT_MAX_FILE_BYTES, userAgent = 'OneSkill/1.0' } = {}) {
+  const res = await fetch(`https://codeload.github.com/${fullName}/tar.gz/${encodeURIComponent(branch || 'HEAD')}`, {
+    headers: { 'User-Agent': userAgent },
+  });
+  if (!res.ok) return null;
+  if (parseInt(res.headers.get('content-length') || '0', 10) > MAX_TARBALL_BYTES) return null;
+  const gz = Buffer.from(await res.arrayBuffer());
+  if (gz.length > MAX_TARBALL_BYTES) return null;
+
+  let tar;
+  try { tar = gunzipSync(gz, { maxOutputLength: MAX_UNPACKED_BYTES }); } catch { return null; }
+  return readTar(tar, (path, size) => size <= maxFileBytes && include(path));
+}
+
+/** Minimal ustar reader: regular files only, pax / GNU long names, first path segment stripped. */
+function readTar(buf, accept) {
+  const files = [];
+  let longName = null;
+  for (let off = 0; off + 512 <= buf.length;) {
+    const header = buf.subarray(off, off + 512);
+    if (header[0] === 0) break;
+    const field = (start, len) => header.subarray(start, start + len).toString('utf8').replace(/\0.*$/s, '');
+    const size = parseInt(field(124, 12).trim() || '0', 8) || 0;
+    const type = String.fromCharCode(header[156] || 48);
+    const body = buf.subarray(off + 512, off + 512 + size);
+    off += 512 + Math.ceil(size / 512) * 512;
+
+    if (type === 'x') { longName = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(body.toString('utf8'))?.[1] || null; continue; }
+    if (type === 'L') { longName = body.toString('utf8').replace(/\0.*$/s, ''); continue; }
+    if (type === 'g') continue;
+
+    const prefix = field(345, 155);
+    const name = longName || (prefix ? `${prefix}/${field(0, 100)}` : field(0, 100));
+    longName = null;
+    if (type !== '0' && type !== '\0') continue;
+
+    const path = name.split('/').slice(1).join('/');
+    if (!path || !accept(path, size)) continue;
+    files.push({ path, text: body.toString('utf8') });
+  }
+  return files;
+}
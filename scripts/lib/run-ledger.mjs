@@ -0,0 +1,92 @@
+/**
+ * OneSkill pipeline run ledger
+ *
+ * One pipeline_runs row per script invocation — mode, type filter, start /
+ * end time, per-stage counts, a sample of errors and why the run stopped —
+ * so /status can tell when the site's data is going stale.
+ *
+ *   await startRun('scrape-github', { store, mode: 'enrich', typeFilter: 'skill' });
+ *   recordStage('enrich', { enriched: 40, failed: 2 });
+ *   recordError('enrich', err);
+ *   await finishRun('completed');       // | 'time_budget' | 'fatal'
+ *
+ * Rows go through the calling script's own store (scripts/lib/store.mjs,
+ * LOCAL_STORE), so a local run keeps one copy of each table in memory.
+ * The ledger never fails a run: without SUPABASE_* credentials, or before
+ * migration 024 is applied, every call is a no-op.
+ */
+
+const MAX_ERRORS = 20;          // samples kept per run; error_count has the total
+const MAX_ERROR_LENGTH = 300;
+
+let run = null;
+
+function ledgerStore(store) {
+  if (!store) return null;
+  if (store.kind === 'supabase' && !(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY)) return null;
+  return store;
+}
+
+/** Open the run's row (finished_at null until finishRun). */
+export async function startRun(script, { store = null, mode = null, typeFilter = null } = {}) {
+  run = {
+    id: null,
+    store: ledgerStore(store),
+    script,
+    mode,
+    type_filter: typeFilter,
+    args: process.argv.slice(2),
+    started_at: new Date().toISOString(),
+    stages: {},
+    errors: [],
+    error_count: 0,
+  };
+  if (!run.store) return;
+  try {
+    const { id: _id, store: _store, stages: _stages, errors: _errors, error_count: _count, ...row } = run;
+    run.id = (await run.store.upsert('pipeline_runs', [row]))[0]?.id ?? null;
+  } catch { /* non-critical */ }
+}
+
+/** Merge counts into a stage, e.g. recordStage('discover', { saved: 120 }). */
+export function recordStage(stage, counts) {
+  if (!run) return;
+  run.stages[stage] = { ...run.stages[stage], ...counts };
+}
+
+function errorSample(stage, err) {
+  return { stage, message: String(err?.message ?? err).substring(0, MAX_ERROR_LENGTH), at: new Date().toISOString() };
+}
+
+/** Count an error and keep the first MAX_ERRORS as samples. */
+export function recordError(stage, err) {
+  if (!run) return;
+  run.error_count++;
+  if (run.errors.length < MAX_ERRORS) run.errors.push(errorSample(stage, err));
+}
+
+/**
+ * Close the row. The fatal error, if any, is always kept. A run whose row
+ * was never opened is written whole.
+ */
+export async function finishRun(exitReason, err = null) {
+  if (!run) return;
+  if (err) {
+    run.error_count++;
+    run.errors.push(errorSample('fatal', err));
+  }
+  const patch = {
+    finished_at: new Date().toISOString(),
+    exit_reason: exitReason,
+    stages: run.stages,
+    errors: run.errors,
+    error_count: run.error_count,
+  };
+  const { id, store, ...row } = run;
+  run = null;
+  if (!store) return;
+  try {
+    if (id != null) await store.patch('pipeline_runs', `id=eq.${id}`, patch);
+    else await store.upsert('pipeline_runs', [{ ...row, ...patch }]);
+  } catch { /* non-critical */ }
+}
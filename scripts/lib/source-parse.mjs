@@ -0,0 +1,120 @@
+/**
+ * OneSkill source parsing helpers
+ *
+ * Just enough of a tokenizer to find matching brackets and read string
+ * literals in JS/TS, Python, Go and Rust without a parser per language.
+ * Used by the pipelines that read the files repo-source.mjs downloads:
+ * mcp-inventory.mjs and config-schema.mjs.
+ *
+ *   const end = matchBracket(src, src.indexOf('('), 'py');   // index past the ')'
+ *   splitArgs(inner(src, open, 'js'));                        // → ['"name"', '{ … }', 'async () => …']
+ *   readString('"get " + "weather"');                         // → 'get weather'
+ *
+ * `lang` is 'js' (default), 'py', 'go' or 'rs': it picks the comment syntax
+ * (`#` vs `//` and block comments), Python triple quotes and prefixes, and
+ * Rust lifetimes / Go runes that look like single-quoted strings.
+ */
+
+const OPEN = { '(': ')', '[': ']', '{': '}' };
+
+/** Index just past the bracket matching src[start], skipping strings and comments; -1 if unbalanced. */
+export function matchBracket(src, start, lang = 'js') {
+  const stack = [];
+  for (let i = start; i < src.length; i++) {
+    const ch = src[i];
+    if (ch === '"' || ch === "'" || ch === '`') { i = skipString(src, i, lang) - 1; continue; }
+    if (ch === '/' && src[i + 1] === '/' && lang !== 'py') { i = src.indexOf('\n', i); if (i === -1) return -1; continue; }
+    if (ch === '/' && src[i + 1] === '*' && lang !== 'py') { i = src.indexOf('*/', i + 2) + 1; if (i === 0) return -1; continue; }
+    if (ch === '#' && lang === 'py') { i = src.indexOf('\n', i); if (i === -1) return -1; continue; }
+    if (OPEN[ch]) stack.push(OPEN[ch]);
+    else if (ch === ')' || ch === ']' || ch === '}') {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i + 1;
+    }
+  }
+  return -1;
+}
+
+/** Index just past the string literal starting at src[i] */
+export function skipString(src, i, lang = 'js') {
+  const q = src[i];
+  if (lang === 'py' && src.startsWith(q.repeat(3), i)) {
+    const end = src.indexOf(q.repeat(3), i + 3);
+    return end === -1 ? src.length : end + 3;
+  }
+  if (q === "'" && lang === 'rs') return i + 1;   // lifetime / char — not a string
+  for (let j = i + 1; j < src.length; j++) {
+    if (src[j] === '\\') { j++; continue; }
+    if (src[j] === q) return j + 1;
+    if (src[j] === '\n' && q !== '`') return j;
+  }
+  return src.length;
+}
+
+/** Split `a, b, (c, d)` at top-level commas */
+export function splitArgs(body, lang = 'js') {
+  const parts = [];
+  let depth = 0;
+  let last = 0;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (ch === '"' || ch === "'" || ch === '`') { i = skipString(body, i, lang) - 1; continue; }
+    if (OPEN[ch]) depth++;
+    else if (ch === ')' || ch === ']' || ch === '}') depth--;
+    else if (ch === ',' && depth === 0) { parts.push(body.slice(last, i).trim()); last = i + 1; }
+  }
+  const tail = body.slice(last).trim();
+  if (tail) parts.push(tail);
+  return parts;
+}
+
+/** Index of the first `ch` outside brackets and strings (not part of `==`), -1 if none */
+export function topLevelIndex(text, ch, lang = 'js') {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"' || c === "'" || c === '`') { i = skipString(text, i, lang) - 1; continue; }
+    if (OPEN[c]) depth++;
+    else if (c === ')' || c === ']' || c === '}') depth--;
+    else if (c === ch && depth === 0 && text[i + 1] !== '=') return i;
+  }
+  return -1;
+}
+
+/** Inner text of the bracketed call / object at src[open] */
+export function inner(src, open, lang = 'js') {
+  const end = matchBracket(src, open, lang);
+  return end === -1 ? null : src.slice(open + 1, end - 1);
+}
+
+/**
+ * Value of a string expression: one literal or several joined by `+` or
+ * (Python) juxtaposition. Null when the expression isn't a literal.
+ */
+export function readString(expr, lang = 'js') {
+  let rest = (expr || '').trim();
+  if (lang === 'py') rest = rest.replace(/^\(\s*([\s\S]*?)\s*\)$/, '$1');
+  let out = '';
+  let found = false;
+  while (rest) {
+    const prefix = lang === 'py' ? /^[rRuUbBfF]{0,2}(?=["'])/.exec(rest)?.[0] || '' : '';
+    const q = rest[prefix.length];
+    if (q !== '"' && q !== "'" && q !== '`') break;
+    if (q === "'" && lang === 'go') break;
+    const start = prefix.length;
+    const end = skipString(rest, start, lang);
+    const triple = lang === 'py' && rest.startsWith(q.repeat(3), start);
+    const raw = triple ? rest.slice(start + 3, end - 3) : rest.slice(start + 1, end - 1);
+    out += q === '`' || /r/i.test(prefix) ? raw : raw.replace(/\\n/g, '\n').replace(/\\(["'`\\])/g, '$1');
+    found = true;
+    rest = rest.slice(end).trim().replace(/^\+\s*/, '');
+  }
+  return found ? out : null;
+}
+
+/** 1-based line number of src[index] */
+export function lineAt(src, index) {
+  let line = 1;
+  for (let i = 0; i < index && i < src.length; i++) if (src.charCodeAt(i) === 10) line++;
+  return line;
+}
@@ -0,0 +1,345 @@
+/**
+ * OneSkill pipeline storage adapter
+ *
+ * The pipeline scripts talk to their tables through PostgREST-style calls —
+ * a table name plus a query string (`status=in.(active,archived)&order=stars.desc`).
+ * This module serves those calls from Supabase, or, with LOCAL_STORE=<dir>,
+ * from one JSON file per table so discover → enrich → vibe runs on a laptop
+ * without database credentials. `next dev` reads the same directory
+ * (src/lib/local-store.ts).
+ *
+ *   LOCAL_STORE=.local-store node scripts/scrape-github.mjs --discover --discover-limit 50
+ *   LOCAL_STORE=.local-store node scripts/scrape-github.mjs --enrich
+ *   LOCAL_STORE=.local-store node scripts/vibe-score.mjs
+ *   LOCAL_STORE=.local-store npm run dev          # see src/lib/local-store.ts
+ *
+ *   const store = createStore();
+ *   const rows = await store.get('raw_repos', 'enrichment_status=eq.pending&limit=50');
+ *   await store.upsert('raw_repos', rows, 'github_full_name');
+ *   await store.patch('artifacts', `id=eq.${id}`, { stars: 12 });
+ *
+ * The local store understands the filters the scripts use (eq, neq, gt, gte,
+ * lt, lte, is, in, like, ilike, ov, cs, not.*, or=(…)), order, limit, offset
+ * and plain column selects. Lookup tables are seeded on first use; Postgres
+ * functions (rpc) and views are not available. Tables are kept in memory and
+ * written back shortly after each change and on exit — run one script at a
+ * time against a directory.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+/** Supabase unless LOCAL_STORE is set. */
+export function createStore() {
+  return process.env.LOCAL_STORE
+    ? localStore(process.env.LOCAL_STORE)
+    : supabaseStore(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+}
+
+// ─── Supabase REST ──────────────────────────────────────────────────
+
+function supabaseStore(url, key) {
+  const headers = (prefer) => ({
+    'Content-Type': 'application/json',
+    Authorization:  `Bearer ${key}`,
+    apikey:         key,
+    ...(prefer ? { Prefer: prefer } : {}),
+  });
+
+  async function request(verb, table, pathAndQuery, init) {
+    const res = await fetch(`${url}/rest/v1/${pathAndQuery}`, init);
+    if (!res.ok) throw new Error(`Supabase ${verb} ${table}: ${res.status} ${(await res.text()).substring(0, 300)}`);
+    return res;
+  }
+
+  return {
+    kind: 'supabase',
+    label: 'Supabase',
+
+    async get(table, query = '') {
+      return (await request('GET', table, `${table}?${query}`, { headers: headers() })).json();
+    },
+
+    async upsert(table, rows, onConflict) {
+      const res = await request('UPSERT', table, `${table}${onConflict ? `?on_conflict=${onConflict}` : ''}`, {
+        method: 'POST', headers: headers('resolution=merge-duplicates,return=representation'), body: JSON.stringify(rows),
+      });
+      return res.json();
+    },
+
+    async patch(table, query, patch) {
+      await request('PATCH', table, `${table}?${query}`, {
+        method: 'PATCH', headers: headers('return=minimal'), body: JSON.stringify(patch),
+      });
+    },
+
+    async delete(table, query) {
+      await request('DELETE', table, `${table}?${query}`, { method: 'DELETE', headers: headers('return=minimal') });
+    },
+
+    async rpc(fn, args = {}) {
+      const res = await request('RPC', fn, `rpc/${fn}`, { method: 'POST', headers: headers(), body: JSON.stringify(args) });
+      return res.json();
+    },
+  };
+}
+
+// ─── Local JSON store ───────────────────────────────────────────────
+
+const FLUSH_DELAY_MS = 2000;
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict']);
+const SERIAL_TABLES = new Set(['pipeline_runs', 'artifact_field_changes', 'artifact_security_findings', 'mcp_capabilities']);
+
+// Column defaults the scripts' filters depend on (raw_repos enrichment_status, artifacts subpath …)
+const LOCAL_DEFAULTS = {
+  raw_repos:          () => ({ enrichment_status: 'pending', enrich_attempts: 0, source: 'github', discovered_at: new Date().toISOString() }),
+  artifacts:          () => ({ status: 'active', subpath: '', classification_source: 'llm', is_fork: false, archived: false, trending_score: 0 }),
+  artifact_snapshots: () => ({ snapshot_date: new Date().toISOString().substring(0, 10) }),
+  scraper_state:      () => ({ last_page: 0, last_bucket_idx: 0 }),
+  contributors:       () => ({ is_verified: false }),
+  pipeline_runs:      () => ({ stages: {}, errors: [], error_count: 0 }),
+};
+
+const lookup = (rows) => () => rows.map(([slug, label], i) => ({ id: randomUUID(), slug, label, is_active: true, sort_order: i + 1 }));
+
+// What the scripts expect to find in the lookup tables (TYPE_MAP, CATEGORY_LABEL_TO_SLUG, PLATFORM_DEFAULTS)
+const LOCAL_SEEDS = {
+  artifact_types: lookup([
+    ['skill', 'Skill'], ['mcp-server', 'MCP Server'], ['cursor-rules', 'Cursor Rules'], ['n8n-node', 'n8n Node'],
+    ['workflow', 'Workflow'], ['langchain-tool', 'LangChain Tool'], ['crewai-tool', 'CrewAI Tool'],
+  ]),
+  categories: lookup([
+    ['frontend', 'Frontend'], ['backend', 'Backend'], ['devops', 'DevOps'], ['ai-ml', 'AI / ML'],
+    ['database', 'Database'], ['security', 'Security'], ['automation', 'Automation'], ['web-scraping', 'Web Scraping'],
+    ['research', 'Research'], ['design', 'Design'], ['mobile', 'Mobile'], ['testing', 'Testing'],
+    ['data-engineering', 'Data Engineering'], ['documentation', 'Documentation'], ['productivity', 'Productivity'],
+  ]),
+  platforms: lookup([
+    ['claude-code', 'Claude Code'], ['cursor', 'Cursor'], ['windsurf', 'Windsurf'], ['cline', 'Cline'],
+    ['roo-code', 'Roo Code'], ['opencode', 'OpenCode'], ['kiro-cli', 'Kiro CLI'], ['github-copilot', 'GitHub Copilot'],
+    ['continue', 'Continue'], ['n8n', 'n8n'], ['langchain', 'LangChain'], ['crewai', 'CrewAI'],
+  ]),
+};
+
+/** Split on commas outside parentheses, braces and double quotes. */
+function splitTopLevel(s) {
+  const parts = [];
+  let depth = 0, quoted = false, start = 0;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (c === '"') quoted = !quoted;
+    else if (!quoted && (c === '(' || c === '{')) depth++;
+    else if (!quoted && (c === ')' || c === '}')) depth--;
+    else if (!quoted && depth === 0 && c === ',') { parts.push(s.slice(start, i)); start = i + 1; }
+  }
+  parts.push(s.slice(start));
+  return parts;
+}
+
+/** `(a,"b,c")` / `{a,b}` → ['a', 'b,c'] */
+function parseList(s) {
+  return splitTopLevel(s.replace(/^[({]|[)}]$/g, '')).map((v) => v.replace(/^"|"$/g, ''));
+}
+
+function equals(cell, value) {
+  if (cell == null) return false;
+  return typeof cell === 'number' ? cell === Number(value) : String(cell) === value;
+}
+
+function compare(cell, value) {
+  return typeof cell === 'number' ? cell - Number(value) : String(cell) < value ? -1 : String(cell) > value ? 1 : 0;
+}
+
+/** One PostgREST filter expression (`in.(a,b)`, `not.is.null`, …) against a cell. */
+function testFilter(cell, expr) {
+  const negate = expr.startsWith('not.');
+  const body = negate ? expr.slice(4) : expr;
+  const dot = body.indexOf('.');
+  const op = body.slice(0, dot);
+  const value = body.slice(dot + 1);
+
+  let result;
+  switch (op) {
+    case 'eq':    result = equals(cell, value); break;
+    case 'neq':   result = cell != null && !equals(cell, value); break;
+    case 'gt':    result = cell != null && compare(cell, value) > 0; break;
+    case 'gte':   result = cell != null && compare(cell, value) >= 0; break;
+    case 'lt':    result = cell != null && compare(cell, value) < 0; break;
+    case 'lte':   result = cell != null && compare(cell, value) <= 0; break;
+    case 'is':    result = value === 'null' ? cell == null : String(cell) === value; break;
+    case 'in':    result = cell != null && parseList(value).some((v) => equals(cell, v)); break;
+    case 'like':
+    case 'ilike': {
+      const pattern = value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[*%]/g, '.*');
+      result = cell != null && new RegExp(`^${pattern}$`, op === 'ilike' ? 'is' : 's').test(String(cell));
+      break;
+    }
+    case 'ov':    result = Array.isArray(cell) && parseList(value).some((v) => cell.map(String).includes(v)); break;
+    case 'cs':    result = Array.isArray(cell) && parseList(value).every((v) => cell.map(String).includes(v)); break;
+    default:      throw new Error(`Local store: unsupported filter "${op}"`);
+  }
+  return negate ? !result : result;
+}
+
+/** `or=(a.eq.1,and(b.gt.2,c.is.null))` */
+function testGroup(row, list, any) {
+  const conditions = splitTopLevel(list.replace(/^\(|\)$/g, ''));
+  const test = (cond) => {
+    const group = cond.match(/^(not\.)?(and|or)(\(.*\))$/);
+    if (group) return !!group[1] !== testGroup(row, group[3], group[2] === 'or');
+    const dot = cond.indexOf('.');
+    return testFilter(row[cond.slice(0, dot)], cond.slice(dot + 1));
+  };
+  return any ? conditions.some(test) : conditions.every(test);
+}
+
+function matches(row, params) {
+  for (const [key, expr] of params) {
+    if (RESERVED_PARAMS.has(key)) continue;
+    if (key === 'or' || key === 'and') {
+      if (!testGroup(row, expr, key === 'or')) return false;
+    } else if (!testFilter(row[key], expr)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/** `order=stars.desc,last_pipeline_sync.asc.nullsfirst` — Postgres puts nulls last ascending, first descending. */
+function sortRows(rows, order) {
+  const keys = order.split(',').map((part) => {
+    const [column, ...mods] = part.split('.');
+    const desc = mods.includes('desc');
+    const nullsFirst = mods.includes('nullsfirst') || (desc && !mods.includes('nullslast'));
+    return { column, desc, nullsFirst };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { column, desc, nullsFirst } of keys) {
+      const x = a[column], y = b[column];
+      if (x == null && y == null) continue;
+      if (x == null) return nullsFirst ? -1 : 1;
+      if (y == null) return nullsFirst ? 1 : -1;
+      const cmp = x < y ? -1 : x > y ? 1 : 0;
+      if (cmp) return desc ? -cmp : cmp;
+    }
+    return 0;
+  });
+}
+
+function project(row, select) {
+  if (!select || select.trim() === '*') return structuredClone(row);
+  const out = {};
+  for (const column of select.split(',').map((c) => c.trim()).filter(Boolean)) {
+    if (column === '*') Object.assign(out, structuredClone(row));
+    else if (column.includes('(')) throw new Error(`Local store: embedded select "${column}" is not supported`);
+    else out[column] = structuredClone(row[column] ?? null);
+  }
+  return out;
+}
+
+function localStore(dir) {
+  const tables = new Map();          // table → rows
+  const dirty = new Set();
+  let timer = null;
+
+  const fileFor = (table) => path.join(dir, `${table}.json`);
+
+  function load(table) {
+    if (!tables.has(table)) {
+      let rows;
+      try {
+        rows = JSON.parse(fs.readFileSync(fileFor(table), 'utf8'));
+      } catch {
+        rows = LOCAL_SEEDS[table]?.() || [];
+        if (rows.length) dirty.add(table);
+      }
+      tables.set(table, rows);
+    }
+    return tables.get(table);
+  }
+
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (dirty.size === 0) return;
+    fs.mkdirSync(dir, { recursive: true });
+    for (const table of dirty) {
+      const tmp = `${fileFor(table)}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(tables.get(table)));
+      fs.renameSync(tmp, fileFor(table));
+    }
+    dirty.clear();
+  }
+
+  function touch(table) {
+    dirty.add(table);
+    if (!timer) {
+      timer = setTimeout(flush, FLUSH_DELAY_MS);
+      timer.unref?.();
+    }
+  }
+
+  process.on('exit', flush);
+
+  function nextId(table, rows) {
+    if (!SERIAL_TABLES.has(table)) return randomUUID();
+    return rows.reduce((max, r) => Math.max(max, Number(r.id) || 0), 0) + 1;
+  }
+
+  return {
+    kind: 'local',
+    label: `local store (${dir})`,
+
+    async get(table, query = '') {
+      const params = new URLSearchParams(query);
+      let rows = load(table).filter((row) => matches(row, params));
+      if (params.get('order')) rows = sortRows(rows, params.get('order'));
+      const offset = Number(params.get('offset') || 0);
+      const limit = params.get('limit');
+      rows = rows.slice(offset, limit != null ? offset + Number(limit) : undefined);
+      return rows.map((row) => project(row, params.get('select')));
+    },
+
+    async upsert(table, rows, onConflict) {
+      const data = load(table);
+      const keys = onConflict ? onConflict.split(',') : ['id'];
+      const now = new Date().toISOString();
+      const out = rows.map((row) => {
+        const existing = keys.every((k) => row[k] !== undefined)
+          && data.find((r) => keys.every((k) => r[k] === row[k]));
+        if (existing) {
+          Object.assign(existing, structuredClone(row));
+          return structuredClone(existing);
+        }
+        const created = { id: nextId(table, data), created_at: now, ...LOCAL_DEFAULTS[table]?.(), ...structuredClone(row) };
+        data.push(created);
+        return structuredClone(created);
+      });
+      touch(table);
+      return out;
+    },
+
+    async patch(table, query, patch) {
+      const params = new URLSearchParams(query);
+      const rows = load(table).filter((row) => matches(row, params));
+      for (const row of rows) Object.assign(row, structuredClone(patch));
+      if (rows.length) touch(table);
+    },
+
+    async delete(table, query) {
+      const params = new URLSearchParams(query);
+      const rows = load(table);
+      const kept = rows.filter((row) => !matches(row, params));
+      if (kept.length !== rows.length) {
+        tables.set(table, kept);
+        touch(table);
+      }
+    },
+
+    async rpc(fn) {
+      throw new Error(`Local store: rpc ${fn}() needs Postgres`);
+    },
+
+    flush,
+  };
+}
@@ -0,0 +1,761 @@
+#!/usr/bin/env node
+
+/**
+ * OneSkill MCP Inventory Pipeline
+ *
+ * Answers "what does this MCP server expose?" from its source instead of the
+ * LLM-written long_description. For each MCP server artifact it downloads the
+ * repo (one codeload tarball, shared by collection members) and extracts
+ * tools, resources and prompts with their descriptions and input schemas:
+ *
+ *   TypeScript SDK  server.tool() / registerTool() / resource() / prompt(),
+ *                   FastMCP-TS addTool({...}), low-level { name, description, inputSchema }
+ *   Python          @mcp.tool() / @mcp.resource() / @mcp.prompt() (FastMCP), types.Tool(...)
+ *   Go              mcp.NewTool(...) (mcp-go), &mcp.Tool{...} (go-sdk), NewResource / NewPrompt
+ *   Rust            #[tool(...)] (rmcp)
+ *   Manifests       tools / prompts / resources arrays in server.json, manifest.json, mcp.json
+ *
+ * With --probe, servers with a verified npm package are also launched over
+ * stdio and asked for tools/list, resources/list and prompts/list; a
+ * successful probe replaces the static result. Each probe runs in a Docker
+ * container (PROBE_IMAGE, default node:20-slim): the package is installed
+ * with lifecycle scripts off, then started with no network, a read-only
+ * filesystem, no capabilities and capped memory / CPU / processes. Needs a
+ * docker CLI; without one the probe is skipped.
+ *
+ * Results go to mcp_capabilities (replaced on every run); artifacts get
+ * mcp_tool_count, mcp_tool_names (searched by /explore) and mcp_inventory_at.
+ *
+ * Flags:
+ *   --limit N        : max artifacts per run (default: 500)
+ *   --probe          : also launch verified npm packages in a container and call tools/list
+ *   --time-budget M  : stop cleanly after M minutes
+ *
+ * LOCAL_STORE=<dir> reads and writes local JSON files instead of Supabase
+ * (scripts/lib/store.mjs). HTTP_FIXTURES=record|replay captures or serves
+ * the tarball downloads (scripts/lib/http-fixtures.mjs). Each run is logged
+ * to pipeline_runs for /status (scripts/lib/run-ledger.mjs).
+ *
+ * Cost: codeload downloads only. No GitHub API, no LLM.
+ */
+
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { VENDORED_DIR_RE, fetchRepoSource } from './lib/repo-source.mjs';
+import { inner, lineAt, matchBracket, readString, splitArgs, topLevelIndex } from './lib/source-parse.mjs';
+import { startRun, recordStage, recordError, finishRun } from './lib/run-ledger.mjs';
+import { installHttpFixtures } from './lib/http-fixtures.mjs';
+import { createStore } from './lib/store.mjs';
+
+// HTTP_FIXTURES=record|replay — capture or serve external calls (tests)
+installHttpFixtures();
+
+// ─────────────────────────── Config ───────────────────────────────────
+
+const LIMIT_ARG = process.argv.indexOf('--limit');
+const LIMIT = LIMIT_ARG !== -1 ? parseInt(process.argv[LIMIT_ARG + 1], 10) || 500 : 500;
+const PROBE = process.argv.includes('--probe');
+
+const TIME_BUDGET_ARG = process.argv.indexOf('--time-budget');
+const TIME_BUDGET_MIN = TIME_BUDGET_ARG !== -1 ? parseInt(process.argv[TIME_BUDGET_ARG + 1], 10) || 0 : 0;
+const START_TIME = Date.now();
+
+const MAX_CAPABILITIES = 200;           // per artifact
+const MAX_DESCRIPTION = 500;
+const PROBE_IMAGE = process.env.PROBE_IMAGE || 'node:20-slim';
+const PROBE_INSTALL_TIMEOUT_MS = 120000;
+const PROBE_TIMEOUT_MS = 30000;         // from start to the last list call
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+function log(emoji, msg) { console.log(`${emoji}  ${msg}`); }
+function timeExpired() { return TIME_BUDGET_MIN > 0 && (Date.now() - START_TIME) / 60000 >= TIME_BUDGET_MIN; }
+
+// ─────────────────────────── Environment ──────────────────────────────
+
+const ENV = {
+  SUPABASE_URL:              process.env.SUPABASE_URL,
+  SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
+};
+
+function validateEnv() {
+  const required = store.kind === 'local' ? [] : ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+  const missing = required.filter(k => !ENV[k]);
+  if (missing.length) { console.error(`Missing: ${missing.join(', ')}`); process.exit(1); }
+  log('✅', `MCP inventory starting (limit: ${LIMIT}${PROBE ? ', probe: on' : ''}${TIME_BUDGET_MIN ? `, budget: ${TIME_BUDGET_MIN}min` : ''})` +
+    (store.kind === 'local' ? ` — ${store.label}` : ''));
+}
+
+// ─────────────────────────── Supabase ─────────────────────────────────
+// Supabase REST, or the JSON files under LOCAL_STORE (scripts/lib/store.mjs)
+
+const store = createStore();
+
+const sbGet    = (table, query = '') => store.get(table, query);
+const sbInsert = (table, rows) => store.upsert(table, rows);
+const sbPatch  = (table, query, body) => store.patch(table, query, body);
+const sbDelete = (table, query) => store.delete(table, query);
+
+// ─────────────────────────── Source files ─────────────────────────────
+
+const SKIP_DIR_RE = /(^|\/)(tests?|__tests__|spec|examples?|fixtures)\//i;
+const SKIP_FILE_RE = /\.(test|spec)\.[cm]?[jt]sx?$|(^|\/)test_[^/]*\.py$|_test\.(py|go)$|\.d\.ts$|\.min\.js$/i;
+const SOURCE_RE = /\.([cm]?js|jsx|tsx?|py|go|rs)$/i;
+const MANIFEST_RE = /(^|\/)(server|manifest|mcp)\.json$/i;
+
+function shouldRead(path) {
+  if (VENDORED_DIR_RE.test(path) || SKIP_DIR_RE.test(path) || SKIP_FILE_RE.test(path)) return false;
+  return SOURCE_RE.test(path) || MANIFEST_RE.test(path);
+}
+
+// ─────────────────────────── Parsing helpers ──────────────────────────
+// Tokenizer helpers (matchBracket, splitArgs, readString, …) live in
+// scripts/lib/source-parse.mjs, shared with config-schema.mjs.
+
+function cleanDescription(text) {
+  if (!text) return null;
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+  if (!collapsed) return null;
+  return collapsed.length > MAX_DESCRIPTION ? `${collapsed.substring(0, MAX_DESCRIPTION - 1)}…` : collapsed;
+}
+
+/** `key: value` entries of an object literal body (JS) → [[key, value]] */
+function objectEntries(body, lang = 'js') {
+  return splitArgs(body, lang).map((part) => {
+    const m = /^(?:["']([^"']+)["']|([\w$]+))\s*:\s*([\s\S]*)$/.exec(part);
+    return m ? [m[1] || m[2], m[3].trim()] : null;
+  }).filter(Boolean);
+}
+
+function objectField(body, key) {
+  return objectEntries(body).find(([k]) => k === key)?.[1] ?? null;
+}
+
+// ─── Input schemas ───────────────────────────────────────────────────
+
+const ZOD_TYPES = { string: 'string', number: 'number', bigint: 'integer', boolean: 'boolean', array: 'array', object: 'object', record: 'object', date: 'string', enum: 'string', nativeEnum: 'string', literal: 'string' };
+
+/** One zod expression → JSON Schema property + whether it is required */
+function zodProperty(expr) {
+  const base = /\bz\.(\w+)\s*\(/.exec(expr);
+  const prop = {};
+  if (base && ZOD_TYPES[base[1]]) prop.type = ZOD_TYPES[base[1]];
+  if (/\.int\(\)/.test(expr)) prop.type = 'integer';
+  if (base?.[1] === 'enum') {
+    const list = /z\.enum\(\s*\[([^\]]*)\]/.exec(expr)?.[1];
+    const values = list ? splitArgs(list).map(v => readString(v)).filter(v => v != null) : [];
+    if (values.length) prop.enum = values;
+  }
+  const describe = /\.describe\(\s*([\s\S]*?)\)\s*(?:\.|$)/.exec(expr)?.[1];
+  const description = cleanDescription(readString(describe || ''));
+  if (description) prop.description = description;
+  return { prop, required: !/\.(optional|nullish|default)\(/.test(expr) };
+}
+
+/**
+ * Input schema from a zod raw shape `{ q: z.string() }`, `z.object({...})`
+ * or a JSON Schema literal `{ type: "object", properties: {...} }`. Null
+ * when the schema is built elsewhere (a variable, zodToJsonSchema(...)).
+ */
+function schemaFromExpr(expr) {
+  let text = (expr || '').trim();
+  const zodObject = /^z\.object\(\s*\{/.exec(text);
+  if (zodObject) text = text.slice(text.indexOf('{'));
+  if (!text.startsWith('{')) return null;
+  const body = inner(text, 0, 'js');
+  if (body == null) return null;
+
+  const entries = objectEntries(body);
+  const propsExpr = entries.find(([k]) => k === 'properties')?.[1];
+  if (propsExpr && entries.some(([k]) => k === 'type')) {
+    // JSON Schema literal
+    const propsBody = propsExpr.startsWith('{') ? inner(propsExpr, 0, 'js') : null;
+    if (propsBody == null) return null;
+    const properties = {};
+    for (const [key, value] of objectEntries(propsBody)) {
+      const propBody = value.startsWith('{') ? inner(value, 0, 'js') : null;
+      const prop = {};
+      if (propBody != null) {
+        const type = readString(objectField(propBody, 'type') || '');
+        const description = cleanDescription(readString(objectField(propBody, 'description') || ''));
+        if (type) prop.type = type;
+        if (description) prop.description = description;
+      }
+      properties[key] = prop;
+    }
+    const requiredExpr = entries.find(([k]) => k === 'required')?.[1] || '';
+    const required = requiredExpr.startsWith('[')
+      ? splitArgs(requiredExpr.slice(1, -1)).map(v => readString(v)).filter(Boolean)
+      : [];
+    return { type: 'object', properties, ...(required.length ? { required } : {}) };
+  }
+
+  // zod raw shape
+  if (!entries.length || !entries.every(([, v]) => /\bz\./.test(v))) return null;
+  const properties = {};
+  const required = [];
+  for (const [key, value] of entries) {
+    const { prop, required: isRequired } = zodProperty(value);
+    properties[key] = prop;
+    if (isRequired) required.push(key);
+  }
+  return { type: 'object', properties, ...(required.length ? { required } : {}) };
+}
+
+// ─────────────────────────── Extractors ───────────────────────────────
+// Each returns [{ kind, name, description, input_schema, uri, file, line }]
+
+function cap(kind, name, fields, file, src, index) {
+  return {
+    kind, name,
+    description:  cleanDescription(fields.description) || null,
+    input_schema: fields.input_schema || null,
+    uri:          fields.uri || null,
+    file, line: lineAt(src, index),
+  };
+}
+
+const TS_MCP_IMPORT_RE = /@modelcontextprotocol\/sdk|from\s+["']fastmcp["']|require\(["']@modelcontextprotocol/;
+
+function extractTypeScript(file) {
+  const src = file.text;
+  if (!TS_MCP_IMPORT_RE.test(src)) return [];
+  const found = [];
+
+  // McpServer: .tool(name, description?, shape?, …cb) / .registerTool(name, config, cb) and friends
+  for (const m of src.matchAll(/\.(tool|registerTool|resource|registerResource|prompt|registerPrompt)\s*\(/g)) {
+    const body = inner(src, m.index + m[0].length - 1, 'js');
+    if (body == null) continue;
+    const args = splitArgs(body);
+    const name = readString(args[0]);
+    if (!name) continue;
+    const method = m[1];
+    const kind = /tool/i.test(method) ? 'tool' : /resource/i.test(method) ? 'resource' : 'prompt';
+
+    if (method.startsWith('register')) {
+      const configArg = kind === 'resource' ? args[2] : args[1];
+      const config = configArg?.startsWith('{') ? inner(configArg, 0, 'js') : null;
+      const fields = {
+        description: readString(config ? objectField(config, 'description') || '' : ''),
+        input_schema: config ? schemaFromExpr(objectField(config, kind === 'prompt' ? 'argsSchema' : 'inputSchema')) : null,
+      };
+      if (kind === 'resource') fields.uri = readString(args[1]) || readString(/ResourceTemplate\(\s*([^,)]+)/.exec(args[1] || '')?.[1]);
+      found.push(cap(kind, name, fields, file.path, src, m.index));
+      continue;
+    }
+
+    // Overloads: (name, description?, schema?, [annotations,] cb) — the handler is always last
+    const rest = args.slice(1, -1);
+    const fields = {};
+    if (kind === 'resource') {
+      fields.uri = readString(rest[0]) || readString(/ResourceTemplate\(\s*([^,)]+)/.exec(rest[0] || '')?.[1]);
+      const meta = rest.find(a => a.startsWith('{'));
+      if (meta) fields.description = readString(objectField(inner(meta, 0, 'js') || '', 'description') || '');
+    } else {
+      const description = readString(rest[0]);
+      if (description != null) { fields.description = description; rest.shift(); }
+      fields.input_schema = schemaFromExpr(rest[0]);
+    }
+    found.push(cap(kind, name, fields, file.path, src, m.index));
+  }
+
+  // FastMCP-TS: server.addTool({ name, description, parameters }) / addResource / addPrompt
+  for (const m of src.matchAll(/\.add(Tool|Resource|ResourceTemplate|Prompt)\s*\(\s*\{/g)) {
+    const body = inner(src, m.index + m[0].length - 1, 'js');
+    if (body == null) continue;
+    const kind = m[1] === 'Tool' ? 'tool' : m[1] === 'Prompt' ? 'prompt' : 'resource';
+    const name = readString(objectField(body, 'name') || '');
+    if (!name) continue;
+    found.push(cap(kind, name, {
+      description: readString(objectField(body, 'description') || ''),
+      input_schema: kind === 'tool' ? schemaFromExpr(objectField(body, 'parameters')) : null,
+      uri: kind === 'resource' ? readString(objectField(body, 'uri') || objectField(body, 'uriTemplate') || '') : null,
+    }, file.path, src, m.index));
+  }
+
+  // Low-level Server: tool objects { name: "x", description: "…", inputSchema: {…} } listed for ListTools
+  if (/ListToolsRequestSchema|["']tools\/list["']/.test(src)) {
+    for (const m of src.matchAll(/\bname\s*:\s*(["'`])/g)) {
+      const open = src.lastIndexOf('{', m.index);
+      if (open === -1) continue;
+      const body = inner(src, open, 'js');
+      if (body == null || !/\binputSchema\s*:/.test(body)) continue;
+      const name = readString(objectField(body, 'name') || '');
+      if (!name) continue;
+      found.push(cap('tool', name, {
+        description: readString(objectField(body, 'description') || ''),
+        input_schema: schemaFromExpr(objectField(body, 'inputSchema')),
+      }, file.path, src, m.index));
+    }
+  }
+  return found;
+}
+
+const PY_TYPES = { str: 'string', int: 'integer', float: 'number', bool: 'boolean', list: 'array', List: 'array', Sequence: 'array', tuple: 'array', dict: 'object', Dict: 'object', Any: null };
+
+/** `Args:` section of a Google-style docstring → { param: description } */
+function docstringArgs(doc) {
+  const args = {};
+  const section = /\n\s*(?:Args|Arguments|Parameters):\s*\n([\s\S]*?)(?:\n\s*\n|\n\s*(?:Returns|Raises|Yields|Example)s?:|$)/.exec(doc || '');
+  if (!section) return args;
+  for (const line of section[1].split('\n')) {
+    const m = /^\s+(\w+)(?:\s*\([^)]*\))?\s*:\s*(.+)$/.exec(line);
+    if (m) args[m[1]] = m[2].trim();
+  }
+  return args;
+}
+
+function pythonParamSchema(params, doc) {
+  const docArgs = docstringArgs(doc);
+  const properties = {};
+  const required = [];
+  for (const raw of splitArgs(params, 'py')) {
+    // name[: annotation][= default] — split at the top-level ':' / '=', not the ones inside Field(...)
+    const eq = topLevelIndex(raw, '=', 'py');
+    const head = eq === -1 ? raw : raw.slice(0, eq);
+    const fallback = eq === -1 ? null : raw.slice(eq + 1).trim();
+    const colon = topLevelIndex(head, ':', 'py');
+    const name = (colon === -1 ? head : head.slice(0, colon)).trim();
+    const annotation = colon === -1 ? '' : head.slice(colon + 1).trim();
+    if (!/^\w+$/.test(name) || ['self', 'cls'].includes(name) || /\bContext\b/.test(annotation)) continue;
+    const prop = {};
+    const typeName = /(?:Optional\[|Annotated\[)?\s*(\w+)/.exec(annotation)?.[1];
+    if (typeName && PY_TYPES[typeName]) prop.type = PY_TYPES[typeName];
+    const fieldDescription = /Field\([\s\S]*?description\s*=\s*((?:[rRuUbBfF]{0,2})(?:"[^"]*"|'[^']*'))/.exec(`${annotation} ${fallback || ''}`)?.[1];
+    const description = cleanDescription(readString(fieldDescription || '', 'py') || docArgs[name]);
+    if (description) prop.description = description;
+    properties[name] = prop;
+    const isFieldWithoutDefault = /^Field\(/.test(fallback || '') && !/\bdefault(_factory)?\s*=/.test(fallback);
+    if (fallback == null || isFieldWithoutDefault) required.push(name);
+  }
+  return { type: 'object', properties, ...(required.length ? { required } : {}) };
+}
+
+function docstringSummary(doc) {
+  if (!doc) return null;
+  return doc.split(/\n\s*\n/)[0];
+}
+
+function extractPython(file) {
+  const src = file.text;
+  if (!/\b(from|import)\s+(mcp|fastmcp)\b/.test(src)) return [];
+  const found = [];
+
+  // FastMCP decorators: @mcp.tool() / @server.tool(name=…, description=…) / @mcp.resource("uri") / @mcp.prompt()
+  for (const m of src.matchAll(/^[ \t]*@\w+\.(tool|resource|prompt)\b/gm)) {
+    const kind = m[1];
+    let cursor = m.index + m[0].length;
+    let decoratorArgs = [];
+    if (src[cursor] === '(') {
+      const body = inner(src, cursor, 'py');
+      if (body == null) continue;
+      decoratorArgs = splitArgs(body, 'py');
+      cursor = matchBracket(src, cursor, 'py');
+    }
+    const def = /(?:@[^\n]*\n\s*)*(?:async\s+)?def\s+(\w+)\s*\(/.exec(src.slice(cursor, cursor + 2000));
+    if (!def) continue;
+    const paramsOpen = cursor + def.index + def[0].length - 1;
+    const params = inner(src, paramsOpen, 'py');
+    if (params == null) continue;
+    const afterParams = matchBracket(src, paramsOpen, 'py');
+    const doc = /^[^:]*:\s*\n?\s*(?:[rRuU]?("""|''')([\s\S]*?)\1)?/.exec(src.slice(afterParams, afterParams + 8000))?.[2];
+
+    const kwarg = (key) => {
+      const entry = decoratorArgs.find(a => new RegExp(`^${key}\\s*=`).test(a));
+      return entry ? readString(entry.replace(/^\w+\s*=\s*/, ''), 'py') : null;
+    };
+    const name = kwarg('name') || def[1];
+    found.push(cap(kind, name, {
+      description: kwarg('description') || docstringSummary(doc),
+      input_schema: kind === 'resource' ? null : pythonParamSchema(params, doc),
+      uri: kind === 'resource' ? readString(decoratorArgs.find(a => !/^\w+\s*=/.test(a)) || '', 'py') || kwarg('uri') : null,
+    }, file.path, src, m.index));
+  }
+
+  // Low-level server: types.Tool(name="x", description="…", inputSchema={…})
+  for (const m of src.matchAll(/\b(?:types\.)?(Tool|Prompt|Resource)\(\s*(?=name\s*=|uri\s*=)/g)) {
+    const body = inner(src, src.indexOf('(', m.index), 'py');
+    if (body == null) continue;
+    const args = splitArgs(body, 'py');
+    const kwarg = (key) => {
+      const entry = args.find(a => new RegExp(`^${key}\\s*=`).test(a));
+      return entry ? entry.replace(/^\w+\s*=\s*/, '') : null;
+    };
+    const name = readString(kwarg('name') || '', 'py');
+    if (!name) continue;
+    found.push(cap(m[1].toLowerCase(), name, {
+      description: readString(kwarg('description') || '', 'py'),
+      uri: readString(kwarg('uri') || '', 'py'),
+    }, file.path, src, m.index));
+  }
+  return found;
+}
+
+const GO_PARAM_TYPES = { String: 'string', Number: 'number', Boolean: 'boolean', Array: 'array', Object: 'object' };
+
+function extractGo(file) {
+  const src = file.text;
+  if (!/mark3labs\/mcp-go|modelcontextprotocol\/go-sdk/.test(src)) return [];
+  const found = [];
+
+  // mcp-go: mcp.NewTool("name", mcp.WithDescription("…"), mcp.WithString("p", mcp.Required(), mcp.Description("…")))
+  for (const m of src.matchAll(/\bmcp\.New(Tool|Prompt|Resource|ResourceTemplate)\s*\(/g)) {
+    const body = inner(src, m.index + m[0].length - 1, 'go');
+    if (body == null) continue;
+    const args = splitArgs(body, 'go');
+    const kind = m[1] === 'Tool' ? 'tool' : m[1] === 'Prompt' ? 'prompt' : 'resource';
+    const optionString = (re) => {
+      const opt = args.find(a => re.test(a));
+      return opt ? readString(opt.slice(opt.indexOf('(') + 1, opt.lastIndexOf(')')), 'go') : null;
+    };
+
+    if (kind === 'resource') {
+      const name = readString(args[1], 'go');
+      if (!name) continue;
+      found.push(cap('resource', name, {
+        uri: readString(args[0], 'go'),
+        description: optionString(/^mcp\.With(Resource|Template)Description\(/),
+      }, file.path, src, m.index));
+      continue;
+    }
+
+    const name = readString(args[0], 'go');
+    if (!name) continue;
+    const properties = {};
+    const required = [];
+    for (const opt of args.slice(1)) {
+      const p = /^mcp\.(?:With(String|Number|Boolean|Array|Object)|WithArgument)\(/.exec(opt);
+      if (!p) continue;
+      const pArgs = splitArgs(opt.slice(opt.indexOf('(') + 1, opt.lastIndexOf(')')), 'go');
+      const pName = readString(pArgs[0], 'go');
+      if (!pName) continue;
+      const prop = p[1] ? { type: GO_PARAM_TYPES[p[1]] } : {};
+      const desc = pArgs.find(a => /^mcp\.(Argument)?Description\(/.test(a));
+      const description = desc ? cleanDescription(readString(desc.slice(desc.indexOf('(') + 1, desc.lastIndexOf(')')), 'go')) : null;
+      if (description) prop.description = description;
+      properties[pName] = prop;
+      if (pArgs.some(a => /^mcp\.(Required|RequiredArgument)\(\)/.test(a))) required.push(pName);
+    }
+    found.push(cap(kind, name, {
+      description: optionString(kind === 'tool' ? /^mcp\.WithDescription\(/ : /^mcp\.WithPromptDescription\(/),
+      input_schema: Object.keys(properties).length ? { type: 'object', properties, ...(required.length ? { required } : {}) } : null,
+    }, file.path, src, m.index));
+  }
+
+  // go-sdk: mcp.AddTool(server, &mcp.Tool{Name: "x", Description: "…"}, handler)
+  for (const m of src.matchAll(/&mcp\.(Tool|Prompt)\s*\{/g)) {
+    const body = inner(src, m.index + m[0].length - 1, 'go');
+    if (body == null) continue;
+    const field = (key) => objectEntries(body, 'go').find(([k]) => k === key)?.[1] || '';
+    const name = readString(field('Name'), 'go');
+    if (!name) continue;
+    found.push(cap(m[1].toLowerCase(), name, { description: readString(field('Description'), 'go') }, file.path, src, m.index));
+  }
+  return found;
+}
+
+function extractRust(file) {
+  const src = file.text;
+  if (!/\brmcp\b/.test(src)) return [];
+  const found = [];
+  // #[tool(description = "…")] / #[tool(name = "x", description = "…")] above an fn
+  for (const m of src.matchAll(/#\[(tool|prompt)\s*\(/g)) {
+    const body = inner(src, m.index + m[0].length - 1, 'rs');
+    if (body == null) continue;
+    const args = splitArgs(body, 'rs');
+    const attr = (key) => {
+      const entry = args.find(a => new RegExp(`^${key}\\s*=`).test(a));
+      return entry ? readString(entry.replace(/^\w+\s*=\s*/, ''), 'rs') : null;
+    };
+    const fn = /^[\s\S]*?\bfn\s+(\w+)/.exec(src.slice(m.index, m.index + 1500));
+    const name = attr('name') || fn?.[1];
+    if (!name) continue;
+    found.push(cap(m[1], name, { description: attr('description') }, file.path, src, m.index));
+  }
+  return found;
+}
+
+/** tools / prompts / resources arrays in server.json, manifest.json (DXT) or mcp.json */
+function extractManifest(file) {
+  let json;
+  try { json = JSON.parse(file.text); } catch { return []; }
+  const found = [];
+  for (const [key, kind] of [['tools', 'tool'], ['prompts', 'prompt'], ['resources', 'resource']]) {
+    const list = json?.[key];
+    if (!Array.isArray(list)) continue;
+    for (const item of list) {
+      if (!item || typeof item.name !== 'string') continue;
+      found.push({
+        kind, name: item.name,
+        description: cleanDescription(item.description),
+        input_schema: item.inputSchema && typeof item.inputSchema === 'object' ? item.inputSchema : null,
+        uri: typeof item.uri === 'string' ? item.uri : null,
+        file: file.path, line: null,
+      });
+    }
+  }
+  return found;
+}
+
+function extractFile(file) {
+  if (MANIFEST_RE.test(file.path)) return extractManifest(file).map(c => ({ ...c, source: 'manifest' }));
+  if (/\.([cm]?js|jsx|tsx?)$/i.test(file.path)) return extractTypeScript(file).map(c => ({ ...c, source: 'typescript' }));
+  if (/\.py$/i.test(file.path)) return extractPython(file).map(c => ({ ...c, source: 'python' }));
+  if (/\.go$/i.test(file.path)) return extractGo(file).map(c => ({ ...c, source: 'go' }));
+  if (/\.rs$/i.test(file.path)) return extractRust(file).map(c => ({ ...c, source: 'rust' }));
+  return [];
+}
+
+/** One entry per kind + name: source code first, manifests fill gaps */
+function mergeCapabilities(found) {
+  const byKey = new Map();
+  const ordered = [...found].sort((a, b) => (a.source === 'manifest') - (b.source === 'manifest'));
+  for (const c of ordered) {
+    const key = `${c.kind}:${c.name}`;
+    const existing = byKey.get(key);
+    if (!existing) { byKey.set(key, c); continue; }
+    existing.description ||= c.description;
+    existing.input_schema ||= c.input_schema;
+    existing.uri ||= c.uri;
+  }
+  return [...byKey.values()].slice(0, MAX_CAPABILITIES);
+}
+
+function extractInventory(files) {
+  return mergeCapabilities(files.flatMap(extractFile));
+}
+
+// ─────────────────────────── stdio probe ──────────────────────────────
+
+/** Run `docker <args>` to completion. Resolves the exit code, or null when docker is missing or the timeout hits. */
+function docker(args, timeoutMs) {
+  return new Promise((resolve) => {
+    const child = spawn('docker', args, { stdio: 'ignore' });
+    const timer = setTimeout(() => { child.kill('SIGKILL'); resolve(null); }, timeoutMs);
+    child.on('error', () => { clearTimeout(timer); resolve(null); });
+    child.on('exit', (code) => { clearTimeout(timer); resolve(code); });
+  });
+}
+
+// Same limits for the install and the run; files on the mount stay owned by this user
+const CONTAINER_LIMITS = [
+  '--rm', '--user', `${process.getuid()}:${process.getgid()}`, '-e', 'HOME=/tmp',
+  '--cap-drop', 'ALL', '--security-opt', 'no-new-privileges',
+  '--memory', '512m', '--cpus', '1', '--pids-limit', '256',
+];
+
+let probeCount = 0;
+
+/**
+ * Install <pkg> into a throwaway directory inside a container (network on,
+ * install scripts off), then start it in a second container with no network
+ * and a read-only filesystem, and ask for its capabilities over JSON-RPC on
+ * stdio. Null on any failure.
+ */
+async function probeServer(pkg) {
+  const dir = await mkdtemp(join(tmpdir(), 'oneskill-probe-'));
+  const name = `oneskill-probe-${process.pid}-${++probeCount}`;
+  try {
+    const installed = await docker([
+      'run', '--name', `${name}-install`, ...CONTAINER_LIMITS, '-v', `${dir}:/probe`, '-w', '/probe', PROBE_IMAGE,
+      'npm', 'install', '--no-save', '--no-audit', '--no-fund', '--ignore-scripts', pkg,
+    ], PROBE_INSTALL_TIMEOUT_MS);
+    if (installed !== 0) return null;
+    return await probeInstalled(pkg, name, dir);
+  } finally {
+    await docker(['rm', '-f', name, `${name}-install`], 30000);
+    await rm(dir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/** Start the installed package (`npx --no`, nothing downloaded) and list what it exposes */
+async function probeInstalled(pkg, name, dir) {
+  const child = spawn('docker', [
+    'run', '-i', '--name', name, ...CONTAINER_LIMITS, '--network', 'none', '--read-only', '--tmpfs', '/tmp',
+    '-v', `${dir}:/probe:ro`, '-w', '/probe', '-e', 'NODE_ENV=production', PROBE_IMAGE, 'npx', '--no', pkg,
+  ], { stdio: ['pipe', 'pipe', 'ignore'] });
+
+  const pending = new Map();
+  let nextId = 1;
+  let buffer = '';
+  child.stdout.on('data', (chunk) => {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      try {
+        const msg = JSON.parse(line);
+        if (msg.id != null && pending.has(msg.id)) { pending.get(msg.id)(msg); pending.delete(msg.id); }
+      } catch { /* log noise on stdout */ }
+    }
+  });
+  child.stdin.on('error', () => { /* server exited */ });
+
+  const exited = new Promise((resolve) => {
+    child.on('exit', () => resolve(null));
+    child.on('error', () => resolve(null));   // docker CLI missing or not runnable
+  });
+  const send = (method, params) => {
+    const id = nextId++;
+    child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`);
+    return Promise.race([new Promise(resolve => pending.set(id, resolve)), exited]);
+  };
+
+  const run = async () => {
+    const init = await send('initialize', {
+      protocolVersion: '2025-06-18',
+      capabilities: {},
+      clientInfo: { name: 'oneskill-inventory', version: '1.0' },
+    });
+    if (!init?.result) return null;
+    child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+
+    const list = async (method, key) => {
+      const items = [];
+      let cursor;
+      for (let page = 0; page < 5; page++) {
+        const res = await send(method, cursor ? { cursor } : {});
+        if (!res?.result) break;
+        items.push(...(res.result[key] || []));
+        cursor = res.result.nextCursor;
+        if (!cursor) break;
+      }
+      return items;
+    };
+    const caps = init.result.capabilities || {};
+    const tools = await list('tools/list', 'tools');
+    const resources = caps.resources ? await list('resources/list', 'resources') : [];
+    const prompts = caps.prompts ? await list('prompts/list', 'prompts') : [];
+    return [
+      ...tools.map(t => ({ kind: 'tool', name: t.name, description: cleanDescription(t.description), input_schema: t.inputSchema || null, uri: null })),
+      ...resources.map(r => ({ kind: 'resource', name: r.name || r.uri, description: cleanDescription(r.description), input_schema: null, uri: r.uri || null })),
+      ...prompts.map(p => ({
+        kind: 'prompt', name: p.name, description: cleanDescription(p.description), uri: null,
+        input_schema: p.arguments?.length ? {
+          type: 'object',
+          properties: Object.fromEntries(p.arguments.map(a => [a.name, a.description ? { description: a.description } : {}])),
+          required: p.arguments.filter(a => a.required).map(a => a.name),
+        } : null,
+      })),
+    ].filter(c => typeof c.name === 'string').map(c => ({ ...c, source: 'tools/list', file: null, line: null }));
+  };
+
+  let timer;
+  try {
+    return await Promise.race([run(), new Promise(resolve => { timer = setTimeout(() => resolve(null), PROBE_TIMEOUT_MS); })]);
+  } catch {
+    return null;
+  } finally {
+    clearTimeout(timer);
+    child.kill('SIGKILL');   // the container itself goes with `docker rm -f` in probeServer
+  }
+}
+
+// ─────────────────────────── Main ─────────────────────────────────────
+
+async function loadTargets() {
+  const types = await sbGet('artifact_types', 'select=id&slug=eq.mcp-server');
+  if (!types.length) return [];
+
+  const targets = [];
+  const PAGE = 1000;
+  while (targets.length < LIMIT) {
+    const batch = await sbGet('artifacts',
+      `select=id,slug,github_repo_full_name,default_branch,subpath,npm_package_name,package_registry,package_verification` +
+      `&status=eq.active&artifact_type_id=eq.${types[0].id}&github_repo_full_name=not.is.null` +
+      `&order=mcp_inventory_at.asc.nullsfirst` +
+      `&limit=${Math.min(PAGE, LIMIT - targets.length)}&offset=${targets.length}`
+    );
+    targets.push(...batch);
+    if (batch.length < PAGE) break;
+  }
+  log('📋', `Loaded ${targets.length} MCP servers`);
+  return targets;
+}
+
+/** Replace an artifact's inventory and stamp its summary columns */
+async function saveInventory(artifactId, capabilities, now) {
+  await sbDelete('mcp_capabilities', `artifact_id=eq.${artifactId}`);
+  if (capabilities.length) {
+    await sbInsert('mcp_capabilities', capabilities.map(c => ({
+      artifact_id: artifactId, kind: c.kind, name: c.name, description: c.description,
+      input_schema: c.input_schema, uri: c.uri, source: c.source, file: c.file, line: c.line,
+    })));
+  }
+  const tools = capabilities.filter(c => c.kind === 'tool');
+  await sbPatch('artifacts', `id=eq.${artifactId}`, {
+    mcp_tool_count: tools.length,
+    mcp_tool_names: tools.map(t => t.name),
+    mcp_inventory_at: now,
+  });
+}
+
+async function main() {
+  validateEnv();
+  await startRun('mcp-inventory', { store, mode: PROBE ? 'probe' : null });
+  const targets = await loadTargets();
+  if (targets.length === 0) { log('✅', 'No MCP servers to inventory'); return; }
+
+  let probe = PROBE;
+  if (probe && await docker(['version'], 30000) !== 0) {
+    log('⚠️', 'docker not available — --probe skipped, static extraction only');
+    probe = false;
+  }
+
+  // Collection members share their repo's tarball
+  const byRepo = new Map();
+  for (const a of targets) {
+    if (!byRepo.has(a.github_repo_full_name)) byRepo.set(a.github_repo_full_name, []);
+    byRepo.get(a.github_repo_full_name).push(a);
+  }
+
+  let inventoried = 0;
+  let empty = 0;
+  let probed = 0;
+  let unavailable = 0;
+  for (const [fullName, artifacts] of byRepo) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping'); break; }
+    const now = new Date().toISOString();
+    try {
+      const files = await fetchRepoSource(fullName, artifacts[0].default_branch, { include: shouldRead, userAgent: 'OneSkill-Inventory/1.0' });
+      if (!files) {
+        for (const a of artifacts) await sbPatch('artifacts', `id=eq.${a.id}`, { mcp_inventory_at: now });
+        unavailable += artifacts.length;
+        continue;
+      }
+
+      for (const a of artifacts) {
+        const own = a.subpath ? files.filter(f => f.path === a.subpath || f.path.startsWith(`${a.subpath}/`)) : files;
+        let capabilities = extractInventory(own);
+
+        if (probe && a.package_registry === 'npm' && a.package_verification === 'verified' && a.npm_package_name) {
+          const live = await probeServer(a.npm_package_name);
+          if (live?.length) { capabilities = mergeCapabilities(live); probed++; }
+        }
+
+        await saveInventory(a.id, capabilities, now);
+        if (capabilities.length) inventoried++; else empty++;
+      }
+      log('  ', `${fullName}: ${files.length} files read${artifacts.length > 1 ? ` for ${artifacts.length} servers` : ''}`);
+    } catch (err) {
+      log('  ', `Inventory failed for ${fullName}: ${err.message.substring(0, 80)}`);
+      recordError('inventory', err);
+    }
+    await sleep(200);
+  }
+
+  const elapsed = ((Date.now() - START_TIME) / 1000 / 60).toFixed(1);
+  log('🏁', `MCP inventory complete: ${inventoried} with capabilities${PROBE ? ` (${probed} from tools/list)` : ''}, ${empty} none found, ${unavailable} unavailable`);
+  recordStage('inventory', { targets: targets.length, inventoried, empty, unavailable, ...(PROBE ? { probed } : {}) });
+  log('⏱️', `Total time: ${elapsed} min`);
+}
+
+main()
+  .then(() => finishRun(timeExpired() ? 'time_budget' : 'completed'))
+  .catch(async (err) => {
+    console.error('\n❌ Fatal:', err);
+    await finishRun('fatal', err);
+    process.exit(1);
+  });
@@ -9,40 +9,147 @@
  * Modes:
  *   --discover       : Phase 1. GitHub Search → fetch READMEs → save to raw_repos table.
  *                      No Gemini needed. Safe to run repeatedly (upserts by full_name).
+ *                      Resumable: position per query/star bucket is checkpointed in
+ *                      scraper_state, so a --time-budget stop continues next run.
+ *                      Star buckets over GitHub's 1000-result cap are split further
+ *                      (stars, then created: windows); coverage is logged per query.
+ *                      Forks with fewer than FORK_MIN_STARS stars are dropped.
  *
  *   --enrich         : Phase 2. Pick unenriched rows from raw_repos → Gemini → upsert
  *                      to artifacts table. Retryable — failed rows get retried next run.
+ *                      Root manifests (SKILL.md, package.json, pyproject.toml, setup.py,
+ *                      server.json, mcp.json, .cursorrules) are read first and win over
+ *                      Gemini; artifacts.field_sources records each field's origin.
+ *                      Rows without GitHub metadata (registries, awesome-lists) are
+ *                      checked first: deleted repos are skipped, renamed ones re-queued.
+ *                      Collection repos (nested SKILL.md files, MCP/n8n packages, rule
+ *                      files) also get one child artifact per member.
+ *                      A rule-based classifier (type_hint, topics, name, files, README)
+ *                      handles confident cases without an LLM call and is the fallback
+ *                      when the LLM fails or none is configured; those artifacts are
+ *                      classification_source 'heuristic' and get an LLM pass later.
+ *                      Each wave of raw_repos rows — upgrades included — is leased first
+ *                      (enrichment_status 'in_progress', leased_by, lease_expires_at,
+ *                      lease_prior_status), so parallel enrich runs split the backlog;
+ *                      a crashed run's rows return after 30 min.
+ *                      Forks, mirrors and near-duplicates (simhash of README + manifests)
+ *                      collapse to one canonical artifact — upstream, else oldest, else
+ *                      most starred; the rest get status 'mirror' + canonical_artifact_id.
+ *                      A quality score (README, files, manifests, license, commits,
+ *                      stars/forks, boilerplate) below 40 → status 'pending_review',
+ *                      below 20 → 'hidden'; score + reasons are stored for moderation.
  *                      --enrich-limit N  : max repos to enrich per run (default: 200)
+ *                      --max-llm-cost USD : stop enriching once the run's estimated LLM
+ *                                           cost reaches USD; the rest stay pending
+ *                      --max-tokens N     : same, by prompt + output tokens
+ *                      Tokens, model and cost land in the run log (stage 'llm') and
+ *                      per artifact in enrich_llm_usage.
+ *
+ *   --refresh        : Re-pull stars, forks, open issues, license and updated_at for
+ *                      existing artifacts via batched GitHub GraphQL lookups, stalest
+ *                      last_pipeline_sync first. No Gemini. Writes today's row to
+ *                      artifact_snapshots, then recomputes trending_score from 1/7/30-day
+ *                      deltas ranked within each artifact type (refresh_trending_scores()).
+ *                      Archived repos get status 'archived', deleted ones 'removed';
+ *                      renamed/transferred repos are renamed in place (see slug_history).
+ *                      --refresh-limit N : max artifacts to refresh per run (default: 2000)
+ *
+ *   --verify         : Re-check install commands of existing artifacts against the npm /
+ *                      PyPI registries (NPM_REGISTRY_URL / PYPI_URL override the hosts),
+ *                      never-checked first. New artifacts are checked during enrich.
+ *                      --verify-limit N  : max artifacts to check per run (default: 1000)
+ *
+ *   --reenrich       : Refetch README + root manifests for the artifacts checked longest
+ *                      ago and re-classify only those whose content hash changed (zero
+ *                      LLM calls otherwise). Moved fields go to artifact_field_changes.
+ *                      Artifacts without a quality score are scored on their first check.
+ *                      --reenrich-limit N : max artifacts to check per run (default: 500)
+ *
+ *   --contributors   : Fill contributor profiles (name, bio, location, website, followers,
+ *                      public repos) from GitHub, record whether the owner is a user or
+ *                      an organisation and whether the org is verified. Never-profiled
+ *                      owners first, then profiles older than 7 days.
+ *                      --contributors-limit N : max owners to profile per run (default: 1000)
  *
  *   --bulk           : Combined discover+enrich for full index (backward compat).
  *                      Runs discover first (all queries), then enriches everything.
  *
  *   (default)        : Incremental discover (recent repos) + enrich pending.
  *
+ * LLM provider (enrich): Gemini by default; LLM_PROVIDER=openai|ollama with
+ * LLM_MODEL / LLM_BASE_URL / LLM_API_KEY switches to any OpenAI-compatible
+ * endpoint or a local Ollama / llama.cpp server (see scripts/lib/llm.mjs).
+ *
+ * Storage: Supabase by default; LOCAL_STORE=<dir> keeps every table below in
+ * local JSON files for offline runs (see scripts/lib/store.mjs). --refresh
+ * skips the trending recompute there — it is a Postgres function.
+ *
+ * HTTP_FIXTURES=record|replay + HTTP_FIXTURES_FILE captures or serves every
+ * GitHub and LLM call (scripts/lib/http-fixtures.mjs) — see
+ * scripts/test-pipeline-fixtures.mjs.
+ *
  * Supabase tables:
  *   raw_repos              – staging table (Phase 1 output, Phase 2 input)
  *   artifact_types, categories, platforms – lookups
- *   contributors           – upsert by github_username
+ *   contributors           – upsert by github_username; profiles filled by --contributors
  *   artifacts              – main table (Phase 2 output)
  *   artifact_platforms     – junction table
  *   scraper_state          – cursor/offset tracking per query
+ *   slug_history           – old slug → artifact, for redirects after renames/merges/re-slugs
+ *   artifact_field_changes – audit of classified fields moved by --reenrich
+ *   artifact_snapshots     – daily stars / forks / issues per artifact (--refresh)
  */
 
+import { createHash, randomBytes } from 'node:crypto';
+import { hostname } from 'node:os';
+import { createLLM, LLMBudgetError } from './lib/llm.mjs';
+import { createGitHubGraphQL } from './lib/github-graphql.mjs';
+import { startRun, recordStage, recordError, finishRun } from './lib/run-ledger.mjs';
+import { installHttpFixtures } from './lib/http-fixtures.mjs';
+import { createStore } from './lib/store.mjs';
+
+// HTTP_FIXTURES=record|replay — capture or serve external calls (tests)
+installHttpFixtures();
+
 // ─────────────────────────── CLI flags ───────────────────────────
 
 const FLAGS = {
   discover:     process.argv.includes('--discover'),
   enrich:       process.argv.includes('--enrich'),
   bulk:         process.argv.includes('--bulk'),
+  refresh:      process.argv.includes('--refresh'),
+  verify:       process.argv.includes('--verify'),
+  reenrich:     process.argv.includes('--reenrich'),
+  contributors: process.argv.includes('--contributors'),
 };
 // If none specified, default to incremental (discover recent + enrich pending)
-const IS_INCREMENTAL = !FLAGS.discover && !FLAGS.enrich && !FLAGS.bulk;
+const IS_INCREMENTAL = !FLAGS.discover && !FLAGS.enrich && !FLAGS.bulk && !FLAGS.refresh && !FLAGS.verify && !FLAGS.reenrich && !FLAGS.contributors;
 
 const ENRICH_LIMIT_ARG = process.argv.indexOf('--enrich-limit');
 const ENRICH_LIMIT = ENRICH_LIMIT_ARG !== -1
   ? parseInt(process.argv[ENRICH_LIMIT_ARG + 1], 10) || 1500
   : 1500;
 
+const REFRESH_LIMIT_ARG = process.argv.indexOf('--refresh-limit');
+const REFRESH_LIMIT = REFRESH_LIMIT_ARG !== -1
+  ? parseInt(process.argv[REFRESH_LIMIT_ARG + 1], 10) || 2000
+  : 2000;
+
+const VERIFY_LIMIT_ARG = process.argv.indexOf('--verify-limit');
+const VERIFY_LIMIT = VERIFY_LIMIT_ARG !== -1
+  ? parseInt(process.argv[VERIFY_LIMIT_ARG + 1], 10) || 1000
+  : 1000;
+
+const REENRICH_LIMIT_ARG = process.argv.indexOf('--reenrich-limit');
+const REENRICH_LIMIT = REENRICH_LIMIT_ARG !== -1
+  ? parseInt(process.argv[REENRICH_LIMIT_ARG + 1], 10) || 500
+  : 500;
+
+const CONTRIBUTORS_LIMIT_ARG = process.argv.indexOf('--contributors-limit');
+const CONTRIBUTORS_LIMIT = CONTRIBUTORS_LIMIT_ARG !== -1
+  ? parseInt(process.argv[CONTRIBUTORS_LIMIT_ARG + 1], 10) || 1000
+  : 1000;
+
 // --type <slug>  : filter discover queries to only this artifact type
 const TYPE_ARG = process.argv.indexOf('--type');
 const TYPE_FILTER = TYPE_ARG !== -1 ? process.argv[TYPE_ARG + 1] : null;
@@ -67,6 +174,17 @@ function timeExpired() {
   return elapsedMin >= TIME_BUDGET_MIN;
 }
 
+// --max-llm-cost USD / --max-tokens N : LLM budget for the run. Enrich stops
+// between waves once it is used up; repos not yet classified stay pending.
+const MAX_LLM_COST_ARG = process.argv.indexOf('--max-llm-cost');
+const MAX_LLM_COST = MAX_LLM_COST_ARG !== -1
+  ? parseFloat(process.argv[MAX_LLM_COST_ARG + 1]) || null
+  : null;
+const MAX_TOKENS_ARG = process.argv.indexOf('--max-tokens');
+const MAX_TOKENS = MAX_TOKENS_ARG !== -1
+  ? parseInt(process.argv[MAX_TOKENS_ARG + 1], 10) || null
+  : null;
+
 function timeRemaining() {
   if (!TIME_BUDGET_MIN) return Infinity;
   return TIME_BUDGET_MIN - (Date.now() - START_TIME) / 60000;
@@ -75,21 +193,24 @@ function timeRemaining() {
 // ─────────────────────────── Configuration ───────────────────────────
 
 const BATCH_SIZE     = 20;    // Supabase upsert batch
-const GEMINI_MODEL   = 'gemini-2.5-flash';
-const GEMINI_URL     = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
 const MAX_ENRICH_ATTEMPTS = 3;  // after this many failures, mark as 'skipped'
-const ENRICH_CONCURRENCY = 5;   // parallel Gemini calls
+const ENRICH_CONCURRENCY = 5;   // parallel LLM calls
+const FORK_MIN_STARS = 25;      // forks below this are dropped at discover / enrich
 
 // Incremental: cap per run to stay within GitHub Actions timeout
 const INCREMENTAL_CAP = 300;
 
 // GitHub Search API returns max 1000 results per query.
-// We use star-range buckets to get past this limit.
+// We use star-range buckets to get past this limit; any bucket that is still
+// saturated gets split further at runtime (see splitSlice).
+// Each bucket is a slice: stars [min, max] (max null = open-ended).
+const SEARCH_RESULT_CAP = 1000;
+const MAX_SPLITS_PER_QUERY = 100;   // safety valve against runaway partitioning
 const STAR_BUCKETS = [
-  'stars:>1000', 'stars:501..1000', 'stars:201..500', 'stars:101..200',
-  'stars:51..100', 'stars:21..50', 'stars:11..20', 'stars:6..10',
-  'stars:3..5', 'stars:1..2', 'stars:0',
-];
+  [1001, null], [501, 1000], [201, 500], [101, 200],
+  [51, 100], [21, 50], [11, 20], [6, 10],
+  [3, 5], [1, 2], [0, 0],
+].map(stars => ({ stars }));
 
 // ─────────────────────────── Search Queries ──────────────────────────
 
@@ -176,59 +297,45 @@ const ENV = {
   SUPABASE_URL:              process.env.SUPABASE_URL,
   SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
   GITHUB_PAT:                process.env.GITHUB_PAT || process.env.GITHUB_TOKEN,
-  GEMINI_API_KEY:            process.env.GEMINI_API_KEY,
+  // Package registries — point at a local mirror or a fixture server to test offline
+  NPM_REGISTRY_URL:          (process.env.NPM_REGISTRY_URL || 'https://registry.npmjs.org').replace(/\/$/, ''),
+  PYPI_URL:                  (process.env.PYPI_URL || 'https://pypi.org/pypi').replace(/\/$/, ''),
 };
 
+const llm = createLLM();
+llm.setBudget({ maxCostUsd: MAX_LLM_COST, maxTokens: MAX_TOKENS });
+
 function validateEnv() {
-  const mode = FLAGS.discover ? 'discover' : FLAGS.enrich ? 'enrich' : FLAGS.bulk ? 'bulk' : 'incremental';
-  const required = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
-  // Gemini only needed for enrich/bulk/incremental
-  if (!FLAGS.discover) required.push('GEMINI_API_KEY');
+  const mode = FLAGS.discover ? 'discover' : FLAGS.enrich ? 'enrich' : FLAGS.bulk ? 'bulk' : FLAGS.refresh ? 'refresh' : FLAGS.verify ? 'verify' : FLAGS.reenrich ? 'reenrich' : FLAGS.contributors ? 'contributors' : 'incremental';
+  const required = store.kind === 'local' ? [] : ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+  // GraphQL has no unauthenticated access
+  if (FLAGS.refresh || FLAGS.contributors) required.push('GITHUB_PAT');
   const missing = required.filter((k) => !ENV[k]);
   if (missing.length) { console.error(`Missing env vars: ${missing.join(', ')}`); process.exit(1); }
   if (!ENV.GITHUB_PAT) log('⚠️', 'No GITHUB_PAT — search rate limit will be 10 req/min');
-  log('✅', `Environment OK — mode: ${mode}`);
+  // LLM only used by enrich/bulk/incremental — without one, the heuristic classifier does it all
+  const needsLLM = !FLAGS.discover && !FLAGS.refresh && !FLAGS.verify && !FLAGS.contributors;
+  if (needsLLM && !llm.configured) {
+    log('⚠️', `No ${llm.name === 'gemini' ? 'GEMINI_API_KEY' : 'LLM_API_KEY'} — enrich will use the heuristic classifier only`);
+  }
+  if (MAX_LLM_COST && !llm.price) {
+    log('⚠️', `No price known for ${llm.model} — set LLM_PRICE_INPUT / LLM_PRICE_OUTPUT or --max-llm-cost can't stop anything`);
+  }
+  log('✅', `Environment OK — mode: ${mode}${needsLLM && llm.configured ? ` — LLM: ${llm.label}` : ''}` +
+    (store.kind === 'local' ? ` — ${store.label}` : ''));
 }
 
 // ─────────────────────────── Supabase helpers ────────────────────────
+// Supabase REST, or the JSON files under LOCAL_STORE (scripts/lib/store.mjs)
 
-const sbHeaders = () => ({
-  'Content-Type':  'application/json',
-  Authorization:   `Bearer ${ENV.SUPABASE_SERVICE_ROLE_KEY}`,
-  apikey:          ENV.SUPABASE_SERVICE_ROLE_KEY,
-});
-
-async function sbGet(table, query = '') {
-  const res = await fetch(`${ENV.SUPABASE_URL}/rest/v1/${table}?${query}`, { headers: sbHeaders() });
-  if (!res.ok) throw new Error(`Supabase GET ${table}: ${res.status} ${await res.text()}`);
-  return res.json();
-}
-
-async function sbUpsert(table, rows, onConflict) {
-  const headers = { ...sbHeaders(), Prefer: 'resolution=merge-duplicates,return=representation' };
-  const res = await fetch(
-    `${ENV.SUPABASE_URL}/rest/v1/${table}${onConflict ? `?on_conflict=${onConflict}` : ''}`,
-    { method: 'POST', headers, body: JSON.stringify(rows) },
-  );
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Supabase UPSERT ${table}: ${res.status} ${text.substring(0, 300)}`);
-  }
-  return res.json();
-}
+const store = createStore();
 
-async function sbPatch(table, query, patch) {
-  const headers = { ...sbHeaders(), Prefer: 'return=representation' };
-  const res = await fetch(
-    `${ENV.SUPABASE_URL}/rest/v1/${table}?${query}`,
-    { method: 'PATCH', headers, body: JSON.stringify(patch) },
-  );
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Supabase PATCH ${table}: ${res.status} ${text.substring(0, 300)}`);
-  }
-  return res.json();
-}
+const sbGet    = (table, query = '') => store.get(table, query);
+const sbUpsert = (table, rows, onConflict) => store.upsert(table, rows, onConflict);
+const sbPatch  = (table, query, patch) => store.patch(table, query, patch);
+const sbDelete = (table, query) => store.delete(table, query);
+/** Call a Postgres function through PostgREST (POST /rpc/<fn>). */
+const sbRpc    = (fn, args = {}) => store.rpc(fn, args);
 
 // ─────────────────────────── Lookup maps ─────────────────────────────
 
@@ -275,7 +382,13 @@ const PLATFORM_DEFAULTS = {
 
 const GITHUB_MAX_RETRIES = 4;  // retries on rate limit (wait + retry, not give up)
 
-async function githubFetch(url, raw = false, retries = GITHUB_MAX_RETRIES) {
+/**
+ * GitHub REST request with rate-limit handling. Returns
+ * { status, data, redirected } — data is null for 404/410/422/451 and other
+ * non-retryable errors — or null when retries were exhausted. `redirected`
+ * is true when GitHub answered with a 301 (renamed or transferred repo).
+ */
+async function githubRequest(url, raw = false, retries = GITHUB_MAX_RETRIES) {
   const headers = {
     Accept: raw ? 'application/vnd.github.v3.raw' : 'application/vnd.github.v3+json',
     'User-Agent': 'OneSkill-Scraper/4.0',
@@ -307,30 +420,117 @@ async function githubFetch(url, raw = false, retries = GITHUB_MAX_RETRIES) {
       return null;
     }
 
-    if (res.status === 404 || res.status === 422) return null;  // not found / bad query — don't retry
+    // not found / gone / bad query / legal takedown — don't retry
+    if ([404, 410, 422, 451].includes(res.status)) {
+      return { status: res.status, data: null, redirected: res.redirected };
+    }
     if (!res.ok) {
       if (res.status >= 500 && attempt < retries) {
         log('⚠️', `GitHub ${res.status} — retry ${attempt + 1}/${retries}`);
         await sleep(3000 * (attempt + 1));
         continue;
       }
-      return null;
+      return { status: res.status, data: null, redirected: res.redirected };
     }
-    return raw ? res.text() : res.json();
+    const data = raw ? await res.text() : await res.json();
+    return { status: res.status, data, redirected: res.redirected };
   }
   return null;
 }
 
-async function searchRepos(query, sort = 'stars', pages = 1) {
+/** Body-only variant of githubRequest — null on any failure. */
+async function githubFetch(url, raw = false, retries = GITHUB_MAX_RETRIES) {
+  const res = await githubRequest(url, raw, retries);
+  return res?.data ?? null;
+}
+
+/**
+ * Look up a repo by full name. fetch() follows GitHub's 301 for renamed or
+ * transferred repos, so a redirect or a different full_name means renamed.
+ * Returns { state: 'ok' | 'renamed' | 'missing', repo } or null on a
+ * transient failure (rate limit, 5xx) where nothing should be concluded.
+ */
+async function fetchRepoState(fullName) {
+  const res = await githubRequest(`https://api.github.com/repos/${fullName}`);
+  if (!res) return null;
+  if ([404, 410, 451].includes(res.status)) return { state: 'missing', repo: null };
+  if (!res.data?.full_name) return null;
+  const renamed = res.redirected || res.data.full_name.toLowerCase() !== fullName.toLowerCase();
+  return { state: renamed ? 'renamed' : 'ok', repo: res.data };
+}
+
+// POST a GraphQL query, retrying on rate limits and 5xx like githubFetch.
+// Returns { data, errors } — partial data when some lookups in a batch fail —
+// or null on hard failure (scripts/lib/github-graphql.mjs).
+const githubGraphQL = createGitHubGraphQL({
+  token: ENV.GITHUB_PAT, userAgent: 'OneSkill-Scraper/4.0', retries: GITHUB_MAX_RETRIES,
+});
+
+// ─── Search slices ───────────────────────────────────────────────────
+// A slice narrows a query with stars:/created: qualifiers. Saturated slices
+// (total_count > 1000) are split in two — by star range first, then, once a
+// slice is a single star count, by halving its created: date window.
+
+const GITHUB_EPOCH = '2008-01-01';
+
+function sliceQualifier(slice) {
+  if (!slice) return '';
+  const parts = [];
+  if (slice.stars) {
+    const [min, max] = slice.stars;
+    parts.push(max === null ? `stars:>=${min}` : min === max ? `stars:${min}` : `stars:${min}..${max}`);
+  }
+  if (slice.created) parts.push(`created:${slice.created[0]}..${slice.created[1]}`);
+  return parts.join(' ');
+}
+
+/**
+ * Split a saturated slice into two narrower ones, higher stars / newer repos
+ * first to match the search sort order. Returns null if it can't be narrowed.
+ */
+function splitSlice(slice) {
+  const [min, max] = slice.stars || [0, null];
+  if (max === null) {
+    const mid = Math.max(min * 4, min + 100);
+    return [{ ...slice, stars: [mid + 1, null] }, { ...slice, stars: [min, mid] }];
+  }
+  if (max > min) {
+    const mid = Math.floor((min + max) / 2);
+    return [{ ...slice, stars: [mid + 1, max] }, { ...slice, stars: [min, mid] }];
+  }
+
+  const [from, to] = slice.created || [GITHUB_EPOCH, new Date().toISOString().split('T')[0]];
+  const fromMs = Date.parse(from);
+  const days = Math.round((Date.parse(to) - fromMs) / 86400000);
+  if (days < 1) return null;
+  const midDay = (offset) => new Date(fromMs + offset * 86400000).toISOString().split('T')[0];
+  const half = Math.floor(days / 2);
+  return [{ ...slice, created: [midDay(half + 1), to] }, { ...slice, created: [from, midDay(half)] }];
+}
+
+/**
+ * Page through one search query. Stops early on a short page, the 34-page
+ * (1000 result) cap, repeated empty responses, or an exhausted time budget.
+ * `complete` is false only when the time budget cut the query short, so the
+ * caller can checkpoint `lastPage` and resume from there next run.
+ * `totalCount` is GitHub's total_count for the query (null if never seen).
+ */
+async function searchRepos(query, sort = 'stars', pages = 1, startPage = 1) {
   const repos = [];
   let consecutiveEmpty = 0;
+  let lastPage = startPage - 1;
+  let complete = true;
+  let totalCount = null;
+
+  for (let page = startPage; page <= pages; page++) {
+    if (timeExpired()) { complete = false; break; }
 
-  for (let page = 1; page <= pages; page++) {
     const url =
       `https://api.github.com/search/repositories` +
       `?q=${encodeURIComponent(query)}&sort=${sort}&order=desc&per_page=30&page=${page}`;
 
     const data = await githubFetch(url);
+    lastPage = page;
     if (!data || !data.items) {
       consecutiveEmpty++;
       if (consecutiveEmpty >= 2) {
@@ -342,12 +542,13 @@ async function searchRepos(query, sort = 'stars', pages = 1) {
       continue;  // try next page instead of giving up
     }
     consecutiveEmpty = 0;
+    if (typeof data.total_count === 'number') totalCount = data.total_count;
     repos.push(...data.items);
     if (data.items.length < 30) break;
     if (page >= 34) break;
     await sleep(2200);
   }
-  return repos;
+  return { repos, lastPage, complete, totalCount };
 }
 
 /**
@@ -375,6 +576,50 @@ async function fetchReadme(owner, repo, branch = 'main') {
 }
 
 
+/** Fetch one file via raw.githubusercontent.com (no API cost). Null if missing. */
+async function fetchRawFile(fullName, branch, path) {
+  const encoded = path.split('/').map(encodeURIComponent).join('/');
+  try {
+    const res = await fetch(`https://raw.githubusercontent.com/${fullName}/${branch}/${encoded}`, {
+      headers: { 'User-Agent': 'OneSkill-Scraper/4.0' },
+    });
+    return res.ok ? await res.text() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Full file listing of a repo (1 API request). Returns blob paths, or null.
+ * GitHub truncates very large trees — what came back is still used.
+ */
+async function fetchRepoTree(fullName, branch) {
+  const data = await githubFetch(`https://api.github.com/repos/${fullName}/git/trees/${encodeURIComponent(branch)}?recursive=1`);
+  if (!Array.isArray(data?.tree)) return null;
+  return data.tree.filter(n => n.type === 'blob').map(n => n.path);
+}
+
+/**
+ * Commit counts on the default branch for a batch of repos, one GraphQL
+ * query via aliases. Returns Map<full name, count>; repos that failed are absent.
+ */
+async function fetchCommitCounts(fullNames) {
+  const counts = new Map();
+  if (fullNames.length === 0 || !ENV.GITHUB_PAT) return counts;
+  const aliases = fullNames.map((fullName, i) => {
+    const [owner, name] = fullName.split('/');
+    return `r${i}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(name)}) ` +
+      `{ defaultBranchRef { target { ... on Commit { history { totalCount } } } } }`;
+  });
+  const result = await githubGraphQL(`query { ${aliases.join('\n')} }`);
+  fullNames.forEach((fullName, i) => {
+    const total = result?.data?.[`r${i}`]?.defaultBranchRef?.target?.history?.totalCount;
+    if (typeof total === 'number') counts.set(fullName, total);
+  });
+  return counts;
+}
+
+
 // ═══════════════════════════════════════════════════════════════════════
 // PHASE 1: DISCOVER — GitHub Search → raw_repos (no Gemini)
 // ═══════════════════════════════════════════════════════════════════════
@@ -385,6 +630,7 @@ async function fetchReadme(owner, repo, branch = 'main') {
 function repoToRawRow(repo, hint, readme) {
   return {
     github_full_name:  repo.full_name,
+    github_node_id:    repo.node_id || null,
     owner_login:       repo.owner.login,
     repo_name:         repo.name,
     description:       (repo.description || '').substring(0, 500),
@@ -394,6 +640,9 @@ function repoToRawRow(repo, hint, readme) {
     open_issues:       repo.open_issues_count || 0,
     license:           repo.license?.spdx_id || repo.license?.name || null,
     default_branch:    repo.default_branch || 'main',
+    archived:          repo.archived || false,
+    is_fork:           repo.fork || false,
+    fork_parent:       repo.parent?.full_name || null,   // only on /repos/{name}, not search results
     topics:            JSON.stringify(repo.topics || []),
     github_url:        repo.html_url,
     owner_avatar_url:  repo.owner.avatar_url,
@@ -407,19 +656,130 @@ function repoToRawRow(repo, hint, readme) {
   };
 }
 
+// ─── Scraper state (resume across runs) ─────────────────────────────
+
+/**
+ * Stable key for a search query in scraper_state. Incremental queries carry a
+ * moving `pushed:>=` date, so only bulk/discover queries are checkpointed.
+ */
+function queryKey(queryDef) {
+  return `${queryDef.hint}|${queryDef.sort}|${queryDef.q}`;
+}
+
+/**
+ * Load checkpoints for these queries. When every query already has
+ * completed_at set, the search space has been covered once — start a new
+ * cycle by clearing them all. Returns null if scraper_state is unavailable.
+ */
+async function loadScraperState(queries) {
+  let rows;
+  try {
+    rows = await sbGet('scraper_state', 'select=query_key,last_page,last_bucket_idx,pending_slices,completed_at');
+  } catch (err) {
+    log('⚠️', `scraper_state unavailable — discovery will not resume: ${err.message.substring(0, 100)}`);
+    return null;
+  }
+
+  const state = new Map();
+  const keys = new Set(queries.map(queryKey));
+  for (const row of rows) {
+    if (keys.has(row.query_key)) state.set(row.query_key, row);
+  }
+
+  const allComplete = queries.length > 0 && queries.every(q => state.get(queryKey(q))?.completed_at);
+  if (allComplete) {
+    log('🔁', `All ${queries.length} queries completed a full pass — starting a new discovery cycle`);
+    state.clear();
+    await saveScraperState([...keys].map(k => ({
+      query_key: k, last_page: 0, last_bucket_idx: 0, pending_slices: null, completed_at: null,
+    })));
+  }
+
+  const resumed = [...state.values()].filter(r => !r.completed_at && (r.pending_slices || r.last_bucket_idx || r.last_page));
+  const done = [...state.values()].filter(r => r.completed_at);
+  log('📌', `Scraper state: ${done.length} queries done this cycle, ${resumed.length} resuming mid-query`);
+  return state;
+}
+
+async function saveScraperState(rows) {
+  if (rows.length === 0) return;
+  const now = new Date().toISOString();
+  try {
+    await sbUpsert('scraper_state', rows.map(r => ({ ...r, updated_at: now })), 'query_key');
+  } catch (err) {
+    log('⚠️', `scraper_state save error: ${err.message.substring(0, 120)}`);
+  }
+}
+
+/**
+ * Initial slice work list for a query: the stored pending slices when
+ * resuming, else the static star buckets (or the whole query if unbucketed).
+ */
+function initialSlices(queryDef, checkpoint) {
+  if (Array.isArray(checkpoint?.pending_slices) && checkpoint.pending_slices.length) {
+    return checkpoint.pending_slices;
+  }
+  if (!queryDef.bucketed) return [null];
+  // Checkpoints written before pending_slices existed only have a bucket index
+  return STAR_BUCKETS.slice(Math.min(checkpoint?.last_bucket_idx || 0, STAR_BUCKETS.length - 1));
+}
+
 /**
  * Discover repos via GitHub search and save to raw_repos staging table.
  * No Gemini involved — purely GitHub → Supabase.
+ *
+ * Bucketed queries are partitioned adaptively: each slice's total_count is
+ * read from its first page, and a slice over the 1000-result cap is split
+ * (star range, then created: window) until every piece fits.
+ *
+ * With `resume`, progress is checkpointed per query in scraper_state as the
+ * list of slices still to fetch plus the last page of the first one: finished
+ * queries are skipped until the whole cycle is done, and an interrupted query
+ * restarts where it stopped. Checkpoints are only written after the repos
+ * they cover have been saved.
  */
-async function runDiscover(queries, cap = 0) {
+async function runDiscover(queries, cap = 0, { resume = false } = {}) {
   const budgetStr = TIME_BUDGET_MIN ? `, budget: ${TIME_BUDGET_MIN}min` : '';
-  log('🔎', `\n═══ PHASE 1: DISCOVER (${queries.length} queries${cap ? `, cap: ${cap}` : ', no cap'}${budgetStr}) ═══\n`);
+  log('🔎', `\n═══ PHASE 1: DISCOVER (${queries.length} queries${cap ? `, cap: ${cap}` : ', no cap'}${budgetStr}${resume ? ', resumable' : ''}) ═══\n`);
+
+  const state = resume ? await loadScraperState(queries) : null;
+  const pendingCheckpoints = new Map();   // query_key → row, persisted after the next flush
+  const coverage = [];                    // per-query { hint, q, fetched, universe, slices, truncated, splits }
 
   const seen = new Set();
   const repoBuffer = [];    // { repo, hint } — repos waiting for README fetch
   let totalSaved = 0;
+  let droppedForks = 0;
   let stoppedByBudget = false;
 
+  async function flush(all = false) {
+    while (repoBuffer.length >= 100 || (all && repoBuffer.length > 0)) {
+      const batch = repoBuffer.splice(0, 100);
+      totalSaved += await saveReposBatch(batch);
+      log('💾', `Saved batch — ${totalSaved} total saved, ${seen.size} unique discovered`);
+    }
+    if (state && repoBuffer.length === 0 && pendingCheckpoints.size > 0) {
+      await saveScraperState([...pendingCheckpoints.values()]);
+      pendingCheckpoints.clear();
+    }
+  }
+
+  function bufferRepos(repos, hint) {
+    let added = 0;
+    for (const repo of repos) {
+      if (cap && seen.size >= cap) break;
+      const key = repo.full_name;
+      if (!seen.has(key)) {
+        seen.add(key);
+        // Template copies and drive-by forks — popular forks stay, linked to upstream at enrich
+        if (repo.fork && (repo.stargazers_count || 0) < FORK_MIN_STARS) { droppedForks++; continue; }
+        repoBuffer.push({ repo, hint });
+        added++;
+      }
+    }
+    return added;
+  }
+
   for (let qi = 0; qi < queries.length; qi++) {
     const queryDef = queries[qi];
     if (cap && seen.size >= cap) {
@@ -433,51 +793,121 @@ async function runDiscover(queries, cap = 0) {
     }
 
     const { hint, q, sort, pages, bucketed } = queryDef;
-    const buckets = bucketed ? STAR_BUCKETS : [''];
+    const stateKey = queryKey(queryDef);
+    const checkpoint = state?.get(stateKey);
 
-    log('📋', `\n── Query ${qi + 1}/${queries.length} [${hint}] (${bucketed ? buckets.length + ' buckets' : 'no buckets'}, ${pages}p) [${timeRemaining().toFixed(1)}min left] ──`);
+    if (checkpoint?.completed_at) {
+      log('⏭️', `Query ${qi + 1}/${queries.length} [${hint}] already completed this cycle — skipping`);
+      continue;
+    }
+    const slices = initialSlices(queryDef, checkpoint);
+    let resumePage = checkpoint?.last_page || 0;
+    let slicesDone = checkpoint?.last_bucket_idx || 0;
+    const resumeStr = checkpoint && (slicesDone || resumePage)
+      ? `, resuming with ${slices.length} slices left at page ${resumePage + 1}` : '';
+
+    log('📋', `\n── Query ${qi + 1}/${queries.length} [${hint}] (${bucketed ? slices.length + ' slices' : 'no buckets'}, ${pages}p${resumeStr}) [${timeRemaining().toFixed(1)}min left] ──`);
+
+    const cov = { hint, q, fetched: 0, universe: 0, slices: 0, truncated: 0, splits: 0 };
+    coverage.push(cov);
+    const maxPages = Math.min(pages, 34);
+    const checkpointRow = (lastPage) => ({
+      query_key: stateKey, last_bucket_idx: slicesDone, last_page: lastPage,
+      pending_slices: bucketed ? [...slices] : null, completed_at: null,
+    });
 
-    for (const bucket of buckets) {
-      if (cap && seen.size >= cap) break;
-      if (timeExpired()) { stoppedByBudget = true; break; }
-
-      const fullQuery = bucket ? `${q} ${bucket}` : q;
-      const maxPages = Math.min(pages, 34);
-
-      log('🔎', `[${hint}] ${fullQuery} (${maxPages}p)`);
-      const repos = await searchRepos(fullQuery, sort, maxPages);
-
-      let added = 0;
-      for (const repo of repos) {
-        if (cap && seen.size >= cap) break;
-        const key = repo.full_name;
-        if (!seen.has(key)) {
-          seen.add(key);
-          repoBuffer.push({ repo, hint });
-          added++;
+    let queryComplete = true;
+    while (slices.length > 0) {
+      if (cap && seen.size >= cap) { queryComplete = false; break; }
+      if (timeExpired()) { stoppedByBudget = true; queryComplete = false; break; }
+
+      const slice = slices[0];
+      const qualifier = sliceQualifier(slice);
+      const fullQuery = qualifier ? `${q} ${qualifier}` : q;
+      const startPage = resumePage + 1;
+      resumePage = 0;
+
+      // Probe page 1 alone first — a saturated slice is split instead of paged
+      log('🔎', `[${hint}] ${fullQuery} (${startPage > 1 ? `p${startPage}-` : ''}${maxPages}p)`);
+      let result = await searchRepos(fullQuery, sort, startPage === 1 && bucketed ? 1 : maxPages, startPage);
+      const saturated = result.totalCount !== null && result.totalCount > SEARCH_RESULT_CAP;
+
+      if (startPage === 1 && bucketed && saturated && result.complete && cov.splits < MAX_SPLITS_PER_QUERY) {
+        const parts = splitSlice(slice || {});
+        if (parts) {
+          cov.splits++;
+          log('✂️', `  ${result.totalCount} results > ${SEARCH_RESULT_CAP} — splitting into ${parts.map(sliceQualifier).join(' | ')}`);
+          slices.splice(0, 1, ...parts);
+          bufferRepos(result.repos, hint);
+          await sleep(2200);
+          continue;
         }
       }
-      log('  ', `→ ${repos.length} results, ${added} new (${seen.size} total unique, ${repoBuffer.length} buffered)`);
+      if (startPage === 1 && bucketed && result.complete && result.repos.length === 30 && maxPages > 1) {
+        const rest = await searchRepos(fullQuery, sort, maxPages, 2);
+        result = { ...rest, repos: [...result.repos, ...rest.repos], totalCount: result.totalCount ?? rest.totalCount };
+      }
+
+      const { repos, lastPage, complete, totalCount } = result;
+      const added = bufferRepos(repos, hint);
+      log('  ', `→ ${repos.length} results${totalCount !== null ? ` of ${totalCount}` : ''}, ${added} new (${seen.size} total unique, ${repoBuffer.length} buffered)`);
+
+      if (cap && seen.size >= cap) {
+        // Some results of this slice may have been dropped — leave the checkpoint before it
+        queryComplete = false;
+        break;
+      }
+      if (!complete) {
+        // Budget ran out mid-slice — resume on the next page of this slice
+        stoppedByBudget = true;
+        queryComplete = false;
+        pendingCheckpoints.set(stateKey, checkpointRow(lastPage));
+        break;
+      }
+
+      cov.fetched += repos.length + (startPage - 1) * 30;   // pages before a resume were fetched last run
+      cov.universe += totalCount ?? repos.length;
+      cov.slices++;
+      if (saturated) {
+        cov.truncated++;
+        log('⚠️', `  Slice still saturated (${totalCount} results, ${bucketed ? 'cannot be split further' : 'query is not bucketed'}) — ${totalCount - repos.length} unreachable`);
+      }
+      slices.shift();
+      slicesDone++;
+      pendingCheckpoints.set(stateKey, checkpointRow(0));
       await sleep(2500);
+    }
 
-      if (repos.length < 30) continue;
+    if (cov.slices > 0) {
+      const pct = cov.universe ? ((cov.fetched / cov.universe) * 100).toFixed(1) : '100.0';
+      log('📈', `Coverage [${hint}] ${q}: ${cov.fetched}/${cov.universe} (${pct}%) across ${cov.slices} slices${cov.truncated ? `, ${cov.truncated} truncated` : ''}${queryComplete ? '' : ' — partial run'}`);
+    }
+
+    if (queryComplete) {
+      pendingCheckpoints.set(stateKey, {
+        query_key: stateKey, last_bucket_idx: 0, last_page: 0, pending_slices: null, completed_at: new Date().toISOString(),
+      });
     }
     if (stoppedByBudget) break;
 
     // Flush buffer in chunks of 100 (save to raw_repos WITHOUT README — much faster)
-    while (repoBuffer.length >= 100) {
-      const batch = repoBuffer.splice(0, 100);
-      totalSaved += await saveReposBatch(batch);
-      log('💾', `Saved batch — ${totalSaved} total saved, ${seen.size} unique discovered`);
-    }
+    await flush();
   }
 
   // Flush remaining
-  if (repoBuffer.length > 0) {
-    totalSaved += await saveReposBatch(repoBuffer.splice(0));
+  await flush(true);
+
+  if (coverage.length > 0) {
+    const fetched  = coverage.reduce((n, c) => n + c.fetched, 0);
+    const universe = coverage.reduce((n, c) => n + c.universe, 0);
+    const truncated = coverage.filter(c => c.truncated > 0);
+    log('📈', `Coverage overall: ${fetched}/${universe} results fetched (${universe ? ((fetched / universe) * 100).toFixed(1) : '100.0'}%)` +
+      (truncated.length ? ` — ${truncated.length} queries with unsplittable saturated slices` : ''));
   }
-
-  log('📊', `Discovery complete: ${seen.size} unique repos found, ${totalSaved} saved to raw_repos`);
+  if (stoppedByBudget && state) log('📌', 'Checkpoint saved — next run resumes where this one stopped');
+  log('📊', `Discovery complete: ${seen.size} unique repos found, ${totalSaved} saved to raw_repos` +
+    (droppedForks ? `, ${droppedForks} low-star forks dropped` : ''));
+  recordStage('discover', { found: seen.size, saved: totalSaved, forks_dropped: droppedForks, stopped_by_budget: stoppedByBudget });
   return totalSaved;
 }
 
@@ -504,6 +934,7 @@ async function saveReposBatch(batch) {
           saved++;
         } catch (e2) {
           log('  ', `Skip ${row.github_full_name}: ${e2.message.substring(0, 80)}`);
+          recordError('discover', e2);
         }
       }
     }
@@ -518,7 +949,194 @@ async function saveReposBatch(batch) {
 // PHASE 2: ENRICH — raw_repos → Gemini → artifacts
 // ═══════════════════════════════════════════════════════════════════════
 
-// ─── Gemini ──────────────────────────────────────────────────────────
+// ─── Manifests (authoritative fields) ───────────────────────────────
+// Files that exist in the repo beat model guesses. Whatever these yield is
+// used as-is; the classifier only fills the gaps. field_sources on the
+// artifact records where each value came from ('SKILL.md', 'package.json', …
+// or 'llm' / 'heuristic' / 'github' / 'default').
+
+const MANIFEST_FILES = ['SKILL.md', 'package.json', 'pyproject.toml', 'setup.py', 'server.json', 'mcp.json', '.cursorrules'];
+
+/** name/description from a YAML frontmatter block (SKILL.md, .mdc). */
+function parseFrontmatter(text) {
+  const m = text?.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!m) return {};
+  const out = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = line.match(/^(name|description):\s*(.*)$/);
+    if (kv) out[kv[1]] = kv[2].trim().replace(/^["']|["']$/g, '');
+  }
+  return out;
+}
+
+function readPackageJson(text) {
+  let pkg;
+  try { pkg = JSON.parse(text); } catch { return null; }
+  if (!pkg?.name || typeof pkg.name !== 'string') return null;
+  const deps = { ...pkg.dependencies, ...pkg.peerDependencies, ...pkg.devDependencies };
+  const keywords = Array.isArray(pkg.keywords) ? pkg.keywords.map(String) : [];
+  return {
+    name:        pkg.name,
+    version:     typeof pkg.version === 'string' ? pkg.version : null,
+    description: typeof pkg.description === 'string' ? pkg.description : null,
+    keywords,
+    private:     !!pkg.private,
+    hasBin:      !!pkg.bin,
+    isN8n:       !!pkg.n8n || pkg.name.startsWith('n8n-nodes-') || keywords.includes('n8n-community-node-package'),
+    isMcp:       !!deps['@modelcontextprotocol/sdk'] || /\bmcp\b/i.test(pkg.name) || keywords.some(k => /\bmcp\b/i.test(k)),
+  };
+}
+
+/** Body of a TOML [section] up to the next header. */
+function tomlSection(text, header) {
+  const start = text.search(new RegExp(`^\\[${header.replace(/\./g, '\\.')}\\]\\s*$`, 'm'));
+  if (start === -1) return null;
+  const body = text.slice(text.indexOf('\n', start) + 1);
+  const next = body.search(/^\[/m);
+  return next === -1 ? body : body.slice(0, next);
+}
+
+function tomlString(section, key) {
+  return section?.match(new RegExp(`^\\s*${key}\\s*=\\s*["']([^"']*)["']`, 'm'))?.[1] || null;
+}
+
+function readPyproject(text) {
+  if (!text) return null;
+  const project = tomlSection(text, 'project') ?? tomlSection(text, 'tool.poetry');
+  const name = tomlString(project, 'name');
+  if (!name) return null;
+  const keywords = project.match(/^\s*keywords\s*=\s*\[([^\]]*)\]/m)?.[1]
+    .match(/["']([^"']+)["']/g)?.map(k => k.slice(1, -1)) || [];
+  const scripts = tomlSection(text, 'project.scripts') ?? tomlSection(text, 'tool.poetry.scripts');
+  return {
+    name,
+    version:     tomlString(project, 'version'),
+    description: tomlString(project, 'description'),
+    keywords,
+    hasScripts:  !!scripts && /^\s*[\w.-]+\s*=/m.test(scripts),
+    isMcp:       /["'](mcp|fastmcp)(\[[^\]]*\])?\s*([<>=~!]|["'])/.test(text),
+  };
+}
+
+function readSetupPy(text) {
+  const arg = (key) => text?.match(new RegExp(`\\b${key}\\s*=\\s*["']([^"']+)["']`))?.[1] || null;
+  const name = arg('name');
+  return name ? { name, version: arg('version'), description: arg('description') } : null;
+}
+
+/** MCP registry server.json — the package entry says exactly how to run it. */
+function readServerJson(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { return null; }
+  if (!doc || typeof doc !== 'object') return null;
+  const pkg = (doc.packages || []).find(p => p && (p.identifier || p.name));
+  const registry = pkg?.registryType || pkg?.registry_type || pkg?.registry_name;
+  const id = pkg?.identifier || pkg?.name;
+  let install = null;
+  if (registry === 'npm') install = `npx -y ${id}`;
+  else if (registry === 'pypi') install = `uvx ${id}`;
+  else if (registry === 'oci' || registry === 'docker') install = `docker run -i --rm ${id}`;
+  return {
+    description: typeof doc.description === 'string' ? doc.description : null,
+    version:     doc.version || doc.version_detail?.version || pkg?.version || null,
+    install,
+    npm_package_name: registry === 'npm' ? id : null,
+  };
+}
+
+/** Client config (mcp.json) — first server's command line, if it is a launcher. */
+function readMcpJson(text) {
+  let doc;
+  try { doc = JSON.parse(text); } catch { return null; }
+  const server = Object.values(doc?.mcpServers || doc?.servers || {})[0];
+  if (!server?.command || !['npx', 'uvx', 'docker', 'pipx'].includes(server.command)) return null;
+  const args = Array.isArray(server.args) ? server.args.map(String) : [];
+  return { install: [server.command, ...args].join(' ') };
+}
+
+/**
+ * Fetch root-level manifests via raw.githubusercontent.com. With a tree
+ * listing only files that exist are requested; without one, each is tried.
+ */
+async function fetchManifests(rawRepo, paths) {
+  const present = paths ? MANIFEST_FILES.filter(f => paths.includes(f)) : MANIFEST_FILES;
+  const files = {};
+  await Promise.all(present.map(async (file) => {
+    const text = await fetchRawFile(rawRepo.github_full_name, rawRepo.default_branch || 'main', file);
+    if (text) files[file] = text;
+  }));
+  return files;
+}
+
+/**
+ * Turn manifest files into artifact fields. Returns { fields, sources }
+ * where sources[field] names the file the value was read from. Earlier
+ * files in each precedence list win.
+ */
+function extractManifestFields(files, rawRepo) {
+  const fields = {};
+  const sources = {};
+  const set = (field, value, file) => {
+    if (value == null || value === '' || fields[field] != null) return;
+    fields[field] = value;
+    sources[field] = file;
+  };
+
+  const skill  = files['SKILL.md'] ? parseFrontmatter(files['SKILL.md']) : null;
+  const server = files['server.json'] ? readServerJson(files['server.json']) : null;
+  const client = files['mcp.json'] ? readMcpJson(files['mcp.json']) : null;
+  const pkg    = files['package.json'] ? readPackageJson(files['package.json']) : null;
+  const py     = files['pyproject.toml'] ? readPyproject(files['pyproject.toml']) : null;
+  const setup  = files['setup.py'] ? readSetupPy(files['setup.py']) : null;
+  const npmName = pkg && !pkg.private ? pkg.name : null;
+
+  // artifact_type — only from unambiguous markers
+  if (skill) set('artifact_type', 'skill', 'SKILL.md');
+  if (server) set('artifact_type', 'mcp-server', 'server.json');
+  if (pkg?.isN8n) set('artifact_type', 'n8n-node', 'package.json');
+  if (pkg?.isMcp) set('artifact_type', 'mcp-server', 'package.json');
+  if (py?.isMcp) set('artifact_type', 'mcp-server', 'pyproject.toml');
+  if (files['.cursorrules']) set('artifact_type', 'cursor-rules', '.cursorrules');
+
+  set('name', skill?.name, 'SKILL.md');
+
+  set('description', skill?.description, 'SKILL.md');
+  set('description', server?.description, 'server.json');
+  set('description', pkg?.description, 'package.json');
+  set('description', py?.description, 'pyproject.toml');
+  set('description', setup?.description, 'setup.py');
+
+  set('version', server?.version, 'server.json');
+  set('version', pkg?.version, 'package.json');
+  set('version', py?.version, 'pyproject.toml');
+  set('version', setup?.version, 'setup.py');
+
+  set('npm_package_name', server?.npm_package_name, 'server.json');
+  set('npm_package_name', npmName, 'package.json');
+
+  const type = fields.artifact_type || rawRepo.type_hint;
+  set('install_command', server?.install, 'server.json');
+  set('install_command', client?.install, 'mcp.json');
+  if (type === 'skill' && skill) set('install_command', `npx skills add ${rawRepo.github_full_name}`, 'SKILL.md');
+  if (npmName && pkg.isN8n) set('install_command', `npm install ${npmName}`, 'package.json');
+  if (npmName && (pkg.hasBin || pkg.isMcp)) set('install_command', `npx -y ${npmName}`, 'package.json');
+  if (py) set('install_command', py.isMcp || py.hasScripts ? `uvx ${py.name}` : `pip install ${py.name}`, 'pyproject.toml');
+  if (setup) set('install_command', `pip install ${setup.name}`, 'setup.py');
+  if (type === 'cursor-rules' && files['.cursorrules']) {
+    set('install_command',
+      `curl -fsSL -o .cursorrules https://raw.githubusercontent.com/${rawRepo.github_full_name}/${rawRepo.default_branch || 'main'}/.cursorrules`,
+      '.cursorrules');
+  }
+
+  const keywords = [...(pkg?.keywords || []), ...(py?.keywords || [])]
+    .map(k => k.toLowerCase().trim().replace(/[\s_]+/g, '-'))
+    .filter(k => /^[a-z0-9][a-z0-9-]{1,30}$/.test(k));
+  if (keywords.length) set('tags', [...new Set(keywords)].slice(0, 7), pkg?.keywords?.length ? 'package.json' : 'pyproject.toml');
+
+  return { fields, sources };
+}
+
+// ─── LLM classification ──────────────────────────────────────────────
 
 const GEMINI_CATEGORIES = Object.keys(CATEGORY_LABEL_TO_SLUG);
 const GEMINI_PLATFORMS  = [
@@ -532,7 +1150,8 @@ const GEMINI_PLATFORMS  = [
 
 const VALID_TYPES = ['skill', 'mcp-server', 'cursor-rules', 'n8n-node', 'workflow', 'langchain-tool', 'crewai-tool'];
 
-// Gemini Structured Output schema — forces valid JSON, no parsing needed
+// Structured output schema (Gemini's OpenAPI subset; lib/llm.mjs maps it for
+// other providers) — forces valid JSON, no parsing needed
 const GEMINI_RESPONSE_SCHEMA = {
   type: 'OBJECT',
   properties: {
@@ -545,8 +1164,9 @@ const GEMINI_RESPONSE_SCHEMA = {
     npm_package_name:     { type: 'STRING', nullable: true },
     meta_title:           { type: 'STRING' },
     meta_description:     { type: 'STRING' },
+    boilerplate:          { type: 'BOOLEAN' },
   },
-  required: ['artifact_type', 'long_description', 'category', 'tags', 'compatible_platforms', 'install_command', 'meta_title', 'meta_description'],
+  required: ['artifact_type', 'long_description', 'category', 'tags', 'compatible_platforms', 'install_command', 'meta_title', 'meta_description', 'boilerplate'],
 };
 
 function validateEnrichment(p, hint) {
@@ -560,6 +1180,14 @@ function validateEnrichment(p, hint) {
   return p;
 }
 
+/** Manifest-derived values, stated to the model so it doesn't contradict them. */
+function knownFacts(manifest) {
+  const entries = Object.entries(manifest?.fields || {});
+  if (entries.length === 0) return '';
+  const lines = entries.map(([field, value]) => `- ${field}: ${Array.isArray(value) ? value.join(', ') : value}`);
+  return `\nRead from the repo's manifest files (authoritative — reuse these values, do not contradict them):\n${lines.join('\n')}\n`;
+}
+
 function buildSingleRepoPrompt(item) {
   const excerpt = item.readme ? item.readme.substring(0, 2500) : 'No README.';
   return `Classify this GitHub repository as an "agent artifact" for OneSkill.dev.
@@ -573,81 +1201,104 @@ Updated: ${item.github_updated_at}
 
 README:
 ${excerpt}
-
+${knownFacts(item.manifest)}
 Rules:
 - artifact_type: MCP server → "mcp-server" | Cursor rules → "cursor-rules" | Skill/SKILL.md → "skill" | n8n node → "n8n-node" | Workflow → "workflow" | LangChain tool → "langchain-tool" | CrewAI tool → "crewai-tool"
 - long_description: 2-3 sentence summary of what this tool does
 - tags: 3-7 lowercase hyphenated keywords
 - install_command: npm → "npx -y <pkg>" | skills → "npx skills add owner/repo" | pip → "pip install <pkg>" | n8n → "npm install <pkg>"
 - meta_title: under 60 chars
-- meta_description: under 160 chars`;
+- meta_description: under 160 chars
+- boilerplate: true if this is an unmodified template, hello-world / tutorial project, placeholder or keyword-stuffed spam rather than a usable tool`;
+}
+
+/** An artifact's enrich_llm_usage: the cost rounded, stamped now. */
+function usageRecord(usage) {
+  return { ...usage, cost_usd: Number(usage.cost_usd.toFixed(6)), at: new Date().toISOString() };
+}
+
+/** Two enrich_llm_usage records summed (an earlier failed pass plus this one); null when neither made a call. */
+function addUsage(a, b) {
+  if (!a?.calls) return b?.calls ? b : null;
+  if (!b?.calls) return a;
+  return usageRecord({
+    model:         b.model,
+    calls:         a.calls + b.calls,
+    input_tokens:  a.input_tokens + b.input_tokens,
+    output_tokens: a.output_tokens + b.output_tokens,
+    cost_usd:      a.cost_usd + b.cost_usd,
+  });
+}
+
+/** enrichOne's result when the LLM gave nothing usable — the attempts still cost something. */
+function failedEnrichment(usage) {
+  return { _failed: true, _llm_usage: usage.calls ? usageRecord(usage) : null };
 }
 
 /**
- * Enrich a single raw_repo row via Gemini with structured output.
- * Uses responseSchema so Gemini MUST return valid JSON — no parsing needed.
+ * Enrich a single raw_repo row via the configured LLM with structured output.
+ * The response schema forces valid JSON — no parsing heuristics needed.
+ * The result carries `_llm_usage`: tokens and cost of every attempt it took.
+ * When no attempt succeeds it is `{ _failed: true, _llm_usage }`, so the
+ * heuristic fallback is charged for them too. Throws LLMBudgetError when the
+ * run's budget runs out first.
  */
-async function enrichOneWithGemini(item, retries = 3) {
+async function enrichOne(item, retries = 3) {
   const prompt = buildSingleRepoPrompt(item);
+  const usage = { model: llm.model, calls: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 };
 
   for (let attempt = 0; attempt <= retries; attempt++) {
     try {
-      const res = await fetch(`${GEMINI_URL}?key=${ENV.GEMINI_API_KEY}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: prompt }] }],
-          generationConfig: {
-            temperature: 0.1,
-            maxOutputTokens: 4096,
-            responseMimeType: 'application/json',
-            responseSchema: GEMINI_RESPONSE_SCHEMA,
-            // Disable "thinking" — it eats output tokens and causes MAX_TOKENS truncation
-            thinkingConfig: { thinkingBudget: 0 },
-          },
-        }),
-      });
-
-      if (res.status === 429) {
-        const wait = Math.pow(2, attempt + 1) * 5000;
-        log('⏳', `Gemini 429 for ${item.full_name} — retry in ${(wait / 1000).toFixed(0)}s`);
-        await sleep(wait);
-        continue;
-      }
-      if (!res.ok) {
-        const errText = await res.text();
-        log('  ', `Gemini ${res.status} for ${item.full_name}: ${errText.substring(0, 200)}`);
-        throw new Error(`HTTP ${res.status}`);
+      let result;
+      try {
+        result = await llm.generateJSON({ prompt, schema: GEMINI_RESPONSE_SCHEMA, temperature: 0.1, maxOutputTokens: 4096 });
+        usage.calls++;
+        usage.input_tokens  += result.usage.inputTokens;
+        usage.output_tokens += result.usage.outputTokens;
+        usage.cost_usd      += result.usage.costUsd;
+      } catch (err) {
+        if (err.status === 429) {
+          const wait = Math.pow(2, attempt + 1) * 5000;
+          log('⏳', `${llm.name} 429 for ${item.full_name} — retry in ${(wait / 1000).toFixed(0)}s`);
+          await sleep(wait);
+          continue;
+        }
+        if (err.status) log('  ', `${llm.name} ${err.message} for ${item.full_name}`);
+        throw err;
       }
 
-      const data = await res.json();
-      const finishReason = data.candidates?.[0]?.finishReason;
-      if (finishReason && finishReason !== 'STOP') {
-        log('  ', `Gemini finish=${finishReason} for ${item.full_name}`);
-        if (finishReason === 'SAFETY' || finishReason === 'RECITATION') {
-          return null;  // can't process this repo
+      if (result.finishReason !== 'stop') {
+        log('  ', `${llm.name} finish=${result.finishReason} for ${item.full_name}`);
+        if (result.finishReason === 'safety') {
+          return failedEnrichment(usage);  // can't process this repo
         }
       }
 
-      const raw = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-      if (!raw) throw new Error('Empty response');
+      if (!result.text) throw new Error('Empty response');
 
-      // With responseSchema, Gemini returns valid JSON — just parse it
-      const parsed = JSON.parse(raw);
-      return validateEnrichment(parsed, item.type_hint);
+      // With a response schema the provider returns valid JSON — just parse it
+      const parsed = JSON.parse(result.text);
+      const enrichment = validateEnrichment(parsed, item.type_hint);
+      enrichment._llm_usage = usageRecord(usage);
+      return enrichment;
     } catch (err) {
+      if (err instanceof LLMBudgetError) throw err;
       if (attempt < retries) {
         log('  ', `  retry ${attempt + 1}/${retries} for ${item.full_name}: ${err.message.substring(0, 80)}`);
         await sleep(2000 * (attempt + 1));
       } else {
         log('❌', `  FAILED ${item.full_name} after ${retries + 1} attempts: ${err.message.substring(0, 80)}`);
-        return null;
+        recordError('enrich', err);
+        return failedEnrichment(usage);
       }
     }
   }
-  return null;
+  return failedEnrichment(usage);
 }
 
+// enrichBatchConcurrent result for items the LLM budget didn't reach
+const OVER_BUDGET = Symbol('over-budget');
+
 /**
  * Enrich items with concurrency control.
  * Processes ENRICH_CONCURRENCY repos in parallel for speed.
@@ -659,8 +1310,13 @@ async function enrichBatchConcurrent(items) {
   async function worker() {
     while (nextIdx < items.length) {
       const idx = nextIdx++;
-      results[idx] = await enrichOneWithGemini(items[idx]);
-      if (results[idx]) {
+      try {
+        results[idx] = await enrichOne(items[idx]);
+      } catch (err) {
+        if (!(err instanceof LLMBudgetError)) throw err;
+        results[idx] = OVER_BUDGET;
+      }
+      if (results[idx] !== OVER_BUDGET && !results[idx]._failed) {
         log('  ', `✅ ${items[idx].full_name}`);
       }
     }
@@ -671,14 +1327,214 @@ async function enrichBatchConcurrent(items) {
   return results;
 }
 
+// ─── Heuristic classification (no LLM) ──────────────────────────────
+// Deterministic rules over type_hint, topics, repo name, files in the tree,
+// manifests and README keywords. Used as the fast path when the signals
+// agree (no LLM call), as the fallback when the LLM fails or no provider is
+// configured. Either way the artifact is classification_source 'heuristic';
+// low-confidence ones get an LLM upgrade on a later run.
+
+const HEURISTIC_FAST_PATH = 0.85;   // confidence at which the LLM call is skipped
+
+// [pattern, weight] per type; tested against the lowercased field named
+const TYPE_SIGNALS = {
+  'mcp-server': {
+    topics: [[/^(mcp|mcp-servers?|model-context-protocol|modelcontextprotocol)$/, 2]],
+    name:   [[/(^|[-_])mcp([-_]|$)|mcp[-_]?server|server[-_]?mcp/, 2]],
+    files:  [[/(^|\/)(server|smithery)\.(json|yaml)$/, 2]],
+    readme: [[/model context protocol|"mcpservers"|claude mcp add/, 1]],
+  },
+  'skill': {
+    topics: [[/^(claude-skills?|agent-skills?|skills?|anthropic-skills)$/, 2]],
+    name:   [[/(^|[-_])skills?([-_]|$)/, 1]],
+    files:  [[/(^|\/)skill\.md$/, 3]],
+    readme: [[/skill\.md|npx skills add|agent skills?/, 1]],
+  },
+  'cursor-rules': {
+    topics: [[/^(cursor-rules|cursorrules|cursor-ai-rules)$/, 2]],
+    name:   [[/cursor[-_]?rules|cursorrules/, 2]],
+    files:  [[/(^|\/)\.cursorrules$|\.cursor\/rules\/.+\.mdc$/, 3]],
+    readme: [[/\.cursorrules|\.mdc\b|cursor rules/, 1]],
+  },
+  'n8n-node': {
+    topics: [[/^(n8n-community-node-package|n8n-nodes?|n8n-community-node)$/, 2]],
+    name:   [[/^n8n-nodes?-/, 2]],
+    files:  [[/\.node\.(ts|js)$/, 3]],
+    readme: [[/n8n community node|n8n-nodes-/, 1]],
+  },
+  'workflow': {
+    topics: [[/^(n8n-workflows?|workflows?|automation-workflows?)$/, 2]],
+    name:   [[/workflows?/, 1]],
+    files:  [],
+    readme: [[/import (this|the) workflow|workflow template/, 1]],
+  },
+  'langchain-tool': {
+    topics: [[/^(langchain|langchain-tools?|langgraph)$/, 2]],
+    name:   [[/langchain|langgraph/, 1]],
+    files:  [],
+    readme: [[/from langchain|basetool|@tool\b/, 1]],
+  },
+  'crewai-tool': {
+    topics: [[/^(crewai|crewai-tools?)$/, 2]],
+    name:   [[/crewai/, 1]],
+    files:  [],
+    readme: [[/from crewai|crewai_tools/, 1]],
+  },
+};
+
+// Category label → keywords (name, description and topics count double)
+const CATEGORY_KEYWORDS = {
+  'Frontend':         ['react', 'vue', 'svelte', 'nextjs', 'next.js', 'tailwind', 'frontend', 'css', 'ui component'],
+  'Backend':          ['backend', 'api server', 'express', 'fastapi', 'django', 'rails', 'graphql', 'rest api'],
+  'DevOps':           ['docker', 'kubernetes', 'k8s', 'terraform', 'ci/cd', 'devops', 'aws', 'gcp', 'azure', 'deploy'],
+  'AI / ML':          ['llm', 'machine learning', 'embedding', 'rag', 'openai', 'huggingface', 'model'],
+  'Database':         ['postgres', 'mysql', 'sqlite', 'mongodb', 'redis', 'database', 'supabase', 'sql'],
+  'Security':         ['security', 'vulnerability', 'pentest', 'auth', 'secrets', 'cve'],
+  'Automation':       ['automation', 'automate', 'zapier', 'n8n', 'cron', 'workflow'],
+  'Web Scraping':     ['scrape', 'scraping', 'crawler', 'crawl', 'puppeteer', 'playwright', 'browser automation'],
+  'Research':         ['research', 'arxiv', 'papers', 'search engine', 'web search'],
+  'Design':           ['figma', 'design', 'svg', 'image generation', 'diagram'],
+  'Mobile':           ['ios', 'android', 'react native', 'flutter', 'swift', 'kotlin'],
+  'Testing':          ['testing', 'test', 'jest', 'pytest', 'e2e', 'qa'],
+  'Data Engineering': ['etl', 'pipeline', 'spark', 'bigquery', 'snowflake', 'dbt', 'csv', 'dataframe'],
+  'Documentation':    ['docs', 'documentation', 'markdown', 'readme', 'docstring'],
+  'Productivity':     ['notion', 'slack', 'calendar', 'email', 'todo', 'obsidian', 'jira', 'linear'],
+};
+
+// Platform names that are ordinary words — only trusted as exact topics
+const AMBIGUOUS_PLATFORMS = new Set(['Amp', 'Bolt', 'Continue', 'Devin', 'Make', 'Manus', 'Steel', 'v0', 'Letta', 'Julep']);
+
+const INSTALL_LINE_RE = /^[ \t]*(?:\$[ \t]*)?((?:npx|bunx|uvx|pipx (?:install|run)|pip3? install|npm (?:install|i)|pnpm add|yarn add|bun add)[ \t]+(?:-[-\w=]+[ \t]+)*[@\w][\w./@-]*(?:[ \t]+add[ \t]+[\w./-]+)?)/m;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function keywordHits(text, keyword) {
+  const re = new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword)}([^a-z0-9]|$)`, 'g');
+  return (text.match(re) || []).length;
+}
+
+function parseTopics(topics) {
+  if (Array.isArray(topics)) return topics;
+  try { return JSON.parse(topics || '[]'); } catch { return []; }
+}
+
+/** First paragraph of prose in a README (skips headings, badges, code, HTML). */
+function readmeSummary(readme) {
+  let inCode = false;
+  const paragraph = [];
+  for (const line of (readme || '').split('\n')) {
+    const t = line.trim();
+    if (t.startsWith('```')) { inCode = !inCode; continue; }
+    if (inCode) continue;
+    if (!t) { if (paragraph.length) break; continue; }
+    if (/^(#|!\[|\[!\[|<|>|\||[-*_=]{3,}$)/.test(t)) { if (paragraph.length) break; continue; }
+    paragraph.push(t);
+  }
+  return paragraph.join(' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .substring(0, 600);
+}
+
+/**
+ * Classify a repo without an LLM. Returns an enrichment object shaped like
+ * the LLM's, plus `confidence` (0–1) in the artifact_type call.
+ */
+function classifyHeuristically(item, paths = null) {
+  const name   = (item.full_name.split('/')[1] || '').toLowerCase();
+  const topics = parseTopics(item.topics).map(t => String(t).toLowerCase());
+  const blurb  = (item.description || '').toLowerCase();
+  const readme = (item.readme || '').substring(0, 6000).toLowerCase();
+  const files  = (paths || []).filter(p => !IGNORED_TREE_DIRS.test(p)).map(p => p.toLowerCase());
+
+  // artifact_type — weighted votes, manifest markers near-certain
+  const scores = Object.fromEntries(VALID_TYPES.map(t => [t, 0]));
+  const manifestType = item.manifest?.fields?.artifact_type;
+  if (manifestType) scores[manifestType] += 5;
+  if (scores[item.type_hint] != null) scores[item.type_hint] += 1;
+  for (const [type, signals] of Object.entries(TYPE_SIGNALS)) {
+    for (const [re, w] of signals.topics) if (topics.some(t => re.test(t))) scores[type] += w;
+    for (const [re, w] of signals.name) if (re.test(name)) scores[type] += w;
+    for (const [re, w] of signals.files) if (files.some(f => re.test(f))) scores[type] += w;
+    for (const [re, w] of signals.readme) if (re.test(readme) || re.test(blurb)) scores[type] += w;
+  }
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [[bestType, best], [, runnerUp]] = ranked;
+  const artifactType = best > 0 ? bestType : item.type_hint;
+
+  // category — keyword counts, title/description/topics weighted over README
+  const headline = `${name.replace(/[-_]/g, ' ')} ${blurb} ${topics.join(' ')}`;
+  let category = null;
+  let categoryHits = 0;
+  for (const [label, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    const hits = keywords.reduce((n, k) => n + keywordHits(headline, k) * 2 + Math.min(3, keywordHits(readme, k)), 0);
+    if (hits > categoryHits) { category = label; categoryHits = hits; }
+  }
+
+  // platforms — named in the README / description, or tagged as topics
+  const mentionText = `${blurb}\n${readme}`;
+  const platforms = GEMINI_PLATFORMS.filter(label => {
+    const slug = label.toLowerCase().replace(/[\s.]+/g, '-');
+    if (topics.includes(slug)) return true;
+    return !AMBIGUOUS_PLATFORMS.has(label) && keywordHits(mentionText, label.toLowerCase()) > 0;
+  });
+
+  const tags = [...new Set(topics
+    .map(t => t.replace(/[\s_]+/g, '-'))
+    .filter(t => /^[a-z0-9][a-z0-9-]{1,30}$/.test(t)))];
+  if (tags.length < 3) tags.push(...[artifactType, category && CATEGORY_LABEL_TO_SLUG[category]].filter(t => t && !tags.includes(t)));
+
+  const installLine = (item.readme || '').match(INSTALL_LINE_RE)?.[1]?.trim() || null;
+  const pkg = packageFromInstall(installLine);
+
+  const summary = readmeSummary(item.readme);
+  const description = item.description || summary || '';
+  const displayName = item.manifest?.fields?.name || item.full_name.split('/')[1];
+
+  // Strength of the winning vote, discounted when another type is close or no category matched
+  const strength = Math.min(1, best / 5);
+  const margin = best > 0 ? (best - runnerUp) / best : 0;
+  const confidence = best > 0
+    ? Math.round(strength * (0.5 + 0.5 * margin) * (category ? 1 : 0.8) * 100) / 100
+    : 0.1;
+
+  return {
+    artifact_type:        artifactType,
+    long_description:     (summary.length > description.length ? summary : description) || null,
+    category:             category,
+    tags:                 tags.slice(0, 7),
+    compatible_platforms: platforms,
+    install_command:      installLine && (pkg || /^npx skills add /.test(installLine)) ? installLine : null,
+    npm_package_name:     pkg?.registry === 'npm' ? pkg.name : null,
+    meta_title:           `${displayName} — ${artifactType.replace(/-/g, ' ')}`.substring(0, 60),
+    meta_description:     description.substring(0, 160) || null,
+    confidence,
+  };
+}
+
 // ─── Contributors ────────────────────────────────────────────────────
 
 const contributorCache = new Map();
 
+// Existing rows are left alone — --contributors owns the profile fields, and
+// an upsert here would reset display_name to the login on every enrich.
 async function ensureContributor(rawRepo) {
   const username = rawRepo.owner_login;
   if (contributorCache.has(username)) return contributorCache.get(username);
 
+  const findExisting = async () => {
+    try {
+      const existing = await sbGet('contributors', `github_username=eq.${encodeURIComponent(username)}&select=id&limit=1`);
+      if (existing?.[0]?.id) { contributorCache.set(username, existing[0].id); return existing[0].id; }
+    } catch { /* ignore */ }
+    return null;
+  };
+
+  const known = await findExisting();
+  if (known) return known;
+
   const row = {
     github_username: username,
     display_name:    username,
@@ -694,65 +1550,187 @@ async function ensureContributor(rawRepo) {
     log('  ', `Contributor issue for ${username}: ${err.message.substring(0, 80)}`);
   }
 
-  try {
-    const existing = await sbGet('contributors', `github_username=eq.${encodeURIComponent(username)}&select=id&limit=1`);
-    if (existing?.[0]?.id) { contributorCache.set(username, existing[0].id); return existing[0].id; }
-  } catch { /* ignore */ }
-
-  return null;
+  // Lost a race with a parallel enrich worker
+  return findExisting();
 }
 
 // ─── Build artifact from raw_repo + enrichment ──────────────────────
 
-function buildArtifact(rawRepo, enrichment, contributorId) {
-  const e = enrichment || {};
-  const typeSlug = e.artifact_type || rawRepo.type_hint;
-  const catLabel = e.category || 'AI / ML';
-  const catSlug  = CATEGORY_LABEL_TO_SLUG[catLabel] || 'ai-ml';
+// ─── Slugs ──────────────────────────────────────────────────────────
+// Slugs are allocated once and then kept: an existing artifact keeps its
+// slug through re-enrichment. New ones get the owner-repo base, with -2, -3,
+// … when another artifact holds it, live or as a slug_history redirect —
+// `foo-bar/baz` and `foo/bar-baz` both want `foo-bar-baz`. Slugs from the old
+// scheme, which dropped dots and underscores (`foo/x.js` → `foo-xjs`), move
+// to the new base when it is free; the old slug stays as a redirect.
 
-  const stars = rawRepo.stars || 0;
-  const forks = rawRepo.forks || 0;
-  const daysAgo = (Date.now() - new Date(rawRepo.github_updated_at).getTime()) / 86400000;
-  const starScore    = Math.min(40, Math.floor(Math.log10(Math.max(1, stars)) * 15));
-  const forkScore    = Math.min(15, Math.floor(Math.log10(Math.max(1, forks)) * 8));
-  const recencyScore = daysAgo < 14 ? 20 : daysAgo < 30 ? 15 : daysAgo < 90 ? 8 : 0;
-  const trendingScore = Math.min(100, starScore + forkScore + recencyScore);
+function slugFor(fullName) {
+  return slugifyName(fullName);
+}
 
-  const slug = rawRepo.github_full_name.replace('/', '-').toLowerCase().replace(/[^a-z0-9-]/g, '');
-  const artifactTypeId = TYPE_MAP[typeSlug];
-  const categoryId     = CATEGORY_MAP[catSlug];
+/** The original slug scheme, kept to recognise the slugs it mangled. */
+function legacySlugFor(fullName) {
+  return fullName.replace('/', '-').toLowerCase().replace(/[^a-z0-9-]/g, '');
+}
 
-  if (!artifactTypeId) {
-    log('⚠️', `Unknown type "${typeSlug}" for ${rawRepo.github_full_name} — skipping`);
-    return null;
+/** slug → ids of the artifacts holding it, live or as a redirect. */
+async function slugOwners(slugs) {
+  const owners = new Map();
+  if (slugs.length === 0) return owners;
+  const list = encodeURIComponent(slugs.map(s => `"${s}"`).join(','));
+  const [live, history] = await Promise.all([
+    sbGet('artifacts', `slug=in.(${list})&select=id,slug`),
+    sbGet('slug_history', `slug=in.(${list})&select=artifact_id,slug`),
+  ]);
+  for (const { slug, id } of [...live, ...history.map(h => ({ slug: h.slug, id: h.artifact_id }))]) {
+    if (!owners.has(slug)) owners.set(slug, new Set());
+    owners.get(slug).add(id);
   }
+  return owners;
+}
 
-  return {
-    slug, name: rawRepo.repo_name,
-    description:            (rawRepo.description || '').substring(0, 500),
-    long_description:       (e.long_description || rawRepo.description || '').substring(0, 2000),
-    artifact_type_id:       artifactTypeId,
-    category_id:            categoryId || CATEGORY_MAP['ai-ml'],
-    contributor_id:         contributorId,
-    github_url:             rawRepo.github_url,
-    github_repo_full_name:  rawRepo.github_full_name,
-    default_branch:         rawRepo.default_branch || 'main',
-    language:               rawRepo.language || null,
-    license:                rawRepo.license || null,
-    install_command:        e.install_command || `npx skills add ${rawRepo.github_full_name}`,
-    npm_package_name:       e.npm_package_name || null,
-    stars, forks,
+const heldByOther = (owners, slug, selfId) => [...(owners.get(slug) || [])].some(id => id !== selfId);
+
+/** `base`, else the first of `base-2`, `base-3`, … that nobody else holds. */
+async function freeSlug(base, selfId = null, reserved = new Set(), owners = null) {
+  owners = owners || await slugOwners([base]);
+  if (!reserved.has(base) && !heldByOther(owners, base, selfId)) return base;
+  for (let n = 2; ; n++) {
+    const candidate = `${base}-${n}`;
+    if (reserved.has(candidate)) continue;
+    if (!heldByOther(await slugOwners([candidate]), candidate, selfId)) return candidate;
+  }
+}
+
+/**
+ * Settle the slug of each artifact about to be upserted (artifact.slug holds
+ * the wanted base on entry). Sets `_old_slug` where a legacy slug is being
+ * replaced, so upsertArtifacts can keep it as a redirect.
+ */
+async function allocateSlugs(artifacts) {
+  if (artifacts.length === 0) return;
+  const names = [...new Set(artifacts.map(a => a.github_repo_full_name))];
+  const existing = new Map();
+  for (const row of await sbGet('artifacts',
+    `github_repo_full_name=in.(${encodeURIComponent(names.map(n => `"${n}"`).join(','))})&select=id,slug,github_repo_full_name,subpath`)) {
+    existing.set(`${row.github_repo_full_name}/${row.subpath || ''}`, row);
+  }
+
+  const reserved = new Set();
+  const pending = [];
+  for (const artifact of artifacts) {
+    const current = existing.get(`${artifact.github_repo_full_name}/${artifact.subpath || ''}`);
+    const legacy = current && !artifact.subpath && current.slug !== artifact.slug &&
+      current.slug === legacySlugFor(artifact.github_repo_full_name);
+    if (current && !legacy) {
+      artifact.slug = current.slug;
+      reserved.add(artifact.slug);
+      continue;
+    }
+    if (legacy) artifact._old_slug = current.slug;
+    pending.push({ artifact, selfId: current?.id || null });
+  }
+  if (pending.length === 0) return;
+
+  // One round trip for the usual case where every wanted slug is free
+  const owners = await slugOwners(pending.map(p => p.artifact.slug));
+  for (const { artifact, selfId } of pending) {
+    const base = artifact.slug;
+    if (artifact._old_slug && (reserved.has(base) || heldByOther(owners, base, selfId))) {
+      // Not worth a numbered slug — the legacy one stays
+      artifact.slug = artifact._old_slug;
+      delete artifact._old_slug;
+    } else {
+      artifact.slug = await freeSlug(base, selfId, reserved, owners);
+      if (artifact.slug !== base) {
+        log('  ', `🏷️  ${artifact.github_repo_full_name}${artifact.subpath ? `/${artifact.subpath}` : ''}: slug ${base} is taken — using ${artifact.slug}`);
+      }
+    }
+    reserved.add(artifact.slug);
+  }
+}
+
+/** After upsert: a replaced legacy slug becomes a redirect. */
+async function recordReslug(artifact) {
+  if (!artifact._old_slug || !artifact._id) return;
+  await recordSlugHistory(artifact._old_slug, artifact._id, 'reslugged');
+  try { await sbDelete('slug_history', `slug=eq.${encodeURIComponent(artifact.slug)}&artifact_id=eq.${artifact._id}`); } catch { /* non-critical */ }
+}
+
+/**
+ * Merge GitHub metadata, manifest fields and the enrichment into an artifact
+ * row. Manifest values win over the classifier ('llm' or 'heuristic');
+ * field_sources records which one each value came from. trending_score is
+ * left out: refresh_trending_scores() owns it and new rows start at 0.
+ */
+function buildArtifact(rawRepo, enrichment, contributorId, manifest = null, classifiedBy = 'llm') {
+  const e = enrichment || {};
+  const m = manifest?.fields || {};
+  const fromManifest = manifest?.sources || {};
+  const typeSlug = m.artifact_type || e.artifact_type || rawRepo.type_hint;
+  const catLabel = e.category || 'AI / ML';
+  const catSlug  = CATEGORY_LABEL_TO_SLUG[catLabel] || 'ai-ml';
+
+  const stars = rawRepo.stars || 0;
+  const forks = rawRepo.forks || 0;
+
+  const slug = slugFor(rawRepo.github_full_name);
+  const artifactTypeId = TYPE_MAP[typeSlug];
+  const categoryId     = CATEGORY_MAP[catSlug];
+
+  if (!artifactTypeId) {
+    log('⚠️', `Unknown type "${typeSlug}" for ${rawRepo.github_full_name} — skipping`);
+    return null;
+  }
+
+  const llmTags = Array.isArray(e.tags) ? e.tags : [];
+  const tags = [...new Set([...(m.tags || []), ...llmTags])].slice(0, 7);
+  const pick = (field, manifestValue, classifierValue) =>
+    manifestValue != null ? fromManifest[field] : classifierValue ? classifiedBy : 'default';
+  const fieldSources = {
+    name:                 m.name ? fromManifest.name : 'github',
+    description:          rawRepo.description ? 'github' : pick('description', m.description, null),
+    artifact_type:        m.artifact_type ? fromManifest.artifact_type : e.artifact_type ? classifiedBy : 'default',
+    install_command:      pick('install_command', m.install_command, e.install_command),
+    npm_package_name:     pick('npm_package_name', m.npm_package_name, e.npm_package_name),
+    version:              pick('version', m.version, null),
+    tags:                 [m.tags && fromManifest.tags, tags.length > (m.tags?.length || 0) && classifiedBy].filter(Boolean).join('+') || 'default',
+    long_description:     e.long_description ? classifiedBy : 'github',
+    category:             e.category ? classifiedBy : 'default',
+    compatible_platforms: e.compatible_platforms?.length ? classifiedBy : 'default',
+  };
+
+  return {
+    slug, name: m.name || rawRepo.repo_name,
+    description:            (rawRepo.description || m.description || '').substring(0, 500),
+    long_description:       (e.long_description || rawRepo.description || m.description || '').substring(0, 2000),
+    artifact_type_id:       artifactTypeId,
+    category_id:            categoryId || CATEGORY_MAP['ai-ml'],
+    contributor_id:         contributorId,
+    github_url:             rawRepo.github_url,
+    github_repo_full_name:  rawRepo.github_full_name,
+    subpath:                '',
+    parent_artifact_id:     null,
+    github_node_id:         rawRepo.github_node_id || null,
+    default_branch:         rawRepo.default_branch || 'main',
+    language:               rawRepo.language || null,
+    license:                rawRepo.license || null,
+    install_command:        m.install_command || e.install_command || `npx skills add ${rawRepo.github_full_name}`,
+    npm_package_name:       m.npm_package_name || e.npm_package_name || null,
+    stars, forks,
     open_issues:            rawRepo.open_issues || 0,
     weekly_downloads:       0,
-    trending_score:         trendingScore,
-    version:                null,
+    version:                m.version || null,
     latest_commit_sha:      null,
     readme_raw:             rawRepo.readme_raw ? rawRepo.readme_raw.substring(0, 50000) : null,
     readme_excerpt:         rawRepo.readme_raw ? rawRepo.readme_raw.substring(0, 500) : null,
-    tags:                   Array.isArray(e.tags) ? e.tags.slice(0, 7) : [],
-    meta_title:             e.meta_title || `${rawRepo.repo_name} — OneSkill`,
-    meta_description:       e.meta_description || (rawRepo.description || '').substring(0, 160),
-    status:                 'active',
+    tags,
+    field_sources:          fieldSources,
+    classification_source:  classifiedBy,
+    classification_confidence: classifiedBy === 'heuristic' ? e.confidence ?? null : null,
+    meta_title:             e.meta_title || `${m.name || rawRepo.repo_name} — OneSkill`,
+    meta_description:       e.meta_description || (rawRepo.description || m.description || '').substring(0, 160),
+    status:                 rawRepo.archived ? 'archived' : 'active',
     source:                 'github_scraper',
     is_featured:            false,
     github_created_at:      rawRepo.github_created_at,
@@ -764,23 +1742,877 @@ function buildArtifact(rawRepo, enrichment, contributorId) {
   };
 }
 
+// ─── Repo lifecycle: archived, removed, renamed ─────────────────────
+
+/**
+ * Remember that `slug` used to point at `artifactId`, so /skill/<slug>
+ * links keep working after a rename or merge.
+ */
+async function recordSlugHistory(slug, artifactId, reason) {
+  try {
+    await sbUpsert('slug_history', [{ slug, artifact_id: artifactId, reason }], 'slug');
+  } catch (err) {
+    log('  ', `slug_history issue for ${slug}: ${err.message.substring(0, 80)}`);
+  }
+}
+
+/**
+ * A repo was renamed or transferred to `newFullName`. Point the existing
+ * artifact at the new name, keeping its id — and with it mentions and
+ * history. If a separate artifact was already created for the new name, it
+ * is folded into this one first. Old slugs become redirects.
+ */
+async function renameArtifact(artifact, newFullName) {
+  const oldFullName = artifact.github_repo_full_name;
+
+  const [dup] = await sbGet('artifacts', `github_repo_full_name=eq.${encodeURIComponent(newFullName)}&subpath=eq.&select=id,slug&limit=1`);
+  if (dup && dup.id !== artifact.id) {
+    // Re-point everything that references the duplicate, then drop it.
+    // Its collection members go with it (FK cascade) — the survivor's own
+    // members are renamed below and re-detected on the next enrich.
+    await sbPatch('artifact_mentions', `artifact_id=eq.${dup.id}`, { artifact_id: artifact.id });
+    await sbPatch('raw_repos', `artifact_id=eq.${dup.id}`, { artifact_id: artifact.id });
+    await sbPatch('slug_history', `artifact_id=eq.${dup.id}`, { artifact_id: artifact.id });
+    await sbDelete('artifact_platforms', `artifact_id=eq.${dup.id}`);
+    await sbDelete('artifacts', `id=eq.${dup.id}`);
+    await recordSlugHistory(dup.slug, artifact.id, 'merged');
+    log('🔀', `Merged duplicate ${dup.slug} into ${artifact.slug}`);
+  }
+
+  const newSlug = await freeSlug(slugFor(newFullName), artifact.id);
+  await sbPatch('artifacts', `id=eq.${artifact.id}`, {
+    github_repo_full_name: newFullName,
+    github_url:            `https://github.com/${newFullName}`,
+    name:                  newFullName.split('/')[1],
+    slug:                  newSlug,
+  });
+  if (artifact.slug && artifact.slug !== newSlug) await recordSlugHistory(artifact.slug, artifact.id, 'renamed');
+  // A repo renamed back to an earlier name (or merged with its twin): that slug is live again
+  try { await sbDelete('slug_history', `slug=eq.${encodeURIComponent(newSlug)}&artifact_id=eq.${artifact.id}`); } catch { /* non-critical */ }
+
+  // Collection members carry the repo name and the parent's slug prefix
+  const members = await sbGet('artifacts', `parent_artifact_id=eq.${artifact.id}&select=id,slug,subpath,default_branch`);
+  for (const m of members) {
+    const memberSlug = artifact.slug && m.slug.startsWith(`${artifact.slug}-`)
+      ? await freeSlug(newSlug + m.slug.slice(artifact.slug.length), m.id) : m.slug;
+    await sbPatch('artifacts', `id=eq.${m.id}`, {
+      github_repo_full_name: newFullName,
+      github_url:            memberGithubUrl(newFullName, m.default_branch, m.subpath),
+      slug:                  memberSlug,
+    });
+    if (memberSlug !== m.slug) await recordSlugHistory(m.slug, m.id, 'renamed');
+  }
+
+  // The staging row under the old name is dead — keep it out of the enrich queue
+  try {
+    await sbPatch('raw_repos', `github_full_name=eq.${encodeURIComponent(oldFullName)}`, {
+      enrichment_status: 'skipped',
+      enrichment_error:  `Renamed to ${newFullName}`,
+      updated_at:        new Date().toISOString(),
+    });
+  } catch { /* non-critical */ }
+
+  log('🔀', `Renamed ${oldFullName} → ${newFullName}`);
+}
+
+/**
+ * Before upserting freshly enriched artifacts, catch renames that discovery
+ * saw as new repos: same GitHub node id, different full name. The existing
+ * artifact is renamed so the upsert lands on it instead of creating a twin.
+ */
+async function reconcileRenames(artifacts) {
+  const byNode = new Map(artifacts.filter(a => a.github_node_id && !a.parent_artifact_id).map(a => [a.github_node_id, a]));
+  if (byNode.size === 0) return;
+
+  let existing;
+  try {
+    const ids = [...byNode.keys()].map(id => `"${id}"`).join(',');
+    existing = await sbGet('artifacts', `github_node_id=in.(${encodeURIComponent(ids)})&subpath=eq.&select=id,slug,github_repo_full_name,github_node_id`);
+  } catch (err) {
+    log('⚠️', `Rename check skipped: ${err.message.substring(0, 100)}`);
+    return;
+  }
+
+  for (const row of existing) {
+    const incoming = byNode.get(row.github_node_id);
+    if (!incoming || row.github_repo_full_name === incoming.github_repo_full_name) continue;
+    try {
+      await renameArtifact(row, incoming.github_repo_full_name);
+    } catch (err) {
+      log('⚠️', `Rename ${row.github_repo_full_name} → ${incoming.github_repo_full_name} failed: ${err.message.substring(0, 100)}`);
+    }
+  }
+}
+
+/**
+ * Rows from registries and awesome-lists carry no GitHub metadata (no node
+ * id, zero stars). Check them against the REST API before spending Gemini:
+ * missing repos are skipped, renamed ones are re-queued under their new name,
+ * and the rest get real stars, archived flag and node id filled in.
+ * Returns the rows that should still be enriched.
+ */
+async function verifyUnseenRepos(rows) {
+  const unverified = rows.filter(r => !r.github_node_id);
+  if (unverified.length === 0 || !ENV.GITHUB_PAT) return rows;
+
+  const dropped = new Set();
+  const now = () => new Date().toISOString();
+  const VERIFY_CONCURRENCY = 5;
+
+  for (let i = 0; i < unverified.length; i += VERIFY_CONCURRENCY) {
+    await Promise.all(unverified.slice(i, i + VERIFY_CONCURRENCY).map(async (row) => {
+      const result = await fetchRepoState(row.github_full_name);
+      if (!result) return;  // transient — enrich as-is
+
+      try {
+        if (result.state === 'missing') {
+          dropped.add(row.id);
+          await sbPatch('raw_repos', `id=eq.${row.id}`, {
+            enrichment_status: 'skipped', enrichment_error: 'Repository not found on GitHub', updated_at: now(),
+          });
+          await sbPatch('artifacts', `github_repo_full_name=eq.${encodeURIComponent(row.github_full_name)}`, { status: 'removed' });
+          log('  ', `🪦 ${row.github_full_name} no longer exists — skipped`);
+          return;
+        }
+
+        if (result.state === 'renamed') {
+          dropped.add(row.id);
+          const newRow = { ...repoToRawRow(result.repo, row.type_hint, null), source: row.source || 'github' };
+          await sbUpsert('raw_repos', [newRow], 'github_full_name');
+          const [existing] = await sbGet('artifacts',
+            `github_repo_full_name=eq.${encodeURIComponent(row.github_full_name)}&subpath=eq.&select=id,slug,github_repo_full_name&limit=1`);
+          if (existing) {
+            await renameArtifact(existing, newRow.github_full_name);
+          } else {
+            await sbPatch('raw_repos', `id=eq.${row.id}`, {
+              enrichment_status: 'skipped', enrichment_error: `Renamed to ${newRow.github_full_name}`, updated_at: now(),
+            });
+          }
+          log('  ', `🔀 ${row.github_full_name} moved to ${newRow.github_full_name} — re-queued under the new name`);
+          return;
+        }
+
+        const fresh = repoToRawRow(result.repo, row.type_hint, null);
+        const patch = {
+          github_node_id:    fresh.github_node_id,
+          description:       row.description || fresh.description,
+          language:          fresh.language,
+          stars:             fresh.stars,
+          forks:             fresh.forks,
+          open_issues:       fresh.open_issues,
+          license:           fresh.license || row.license,
+          default_branch:    fresh.default_branch,
+          archived:          fresh.archived,
+          is_fork:           fresh.is_fork,
+          fork_parent:       fresh.fork_parent,
+          owner_avatar_url:  fresh.owner_avatar_url,
+          github_created_at: fresh.github_created_at,
+          github_updated_at: fresh.github_updated_at,
+          updated_at:        now(),
+        };
+        Object.assign(row, patch);
+        await sbPatch('raw_repos', `id=eq.${row.id}`, patch);
+      } catch (err) {
+        log('  ', `Verify issue for ${row.github_full_name}: ${err.message.substring(0, 80)}`);
+      }
+    }));
+  }
+
+  if (dropped.size) log('🔍', `Verified ${unverified.length} repos — ${dropped.size} missing or renamed, not enriched`);
+  return rows.filter(r => !dropped.has(r.id));
+}
+
+// ─── Collections: one repo, many artifacts ──────────────────────────
+// Skill collections (vercel-labs/agent-skills), MCP monorepos
+// (modelcontextprotocol/servers) and rule packs hold many installable
+// artifacts. The repo stays the parent listing; each member becomes a child
+// artifact keyed on (github_repo_full_name, subpath).
+
+const MAX_COLLECTION_MEMBERS = 100;
+const MAX_MANIFEST_FETCHES   = 60;    // package.json / pyproject.toml probed per repo
+const COLLECTION_FETCH_CONCURRENCY = 10;
+const IGNORED_TREE_DIRS = /(^|\/)(node_modules|dist|build|vendor|test|tests|__tests__|fixtures|\.git)\//;
+
+function dirname(path) {
+  const i = path.lastIndexOf('/');
+  return i === -1 ? '' : path.slice(0, i);
+}
+
+function basename(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+function slugifyName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/** Classify a nested package.json — MCP server, n8n node package, or neither. */
+function classifyPackageJson(text) {
+  const pkg = readPackageJson(text);
+  if (!pkg || !(pkg.isN8n || pkg.isMcp)) return null;
+  return {
+    name:             pkg.name.replace(/^@[^/]+\//, ''),
+    description:      pkg.description,
+    npm_package_name: pkg.private ? null : pkg.name,
+    version:          pkg.version,
+    type:             pkg.isN8n ? 'n8n-node' : 'mcp-server',
+  };
+}
+
+/** Classify a nested pyproject.toml — only MCP servers are listed. */
+function classifyPyproject(text) {
+  const py = readPyproject(text);
+  if (!py?.isMcp) return null;
+  return { name: py.name, description: py.description, version: py.version, pypi_package_name: py.name, type: 'mcp-server' };
+}
+
+/**
+ * Walk a repo tree and return its members: every nested SKILL.md, MCP server
+ * or n8n package, and rule file. Root-level files describe the repo itself,
+ * so they never count. Fewer than two members means the repo is a single
+ * artifact and an empty list is returned.
+ */
+async function detectCollectionMembers(fullName, branch, paths) {
+  const files    = paths.filter(p => !IGNORED_TREE_DIRS.test(p));
+  const fileSet  = new Set(files);
+  const readmeIn = (dir) => ['README.md', 'readme.md', 'Readme.md'].map(f => `${dir}/${f}`).find(f => fileSet.has(f));
+
+  const candidates = [];
+  for (const path of files) {
+    const file = basename(path);
+    const dir  = dirname(path);
+    if (!dir) continue;
+    if (file === 'SKILL.md') {
+      candidates.push({ kind: 'skill', subpath: dir, file: path });
+    } else if (file === 'package.json' || file === 'pyproject.toml') {
+      candidates.push({ kind: file, subpath: dir, file: path });
+    } else if (file.endsWith('.mdc')) {
+      candidates.push({ kind: 'rule', subpath: path, file: path });
+    } else if (file === '.cursorrules') {
+      candidates.push({ kind: 'rule', subpath: dir, file: path });
+    }
+  }
+  if (candidates.length < 2) return [];
+
+  let manifestFetches = 0;
+  const members = [];
+  const queue = candidates.slice(0, MAX_COLLECTION_MEMBERS * 2);
+
+  for (let i = 0; i < queue.length && members.length < MAX_COLLECTION_MEMBERS; i += COLLECTION_FETCH_CONCURRENCY) {
+    const found = await Promise.all(queue.slice(i, i + COLLECTION_FETCH_CONCURRENCY).map(async (c) => {
+      const isManifest = c.kind === 'package.json' || c.kind === 'pyproject.toml';
+      if (isManifest && ++manifestFetches > MAX_MANIFEST_FETCHES) return null;
+
+      const text = await fetchRawFile(fullName, branch, c.file);
+      if (!text) return null;
+
+      if (c.kind === 'skill') {
+        const fm = parseFrontmatter(text);
+        return { type: 'skill', subpath: c.subpath, file: c.file, name: fm.name || basename(c.subpath), description: fm.description || null, readme: text };
+      }
+      if (c.kind === 'rule') {
+        const fm = parseFrontmatter(text);
+        const name = c.file.endsWith('.mdc') ? basename(c.file).replace(/\.mdc$/, '') : basename(c.subpath);
+        return { type: 'cursor-rules', subpath: c.subpath, file: c.file, name, description: fm.description || null, readme: text };
+      }
+
+      const info = c.kind === 'package.json' ? classifyPackageJson(text) : classifyPyproject(text);
+      if (!info) return null;
+      const readmePath = readmeIn(c.subpath);
+      const readme = readmePath ? await fetchRawFile(fullName, branch, readmePath) : null;
+      return { ...info, subpath: c.subpath, file: c.file, readme };
+    }));
+    members.push(...found.filter(Boolean));
+  }
+
+  // A package.json next to a SKILL.md is the skill's tooling, not a second artifact
+  const skillDirs = new Set(members.filter(m => m.type === 'skill').map(m => m.subpath));
+  const unique = members.filter(m => m.type === 'skill' || !skillDirs.has(m.subpath));
+
+  return unique.length >= 2 ? unique.slice(0, MAX_COLLECTION_MEMBERS) : [];
+}
+
+/** Members are directories, except single rule files which link to the blob. */
+function memberGithubUrl(fullName, branch, subpath) {
+  return `https://github.com/${fullName}/${subpath.endsWith('.mdc') ? 'blob' : 'tree'}/${branch || 'main'}/${subpath}`;
+}
+
+function memberInstallCommand(parent, member) {
+  const fullName = parent.github_repo_full_name;
+  switch (member.type) {
+    case 'skill':
+      return `npx skills add ${fullName} --skill ${member.name}`;
+    case 'cursor-rules': {
+      const target = member.file.endsWith('.mdc') ? basename(member.file) : `${slugifyName(member.name)}.mdc`;
+      return `curl -fsSL --create-dirs -o .cursor/rules/${target} https://raw.githubusercontent.com/${fullName}/${parent.default_branch}/${member.file}`;
+    }
+    case 'n8n-node':
+      return member.npm_package_name ? `npm install ${member.npm_package_name}` : parent.install_command;
+    case 'mcp-server':
+      if (member.npm_package_name) return `npx -y ${member.npm_package_name}`;
+      if (member.pypi_package_name) return `uvx ${member.pypi_package_name}`;
+      return parent.install_command;
+    default:
+      return parent.install_command;
+  }
+}
+
+/** Child artifact for one collection member; inherits repo metadata from the parent. */
+function buildMemberArtifact(parent, member, slug) {
+  const artifactTypeId = TYPE_MAP[member.type];
+  if (!artifactTypeId) return null;
+  const description = (member.description || `${member.name} from ${parent.github_repo_full_name}`).substring(0, 500);
+
+  const { _platform_labels, _type_slug, _raw_repo_full_name, _members, _id, _fork_parent, _old_slug, ...inherited } = parent;
+  const source = basename(member.file);
+  const installFromManifest = member.type === 'skill' || member.type === 'cursor-rules' ||
+    member.npm_package_name || member.pypi_package_name;
+
+  return {
+    ...inherited,
+    slug,
+    name:               member.name,
+    subpath:            member.subpath,
+    parent_artifact_id: parent._id,
+    description,
+    long_description:   description.substring(0, 2000),
+    artifact_type_id:   artifactTypeId,
+    github_url:         memberGithubUrl(parent.github_repo_full_name, parent.default_branch, member.subpath),
+    install_command:    memberInstallCommand(parent, member),
+    npm_package_name:   member.npm_package_name || null,
+    version:            member.version || null,
+    field_sources: {
+      ...parent.field_sources,
+      name:             source,
+      description:      member.description ? source : 'default',
+      artifact_type:    source,
+      install_command:  installFromManifest ? source : parent.field_sources?.install_command,
+      npm_package_name: member.npm_package_name ? source : 'default',
+      version:          member.version ? source : 'default',
+    },
+    readme_raw:         member.readme ? member.readme.substring(0, 50000) : null,
+    readme_excerpt:     member.readme ? member.readme.substring(0, 500) : null,
+    meta_title:         `${member.name} — ${parent.name} — OneSkill`.substring(0, 60),
+    meta_description:   description.substring(0, 160),
+    is_featured:        false,
+    similarity_hash:    null,   // members are judged through their parent
+    similarity_bands:   null,
+    enrich_llm_usage:   null,   // the parent's classification paid for it
+    _platform_labels:   _type_slug === member.type ? _platform_labels : (PLATFORM_DEFAULTS[member.type] || []),
+    _type_slug:         member.type,
+  };
+}
+
+/**
+ * Upsert child artifacts for parents that turned out to be collections.
+ * Members that disappeared from the repo since the last run are marked
+ * 'removed' rather than deleted, so their pages and mentions survive.
+ */
+async function upsertCollectionMembers(parents) {
+  let upserted = 0;
+  for (const parent of parents) {
+    if (!parent._id || !parent._members?.length) continue;
+
+    const used = new Set();
+    const children = [];
+    for (const member of parent._members) {
+      let slug = `${parent.slug}-${slugifyName(member.name) || slugifyName(member.subpath)}`;
+      for (let n = 2; used.has(slug); n++) slug = `${parent.slug}-${slugifyName(member.name)}-${n}`;
+      used.add(slug);
+      const child = buildMemberArtifact(parent, member, slug);
+      if (child) children.push(child);
+    }
+
+    await verifyArtifactPackages(children);
+    upserted += await upsertArtifacts(children);
+
+    try {
+      const keep = children.map(c => `"${c.subpath.replace(/"/g, '')}"`).join(',');
+      await sbPatch('artifacts',
+        `parent_artifact_id=eq.${parent._id}&status=eq.active&subpath=not.in.(${encodeURIComponent(keep)})`,
+        { status: 'removed' });
+    } catch { /* non-critical */ }
+
+    log('🗂️', `${parent.github_repo_full_name}: collection of ${children.length} artifacts`);
+  }
+  return upserted;
+}
+
+// ─── Quality gate ────────────────────────────────────────────────────
+// Points on top of QUALITY_BASELINE from cheap signals — README size and
+// structure, real files and manifests, license, commit count, stars vs forks,
+// staleness, keyword stuffing and the classifier's boilerplate flag — so empty
+// repos, hello-world servers, abandoned tutorials and spam don't go straight
+// to /explore. Scores below QUALITY_REVIEW_BELOW wait in 'pending_review',
+// below QUALITY_HIDE_BELOW they are 'hidden'. quality_reasons keeps one line
+// per signal for the moderation queue; a moderator's quality_override wins.
+
+const QUALITY_BASELINE = 50;
+const QUALITY_REVIEW_BELOW = 40;
+const QUALITY_HIDE_BELOW = 20;
+
+const DOC_FILE_RE = /^(readme|license|licence|copying|changelog|contributing|code_of_conduct|security)(\.\w+)?$|^\.git/i;
+const BOILERPLATE_RE = /\b(hello[ -]world|this is a template|lorem ipsum|getting started with create[ -]|replace this (readme|text)|todo:? (add|write) (a )?description)\b/i;
+const BUZZWORD_RE = /\b(ai|mcp|agents?|llms?|gpt|chatgpt|claude|cursor|copilot|openai|gemini)\b/gi;
+
+/**
+ * Score one repo 0–100. Returns { score, reasons } where each reason reads
+ * like "-20 README only 140 characters".
+ */
+function scoreQuality({ row, paths, files, enrichment, commits }) {
+  const reasons = [];
+  let score = QUALITY_BASELINE;
+  const add = (points, reason) => { score += points; reasons.push(`${points > 0 ? '+' : ''}${points} ${reason}`); };
+
+  // README
+  const readme = row.readme_raw || '';
+  const length = readme.replace(/\s+/g, ' ').trim().length;
+  const sections = (readme.match(/^#{1,3}\s+\S/gm) || []).length;
+  if (!length) add(-30, 'no README');
+  else if (length < 300) add(-20, `README only ${length} characters`);
+  else if (length >= 1500 && sections >= 3) add(10, `README ${length} characters, ${sections} sections`);
+  if (/```/.test(readme)) add(5, 'README has code examples');
+
+  // Real content: anything besides README / LICENSE, and parseable manifests
+  if (paths) {
+    const substantive = paths.filter(p => !DOC_FILE_RE.test(basename(p)));
+    if (substantive.length === 0) add(-25, 'no files besides README / LICENSE');
+  }
+  const manifests = Object.keys(files || {});
+  if (manifests.length) add(10, `manifest: ${manifests.join(', ')}`);
+  else add(-5, 'no manifest files');
+
+  if (row.license && row.license !== 'NOASSERTION') add(5, `license ${row.license}`);
+  else add(-10, 'no license');
+
+  if (commits != null) {
+    if (commits < 3) add(-20, `only ${commits} commit${commits === 1 ? '' : 's'}`);
+    else if (commits < 10) add(-5, `${commits} commits`);
+    else if (commits >= 100) add(5, `${commits} commits`);
+  }
+
+  const stars = row.stars || 0;
+  const forks = row.forks || 0;
+  if (stars >= 500) add(20, `${stars} stars`);
+  else if (stars >= 50) add(10, `${stars} stars`);
+  // Tutorials and templates get forked far more than starred
+  if (forks >= 5 && forks > stars * 2) add(-10, `${forks} forks vs ${stars} stars`);
+
+  const ageDays = (Date.now() - new Date(row.github_updated_at || 0).getTime()) / 86400000;
+  if (ageDays > 730 && stars < 50) add(-10, 'no updates in 2+ years');
+
+  // Keyword stuffing
+  const topics = parseTopics(row.topics);
+  if (topics.length >= 15) add(-10, `${topics.length} topics`);
+  const buzzwords = (`${row.description || ''} ${row.repo_name || ''}`.match(BUZZWORD_RE) || []).length;
+  if (buzzwords >= 8) add(-15, `${buzzwords} buzzwords in name / description`);
+
+  if (enrichment?.boilerplate === true) add(-30, 'classifier flagged template / tutorial / spam');
+  else if (BOILERPLATE_RE.test(readme)) add(-15, 'README reads like template boilerplate');
+
+  return { score: Math.max(0, Math.min(100, Math.round(score))), reasons };
+}
+
+function qualityStatus(score) {
+  if (score < QUALITY_HIDE_BELOW) return 'hidden';
+  if (score < QUALITY_REVIEW_BELOW) return 'pending_review';
+  return 'active';
+}
+
+/** Moderator decisions (quality_override) for the repo-level artifacts of a wave. */
+async function loadQualityOverrides(fullNames) {
+  const overrides = new Map();
+  if (fullNames.length === 0) return overrides;
+  try {
+    const names = fullNames.map(n => `"${n}"`).join(',');
+    const rows = await sbGet('artifacts',
+      `github_repo_full_name=in.(${encodeURIComponent(names)})&subpath=eq.&quality_override=not.is.null` +
+      `&select=github_repo_full_name,quality_override`);
+    for (const r of rows) overrides.set(r.github_repo_full_name, r.quality_override);
+  } catch { /* non-critical — migration 017 not applied yet */ }
+  return overrides;
+}
+
+/**
+ * Existing mirror links (canonical_artifact_id) for the repo-level artifacts
+ * of a wave, so a rebuilt mirror is upserted as one instead of resurfacing
+ * until linkMirrors runs again.
+ */
+async function loadMirrorLinks(fullNames) {
+  const links = new Map();
+  if (fullNames.length === 0) return links;
+  try {
+    const names = fullNames.map(n => `"${n}"`).join(',');
+    const rows = await sbGet('artifacts',
+      `github_repo_full_name=in.(${encodeURIComponent(names)})&subpath=eq.&status=eq.mirror&canonical_artifact_id=not.is.null` +
+      `&select=github_repo_full_name,canonical_artifact_id`);
+    for (const r of rows) links.set(r.github_repo_full_name, r.canonical_artifact_id);
+  } catch { /* non-critical — migration 016 not applied yet */ }
+  return links;
+}
+
+// ─── Forks, mirrors and near-duplicates ─────────────────────────────
+// Forks, template copies and re-uploads of popular skills / rule sets. Each
+// repo-level artifact gets a 64-bit simhash of its README + manifests (with
+// its own owner/name masked out); artifacts within MAX_SIMILARITY_DISTANCE
+// bits form a cluster. One canonical per cluster stays listed — the upstream
+// of a fork, else the oldest, else the most starred — and the rest become
+// status 'mirror' with canonical_artifact_id pointing at it.
+// Candidates are found by LSH: four 16-bit bands, any shared band = candidate
+// (pigeonhole: ≤3 differing bits leave at least one band intact).
+
+const MAX_SIMILARITY_DISTANCE = 3;
+const MIN_SIMILARITY_TOKENS = 40;   // shorter texts collide too easily to judge
+
+/** 64-bit simhash (16 hex chars) over word 3-shingles, or null for short texts. */
+function similarityHash(readme, files, fullName) {
+  const [owner, repo] = fullName.toLowerCase().split('/');
+  const text = [readme || '', ...Object.keys(files || {}).sort().map(name => files[name])].join('\n')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[^a-z0-9@._-]+/)
+    .map(t => t.replace(/^[._-]+|[._-]+$/g, ''))
+    .map(t => (t === owner || t === repo ? '~' : t))
+    .filter(Boolean);
+  if (text.length < MIN_SIMILARITY_TOKENS) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i + 3 <= text.length; i++) {
+    const h = BigInt('0x' + createHash('md5').update(text.slice(i, i + 3).join(' ')).digest('hex').substring(0, 16));
+    for (let bit = 0; bit < 64; bit++) weights[bit] += (h >> BigInt(bit)) & 1n ? 1 : -1;
+  }
+  let hash = 0n;
+  for (let bit = 0; bit < 64; bit++) if (weights[bit] > 0) hash |= 1n << BigInt(bit);
+  return hash.toString(16).padStart(16, '0');
+}
+
+function similarityBands(hash) {
+  return hash ? [0, 1, 2, 3].map(i => `${i}:${hash.substring(i * 4, i * 4 + 4)}`) : null;
+}
+
+function hammingDistance(a, b) {
+  let x = BigInt('0x' + a) ^ BigInt('0x' + b);
+  let n = 0;
+  while (x) { n += Number(x & 1n); x >>= 1n; }
+  return n;
+}
+
+/**
+ * Drop low-star forks before they cost an LLM call, and look up the upstream
+ * of kept forks (search results only say fork: true).
+ */
+async function resolveForks(rows) {
+  const dropped = new Set();
+  for (const row of rows.filter(r => r.is_fork)) {
+    if (!row.fork_parent && ENV.GITHUB_PAT) {
+      const result = await fetchRepoState(row.github_full_name);
+      row.fork_parent = result?.repo?.parent?.full_name || null;
+    }
+    const patch = row.fork_parent ? { fork_parent: row.fork_parent } : {};
+    if ((row.stars || 0) < FORK_MIN_STARS) {
+      dropped.add(row.id);
+      Object.assign(patch, {
+        enrichment_status: 'skipped',
+        enrichment_error: `Fork${row.fork_parent ? ` of ${row.fork_parent}` : ''} with < ${FORK_MIN_STARS} stars`,
+      });
+    }
+    if (Object.keys(patch).length) {
+      try { await sbPatch('raw_repos', `id=eq.${row.id}`, { ...patch, updated_at: new Date().toISOString() }); }
+      catch { /* non-critical */ }
+    }
+  }
+  if (dropped.size) log('🍴', `${dropped.size} low-star forks skipped`);
+  return rows.filter(r => !dropped.has(r.id));
+}
+
+/** Upstream first, then oldest, then most starred. */
+function pickCanonical(cluster, upstream) {
+  const byUpstream = upstream && cluster.find(a => a.github_repo_full_name.toLowerCase() === upstream.toLowerCase());
+  if (byUpstream) return byUpstream;
+  return [...cluster].sort((a, b) =>
+    (a.github_created_at || '').localeCompare(b.github_created_at || '') || (b.stars || 0) - (a.stars || 0))[0];
+}
+
+const CLUSTER_SELECT = 'id,github_repo_full_name,stars,github_created_at,similarity_hash,canonical_artifact_id,status';
+
+// Held by the quality gate: never a mirror, never a canonical others point at
+const HELD_STATUSES = ['pending_review', 'hidden'];
+// Statuses the quality gate (and a moderator's quality_override) moves between
+const GATED_STATUSES = ['active', ...HELD_STATUSES];
+
+/**
+ * After upsert: put each artifact in its near-duplicate / fork cluster and
+ * relink the cluster to one canonical. Needs `_id`, similarity_hash and
+ * `_fork_parent` on the artifacts. Returns the number of mirrors linked.
+ */
+async function linkMirrors(artifacts) {
+  let linked = 0;
+  for (const artifact of artifacts) {
+    if (!artifact._id || artifact.parent_artifact_id) continue;
+    if (HELD_STATUSES.includes(artifact.status)) continue;
+    if (!artifact.similarity_hash && !artifact._fork_parent) continue;
+
+    try {
+      const self = { ...artifact, id: artifact._id };
+      const candidates = [];
+      if (artifact.similarity_hash) {
+        const bands = `{${similarityBands(artifact.similarity_hash).join(',')}}`;
+        const rows = await sbGet('artifacts',
+          `similarity_bands=ov.${encodeURIComponent(bands)}&subpath=eq.&status=in.(active,archived,mirror)` +
+          `&id=neq.${artifact._id}&select=${CLUSTER_SELECT}&limit=50`);
+        candidates.push(...rows.filter(r => r.similarity_hash && hammingDistance(r.similarity_hash, artifact.similarity_hash) <= MAX_SIMILARITY_DISTANCE));
+      }
+      if (artifact._fork_parent) {
+        // A fork mirrors its upstream regardless of how far the README drifted,
+        // unless the upstream is gone or archived (then the fork carries on)
+        const [upstream] = await sbGet('artifacts',
+          `github_repo_full_name=eq.${encodeURIComponent(artifact._fork_parent)}&subpath=eq.&status=in.(active,mirror)&select=${CLUSTER_SELECT}`);
+        if (upstream && !candidates.some(c => c.id === upstream.id)) candidates.push(upstream);
+      }
+      if (candidates.length === 0) {
+        // No longer a duplicate of anything (README rewritten, canonical gone)
+        if (artifact.status === 'mirror') {
+          await sbPatch('artifacts', `id=eq.${artifact._id}`, { status: 'active', canonical_artifact_id: null });
+          await sbPatch('artifacts', `parent_artifact_id=eq.${artifact._id}&status=eq.mirror`, { status: 'active', canonical_artifact_id: null });
+        }
+        continue;
+      }
+
+      // Pull in the current canonicals of matched mirrors
+      const canonicalIds = [...new Set(candidates.map(c => c.canonical_artifact_id).filter(Boolean))]
+        .filter(id => id !== artifact._id && !candidates.some(c => c.id === id));
+      if (canonicalIds.length) {
+        candidates.push(...await sbGet('artifacts', `id=in.(${canonicalIds.join(',')})&status=in.(active,archived,mirror)&select=${CLUSTER_SELECT}`));
+      }
+
+      const cluster = [self, ...candidates];
+      const canonical = pickCanonical(cluster, artifact._fork_parent);
+      const now = new Date().toISOString();
+
+      for (const member of cluster) {
+        if (member.id === canonical.id) continue;
+        if (member.status === 'mirror' && member.canonical_artifact_id === canonical.id) continue;
+        await sbPatch('artifacts', `id=eq.${member.id}`, { status: 'mirror', canonical_artifact_id: canonical.id, updated_at: now });
+        // Mirrors of a demoted canonical follow it; collection members leave the listings too
+        await sbPatch('artifacts', `canonical_artifact_id=eq.${member.id}`, { canonical_artifact_id: canonical.id });
+        await sbPatch('artifacts', `parent_artifact_id=eq.${member.id}&status=eq.active`, { status: 'mirror', canonical_artifact_id: canonical.id });
+        linked++;
+      }
+      if (canonical.status === 'mirror' || canonical.canonical_artifact_id) {
+        await sbPatch('artifacts', `id=eq.${canonical.id}`, { status: 'active', canonical_artifact_id: null, updated_at: now });
+        await sbPatch('artifacts', `parent_artifact_id=eq.${canonical.id}&status=eq.mirror`, { status: 'active', canonical_artifact_id: null });
+      }
+      log('  ', `🪞 ${artifact.github_repo_full_name}: cluster of ${cluster.length}, canonical ${canonical.github_repo_full_name}`);
+    } catch (err) {
+      log('  ', `Mirror check failed for ${artifact.github_repo_full_name}: ${err.message.substring(0, 80)}`);
+    }
+  }
+  return linked;
+}
+
+// ─── Package verification (npm / PyPI) ──────────────────────────────
+// The install command names a package; make sure it exists and that its
+// registry metadata links back to this repo. Sets package_verification to
+// verified | repo_mismatch | not_found | no_package | error, fills version
+// from the registry, and swaps in a package that does resolve when the
+// command was a classifier guess.
+
+const VERIFY_CONCURRENCY = 10;
+const packageCache = new Map();   // "npm:name" → registry lookup (shared across a run)
+
+/** Which registry package an install command installs, if any. */
+function packageFromInstall(cmd) {
+  const words = (cmd || '').trim().split(/\s+/);
+  const strip = (w) => w.replace(/^['"]|['"]$/g, '');
+  const firstArg = (from) => words.slice(from).map(strip).find(w => !w.startsWith('-'));
+
+  const [tool, sub] = words;
+  let registry = null;
+  let name = null;
+  if (tool === 'npx' || tool === 'bunx') {
+    registry = 'npm'; name = firstArg(1);
+    if (name === 'skills') return null;   // `npx skills add owner/repo` installs from GitHub
+  } else if (['npm', 'pnpm', 'yarn', 'bun'].includes(tool) && ['install', 'i', 'add'].includes(sub)) {
+    registry = 'npm'; name = firstArg(2);
+  } else if (tool === 'uvx' || (tool === 'pipx' && sub === 'run')) {
+    registry = 'pypi'; name = firstArg(tool === 'uvx' ? 1 : 2);
+  } else if ((tool === 'pip' || tool === 'pip3' || tool === 'pipx') && sub === 'install') {
+    registry = 'pypi'; name = firstArg(2);
+  } else if (tool === 'uv' && (sub === 'pip' || sub === 'tool') && words[2] === 'install') {
+    registry = 'pypi'; name = firstArg(3);
+  }
+  if (!name) return null;
+
+  if (registry === 'npm') name = name.replace(/(.)@[^/]*$/, '$1');          // drop @version / @latest
+  else name = name.replace(/\[.*$/, '').replace(/[<>=~!;].*$/, '');       // drop [extras] / ==version
+  return /^(@[\w.-]+\/)?[\w.-]+$/.test(name) ? { registry, name } : null;
+}
+
+/** owner/repo from any GitHub URL form (git+https, git@, github:owner/repo, shorthand). */
+function githubRepoFromUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  const m = url.match(/github\.com[/:]([\w.-]+)\/([\w.-]+?)(?:\.git)?(?:[/#?]|$)/i)
+    || url.match(/^(?:github:)?([\w.-]+)\/([\w.-]+?)(?:\.git)?$/);
+  return m ? `${m[1]}/${m[2]}`.toLowerCase() : null;
+}
+
+/**
+ * Registry lookup. Returns { exists, version, repos: [owner/repo] } or null
+ * on a transient failure.
+ */
+async function lookupPackage(registry, name) {
+  const key = `${registry}:${name}`;
+  if (packageCache.has(key)) return packageCache.get(key);
+
+  let result = null;
+  try {
+    if (registry === 'npm') {
+      const res = await fetch(`${ENV.NPM_REGISTRY_URL}/${name.replace('/', '%2F')}/latest`, {
+        headers: { Accept: 'application/json', 'User-Agent': 'OneSkill-Scraper/4.0' },
+      });
+      if (res.status === 404) result = { exists: false, version: null, repos: [] };
+      else if (res.ok) {
+        const doc = await res.json();
+        const repo = typeof doc.repository === 'string' ? doc.repository : doc.repository?.url;
+        result = {
+          exists: true,
+          version: doc.version || null,
+          repos: [repo, doc.homepage, doc.bugs?.url].map(githubRepoFromUrl).filter(Boolean),
+        };
+      }
+    } else {
+      const res = await fetch(`${ENV.PYPI_URL}/${encodeURIComponent(name)}/json`, {
+        headers: { Accept: 'application/json', 'User-Agent': 'OneSkill-Scraper/4.0' },
+      });
+      if (res.status === 404) result = { exists: false, version: null, repos: [] };
+      else if (res.ok) {
+        const { info } = await res.json();
+        const urls = [info?.home_page, info?.download_url, ...Object.values(info?.project_urls || {})];
+        result = { exists: true, version: info?.version || null, repos: urls.map(githubRepoFromUrl).filter(Boolean) };
+      }
+    }
+  } catch { /* transient — result stays null */ }
+
+  if (result) packageCache.set(key, result);
+  return result;
+}
+
+function installCommandFor(registry, name, artifact) {
+  if (registry === 'pypi') return artifact.artifact_type_id === TYPE_MAP['mcp-server'] ? `uvx ${name}` : `pip install ${name}`;
+  return artifact.artifact_type_id === TYPE_MAP['n8n-node'] ? `npm install ${name}` : `npx -y ${name}`;
+}
+
+/**
+ * Check an artifact's package against its registry and return the patch:
+ * verification status, registry version, and — when the install command was
+ * an LLM guess that doesn't resolve — a corrected command if an alternative
+ * package name (manifest name, repo name, @owner/repo) resolves to this repo.
+ */
+async function verifyArtifactPackage(artifact) {
+  const fullName = (artifact.github_repo_full_name || '').toLowerCase();
+  const sources = { ...(artifact.field_sources || {}) };
+  const now = new Date().toISOString();
+
+  let pkg = packageFromInstall(artifact.install_command);
+  if (!pkg && artifact.npm_package_name) pkg = { registry: 'npm', name: artifact.npm_package_name };
+  if (!pkg) {
+    return { package_registry: null, package_verification: 'no_package', package_verified_at: now };
+  }
+
+  const check = async ({ registry, name }) => {
+    const info = await lookupPackage(registry, name);
+    if (!info) return { status: 'error' };
+    if (!info.exists) return { status: 'not_found' };
+    return { status: info.repos.includes(fullName) ? 'verified' : 'repo_mismatch', version: info.version };
+  };
+
+  let result = await check(pkg);
+  const patch = {};
+
+  // Only second-guess commands the classifier invented; manifest commands are the repo's own word
+  if ((result.status === 'not_found' || result.status === 'repo_mismatch') && ['llm', 'heuristic'].includes(sources.install_command)) {
+    const [owner, repoName] = fullName.split('/');
+    const alternatives = [
+      artifact.npm_package_name && { registry: 'npm', name: artifact.npm_package_name },
+      { registry: pkg.registry, name: repoName },
+      pkg.registry === 'npm' && { registry: 'npm', name: `@${owner}/${repoName}` },
+    ].filter(a => a && a.name && a.name !== pkg.name);
+
+    for (const alt of alternatives) {
+      const altResult = await check(alt);
+      if (altResult.status !== 'verified') continue;
+      log('  ', `🔧 ${artifact.github_repo_full_name}: ${pkg.name} → ${alt.name} (${alt.registry})`);
+      pkg = alt;
+      result = altResult;
+      patch.install_command = installCommandFor(alt.registry, alt.name, artifact);
+      sources.install_command = alt.registry;
+      break;
+    }
+  }
+
+  // Transient registry failure: no timestamp, so the check stays at the front of the queue
+  if (result.status === 'error') {
+    return { package_registry: pkg.registry, package_verification: 'error' };
+  }
+  if (result.status === 'verified') {
+    if (pkg.registry === 'npm' && pkg.name !== artifact.npm_package_name) {
+      patch.npm_package_name = pkg.name;
+      sources.npm_package_name = 'npm';
+    }
+    if (result.version) {
+      patch.version = result.version;
+      sources.version = pkg.registry;
+    }
+  }
+
+  return {
+    ...patch,
+    package_registry:     pkg.registry,
+    package_verification: result.status,
+    package_verified_at:  now,
+    field_sources:        sources,
+  };
+}
+
+/** Verify a batch of built (not yet upserted) artifacts in place. */
+async function verifyArtifactPackages(artifacts) {
+  const counts = {};
+  for (let i = 0; i < artifacts.length; i += VERIFY_CONCURRENCY) {
+    await Promise.all(artifacts.slice(i, i + VERIFY_CONCURRENCY).map(async (a) => {
+      // package_verified_at stays null on 'error' — upsert batches need the same keys on every row
+      Object.assign(a, { package_verified_at: null }, await verifyArtifactPackage(a));
+      counts[a.package_verification] = (counts[a.package_verification] || 0) + 1;
+    }));
+  }
+  return counts;
+}
+
 // ─── Upsert artifacts ────────────────────────────────────────────────
 
+// Repo-level artifacts have subpath ''; collection members their path in the repo
+const ARTIFACT_CONFLICT_KEY = 'github_repo_full_name,subpath';
+
 async function upsertArtifacts(artifacts) {
+  await reconcileRenames(artifacts);
+  // No fallback: unchecked base slugs would fail the batch on artifacts_slug_key
+  await allocateSlugs(artifacts);
+
   let upserted = 0;
   for (let start = 0; start < artifacts.length; start += BATCH_SIZE) {
     const batch = artifacts.slice(start, start + BATCH_SIZE);
     const rows = batch.map(a => {
-      const { _platform_labels, _type_slug, _raw_repo_full_name, ...row } = a;
+      const { _platform_labels, _type_slug, _raw_repo_full_name, _members, _id, _fork_parent, _old_slug, ...row } = a;
       return row;
     });
 
     try {
-      const result = await sbUpsert('artifacts', rows, 'github_repo_full_name');
+      const result = await sbUpsert('artifacts', rows, ARTIFACT_CONFLICT_KEY);
       upserted += result.length;
 
       for (let i = 0; i < result.length; i++) {
         const artifactId = result[i].id;
+        batch[i]._id = artifactId;
+        await recordReslug(batch[i]);
         const labels = batch[i]._platform_labels || [];
         const junctionRows = labels
           .map(l => PLATFORM_MAP[l]).filter(Boolean)
@@ -791,25 +2623,32 @@ async function upsertArtifacts(artifacts) {
           catch (err) { log('  ', `Junction issue: ${err.message.substring(0, 80)}`); }
         }
 
-        // Update raw_repos with the artifact_id link
+        // Update raw_repos with the artifact_id link (the repo-level artifact only)
+        if (batch[i].parent_artifact_id) continue;
         try {
           await sbPatch(
             'raw_repos',
             `github_full_name=eq.${encodeURIComponent(batch[i].github_repo_full_name)}`,
-            { artifact_id: artifactId, enrichment_status: 'enriched', enriched_at: new Date().toISOString() }
+            {
+              artifact_id: artifactId, enrichment_status: 'enriched', enriched_at: new Date().toISOString(),
+              content_hash: batch[i].content_hash ?? null,
+            }
           );
         } catch { /* non-critical */ }
       }
       log('💾', `Batch upserted: ${result.length} (${upserted} total)`);
     } catch (err) {
       log('❌', `Batch failed: ${err.message.substring(0, 150)}`);
+      recordError('enrich', err);
       // Fallback: one by one
       for (let j = 0; j < rows.length; j++) {
         try {
-          const result = await sbUpsert('artifacts', [rows[j]], 'github_repo_full_name');
+          const result = await sbUpsert('artifacts', [rows[j]], ARTIFACT_CONFLICT_KEY);
           upserted++;
           const artifactId = result?.[0]?.id;
           if (artifactId) {
+            batch[j]._id = artifactId;
+            await recordReslug(batch[j]);
             const labels = batch[j]._platform_labels || [];
             const junctionRows = labels.map(l => PLATFORM_MAP[l]).filter(Boolean)
               .map(p => ({ artifact_id: artifactId, platform_id: p.id }));
@@ -817,13 +2656,18 @@ async function upsertArtifacts(artifacts) {
               try { await sbUpsert('artifact_platforms', junctionRows, 'artifact_id,platform_id'); }
               catch { /* ignore */ }
             }
-            try {
-              await sbPatch(
-                'raw_repos',
-                `github_full_name=eq.${encodeURIComponent(batch[j].github_repo_full_name)}`,
-                { artifact_id: artifactId, enrichment_status: 'enriched', enriched_at: new Date().toISOString() }
-              );
-            } catch { /* non-critical */ }
+            if (!batch[j].parent_artifact_id) {
+              try {
+                await sbPatch(
+                  'raw_repos',
+                  `github_full_name=eq.${encodeURIComponent(batch[j].github_repo_full_name)}`,
+                  {
+                    artifact_id: artifactId, enrichment_status: 'enriched', enriched_at: new Date().toISOString(),
+                    content_hash: batch[j].content_hash ?? null,
+                  }
+                );
+              } catch { /* non-critical */ }
+            }
           }
         } catch (e2) { log('  ', `Skip: ${e2.message.substring(0, 80)}`); }
       }
@@ -832,8 +2676,281 @@ async function upsertArtifacts(artifacts) {
   return upserted;
 }
 
+const ENRICH_SELECT = `id,github_full_name,github_node_id,owner_login,repo_name,description,language,stars,forks,open_issues,license,default_branch,archived,is_fork,fork_parent,topics,github_url,owner_avatar_url,owner_html_url,github_created_at,github_updated_at,readme_raw,type_hint,source,enrich_attempts,content_hash`;
+const ENRICH_WAVE_SIZE = 20;
+const README_FETCH_CONCURRENCY = 15;
+
+// ─── Row leases ─────────────────────────────────────────────────────
+// Parallel enrich runs claim each wave with a conditional update: only rows
+// in the expected status, or in_progress with a lapsed lease, switch to
+// in_progress under this worker's name. Postgres re-checks the filter after
+// taking the row lock, so when two workers race for a row exactly one update
+// matches it. Rows a killed run left behind are claimable again once their
+// lease lapses. The status a row had before (pending / failed, or enriched
+// for a heuristic upgrade) is kept in lease_prior_status and restored on
+// release unless the wave moved the row on.
+
+const LEASE_MINUTES = 30;   // longer than any wave, retries and backoff included
+// pid and a random suffix keep two jobs sharing one ENRICH_WORKER_ID apart
+const WORKER_ID = `${process.env.ENRICH_WORKER_ID || hostname()}:${process.pid}:${randomBytes(4).toString('hex')}`;
+const PRIOR_STATUSES = { fresh: ['pending', 'failed'], upgrade: ['enriched'] };
+
+/** raw_repos rows in one of `statuses`, or leased from one of them with the lease lapsed. */
+function claimableFilter(statuses) {
+  const list = statuses.join(',');
+  return `or=(enrichment_status.in.(${list}),and(enrichment_status.eq.in_progress,` +
+    `lease_expires_at.lt.${new Date().toISOString()},lease_prior_status.in.(${list})))`;
+}
+
+/** False until migration 025 adds the lease columns — enrich then runs unleased. */
+async function leasesAvailable() {
+  try {
+    await sbGet('raw_repos', 'select=leased_by,lease_expires_at,lease_prior_status&limit=1');
+    return true;
+  } catch (err) {
+    log('⚠️', `Row leases unavailable (migration 025?) — parallel enrich runs may overlap: ${err.message.substring(0, 100)}`);
+    return false;
+  }
+}
+
+/** The statuses a wave's rows can have been leased from. */
+function priorStatuses(rows) {
+  return [
+    ...(rows.some(r => !r._upgrade) ? PRIOR_STATUSES.fresh : []),
+    ...(rows.some(r => r._upgrade) ? PRIOR_STATUSES.upgrade : []),
+  ];
+}
+
+/**
+ * Lease a wave's rows to this worker. Returns the rows this worker now
+ * holds; the rest were taken by another run (or enriched by one) since
+ * selection. One update per prior status, so each row records its own.
+ */
+async function claimRows(rows) {
+  if (rows.length === 0) return rows;
+  const expires = new Date(Date.now() + LEASE_MINUTES * 60000).toISOString();
+  for (const prior of priorStatuses(rows)) {
+    const ids = rows.filter(r => PRIOR_STATUSES[r._upgrade ? 'upgrade' : 'fresh'].includes(prior)).map(r => r.id);
+    await sbPatch('raw_repos', `id=in.(${ids.join(',')})&${claimableFilter([prior])}`, {
+      enrichment_status:  'in_progress',
+      lease_prior_status: prior,
+      leased_by:          WORKER_ID,
+      lease_expires_at:   expires,
+    });
+  }
+  const held = await sbGet('raw_repos',
+    `id=in.(${rows.map(r => r.id).join(',')})&enrichment_status=eq.in_progress&leased_by=eq.${encodeURIComponent(WORKER_ID)}&select=id`);
+  const mine = new Set(held.map(r => r.id));
+  return rows.filter(r => mine.has(r.id));
+}
+
+/**
+ * Hand back a wave: rows still in_progress get their prior status again,
+ * rows the wave enriched or skipped just lose the lease.
+ */
+async function releaseRows(rows) {
+  if (rows.length === 0) return;
+  const ids = `id=in.(${rows.map(r => r.id).join(',')})&leased_by=eq.${encodeURIComponent(WORKER_ID)}`;
+  const cleared = { leased_by: null, lease_expires_at: null, lease_prior_status: null };
+  try {
+    for (const prior of priorStatuses(rows)) {
+      await sbPatch('raw_repos', `${ids}&enrichment_status=eq.in_progress&lease_prior_status=eq.${prior}`,
+        { ...cleared, enrichment_status: prior });
+    }
+    await sbPatch('raw_repos', ids, cleared);
+  } catch { /* non-critical — the lease lapses on its own */ }
+}
+
+/**
+ * raw_repos rows behind low-confidence heuristic artifacts (fallbacks, not
+ * fast-path hits), most starred first, flagged `_upgrade` so they always go
+ * to the LLM and carrying what earlier attempts cost. With leasing, rows
+ * another run holds are left out.
+ */
+async function loadHeuristicUpgrades(limit, leasing) {
+  const artifacts = await sbGet(
+    'artifacts',
+    `classification_source=eq.heuristic&classification_confidence=lt.${HEURISTIC_FAST_PATH}` +
+    `&subpath=eq.&status=in.(active,archived)` +
+    `&order=stars.desc&limit=${limit}&select=github_repo_full_name,enrich_llm_usage`
+  );
+  if (artifacts.length === 0) return [];
+  const usageByRepo = new Map(artifacts.map(a => [a.github_repo_full_name, a.enrich_llm_usage]));
+  const names = artifacts.map(a => `"${a.github_repo_full_name}"`).join(',');
+  const rows = await sbGet('raw_repos',
+    `github_full_name=in.(${encodeURIComponent(names)})${leasing ? `&${claimableFilter(PRIOR_STATUSES.upgrade)}` : ''}&select=${ENRICH_SELECT}`);
+  return rows.map(row => ({ ...row, _upgrade: true, _prior_llm_usage: usageByRepo.get(row.github_full_name) || null }));
+}
+
+/** sha256 of everything classification reads: README plus root manifest files. */
+function contentHash(readme, files) {
+  const hash = createHash('sha256');
+  hash.update((readme || '').substring(0, 50000));
+  for (const name of Object.keys(files).sort()) hash.update(`\0${name}\0${files[name]}`);
+  return hash.digest('hex');
+}
+
+/**
+ * Repo tree (1 API request, reused for collections), root manifests (raw,
+ * no API cost), the content and similarity hashes, and commit counts (1
+ * GraphQL query) for each row of a wave.
+ */
+async function loadEnrichInputs(wave) {
+  const treeByRepo = new Map();
+  const manifestByRepo = new Map();
+  const hashByRepo = new Map();
+  const simhashByRepo = new Map();
+  const filesByRepo = new Map();
+  for (let ri = 0; ri < wave.length; ri += README_FETCH_CONCURRENCY) {
+    await Promise.all(wave.slice(ri, ri + README_FETCH_CONCURRENCY).map(async (row) => {
+      const paths = ENV.GITHUB_PAT ? await fetchRepoTree(row.github_full_name, row.default_branch || 'main') : null;
+      treeByRepo.set(row.github_full_name, paths);
+      const files = await fetchManifests(row, paths);
+      filesByRepo.set(row.github_full_name, files);
+      manifestByRepo.set(row.github_full_name, extractManifestFields(files, row));
+      hashByRepo.set(row.github_full_name, contentHash(row.readme_raw, files));
+      simhashByRepo.set(row.github_full_name, similarityHash(row.readme_raw, files, row.github_full_name));
+    }));
+  }
+  const withManifest = [...manifestByRepo.values()].filter(m => Object.keys(m.fields).length).length;
+  if (withManifest) log('📄', `Manifest fields found for ${withManifest}/${wave.length} repos`);
+  const commitsByRepo = await fetchCommitCounts(wave.map(row => row.github_full_name));
+  return { treeByRepo, manifestByRepo, hashByRepo, simhashByRepo, filesByRepo, commitsByRepo };
+}
+
+/**
+ * Classify a wave — heuristic fast path, else LLM, heuristic fallback — and
+ * build its artifact rows. Returns { artifacts, heuristic, failed }.
+ */
+async function classifyWave(wave, { treeByRepo, manifestByRepo, hashByRepo, simhashByRepo, filesByRepo, commitsByRepo }, label) {
+  const items = wave.map(row => ({
+    full_name:        row.github_full_name,
+    description:      row.description,
+    language:         row.language,
+    stars:            row.stars,
+    forks:            row.forks,
+    topics:           row.topics,
+    topics_str:       Array.isArray(row.topics) ? row.topics.join(', ') : (row.topics || ''),
+    github_updated_at: row.github_updated_at,
+    readme:           row.readme_raw,
+    type_hint:        row.type_hint,
+    manifest:         manifestByRepo.get(row.github_full_name),
+  }));
+
+  // Heuristics first: confident ones skip the LLM, the rest are its fallback
+  const guesses = items.map(item => classifyHeuristically(item, treeByRepo.get(item.full_name)));
+  const llmIdx = llm.configured
+    ? wave.map((row, j) => j).filter(j => wave[j]._upgrade || guesses[j].confidence < HEURISTIC_FAST_PATH)
+    : [];
+
+  log('🤖', `${label} — ${wave.length} repos, ` +
+    `${llmIdx.length} to ${llm.configured ? llm.name : 'LLM'} (${ENRICH_CONCURRENCY} parallel), ${wave.length - llmIdx.length} heuristic`);
+
+  const enrichments = new Array(wave.length).fill(null);
+  const llmResults = await enrichBatchConcurrent(llmIdx.map(j => items[j]));
+  llmIdx.forEach((j, k) => { enrichments[j] = llmResults[k]; });
+  if (llmIdx.length) await sleep(500);
+
+  const overrides = await loadQualityOverrides(wave.map(row => row.github_full_name));
+  const mirrorLinks = await loadMirrorLinks(wave.map(row => row.github_full_name));
+  const artifacts = [];
+  let heuristic = 0;
+  let failed = 0;
+  let overBudget = 0;
+  for (let j = 0; j < wave.length; j++) {
+    const rawRepo = wave[j];
+    let enrichment = enrichments[j];
+    let classifiedBy = 'llm';
+
+    // Budget ran out before this one — untouched, it's picked up next run
+    if (enrichment === OVER_BUDGET) { overBudget++; continue; }
+
+    // This pass, plus what earlier failed LLM passes on an upgraded artifact cost
+    const usage = addUsage(rawRepo._prior_llm_usage, enrichment?._llm_usage);
+
+    if (!enrichment || enrichment._failed) {
+      // Upgrades keep their heuristic artifact when the LLM fails; retried next run
+      if (rawRepo._upgrade) {
+        failed++;
+        if (usage !== rawRepo._prior_llm_usage) {
+          try {
+            await sbPatch('artifacts', `github_repo_full_name=eq.${encodeURIComponent(rawRepo.github_full_name)}&subpath=eq.`, { enrich_llm_usage: usage });
+          } catch { /* non-critical */ }
+        }
+        continue;
+      }
+      // No LLM, not needed, or it failed — the heuristic guess stands until upgraded
+      enrichment = guesses[j];
+      classifiedBy = 'heuristic';
+      heuristic++;
+    }
+
+    // Increment attempt counter even on success
+    try {
+      await sbPatch(
+        'raw_repos',
+        `id=eq.${rawRepo.id}`,
+        { enrich_attempts: (rawRepo.enrich_attempts || 0) + 1, updated_at: new Date().toISOString() }
+      );
+    } catch { /* non-critical */ }
+
+    const contributorId = await ensureContributor(rawRepo);
+    const artifact = buildArtifact(rawRepo, enrichment, contributorId, manifestByRepo.get(rawRepo.github_full_name), classifiedBy);
+    if (artifact) {
+      artifact.content_hash = hashByRepo.get(rawRepo.github_full_name) || null;
+      artifact.content_checked_at = new Date().toISOString();
+      artifact.similarity_hash = simhashByRepo.get(rawRepo.github_full_name) || null;
+      artifact.similarity_bands = similarityBands(artifact.similarity_hash);
+      artifact.canonical_artifact_id = null;   // kept below for listed mirrors; linkMirrors re-checks after upsert
+      artifact.enrich_llm_usage = usage;
+      artifact._fork_parent = rawRepo.fork_parent || null;
+
+      const quality = scoreQuality({
+        row:        rawRepo,
+        paths:      treeByRepo.get(rawRepo.github_full_name),
+        files:      filesByRepo.get(rawRepo.github_full_name),
+        enrichment,
+        commits:    commitsByRepo.get(rawRepo.github_full_name),
+      });
+      artifact.quality_score = quality.score;
+      artifact.quality_reasons = quality.reasons;
+      if (artifact.status === 'active') {
+        artifact.status = overrides.get(rawRepo.github_full_name) || qualityStatus(quality.score);
+        if (artifact.status !== 'active') log('  ', `🚧 ${rawRepo.github_full_name}: quality ${quality.score} → ${artifact.status}`);
+      }
+      if (artifact.status === 'active' && mirrorLinks.has(rawRepo.github_full_name)) {
+        artifact.status = 'mirror';
+        artifact.canonical_artifact_id = mirrorLinks.get(rawRepo.github_full_name);
+      }
+      artifact._raw_repo_full_name = rawRepo.github_full_name;
+      artifacts.push(artifact);
+    }
+  }
+  if (overBudget) log('💸', `LLM budget used up — ${overBudget} repos left for the next run`);
+  return { artifacts, heuristic, failed, overBudget };
+}
+
+/** Collections, package verification, upsert and mirror linking for freshly built artifacts. */
+async function saveEnrichedArtifacts(artifacts, treeByRepo) {
+  if (artifacts.length === 0) return 0;
+
+  // Collections: walk the tree for nested skills, servers and rule files
+  for (const artifact of artifacts) {
+    const paths = treeByRepo.get(artifact.github_repo_full_name);
+    if (paths) artifact._members = await detectCollectionMembers(artifact.github_repo_full_name, artifact.default_branch, paths);
+  }
+
+  const verified = await verifyArtifactPackages(artifacts);
+  log('📦', `Packages: ${Object.entries(verified).map(([k, n]) => `${n} ${k}`).join(', ')}`);
+  const upserted = await upsertArtifacts(artifacts) + await upsertCollectionMembers(artifacts);
+  const mirrors = await linkMirrors(artifacts);
+  if (mirrors) log('🪞', `${mirrors} artifacts linked as mirrors`);
+  return upserted;
+}
+
 /**
- * PHASE 2: Fetch unenriched rows from raw_repos, run Gemini, upsert to artifacts.
+ * PHASE 2: Fetch unenriched rows from raw_repos, classify (heuristic fast
+ * path, else LLM, heuristic fallback), upsert to artifacts.
  * Each row is marked as enriched/failed individually — fully retryable.
  */
 async function runEnrich(limit = ENRICH_LIMIT) {
@@ -841,9 +2958,9 @@ async function runEnrich(limit = ENRICH_LIMIT) {
 
   // Fetch pending/failed rows PER TYPE so every artifact type gets a fair share.
   // Without this, the top-N by stars would all be MCP servers (most popular type).
-  const ENRICH_SELECT = `id,github_full_name,owner_login,repo_name,description,language,stars,forks,open_issues,license,default_branch,topics,github_url,owner_avatar_url,owner_html_url,github_created_at,github_updated_at,readme_raw,type_hint,enrich_attempts`;
   const typeHints = [...new Set(SEARCH_QUERIES.map(q => q.hint))];
   const perTypeLimit = Math.max(20, Math.ceil(limit / typeHints.length));
+  const leasing = await leasesAvailable();
 
   log('📋', `Fetching up to ${perTypeLimit} per type across ${typeHints.length} types`);
 
@@ -851,7 +2968,7 @@ async function runEnrich(limit = ENRICH_LIMIT) {
   for (const hint of typeHints) {
     const rows = await sbGet(
       'raw_repos',
-      `enrichment_status=in.(pending,failed)` +
+      (leasing ? claimableFilter(PRIOR_STATUSES.fresh) : 'enrichment_status=in.(pending,failed)') +
       `&type_hint=eq.${encodeURIComponent(hint)}` +
       `&enrich_attempts=lt.${MAX_ENRICH_ATTEMPTS}` +
       `&order=stars.desc` +
@@ -865,8 +2982,18 @@ async function runEnrich(limit = ENRICH_LIMIT) {
   // Sort combined list by stars DESC for processing priority
   pending.sort((a, b) => (b.stars || 0) - (a.stars || 0));
 
+  // Leftover capacity goes to upgrading heuristic classifications
+  if (llm.configured && pending.length < limit) {
+    try {
+      const upgrades = await loadHeuristicUpgrades(limit - pending.length, leasing);
+      if (upgrades.length) log('⬆️', `${upgrades.length} heuristic artifacts queued for an LLM upgrade`);
+      pending.push(...upgrades);
+    } catch { /* non-critical — migration 014 not applied yet */ }
+  }
+
   if (pending.length === 0) {
     log('✅', 'No unenriched repos to process');
+    recordStage('enrich', { pending: 0 });
     return 0;
   }
 
@@ -875,104 +3002,641 @@ async function runEnrich(limit = ENRICH_LIMIT) {
   let totalUpserted = 0;
   let enriched = 0;
   let failed = 0;
+  let heuristic = 0;
+  let leasedElsewhere = 0;
+  let overBudget = 0;
+
+  // Process in waves of 20 repos at a time (ENRICH_CONCURRENCY parallel LLM calls)
+  for (let start = 0; start < pending.length; start += ENRICH_WAVE_SIZE) {
+    if (llm.exhausted) {
+      log('💸', `LLM budget used up — stopping enrich, ${pending.length - start} repos stay pending`);
+      overBudget += pending.length - start;
+      break;
+    }
+    let waveRows = pending.slice(start, start + ENRICH_WAVE_SIZE);
+
+    // Lease the wave — rows another run claimed since selection are left to it
+    if (leasing) {
+      const claimed = await claimRows(waveRows);
+      if (claimed.length < waveRows.length) {
+        leasedElsewhere += waveRows.length - claimed.length;
+        log('🔒', `${waveRows.length - claimed.length} repos leased by another worker — skipping them`);
+      }
+      waveRows = claimed;
+    }
 
-  // Process in Gemini-batch-sized chunks
-  // Process in waves of 20 repos at a time (ENRICH_CONCURRENCY parallel Gemini calls)
-  const WAVE_SIZE = 20;
-  for (let start = 0; start < pending.length; start += WAVE_SIZE) {
-    const wave = pending.slice(start, start + WAVE_SIZE);
-
-    // Lazy-fetch README via raw.githubusercontent.com if missing (no API cost)
-    const README_FETCH_CONCURRENCY = 15;
-    for (let ri = 0; ri < wave.length; ri += README_FETCH_CONCURRENCY) {
-      const slice = wave.slice(ri, ri + README_FETCH_CONCURRENCY);
-      await Promise.all(slice.map(async (row) => {
-        if (!row.readme_raw) {
-          row.readme_raw = await fetchReadme(row.owner_login, row.repo_name, row.default_branch);
-          if (row.readme_raw) {
-            // Persist to raw_repos so we don't re-fetch next time
-            try {
-              await sbPatch('raw_repos', `id=eq.${row.id}`, { readme_raw: row.readme_raw.substring(0, 50000) });
-            } catch { /* non-critical */ }
+    // Whatever happens to the wave, its rows don't stay leased until expiry
+    try {
+      // Registry / awesome-list rows: confirm the repo still exists under this name
+      // Then drop low-star forks and note the upstream of the rest
+      const wave = await resolveForks(await verifyUnseenRepos(waveRows));
+      if (wave.length === 0) continue;
+
+      // Lazy-fetch README via raw.githubusercontent.com if missing (no API cost)
+      for (let ri = 0; ri < wave.length; ri += README_FETCH_CONCURRENCY) {
+        const slice = wave.slice(ri, ri + README_FETCH_CONCURRENCY);
+        await Promise.all(slice.map(async (row) => {
+          if (!row.readme_raw) {
+            row.readme_raw = await fetchReadme(row.owner_login, row.repo_name, row.default_branch);
+            if (row.readme_raw) {
+              // Persist to raw_repos so we don't re-fetch next time
+              try {
+                await sbPatch('raw_repos', `id=eq.${row.id}`, { readme_raw: row.readme_raw.substring(0, 50000) });
+              } catch { /* non-critical */ }
+            }
           }
-        }
-      }));
+        }));
+      }
+
+      const inputs = await loadEnrichInputs(wave);
+      const label = `Wave ${Math.floor(start / ENRICH_WAVE_SIZE) + 1}/${Math.ceil(pending.length / ENRICH_WAVE_SIZE)}`;
+      const result = await classifyWave(wave, inputs, label);
+      enriched += result.artifacts.length;
+      heuristic += result.heuristic;
+      failed += result.failed;
+      overBudget += result.overBudget;
+
+      totalUpserted += await saveEnrichedArtifacts(result.artifacts, inputs.treeByRepo);
+    } finally {
+      if (leasing) await releaseRows(waveRows);
     }
 
-    // Prepare items for Gemini prompt
-    const geminiItems = wave.map(row => ({
-      full_name:        row.github_full_name,
-      description:      row.description,
-      language:         row.language,
-      stars:            row.stars,
-      forks:            row.forks,
-      topics_str:       Array.isArray(row.topics) ? row.topics.join(', ') : (row.topics || ''),
-      github_updated_at: row.github_updated_at,
-      readme:           row.readme_raw,
-      type_hint:        row.type_hint,
-    }));
+    const pct = Math.round((Math.min(start + ENRICH_WAVE_SIZE, pending.length) / pending.length) * 100);
+    log('📊', `Progress: ${enriched} enriched (${heuristic} heuristic), ${failed} failed (${pct}%)`);
+  }
 
-    log('🤖', `Wave ${Math.floor(start / WAVE_SIZE) + 1}/${Math.ceil(pending.length / WAVE_SIZE)} — ${wave.length} repos (${ENRICH_CONCURRENCY} parallel)`);
+  log('🏁', `Enrich complete: ${enriched} enriched (${heuristic} heuristic), ${failed} failed, ${totalUpserted} upserted to artifacts` +
+    (leasedElsewhere ? `, ${leasedElsewhere} left to another worker` : '') +
+    (overBudget ? `, ${overBudget} over the LLM budget` : ''));
+  const spend = llm.totals();
+  if (spend.calls) log('💰', `${llm.label}: ${spend.calls} calls, ${spend.input_tokens} in + ${spend.output_tokens} out tokens, ~$${spend.cost_usd.toFixed(4)}`);
+  recordStage('enrich', {
+    pending: pending.length, enriched, heuristic, failed, upserted: totalUpserted,
+    leased_elsewhere: leasedElsewhere, over_budget: overBudget,
+  });
+  return totalUpserted;
+}
 
-    const enrichments = await enrichBatchConcurrent(geminiItems);
-    await sleep(500);
 
-    const artifacts = [];
-    for (let j = 0; j < wave.length; j++) {
-      const rawRepo = wave[j];
-      const enrichment = enrichments[j];
+// ═══════════════════════════════════════════════════════════════════════
+// REFRESH — artifacts → GitHub GraphQL → artifacts (no Gemini)
+// ═══════════════════════════════════════════════════════════════════════
 
-      if (!enrichment) {
-        // Mark as failed, increment attempt counter
-        failed++;
-        const newAttempts = (rawRepo.enrich_attempts || 0) + 1;
-        const newStatus = newAttempts >= MAX_ENRICH_ATTEMPTS ? 'skipped' : 'failed';
+const REFRESH_NODE_BATCH  = 100;   // nodes(ids:) accepts up to 100 IDs per query
+const REFRESH_ALIAS_BATCH = 50;    // aliased repository() lookups for rows without a node id
+const REFRESH_PATCH_CONCURRENCY = 10;
+
+// open_issues mirrors REST's open_issues_count, which includes open PRs
+const REPO_METADATA_FIELDS = `
+  id nameWithOwner isArchived stargazerCount forkCount updatedAt
+  licenseInfo { spdxId name }
+  issues(states: OPEN) { totalCount }
+  pullRequests(states: OPEN) { totalCount }
+`;
+
+/**
+ * Load listed, mirror and held (pending_review / hidden) repo-level artifacts
+ * with the stalest last_pipeline_sync first (never-synced rows lead);
+ * collection members are patched along with their parent. Paged to stay
+ * under Supabase's 1000-row cap.
+ */
+async function loadRefreshTargets(limit) {
+  const targets = [];
+  const PAGE = 1000;
+  while (targets.length < limit) {
+    const batch = await sbGet('artifacts',
+      `select=id,slug,status,github_repo_full_name,github_node_id,last_pipeline_sync` +
+      `&status=in.(active,archived,mirror,pending_review,hidden)&github_repo_full_name=not.is.null&subpath=eq.` +
+      `&order=last_pipeline_sync.asc.nullsfirst` +
+      `&limit=${Math.min(PAGE, limit - targets.length)}&offset=${targets.length}`
+    );
+    targets.push(...batch);
+    if (batch.length < PAGE) break;
+  }
+  return targets;
+}
+
+/**
+ * Indexes of lookups GitHub explicitly reported as NOT_FOUND. A null entry
+ * without one of these errors (timeout, partial failure) is not treated as
+ * a deletion.
+ */
+function notFoundPaths(errors) {
+  return new Set((errors || [])
+    .filter(e => e.type === 'NOT_FOUND' && Array.isArray(e.path))
+    .map(e => e.path.join('.')));
+}
+
+/**
+ * Look up repos by node id. Returns { found: Map<nodeId, repo>, missing:
+ * Set<nodeId> }, or null when the query failed outright.
+ */
+async function fetchRepoMetadataByNodeIds(ids) {
+  const result = await githubGraphQL(
+    `query($ids: [ID!]!) { nodes(ids: $ids) { ... on Repository { ${REPO_METADATA_FIELDS} } } }`,
+    { ids },
+  );
+  if (!result?.data) return null;
+  const notFound = notFoundPaths(result.errors);
+  const found = new Map();
+  const missing = new Set();
+  (result.data.nodes || []).forEach((node, i) => {
+    if (node?.id) found.set(node.id, node);
+    else if (notFound.has(`nodes.${i}`)) missing.add(ids[i]);
+  });
+  return { found, missing };
+}
+
+/**
+ * Look up repos by owner/name. Returns { found: Map<lowercased name, repo>,
+ * missing: Set<lowercased name> }, or null when the query failed outright.
+ */
+async function fetchRepoMetadataByName(fullNames) {
+  const aliases = fullNames.map((fullName, i) => {
+    const [owner, name] = fullName.split('/');
+    return `r${i}: repository(owner: ${JSON.stringify(owner)}, name: ${JSON.stringify(name)}) { ${REPO_METADATA_FIELDS} }`;
+  });
+  const result = await githubGraphQL(`query { ${aliases.join('\n')} }`);
+  if (!result?.data) return null;
+  const notFound = notFoundPaths(result.errors);
+  const found = new Map();
+  const missing = new Set();
+  fullNames.forEach((fullName, i) => {
+    const repo = result.data[`r${i}`];
+    if (repo) found.set(fullName.toLowerCase(), repo);
+    else if (notFound.has(`r${i}`)) missing.add(fullName.toLowerCase());
+  });
+  return { found, missing };
+}
+
+/** Only listed artifacts flip between active and archived; mirrors keep their link. */
+function metadataPatch(repo, now, status) {
+  return {
+    stars:              repo.stargazerCount || 0,
+    forks:              repo.forkCount || 0,
+    open_issues:        (repo.issues?.totalCount || 0) + (repo.pullRequests?.totalCount || 0),
+    license:            repo.licenseInfo?.spdxId || repo.licenseInfo?.name || null,
+    github_updated_at:  repo.updatedAt,
+    github_node_id:     repo.id,
+    ...(status === 'active' || status === 'archived' ? { status: repo.isArchived ? 'archived' : 'active' } : {}),
+    last_pipeline_sync: now,
+  };
+}
+
+/**
+ * Refresh GitHub metadata for already-enriched artifacts. Artifacts with a
+ * stored node id are looked up 100 at a time through nodes(ids:); the rest
+ * via aliased repository() queries, which also backfills their node id.
+ * Archived repos flip to status 'archived', renamed/transferred repos are
+ * renamed in place (old slug kept as a redirect), and repos GitHub reports
+ * as NOT_FOUND are marked 'removed'.
+ */
+async function runRefresh(limit = REFRESH_LIMIT) {
+  log('🔄', `\n═══ REFRESH: GitHub metadata (limit: ${limit}) ═══\n`);
+
+  const targets = await loadRefreshTargets(limit);
+  if (targets.length === 0) {
+    log('✅', 'No artifacts to refresh');
+    recordStage('refresh', { refreshed: 0 });
+    return 0;
+  }
+  const withNode    = targets.filter(a => a.github_node_id);
+  const withoutNode = targets.filter(a => !a.github_node_id);
+  log('📦', `Refreshing ${targets.length} artifacts (${withNode.length} by node id, ${withoutNode.length} by name)`);
+
+  let refreshed = 0;
+  let removed = 0;
+  let renamed = 0;
+
+  async function applyPatches(batch, lookup, isMissing) {
+    const now = new Date().toISOString();
+    const snapshots = [];
+    for (let i = 0; i < batch.length; i += REFRESH_PATCH_CONCURRENCY) {
+      await Promise.all(batch.slice(i, i + REFRESH_PATCH_CONCURRENCY).map(async (a) => {
+        const repo = lookup(a);
         try {
-          await sbPatch(
-            'raw_repos',
-            `id=eq.${rawRepo.id}`,
-            {
-              enrichment_status: newStatus,
-              enrichment_error: 'Gemini enrichment returned null',
-              enrich_attempts: newAttempts,
-              updated_at: new Date().toISOString(),
+          if (!repo) {
+            const gone = isMissing(a);
+            await sbPatch('artifacts', `id=eq.${a.id}`, gone ? { status: 'removed', last_pipeline_sync: now } : { last_pipeline_sync: now });
+            if (gone) {
+              await sbPatch('artifacts', `parent_artifact_id=eq.${a.id}`, { status: 'removed', last_pipeline_sync: now });
+              removed++;
+              log('  ', `🪦 ${a.github_repo_full_name} no longer exists — marked removed`);
             }
-          );
-        } catch { /* non-critical */ }
-        if (newStatus === 'skipped') {
-          log('  ', `⏭️  Skipping ${rawRepo.github_full_name} after ${newAttempts} failed attempts`);
+            return;
+          }
+          if (repo.nameWithOwner && repo.nameWithOwner !== a.github_repo_full_name) {
+            await renameArtifact(a, repo.nameWithOwner);
+            renamed++;
+          }
+          const patch = metadataPatch(repo, now, a.status);
+          await sbPatch('artifacts', `id=eq.${a.id}`, patch);
+          // Collection members share the repo's stars, license and status (members that left the repo stay removed)
+          await sbPatch('artifacts', `parent_artifact_id=eq.${a.id}&status=neq.removed`, patch);
+          snapshots.push({
+            artifact_id: a.id, snapshot_date: now.substring(0, 10),
+            stars: patch.stars, forks: patch.forks, open_issues: patch.open_issues,
+          });
+          refreshed++;
+        } catch (err) {
+          log('  ', `Refresh update failed for ${a.slug}: ${err.message.substring(0, 80)}`);
+          recordError('refresh', err);
         }
+      }));
+    }
+    // One row per artifact per day; later refreshes the same day overwrite it
+    if (snapshots.length) {
+      try { await sbUpsert('artifact_snapshots', snapshots, 'artifact_id,snapshot_date'); }
+      catch (err) { log('⚠️', `Snapshot write failed: ${err.message.substring(0, 80)}`); }
+    }
+  }
+
+  for (let start = 0; start < withNode.length; start += REFRESH_NODE_BATCH) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping refresh'); break; }
+    const batch = withNode.slice(start, start + REFRESH_NODE_BATCH);
+    const res = await fetchRepoMetadataByNodeIds(batch.map(a => a.github_node_id));
+    if (!res) { log('⚠️', `Nodes batch ${Math.floor(start / REFRESH_NODE_BATCH) + 1} failed — left for next run`); continue; }
+    await applyPatches(batch, a => res.found.get(a.github_node_id), a => res.missing.has(a.github_node_id));
+    log('📊', `Nodes batch ${Math.floor(start / REFRESH_NODE_BATCH) + 1}: ${res.found.size}/${batch.length} resolved (${refreshed} refreshed total)`);
+  }
+
+  for (let start = 0; start < withoutNode.length; start += REFRESH_ALIAS_BATCH) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping refresh'); break; }
+    const batch = withoutNode.slice(start, start + REFRESH_ALIAS_BATCH);
+    const res = await fetchRepoMetadataByName(batch.map(a => a.github_repo_full_name));
+    if (!res) { log('⚠️', `Name batch ${Math.floor(start / REFRESH_ALIAS_BATCH) + 1} failed — left for next run`); continue; }
+    const key = a => a.github_repo_full_name.toLowerCase();
+    await applyPatches(batch, a => res.found.get(key(a)), a => res.missing.has(key(a)));
+    log('📊', `Name batch ${Math.floor(start / REFRESH_ALIAS_BATCH) + 1}: ${res.found.size}/${batch.length} resolved (${refreshed} refreshed total)`);
+  }
+
+  // Velocity-based trending over the whole snapshot history (one SQL call)
+  try {
+    const ranked = await sbRpc('refresh_trending_scores');
+    log('📈', `Trending scores recomputed from snapshots: ${ranked} changed`);
+  } catch (err) {
+    log('⚠️', `Trending recompute skipped: ${err.message.substring(0, 100)}`);
+  }
+
+  log('🏁', `Refresh complete: ${refreshed} artifacts updated, ${renamed} renamed, ${removed} removed`);
+  recordStage('refresh', { refreshed, renamed, removed });
+  return refreshed;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════
+// VERIFY — artifacts → npm / PyPI → artifacts (no Gemini, no GitHub)
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Re-check install commands of existing artifacts: never-verified first,
+ * then the oldest checks. Enrich verifies new artifacts itself; this
+ * backfills older rows and catches packages that were unpublished or moved.
+ */
+async function runVerify(limit = VERIFY_LIMIT) {
+  log('📦', `\n═══ VERIFY: npm / PyPI packages (limit: ${limit}) ═══\n`);
+
+  const targets = [];
+  const PAGE = 1000;
+  while (targets.length < limit) {
+    const batch = await sbGet('artifacts',
+      `select=id,slug,github_repo_full_name,artifact_type_id,install_command,npm_package_name,field_sources` +
+      `&status=in.(active,archived)` +
+      `&order=package_verified_at.asc.nullsfirst` +
+      `&limit=${Math.min(PAGE, limit - targets.length)}&offset=${targets.length}`
+    );
+    targets.push(...batch);
+    if (batch.length < PAGE) break;
+  }
+  if (targets.length === 0) {
+    log('✅', 'No artifacts to verify');
+    recordStage('verify', {});
+    return 0;
+  }
+
+  const counts = {};
+  let corrected = 0;
+  for (let i = 0; i < targets.length; i += VERIFY_CONCURRENCY) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping verify'); break; }
+    await Promise.all(targets.slice(i, i + VERIFY_CONCURRENCY).map(async (a) => {
+      const patch = await verifyArtifactPackage(a);
+      counts[patch.package_verification] = (counts[patch.package_verification] || 0) + 1;
+      if (patch.install_command) corrected++;
+      try {
+        await sbPatch('artifacts', `id=eq.${a.id}`, patch);
+      } catch (err) {
+        log('  ', `Verify update failed for ${a.slug}: ${err.message.substring(0, 80)}`);
+        recordError('verify', err);
+      }
+    }));
+    if (i > 0 && i % 200 === 0) log('  ', `verify: ${i}/${targets.length}`);
+  }
+
+  log('🏁', `Verify complete: ${Object.entries(counts).map(([k, n]) => `${n} ${k}`).join(', ')}; ${corrected} install commands corrected`);
+  recordStage('verify', { ...counts, corrected });
+  return targets.length;
+}
+
+
+// ═══════════════════════════════════════════════════════════════════════
+// RE-ENRICH — artifacts → README + manifests → content hash → classifier
+// ═══════════════════════════════════════════════════════════════════════
+
+// Classifier-owned columns; changes to these are written to artifact_field_changes
+const AUDITED_FIELDS = [
+  'name', 'description', 'long_description', 'artifact_type_id', 'category_id', 'tags',
+  'install_command', 'npm_package_name', 'version', 'meta_title', 'meta_description',
+];
+
+/** Field-level diff between the stored artifact and its rebuilt row. */
+function diffArtifact(before, after) {
+  const changes = [];
+  for (const field of AUDITED_FIELDS) {
+    const oldValue = before[field] ?? null;
+    const newValue = after[field] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({ field, old_value: oldValue, new_value: newValue });
+    }
+  }
+  return changes;
+}
+
+// field_sources key → the columns an LLM classification wrote for it
+const LLM_OWNED = {
+  artifact_type:    ['artifact_type_id'],
+  category:         ['category_id'],
+  long_description: ['long_description'],
+  tags:             ['tags'],
+  install_command:  ['install_command'],
+  npm_package_name: ['npm_package_name'],
+};
+
+/**
+ * A re-enriched repo that came back heuristic (fast path, or the LLM failed)
+ * keeps the fields its earlier LLM classification set, unless a manifest now
+ * supplies them. Applied to the rebuilt artifact in place.
+ */
+function keepLLMClassification(after, before) {
+  if (after.classification_source !== 'heuristic' || before?.classification_source !== 'llm') return;
+  const oldSources = before.field_sources || {};
+  const sources = { ...after.field_sources };
+  const classifierOnly = (source) => String(source || 'default').split('+').every(s => ['heuristic', 'default', 'github'].includes(s));
+
+  for (const [key, columns] of Object.entries(LLM_OWNED)) {
+    if (!String(oldSources[key] || '').split('+').includes('llm') || !classifierOnly(sources[key])) continue;
+    for (const column of columns) after[column] = before[column];
+    sources[key] = oldSources[key];
+  }
+  if (String(oldSources.compatible_platforms) === 'llm' && classifierOnly(sources.compatible_platforms)) {
+    sources.compatible_platforms = 'llm';
+    after._platform_labels = [];   // junction rows from the LLM pass stay as they are
+  }
+  after.meta_title = before.meta_title ?? after.meta_title;
+  after.meta_description = before.meta_description ?? after.meta_description;
+  after.field_sources = sources;
+  after.enrich_llm_usage = addUsage(before.enrich_llm_usage, after.enrich_llm_usage);   // plus what a failed retry cost
+  after.classification_source = 'llm';
+  after.classification_confidence = null;
+}
+
+/**
+ * Refetch README and manifests for the artifacts checked longest ago and
+ * re-classify only those whose content hash moved. Unchanged repos cost no
+ * LLM call; rows enriched before hashes existed are baselined, not re-run.
+ */
+async function runReenrich(limit = REENRICH_LIMIT) {
+  log('♻️', `\n═══ RE-ENRICH: changed READMEs / manifests (limit: ${limit}) ═══\n`);
+
+  const targets = [];
+  const PAGE = 1000;
+  while (targets.length < limit) {
+    const batch = await sbGet('artifacts',
+      `select=id,slug,github_repo_full_name,content_hash,similarity_hash,quality_score,status,stars,github_created_at,canonical_artifact_id,` +
+      `classification_source,field_sources,enrich_llm_usage,${AUDITED_FIELDS.join(',')}` +
+      `&status=in.(active,archived,mirror,pending_review,hidden)&subpath=eq.` +
+      `&order=content_checked_at.asc.nullsfirst` +
+      `&limit=${Math.min(PAGE, limit - targets.length)}&offset=${targets.length}`
+    );
+    targets.push(...batch);
+    if (batch.length < PAGE) break;
+  }
+  if (targets.length === 0) {
+    log('✅', 'No artifacts to re-check');
+    recordStage('reenrich', {});
+    return 0;
+  }
+
+  const counts = { unchanged: 0, baselined: 0, changed: 0 };
+  let fieldChanges = 0;
+  let upserted = 0;
+  for (let start = 0; start < targets.length; start += ENRICH_WAVE_SIZE) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping re-enrich'); break; }
+    if (llm.exhausted) { log('💸', 'LLM budget used up — stopping re-enrich'); break; }
+    const slice = targets.slice(start, start + ENRICH_WAVE_SIZE);
+    const byName = new Map(slice.map(a => [a.github_repo_full_name, a]));
+
+    const names = slice.map(a => `"${a.github_repo_full_name}"`).join(',');
+    const wave = await sbGet('raw_repos', `github_full_name=in.(${encodeURIComponent(names)})&select=${ENRICH_SELECT}`);
+
+    // Always refetch — the stored README is what we're comparing against
+    await Promise.all(wave.map(async (row) => {
+      const readme = await fetchReadme(row.owner_login, row.repo_name, row.default_branch);
+      if (readme) row.readme_raw = readme;
+    }));
+
+    const inputs = await loadEnrichInputs(wave);
+    const overrides = await loadQualityOverrides(wave.map(row => row.github_full_name));
+    const now = new Date().toISOString();
+    const changed = [];
+    const unlinked = [];
+    for (const row of wave) {
+      const artifact = byName.get(row.github_full_name);
+      const hash = inputs.hashByRepo.get(row.github_full_name);
+      if (artifact.content_hash && artifact.content_hash !== hash) {
+        changed.push(row);
         continue;
       }
+      counts[artifact.content_hash ? 'unchanged' : 'baselined']++;
+      const simhash = inputs.simhashByRepo.get(row.github_full_name);
+      const patch = { content_hash: hash, content_checked_at: now, similarity_hash: simhash, similarity_bands: similarityBands(simhash) };
+      // Artifacts enriched before the quality gate are scored (and gated) on their first check
+      let score = artifact.quality_score;
+      if (score == null) {
+        const quality = scoreQuality({
+          row, paths: inputs.treeByRepo.get(row.github_full_name), files: inputs.filesByRepo.get(row.github_full_name),
+          enrichment: null, commits: inputs.commitsByRepo.get(row.github_full_name),
+        });
+        Object.assign(patch, { quality_score: quality.score, quality_reasons: quality.reasons });
+        score = quality.score;
+      }
+      // A moderator's quality_override releases a held artifact as well as burying a listed one
+      const override = overrides.get(row.github_full_name);
+      if (GATED_STATUSES.includes(artifact.status) && (override || artifact.quality_score == null)) {
+        const status = override || qualityStatus(score);
+        if (status !== artifact.status) {
+          patch.status = status;
+          log('  ', `🚧 ${row.github_full_name}: ${override ? 'override' : `quality ${score}`} → ${status}`);
+        }
+      }
+      try {
+        await sbPatch('artifacts', `id=eq.${artifact.id}`, patch);
+        if (patch.status) await sbPatch('artifacts', `parent_artifact_id=eq.${artifact.id}&status=in.(${GATED_STATUSES.join(',')})`, { status: patch.status });
+        if (row.content_hash !== hash) await sbPatch('raw_repos', `id=eq.${row.id}`, { content_hash: hash });
+      } catch (err) {
+        log('  ', `Hash update failed for ${artifact.slug}: ${err.message.substring(0, 80)}`);
+        recordError('reenrich', err);
+      }
+      // Artifacts enriched before similarity hashing get their first mirror check here
+      if (simhash && simhash !== artifact.similarity_hash) {
+        unlinked.push({ ...artifact, _id: artifact.id, status: patch.status || artifact.status, similarity_hash: simhash, _fork_parent: row.fork_parent || null });
+      }
+    }
+    if (unlinked.length) {
+      const mirrors = await linkMirrors(unlinked);
+      if (mirrors) log('🪞', `${mirrors} artifacts linked as mirrors`);
+    }
+    // Artifacts whose raw_repos row is gone can't be rebuilt; just push them back in the queue
+    for (const artifact of slice) {
+      if (wave.some(row => row.github_full_name === artifact.github_repo_full_name)) continue;
+      try { await sbPatch('artifacts', `id=eq.${artifact.id}`, { content_checked_at: now }); } catch { /* non-critical */ }
+    }
+    if (changed.length === 0) continue;
+    counts.changed += changed.length;
 
-      // Increment attempt counter even on success
+    for (const row of changed) {
       try {
-        await sbPatch(
-          'raw_repos',
-          `id=eq.${rawRepo.id}`,
-          { enrich_attempts: (rawRepo.enrich_attempts || 0) + 1, updated_at: new Date().toISOString() }
-        );
+        await sbPatch('raw_repos', `id=eq.${row.id}`, { readme_raw: (row.readme_raw || '').substring(0, 50000) || null });
       } catch { /* non-critical */ }
-
-      const contributorId = await ensureContributor(rawRepo);
-      const artifact = buildArtifact(rawRepo, enrichment, contributorId);
-      if (artifact) {
-        artifact._raw_repo_full_name = rawRepo.github_full_name;
-        artifacts.push(artifact);
-        enriched++;
-      }
     }
 
-    if (artifacts.length > 0) {
-      totalUpserted += await upsertArtifacts(artifacts);
+    const { artifacts } = await classifyWave(changed, inputs, `Re-enrich ${changed.length} changed`);
+    for (const after of artifacts) keepLLMClassification(after, byName.get(after.github_repo_full_name));
+    upserted += await saveEnrichedArtifacts(artifacts, inputs.treeByRepo);
+
+    // Audit trail: which classifier-owned fields moved
+    const changeRows = [];
+    for (const after of artifacts) {
+      const before = byName.get(after.github_repo_full_name);
+      const diff = diffArtifact(before, after);
+      log('  ', `♻️  ${after.github_repo_full_name}: ${diff.length ? diff.map(c => c.field).join(', ') : 'no classified fields moved'}`);
+      changeRows.push(...diff.map(c => ({
+        artifact_id: before.id, ...c, reason: 'reenrich', old_hash: before.content_hash, new_hash: after.content_hash,
+      })));
+    }
+    fieldChanges += changeRows.length;
+    if (changeRows.length) {
+      try { await sbUpsert('artifact_field_changes', changeRows); }
+      catch (err) { log('⚠️', `Change audit failed: ${err.message.substring(0, 80)}`); }
     }
+  }
+
+  log('🏁', `Re-enrich complete: ${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.baselined} baselined; ` +
+    `${fieldChanges} field changes recorded, ${upserted} upserted`);
+  recordStage('reenrich', { ...counts, field_changes: fieldChanges, upserted });
+  return counts.changed;
+}
+
 
-    const pct = Math.round(((start + wave.length) / pending.length) * 100);
-    log('📊', `Progress: ${enriched} enriched, ${failed} failed (${pct}%)`);
+// ═══════════════════════════════════════════════════════════════════════
+// CONTRIBUTORS — GitHub users / orgs → contributors (no Gemini)
+// ═══════════════════════════════════════════════════════════════════════
+
+const CONTRIBUTOR_BATCH = 50;           // aliased repositoryOwner() lookups per query
+const CONTRIBUTOR_REFRESH_DAYS = 7;
+
+const OWNER_FIELDS = `
+  __typename login avatarUrl url
+  ... on User {
+    name bio location websiteUrl
+    followers { totalCount }
+    repositories(privacy: PUBLIC, ownerAffiliations: OWNER) { totalCount }
   }
+  ... on Organization {
+    name description location websiteUrl isVerified
+    repositories(privacy: PUBLIC) { totalCount }
+  }`;
+
+function contributorPatch(owner, now) {
+  const isOrg = owner.__typename === 'Organization';
+  const website = (owner.websiteUrl || '').trim();
+  return {
+    display_name:       owner.name?.trim() || owner.login,
+    avatar_url:         owner.avatarUrl,
+    github_url:         owner.url,
+    bio:                (isOrg ? owner.description : owner.bio)?.trim() || null,
+    location:           owner.location?.trim() || null,
+    website:            !website ? null : /^https?:\/\//i.test(website) ? website : `https://${website}`,
+    followers:          isOrg ? null : owner.followers?.totalCount ?? null,  // orgs have no follower count in GraphQL
+    public_repos:       owner.repositories?.totalCount ?? null,
+    owner_type:         isOrg ? 'organization' : 'user',
+    is_verified:        isOrg && !!owner.isVerified,
+    profile_updated_at: now,
+  };
+}
 
-  log('🏁', `Enrich complete: ${enriched} enriched, ${failed} failed, ${totalUpserted} upserted to artifacts`);
-  return totalUpserted;
+/**
+ * Profile the contributors never profiled or profiled longest ago. Accounts
+ * that no longer exist keep their row (artifacts still point at it) and are
+ * only stamped, so they aren't retried every run.
+ */
+async function runContributors(limit = CONTRIBUTORS_LIMIT) {
+  log('👤', `\n═══ CONTRIBUTORS: GitHub profiles (limit: ${limit}) ═══\n`);
+
+  const staleBefore = new Date(Date.now() - CONTRIBUTOR_REFRESH_DAYS * 86400000).toISOString();
+  const targets = [];
+  while (targets.length < limit) {
+    const batch = await sbGet('contributors',
+      `select=id,github_username` +
+      `&or=(profile_updated_at.is.null,profile_updated_at.lt.${staleBefore})` +
+      `&order=profile_updated_at.asc.nullsfirst` +
+      `&limit=${Math.min(1000, limit - targets.length)}&offset=${targets.length}`
+    );
+    targets.push(...batch);
+    if (batch.length < 1000) break;
+  }
+  if (targets.length === 0) {
+    log('✅', 'No contributors to profile');
+    recordStage('contributors', { profiled: 0 });
+    return 0;
+  }
+  log('📦', `Profiling ${targets.length} contributors`);
+
+  let profiled = 0;
+  let orgs = 0;
+  let missing = 0;
+  for (let start = 0; start < targets.length; start += CONTRIBUTOR_BATCH) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping contributors'); break; }
+    const batch = targets.slice(start, start + CONTRIBUTOR_BATCH);
+    const aliases = batch.map((c, i) => `o${i}: repositoryOwner(login: ${JSON.stringify(c.github_username)}) { ${OWNER_FIELDS} }`);
+    const result = await githubGraphQL(`query { ${aliases.join('\n')} }`);
+    if (!result?.data) { log('⚠️', `Contributor batch ${Math.floor(start / CONTRIBUTOR_BATCH) + 1} failed — left for next run`); continue; }
+
+    const now = new Date().toISOString();
+    for (let i = 0; i < batch.length; i += REFRESH_PATCH_CONCURRENCY) {
+      await Promise.all(batch.slice(i, i + REFRESH_PATCH_CONCURRENCY).map(async (c, j) => {
+        const owner = result.data[`o${i + j}`];
+        try {
+          if (!owner) {
+            await sbPatch('contributors', `id=eq.${c.id}`, { profile_updated_at: now });
+            missing++;
+            return;
+          }
+          const patch = contributorPatch(owner, now);
+          await sbPatch('contributors', `id=eq.${c.id}`, patch);
+          profiled++;
+          if (patch.owner_type === 'organization') orgs++;
+        } catch (err) {
+          log('  ', `Profile update failed for ${c.github_username}: ${err.message.substring(0, 80)}`);
+          recordError('contributors', err);
+        }
+      }));
+    }
+    log('📊', `Contributor batch ${Math.floor(start / CONTRIBUTOR_BATCH) + 1}: ${profiled} profiled total`);
+  }
+
+  log('🏁', `Contributors complete: ${profiled} profiled (${orgs} organisations), ${missing} no longer on GitHub`);
+  recordStage('contributors', { profiled, orgs, missing });
+  return profiled;
 }
 
 
@@ -1009,7 +3673,7 @@ async function runBulk() {
   log('📦', `\n═══ BULK MODE — full discover + enrich ═══\n`);
 
   // Phase 1: Full discovery (all queries, all buckets)
-  await runDiscover(SEARCH_QUERIES, 0);
+  await runDiscover(SEARCH_QUERIES, 0, { resume: true });
 
   // Phase 2: Enrich everything pending (large limit)
   await runEnrich(10000);
@@ -1021,6 +3685,8 @@ async function main() {
   const startTime = Date.now();
   validateEnv();
   await loadLookups();
+  const mode = Object.keys(FLAGS).find(f => FLAGS[f]) || 'incremental';
+  await startRun('scrape-github', { store, mode, typeFilter: TYPE_FILTER });
 
   if (FLAGS.discover) {
     // Discover only — optionally filtered by --type and capped by --discover-limit
@@ -1033,10 +3699,18 @@ async function main() {
         return;
       }
     }
-    await runDiscover(queries, DISCOVER_LIMIT || 0);
+    await runDiscover(queries, DISCOVER_LIMIT || 0, { resume: true });
   } else if (FLAGS.enrich) {
     // Enrich only — pick up pending/failed rows
     await runEnrich(ENRICH_LIMIT);
+  } else if (FLAGS.refresh) {
+    await runRefresh(REFRESH_LIMIT);
+  } else if (FLAGS.verify) {
+    await runVerify(VERIFY_LIMIT);
+  } else if (FLAGS.reenrich) {
+    await runReenrich(REENRICH_LIMIT);
+  } else if (FLAGS.contributors) {
+    await runContributors(CONTRIBUTORS_LIMIT);
   } else if (FLAGS.bulk) {
     await runBulk();
   } else {
@@ -1047,7 +3721,17 @@ async function main() {
   log('⏱️', `Total time: ${elapsed} min`);
 }
 
-main().catch((err) => {
-  console.error('\n❌ Fatal:', err);
-  process.exit(1);
-});
+/** LLM tokens, model and estimated cost for the run log, when the run used the LLM. */
+function recordLLMUsage() {
+  const totals = llm.totals();
+  if (totals.calls || 'budget_exhausted' in totals) recordStage('llm', totals);
+}
+
+main()
+  .then(() => { recordLLMUsage(); return finishRun(timeExpired() ? 'time_budget' : 'completed'); })
+  .catch(async (err) => {
+    console.error('\n❌ Fatal:', err);
+    recordLLMUsage();
+    await finishRun('fatal', err);
+    process.exit(1);
+  });
@@ -12,6 +12,8 @@
  *
  * All APIs are unauthenticated. No GitHub PAT or special tokens needed.
  * This can discover thousands of MCP servers in minutes with zero rate limit issues.
+ * LOCAL_STORE=<dir> saves to local JSON files instead of Supabase (scripts/lib/store.mjs).
+ * HTTP_FIXTURES=record|replay captures or serves the registry calls (scripts/lib/http-fixtures.mjs).
  *
  * Usage:
  *   node scripts/scrape-registries.mjs [--time-budget M]
@@ -20,6 +22,13 @@
  *   node scripts/scrape-registries.mjs --awesome     # Awesome lists only
  */
 
+import { startRun, recordStage, recordError, finishRun } from './lib/run-ledger.mjs';
+import { installHttpFixtures } from './lib/http-fixtures.mjs';
+import { createStore } from './lib/store.mjs';
+
+// HTTP_FIXTURES=record|replay — capture or serve external calls (tests)
+installHttpFixtures();
+
 // ─────────────────────────── CLI flags ───────────────────────────
 
 const FLAGS = {
@@ -52,36 +61,18 @@ const ENV = {
 };
 
 function validateEnv() {
+  if (store.kind === 'local') { log('📁', `Writing to the ${store.label}`); return; }
   const missing = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'].filter(k => !ENV[k]);
   if (missing.length) { console.error(`Missing: ${missing.join(', ')}`); process.exit(1); }
 }
 
 // ─────────────────────────── Supabase ────────────────────────────
+// Supabase REST, or the JSON files under LOCAL_STORE (scripts/lib/store.mjs)
 
-const sbHeaders = () => ({
-  'Content-Type':  'application/json',
-  Authorization:   `Bearer ${ENV.SUPABASE_SERVICE_ROLE_KEY}`,
-  apikey:          ENV.SUPABASE_SERVICE_ROLE_KEY,
-});
-
-async function sbUpsert(table, rows, onConflict) {
-  const headers = { ...sbHeaders(), Prefer: 'resolution=merge-duplicates,return=representation' };
-  const res = await fetch(
-    `${ENV.SUPABASE_URL}/rest/v1/${table}${onConflict ? `?on_conflict=${onConflict}` : ''}`,
-    { method: 'POST', headers, body: JSON.stringify(rows) },
-  );
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Supabase UPSERT ${table}: ${res.status} ${text.substring(0, 300)}`);
-  }
-  return res.json();
-}
+const store = createStore();
 
-async function sbGet(table, query = '') {
-  const res = await fetch(`${ENV.SUPABASE_URL}/rest/v1/${table}?${query}`, { headers: sbHeaders() });
-  if (!res.ok) throw new Error(`Supabase GET ${table}: ${res.status} ${await res.text()}`);
-  return res.json();
-}
+const sbUpsert = (table, rows, onConflict) => store.upsert(table, rows, onConflict);
+const sbGet    = (table, query = '') => store.get(table, query);
 
 function extractGithubFullName(url) {
   if (!url) return null;
@@ -99,6 +90,7 @@ async function saveRows(rows, source) {
       saved += result.length;
     } catch (err) {
       log('⚠️', `${source} batch error: ${err.message.substring(0, 120)}`);
+      recordError(source, err);
       for (const row of chunk) {
         try { await sbUpsert('raw_repos', [row], 'github_full_name'); saved++; }
         catch { /* skip */ }
@@ -138,7 +130,8 @@ async function scrapeOfficialRegistry() {
 
       const data = await res.json();
 
-      // The API returns { servers: [...], next_cursor: "..." }
+      // v0.1: { servers: [{ server, _meta }], metadata: { nextCursor } }
+      // older: { servers: [...], next_cursor }
       const items = data.servers || data.items || data;
       if (!Array.isArray(items) || items.length === 0) break;
 
@@ -146,12 +139,13 @@ async function scrapeOfficialRegistry() {
       page++;
       log('📋', `Page ${page}: ${items.length} servers (${servers.length} total)`);
 
-      cursor = data.next_cursor || data.nextCursor || null;
+      cursor = data.metadata?.nextCursor || data.next_cursor || data.nextCursor || null;
       if (!cursor) break;
 
       await sleep(500);
     } catch (err) {
       log('⚠️', `Registry fetch error: ${err.message.substring(0, 100)}`);
+      recordError('official', err);
       break;
     }
   }
@@ -160,7 +154,9 @@ async function scrapeOfficialRegistry() {
 
   // Convert to raw_repos rows
   const rows = [];
-  for (const server of servers) {
+  for (const item of servers) {
+    const server = item.server || item;
+    const published = item._meta?.['io.modelcontextprotocol.registry/official'];
     const ghUrl = server.repository?.url || server.source_url || server.url || '';
     const fullName = extractGithubFullName(ghUrl);
     if (!fullName) continue;  // Skip servers without a GitHub repo
@@ -181,8 +177,8 @@ async function scrapeOfficialRegistry() {
       github_url:        `https://github.com/${fullName}`,
       owner_avatar_url:  null,
       owner_html_url:    `https://github.com/${owner}`,
-      github_created_at: server.created_at || null,
-      github_updated_at: server.updated_at || null,
+      github_created_at: server.created_at || published?.publishedAt || null,
+      github_updated_at: server.updated_at || published?.updatedAt || null,
       readme_raw:        null,
       type_hint:         'mcp-server',
       source:            'official-registry',
@@ -238,6 +234,7 @@ async function scrapePulseMCP() {
       await sleep(500);
     } catch (err) {
       log('⚠️', `PulseMCP error: ${err.message.substring(0, 100)}`);
+      recordError('pulsemcp', err);
       if (offset === 0) {
         const altServers = await scrapePulseMCPAlternative();
         servers.push(...altServers);
@@ -250,7 +247,7 @@ async function scrapePulseMCP() {
 
   const rows = [];
   for (const server of servers) {
-    const ghUrl = server.source_url || server.github_url || server.repository_url ||
+    const ghUrl = server.source_code_url || server.source_url || server.github_url || server.repository_url ||
                   server.repo_url || server.url || '';
     const fullName = extractGithubFullName(ghUrl);
     if (!fullName) continue;
@@ -343,14 +340,13 @@ const AWESOME_LISTS = [
 ];
 
 function extractGithubLinks(markdown) {
-  const regex = /\[([^\]]*)\]\(https?:\/\/github\.com\/([a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+)\/?[^)]*\)/g;
+  const regex = /\[([^\]]*)\]\(https?:\/\/github\.com\/([a-zA-Z0-9._-]+\/[a-zA-Z0-9._-]+)(\/?[^)]*)\)/g;
   const links = [];
   let match;
   while ((match = regex.exec(markdown)) !== null) {
-    const [, title, fullName] = match;
-    if (fullName.includes('/issues') || fullName.includes('/pull') ||
-        fullName.includes('/wiki') || fullName.includes('/blob') ||
-        fullName.includes('/tree')) continue;
+    const [, title, fullName, rest] = match;
+    // Links into a repo (issue forms, files, wiki pages) aren't tools
+    if (/^\/(issues|pull|wiki|blob|tree)\b/.test(rest)) continue;
     links.push({ title: title.trim(), fullName: fullName.replace(/\.git$/, '') });
   }
   return links;
@@ -435,24 +431,26 @@ async function scrapeAwesomeLists() {
 async function main() {
   const startTime = Date.now();
   validateEnv();
+  const sources = Object.keys(FLAGS).filter(f => RUN_ALL || FLAGS[f]);
+  await startRun('scrape-registries', { store, mode: RUN_ALL ? 'all' : sources.join('+') });
 
+  const scrapers = { official: scrapeOfficialRegistry, pulsemcp: scrapePulseMCP, awesome: scrapeAwesomeLists };
   let total = 0;
 
-  if (FLAGS.official || RUN_ALL) {
-    total += await scrapeOfficialRegistry();
-  }
-  if (FLAGS.pulsemcp || RUN_ALL) {
-    total += await scrapePulseMCP();
-  }
-  if (FLAGS.awesome || RUN_ALL) {
-    total += await scrapeAwesomeLists();
+  for (const source of sources) {
+    const saved = await scrapers[source]();
+    recordStage(source, { saved });
+    total += saved;
   }
 
   const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
   log('🏁', `Registry aggregator complete: ${total} total repos saved in ${elapsed} min`);
 }
 
-main().catch((err) => {
-  console.error('\n❌ Fatal:', err);
-  process.exit(1);
-});
+main()
+  .then(() => finishRun(timeExpired() ? 'time_budget' : 'completed'))
+  .catch(async (err) => {
+    console.error('\n❌ Fatal:', err);
+    await finishRun('fatal', err);
+    process.exit(1);
+  });
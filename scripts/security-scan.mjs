@@ -0,0 +1,343 @@
+#!/usr/bin/env node
+
+/**
+ * OneSkill Security Scan Pipeline
+ *
+ * MCP servers and skills run with the user's credentials and shell. This
+ * downloads each one's source (one codeload tarball per repo, no API quota)
+ * and statically flags risky patterns, line by line:
+ *
+ *   shell-exec        high   – exec / spawn / os.system / shell=True with interpolated input
+ *   eval              high   – eval, new Function, Python exec
+ *   fs-write          medium – writes to absolute or home paths (high for ~/.ssh, shell rc, /etc, …)
+ *   network-host      low    – calls to hard-coded hosts (high for raw IP addresses)
+ *   obfuscation       high   – _0x identifiers, long hex-escape runs, decoded base64 blobs
+ *   install-script    medium – npm pre/post/install scripts (high if they download or eval)
+ *   pipe-to-shell     high   – SKILL.md / rule files telling the agent to run `curl … | sh`
+ *
+ * Tests, examples, vendored code and build output are skipped. Findings go to
+ * artifact_security_findings (replaced on every scan); artifacts get
+ * per-severity counts, security_scan_status 'scanned' and
+ * security_scanned_at. Collection members get the findings under their
+ * subpath. A repo whose source can't be downloaded is stamped 'unavailable'
+ * with no counts, so it never reads as clean.
+ *
+ * Flags:
+ *   --limit N        : max repos to scan per run (default: 300)
+ *   --time-budget M  : stop cleanly after M minutes
+ *
+ * LOCAL_STORE=<dir> reads and writes local JSON files instead of Supabase
+ * (scripts/lib/store.mjs). HTTP_FIXTURES=record|replay captures or serves
+ * the tarball downloads (scripts/lib/http-fixtures.mjs). Each run is logged
+ * to pipeline_runs for /status (scripts/lib/run-ledger.mjs).
+ *
+ * Cost: codeload downloads only. No GitHub API, no LLM.
+ */
+
+import { VENDORED_DIR_RE, fetchRepoSource } from './lib/repo-source.mjs';
+import { startRun, recordStage, recordError, finishRun } from './lib/run-ledger.mjs';
+import { installHttpFixtures } from './lib/http-fixtures.mjs';
+import { createStore } from './lib/store.mjs';
+
+// HTTP_FIXTURES=record|replay — capture or serve external calls (tests)
+installHttpFixtures();
+
+// ─────────────────────────── Config ───────────────────────────────────
+
+const LIMIT_ARG = process.argv.indexOf('--limit');
+const LIMIT = LIMIT_ARG !== -1 ? parseInt(process.argv[LIMIT_ARG + 1], 10) || 300 : 300;
+
+const TIME_BUDGET_ARG = process.argv.indexOf('--time-budget');
+const TIME_BUDGET_MIN = TIME_BUDGET_ARG !== -1 ? parseInt(process.argv[TIME_BUDGET_ARG + 1], 10) || 0 : 0;
+const START_TIME = Date.now();
+
+const SCANNED_TYPES = ['mcp-server', 'skill'];
+const MAX_FINDINGS_PER_RULE_FILE = 3;
+const MAX_FINDINGS = 100;
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+function log(emoji, msg) { console.log(`${emoji}  ${msg}`); }
+function timeExpired() { return TIME_BUDGET_MIN > 0 && (Date.now() - START_TIME) / 60000 >= TIME_BUDGET_MIN; }
+
+// ─────────────────────────── Environment ──────────────────────────────
+
+const ENV = {
+  SUPABASE_URL:              process.env.SUPABASE_URL,
+  SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
+};
+
+function validateEnv() {
+  const required = store.kind === 'local' ? [] : ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+  const missing = required.filter(k => !ENV[k]);
+  if (missing.length) { console.error(`Missing: ${missing.join(', ')}`); process.exit(1); }
+  log('✅', `Security scan starting (limit: ${LIMIT}${TIME_BUDGET_MIN ? `, budget: ${TIME_BUDGET_MIN}min` : ''})` +
+    (store.kind === 'local' ? ` — ${store.label}` : ''));
+}
+
+// ─────────────────────────── Supabase ─────────────────────────────────
+// Supabase REST, or the JSON files under LOCAL_STORE (scripts/lib/store.mjs)
+
+const store = createStore();
+
+const sbGet    = (table, query = '') => store.get(table, query);
+const sbInsert = (table, rows) => store.upsert(table, rows);
+const sbPatch  = (table, query, body) => store.patch(table, query, body);
+const sbDelete = (table, query) => store.delete(table, query);
+
+// ─────────────────────────── Source files ─────────────────────────────
+
+const SKIP_DIR_RE = /(^|\/)(tests?|__tests__|spec|examples?|fixtures|docs?)\//i;
+const SKIP_FILE_RE = /\.(min|bundle)\.js$|\.(test|spec)\.[cm]?[jt]sx?$|(^|\/)test_[^/]*\.py$|_test\.(py|go)$|\.d\.ts$/i;
+const CODE_RE = /\.([cm]?js|jsx|tsx?|py|sh|bash|zsh)$/i;
+const INSTRUCTION_RE = /(^|\/)(SKILL\.md|\.cursorrules|[^/]+\.mdc)$/i;
+
+function shouldScan(path) {
+  if (VENDORED_DIR_RE.test(path) || SKIP_DIR_RE.test(path) || SKIP_FILE_RE.test(path)) return false;
+  return CODE_RE.test(path) || INSTRUCTION_RE.test(path) || /(^|\/)package\.json$/.test(path);
+}
+
+// ─────────────────────────── Rules ────────────────────────────────────
+
+const IS_JS = /\.([cm]?js|jsx|tsx?)$/i;
+const IS_PY = /\.py$/i;
+const IS_SH = /\.(sh|bash|zsh)$/i;
+
+// Interpolated or concatenated argument: template literal with ${}, f-string, +, %, .format(
+const INTERPOLATED_RE = /`[^`]*\$\{|\bf["'][^"']*\{|["'`]\s*\+|\+\s*["'`]|["']\s*%\s*[\w(]|\.format\(/;
+// exec( / spawn( as imported names or on child_process — not RegExp#exec
+const JS_SHELL_CALL_RE = /(?<![\w.])(exec|execSync|spawn|spawnSync|execa)\s*\(|\b(child_process|childProcess|cp)\.(exec|execSync|spawn|spawnSync)\s*\(/;
+const SENSITIVE_PATH_RE = /\.ssh\b|authorized_keys|\.(bash|zsh)rc\b|\.profile\b|\/etc\/|\.aws\/|\.config\/gcloud|\.npmrc|\.gitconfig/;
+const LOCAL_HOST_RE = /^(localhost|127\.\d+\.\d+\.\d+|0\.0\.0\.0|\[?::1\]?|example\.(com|org))$/i;
+
+/** Line rules: { id, severity, files, test(line) → message | null }. `severity` may be a function of the line. */
+const LINE_RULES = [
+  {
+    id: 'shell-exec', files: IS_JS,
+    test: (l) => JS_SHELL_CALL_RE.test(l) && (INTERPOLATED_RE.test(l) || /shell\s*:\s*true/.test(l))
+      ? 'Shell command built from variable input' : null,
+    severity: (l) => INTERPOLATED_RE.test(l) ? 'high' : 'medium',
+  },
+  {
+    id: 'shell-exec', files: IS_PY,
+    test: (l) => /\bos\.(system|popen)\s*\(/.test(l) || /\bsubprocess\.\w+\(.*shell\s*=\s*True/.test(l)
+      ? 'Shell command via os.system / subprocess shell=True' : null,
+    severity: (l) => INTERPOLATED_RE.test(l) || !/\(\s*["'][^"']*["']\s*[,)]/.test(l) ? 'high' : 'medium',
+  },
+  {
+    id: 'eval', files: IS_JS,
+    test: (l) => /(?<![.\w])eval\s*\(|\bnew\s+Function\s*\(/.test(l) ? 'Dynamic code evaluation (eval / new Function)' : null,
+    severity: 'high',
+  },
+  {
+    id: 'eval', files: IS_PY,
+    test: (l) => /(?<![.\w])(eval|exec)\s*\(/.test(l) && !/^\s*(def|#)/.test(l) ? 'Dynamic code evaluation (eval / exec)' : null,
+    severity: 'high',
+  },
+  {
+    id: 'fs-write', files: IS_JS,
+    test: (l) => /\b(writeFile|writeFileSync|appendFile|appendFileSync|createWriteStream)\s*\(/.test(l)
+      && (/\(\s*[`'"](\/|~)/.test(l) || /homedir\(\)|process\.env\.HOME/.test(l) || SENSITIVE_PATH_RE.test(l))
+      ? 'Writes outside the working directory' : null,
+    severity: (l) => SENSITIVE_PATH_RE.test(l) ? 'high' : 'medium',
+  },
+  {
+    id: 'fs-write', files: IS_PY,
+    test: (l) => (/\bopen\s*\(.*,\s*["'][wa]b?\+?["']\s*\)/.test(l) || /\.write_(text|bytes)\s*\(/.test(l))
+      && (/\(\s*f?["'](\/|~)/.test(l) || /expanduser|Path\.home\(\)|environ\[["']HOME/.test(l) || SENSITIVE_PATH_RE.test(l))
+      ? 'Writes outside the working directory' : null,
+    severity: (l) => SENSITIVE_PATH_RE.test(l) ? 'high' : 'medium',
+  },
+  {
+    id: 'fs-write', files: IS_SH,
+    test: (l) => />>?\s*(~\/|\$HOME\/|\/etc\/)/.test(l) ? 'Writes outside the working directory' : null,
+    severity: (l) => SENSITIVE_PATH_RE.test(l) || /\/etc\//.test(l) ? 'high' : 'medium',
+  },
+  {
+    id: 'network-host', files: /\.([cm]?js|jsx|tsx?|py)$/i,
+    test: (l) => {
+      if (!/\b(fetch|axios(\.\w+)?|got|request|https?\.(get|request)|requests\.\w+|httpx\.\w+|urlopen|aiohttp|WebSocket)\s*\(/.test(l)) return null;
+      const host = /["'`]https?:\/\/([^/"'`:\s]+)/.exec(l)?.[1];
+      return host && !LOCAL_HOST_RE.test(host) ? `Outbound call to hard-coded host ${host}` : null;
+    },
+    severity: (l) => /["'`]https?:\/\/\d{1,3}(\.\d{1,3}){3}\b/.test(l) ? 'high' : 'low',
+  },
+  {
+    id: 'obfuscation', files: /\.([cm]?js|jsx|tsx?|py)$/i,
+    test: (l) => /(\\x[0-9a-f]{2}){20,}/i.test(l) ? 'Long hex-escaped string' : null,
+    severity: 'medium',
+  },
+  {
+    id: 'obfuscation', files: /\.([cm]?js|jsx|tsx?|py)$/i,
+    test: (l) => /(Buffer\.from|atob|b64decode|base64\.b64decode)\s*\(\s*["'`][A-Za-z0-9+/=]{200,}/.test(l) ? 'Decodes an embedded base64 blob' : null,
+    severity: (l) => /eval|exec|Function/.test(l) ? 'high' : 'medium',
+  },
+  {
+    id: 'pipe-to-shell', files: INSTRUCTION_RE,
+    test: (l) => /\b(curl|wget)\b[^|\n]*\|\s*(sudo\s+)?(ba|z)?sh\b|\biwr\b[^|\n]*\|\s*iex\b|Invoke-WebRequest[^|\n]*\|\s*Invoke-Expression/i.test(l)
+      ? 'Instructs the agent to pipe a download into a shell' : null,
+    severity: 'high',
+  },
+];
+
+function snippet(line) {
+  const trimmed = line.trim();
+  return trimmed.length > 160 ? `${trimmed.substring(0, 157)}…` : trimmed;
+}
+
+/** npm lifecycle scripts that run on install */
+function scanPackageJson(file) {
+  let pkg;
+  try { pkg = JSON.parse(file.text); } catch { return []; }
+  const lines = file.text.split('\n');
+  return ['preinstall', 'install', 'postinstall'].flatMap((hook) => {
+    const cmd = pkg.scripts?.[hook];
+    if (typeof cmd !== 'string') return [];
+    const line = lines.findIndex(l => l.includes(`"${hook}"`)) + 1 || null;
+    const risky = /\b(curl|wget|node\s+-e|python\s+-c|https?:\/\/|\|\s*(ba)?sh)\b/.test(cmd);
+    return [{
+      rule: 'install-script', severity: risky ? 'high' : 'medium', file: file.path, line,
+      message: `Runs "${hook}" on npm install${risky ? ' and downloads or evaluates code' : ''}`,
+      snippet: snippet(`"${hook}": ${JSON.stringify(cmd)}`),
+    }];
+  });
+}
+
+/** Obfuscator output: many _0x… identifiers in one file */
+function scanObfuscatedFile(file) {
+  const hits = file.text.match(/\b_0x[0-9a-f]{4,}\b/gi);
+  if (!hits || hits.length < 10) return [];
+  const index = file.text.search(/\b_0x[0-9a-f]{4,}\b/i);
+  const line = file.text.substring(0, index).split('\n').length;
+  return [{
+    rule: 'obfuscation', severity: 'high', file: file.path, line,
+    message: `Obfuscated code (${hits.length} _0x identifiers)`,
+    snippet: snippet(file.text.split('\n')[line - 1] || ''),
+  }];
+}
+
+function scanFile(file) {
+  if (/(^|\/)package\.json$/.test(file.path)) return scanPackageJson(file);
+
+  const findings = [...scanObfuscatedFile(file)];
+  const perRule = new Map();
+  const lines = file.text.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.length > 2000) continue;  // minified / data line
+    for (const rule of LINE_RULES) {
+      if (!rule.files.test(file.path)) continue;
+      if ((perRule.get(rule.id) || 0) >= MAX_FINDINGS_PER_RULE_FILE) continue;
+      const message = rule.test(line);
+      if (!message) continue;
+      perRule.set(rule.id, (perRule.get(rule.id) || 0) + 1);
+      findings.push({
+        rule: rule.id,
+        severity: typeof rule.severity === 'function' ? rule.severity(line) : rule.severity,
+        file: file.path, line: i + 1, message, snippet: snippet(line),
+      });
+    }
+  }
+  return findings;
+}
+
+const SEVERITY_RANK = { high: 0, medium: 1, low: 2 };
+
+function scanSource(files) {
+  return files.flatMap(scanFile)
+    .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity] || a.file.localeCompare(b.file) || (a.line || 0) - (b.line || 0))
+    .slice(0, MAX_FINDINGS);
+}
+
+function countBySeverity(findings) {
+  return {
+    security_high:   findings.filter(f => f.severity === 'high').length,
+    security_medium: findings.filter(f => f.severity === 'medium').length,
+    security_low:    findings.filter(f => f.severity === 'low').length,
+  };
+}
+
+// ─────────────────────────── Main ─────────────────────────────────────
+
+async function loadTargets() {
+  const types = await sbGet('artifact_types', `select=id,slug&slug=in.(${SCANNED_TYPES.join(',')})`);
+  const typeIds = types.map(t => t.id);
+  if (typeIds.length === 0) return [];
+
+  const targets = [];
+  const PAGE = 1000;
+  while (targets.length < LIMIT) {
+    const batch = await sbGet('artifacts',
+      `select=id,slug,github_repo_full_name,default_branch` +
+      `&status=eq.active&subpath=eq.&github_repo_full_name=not.is.null` +
+      `&artifact_type_id=in.(${typeIds.join(',')})` +
+      `&order=security_scanned_at.asc.nullsfirst` +
+      `&limit=${Math.min(PAGE, LIMIT - targets.length)}&offset=${targets.length}`
+    );
+    targets.push(...batch);
+    if (batch.length < PAGE) break;
+  }
+  log('📋', `Loaded ${targets.length} repos to scan`);
+  return targets;
+}
+
+/** Replace an artifact's findings and stamp its counts */
+async function saveFindings(artifactId, findings, now) {
+  await sbDelete('artifact_security_findings', `artifact_id=eq.${artifactId}`);
+  if (findings.length) await sbInsert('artifact_security_findings', findings.map(f => ({ artifact_id: artifactId, ...f })));
+  await sbPatch('artifacts', `id=eq.${artifactId}`, { ...countBySeverity(findings), security_scan_status: 'scanned', security_scanned_at: now });
+}
+
+async function main() {
+  validateEnv();
+  await startRun('security-scan', { store });
+  const targets = await loadTargets();
+  if (targets.length === 0) { log('✅', 'No artifacts to scan'); return; }
+
+  let scanned = 0;
+  let flagged = 0;
+  let skipped = 0;
+  for (const a of targets) {
+    if (timeExpired()) { log('⏰', 'Time budget exhausted — stopping'); break; }
+    const now = new Date().toISOString();
+    try {
+      const files = await fetchRepoSource(a.github_repo_full_name, a.default_branch, { include: shouldScan, userAgent: 'OneSkill-Security/1.0' });
+      if (!files) {
+        // Gone, private or oversized — nothing was scanned, but stamp it so the queue moves on
+        const patch = { security_scan_status: 'unavailable', security_high: null, security_medium: null, security_low: null, security_scanned_at: now };
+        await sbPatch('artifacts', `id=eq.${a.id}`, patch);
+        await sbPatch('artifacts', `parent_artifact_id=eq.${a.id}`, patch);
+        skipped++;
+        continue;
+      }
+      const findings = scanSource(files);
+      await saveFindings(a.id, findings, now);
+
+      // Collection members: the findings under their own path
+      const members = await sbGet('artifacts', `select=id,subpath&parent_artifact_id=eq.${a.id}`);
+      for (const m of members) {
+        await saveFindings(m.id, findings.filter(f => f.file === m.subpath || f.file.startsWith(`${m.subpath}/`)), now);
+      }
+
+      scanned++;
+      const high = findings.filter(f => f.severity === 'high').length;
+      if (high) { flagged++; log('🚩', `${a.github_repo_full_name}: ${high} high, ${findings.length - high} other across ${files.length} files`); }
+    } catch (err) {
+      log('  ', `Scan failed for ${a.slug}: ${err.message.substring(0, 80)}`);
+      recordError('scan', err);
+    }
+    await sleep(200);
+  }
+
+  const elapsed = ((Date.now() - START_TIME) / 1000 / 60).toFixed(1);
+  log('🏁', `Security scan complete: ${scanned} scanned, ${flagged} with high-severity findings, ${skipped} unavailable`);
+  recordStage('scan', { targets: targets.length, scanned, flagged, unavailable: skipped });
+  log('⏱️', `Total time: ${elapsed} min`);
+}
+
+main()
+  .then(() => finishRun(timeExpired() ? 'time_budget' : 'completed'))
+  .catch(async (err) => {
+    console.error('\n❌ Fatal:', err);
+    await finishRun('fatal', err);
+    process.exit(1);
+  });
@@ -1,17 +1,21 @@
 #!/usr/bin/env node
 
 /**
- * Standalone test for the Gemini enrichment pipeline.
+ * Standalone test for the LLM enrichment pipeline.
  * Tests repairJSON, prompt building, single-call, and batch-call paths.
+ * The live tests go through scripts/lib/llm.mjs, so any provider works.
  *
  * Usage:
  *   GEMINI_API_KEY=... node scripts/test-gemini-enrich.mjs
+ *   LLM_PROVIDER=openai LLM_BASE_URL=http://localhost:8080/v1 node scripts/test-gemini-enrich.mjs
+ *   LLM_PROVIDER=ollama LLM_MODEL=qwen2.5:7b node scripts/test-gemini-enrich.mjs
  *   # Or with .env.local:
  *   node -e "require('dotenv').config({path:'.env.local'})" && node scripts/test-gemini-enrich.mjs
  */
 
 // ─── Load .env.local if available ─────────────────────────────────
 import { readFileSync, existsSync } from 'fs';
+import { createLLM } from './lib/llm.mjs';
 const envPath = new URL('../.env.local', import.meta.url).pathname;
 if (existsSync(envPath)) {
   const envContent = readFileSync(envPath, 'utf-8');
@@ -21,11 +25,9 @@ if (existsSync(envPath)) {
   }
 }
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-if (!GEMINI_API_KEY) { console.error('❌ Missing GEMINI_API_KEY'); process.exit(1); }
+const llm = createLLM();
+if (!llm.configured) { console.error(`❌ Missing ${llm.name === 'gemini' ? 'GEMINI_API_KEY' : 'LLM_API_KEY'}`); process.exit(1); }
 
-const GEMINI_MODEL = 'gemini-2.5-flash';
-const GEMINI_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
 const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 // ═══════════════════════════════════════════════════════════════════
@@ -123,7 +125,7 @@ function testRepairJSON() {
 }
 
 // ═══════════════════════════════════════════════════════════════════
-// Test 2: Live Gemini single-repo enrichment
+// Test 2: Live LLM single-repo enrichment
 // ═══════════════════════════════════════════════════════════════════
 
 const CATEGORY_LABELS = [
@@ -206,33 +208,17 @@ const MOCK_REPOS = [
 ];
 
 async function testSingleEnrichment() {
-  console.log('\n═══ TEST 2: Live Gemini single-repo enrichment ═══\n');
+  console.log(`\n═══ TEST 2: Live ${llm.name} single-repo enrichment ═══\n`);
 
   const item = MOCK_REPOS[0];
   const prompt = buildGeminiPrompt([item]);
 
   console.log(`  Prompt length: ${prompt.length} chars`);
-  console.log(`  Sending to ${GEMINI_MODEL}...`);
+  console.log(`  Sending to ${llm.label}...`);
 
   try {
-    const res = await fetch(`${GEMINI_URL}?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { temperature: 0.15, maxOutputTokens: 600, responseMimeType: 'application/json' },
-      }),
-    });
-
-    console.log(`  HTTP status: ${res.status}`);
-    if (!res.ok) {
-      const text = await res.text();
-      console.log(`  ❌ Error: ${text.substring(0, 300)}`);
-      return false;
-    }
-
-    const data = await res.json();
-    const raw = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    const { text: raw, finishReason } = await llm.generateJSON({ prompt, temperature: 0.15, maxOutputTokens: 600 });
+    console.log(`  Finish reason: ${finishReason}`);
     console.log(`  Raw response (${raw.length} chars): ${raw.substring(0, 200)}...`);
 
     const parsed = repairJSON(raw);
@@ -256,35 +242,19 @@ async function testSingleEnrichment() {
 }
 
 // ═══════════════════════════════════════════════════════════════════
-// Test 3: Live Gemini batch enrichment (3 repos in 1 call)
+// Test 3: Live LLM batch enrichment (3 repos in 1 call)
 // ═══════════════════════════════════════════════════════════════════
 
 async function testBatchEnrichment() {
-  console.log('\n═══ TEST 3: Live Gemini batch enrichment (3 repos) ═══\n');
+  console.log(`\n═══ TEST 3: Live ${llm.name} batch enrichment (3 repos) ═══\n`);
 
   const prompt = buildGeminiPrompt(MOCK_REPOS);
   console.log(`  Prompt length: ${prompt.length} chars`);
-  console.log(`  Sending ${MOCK_REPOS.length} repos to ${GEMINI_MODEL}...`);
+  console.log(`  Sending ${MOCK_REPOS.length} repos to ${llm.label}...`);
 
   try {
-    const res = await fetch(`${GEMINI_URL}?key=${GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { temperature: 0.15, maxOutputTokens: MOCK_REPOS.length * 400, responseMimeType: 'application/json' },
-      }),
-    });
-
-    console.log(`  HTTP status: ${res.status}`);
-    if (!res.ok) {
-      const text = await res.text();
-      console.log(`  ❌ Error: ${text.substring(0, 300)}`);
-      return false;
-    }
-
-    const data = await res.json();
-    const raw = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+    const { text: raw, finishReason } = await llm.generateJSON({ prompt, temperature: 0.15, maxOutputTokens: MOCK_REPOS.length * 400 });
+    console.log(`  Finish reason: ${finishReason}`);
     console.log(`  Raw response (${raw.length} chars): ${raw.substring(0, 300)}...`);
 
     const parsed = repairJSON(raw);
@@ -377,7 +347,7 @@ function testEdgeCaseJSON() {
 // ═══════════════════════════════════════════════════════════════════
 
 async function main() {
-  console.log('🧪 Gemini Enrichment Test Suite\n');
+  console.log(`🧪 LLM Enrichment Test Suite (${llm.label})\n`);
 
   const results = [];
 
@@ -0,0 +1,770 @@
+#!/usr/bin/env node
+
+/**
+ * Offline test for the pipeline scripts against recorded HTTP responses.
+ * Runs discover → enrich → vibe and the registry aggregator with
+ * HTTP_FIXTURES=replay (scripts/lib/http-fixtures.mjs) and LOCAL_STORE
+ * (scripts/lib/store.mjs), then checks what landed in the local tables.
+ * No network, no API keys, no database.
+ *
+ * Fixtures live in scripts/fixtures/ and cover the parsing in searchRepos,
+ * fetchReadme, scrapeOfficialRegistry, scrapePulseMCP, extractGithubLinks,
+ * searchHN, searchReddit and searchDevTo, plus the error paths: a GitHub 403
+ * rate limit, a 422 search, truncated and SAFETY-blocked Gemini output, and
+ * both official registry schemas and PulseMCP's fallback endpoint. Enrich
+ * row leases are checked too: a live lease is left alone (upgrades included),
+ * a lapsed one taken, a released row keeps its failed status;
+ * so is LLM accounting — tokens and cost per run and per artifact, and a
+ * --max-tokens budget that leaves the rest of the backlog pending. --verify
+ * runs against npm fixtures: a corrected LLM guess and a transient 503.
+ * health-score.mjs scores one batch and stamps a missing repo and a failed
+ * batch. mcp-inventory.mjs reads small TypeScript, Python, Go and Rust
+ * servers from scripts/fixtures/mcp-inventory/, served as codeload tarballs;
+ * config-schema.mjs reads the repos in scripts/fixtures/config-schema/ the
+ * same way.
+ *
+ * Usage:
+ *   npm test
+ *   node scripts/test-pipeline-fixtures.mjs
+ *
+ * To capture new fixtures, run a script with HTTP_FIXTURES=record and
+ * HTTP_FIXTURES_FILE=<file>, then trim the file to the entries a test needs.
+ */
+
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { gzipSync } from 'node:zlib';
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const FIXTURES = path.join(ROOT, 'scripts', 'fixtures');
+const SCRIPT_TIMEOUT_MS = 120000;
+
+const tmpDirs = [];
+function tmpDir(prefix) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `oneskill-${prefix}-`));
+  tmpDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Run a pipeline script in replay mode against `store`. Only the variables
+ * given here reach the child, so a developer's real keys in the shell can't
+ * turn a test into a live call. Resolves { code, output }.
+ */
+function runScript(script, args, { store, fixture, env = {} }) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [path.join(ROOT, 'scripts', script), ...args], {
+      cwd: ROOT,
+      timeout: SCRIPT_TIMEOUT_MS,
+      maxBuffer: 16 * 1024 * 1024,
+      env: {
+        PATH: process.env.PATH,
+        LOCAL_STORE: store,
+        HTTP_FIXTURES: 'replay',
+        HTTP_FIXTURES_FILE: path.resolve(FIXTURES, fixture),
+        ...env,
+      },
+    }, (err, stdout, stderr) => resolve({ code: err ? (err.code ?? 1) : 0, output: stdout + stderr }));
+  });
+}
+
+function readTable(store, table) {
+  try { return JSON.parse(fs.readFileSync(path.join(store, `${table}.json`), 'utf8')); }
+  catch { return []; }
+}
+
+function writeTable(store, table, rows) {
+  fs.writeFileSync(path.join(store, `${table}.json`), JSON.stringify(rows));
+}
+
+/** Pass/fail counter printing one line per check, like test-gemini-enrich.mjs */
+function checker() {
+  let passed = 0;
+  let failed = 0;
+  return {
+    check(name, ok, detail = '') {
+      if (ok) passed++;
+      else failed++;
+      console.log(`  ${ok ? '✅' : '❌'} ${name}${!ok && detail ? ` → ${detail}` : ''}`);
+    },
+    done() {
+      console.log(`\n  Results: ${passed} passed, ${failed} failed\n`);
+      return failed === 0;
+    },
+  };
+}
+
+/** Every file under `dir` as a codeload-style .tar.gz: one top-level `<top>/` directory, ustar headers. */
+function tarball(dir, top) {
+  const blocks = [];
+  const walk = (rel) => {
+    for (const entry of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+      const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) { walk(relPath); continue; }
+      const body = fs.readFileSync(path.join(dir, relPath));
+      const header = Buffer.alloc(512);
+      header.write(`${top}/${relPath}`, 0, 100);
+      header.write('0000644\0', 100);
+      header.write(`${body.length.toString(8).padStart(11, '0')}\0`, 124);
+      header.write('00000000000\0', 136);
+      header.write('0', 156);
+      header.write('ustar\0' + '00', 257);
+      header.fill(' ', 148, 156);
+      let sum = 0;
+      for (const byte of header) sum += byte;
+      header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+      blocks.push(header, body, Buffer.alloc((512 - (body.length % 512)) % 512));
+    }
+  };
+  walk('');
+  return gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)]));
+}
+
+/** HTTP fixture file serving each { 'owner/repo': source dir } as its main-branch tarball */
+function sourceFixture(repos) {
+  const file = path.join(tmpDir('sources'), 'sources.json');
+  fs.writeFileSync(file, JSON.stringify(Object.entries(repos).map(([fullName, dir]) => ({
+    method: 'GET',
+    url: `https://codeload.github.com/${fullName}/tar.gz/main`,
+    status: 200,
+    headers: { 'content-type': 'application/x-gzip' },
+    bodyBase64: tarball(path.join(FIXTURES, dir), `${fullName.split('/')[1]}-main`).toString('base64'),
+  }))));
+  return file;
+}
+
+function lastRun(store, script) {
+  return readTable(store, 'pipeline_runs').filter(r => r.script === script).at(-1) || null;
+}
+
+const LLM_ENV = { GEMINI_API_KEY: 'fixture' };
+const DISCOVER_ARGS = ['--discover', '--type', 'cursor-rules', '--discover-limit', '5'];
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 1: discover — search results → raw_repos
+// ═══════════════════════════════════════════════════════════════════
+
+async function testDiscover(store) {
+  console.log('\n═══ TEST 1: discover (searchRepos) ═══\n');
+  const t = checker();
+  const { code, output } = await runScript('scrape-github.mjs', DISCOVER_ARGS, { store, fixture: 'discover.json' });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+  t.check('every request had a fixture', !output.includes('No HTTP fixture'));
+
+  const rows = readTable(store, 'raw_repos');
+  const byName = new Map(rows.map(r => [r.github_full_name, r]));
+  t.check('4 repos saved', rows.length === 4, `got ${rows.length}`);
+  t.check('low-star fork dropped', !byName.has('forker/cursorrules-collection'));
+
+  const acme = byName.get('acme/cursorrules-collection');
+  t.check('search item fields mapped', acme?.stars === 1840 && acme?.forks === 184 && acme?.license === 'MIT' &&
+    acme?.owner_login === 'acme' && acme?.github_url === 'https://github.com/acme/cursorrules-collection',
+    JSON.stringify(acme)?.substring(0, 200));
+  t.check('topics stored as JSON', acme?.topics === '["cursor-rules","cursor","prompts"]', acme?.topics);
+  t.check('type hint and source', rows.every(r => r.type_hint === 'cursor-rules' && r.source === 'github'));
+  t.check('README left for enrich', rows.every(r => r.readme_raw === null));
+
+  const run = lastRun(store, 'scrape-github');
+  t.check('run recorded', run?.exit_reason === 'completed' && run?.stages?.discover?.saved === 4 &&
+    run?.stages?.discover?.forks_dropped === 1, JSON.stringify(run?.stages));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 2: GitHub 403 rate limit → wait and retry
+// ═══════════════════════════════════════════════════════════════════
+
+async function testRateLimit() {
+  console.log('\n═══ TEST 2: GitHub 403 rate limit ═══\n');
+  const t = checker();
+  const store = tmpDir('ratelimit');
+  const { code, output } = await runScript('scrape-github.mjs', DISCOVER_ARGS, { store, fixture: 'discover-rate-limit.json' });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+  t.check('rate limit logged', output.includes('Rate limited (403) — retry 1/4'));
+  t.check('retry succeeded', readTable(store, 'raw_repos').length === 4);
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 3: GitHub 422 on search → next query
+// ═══════════════════════════════════════════════════════════════════
+
+async function testSearch422() {
+  console.log('\n═══ TEST 3: GitHub 422 on search ═══\n');
+  const t = checker();
+  const store = tmpDir('422');
+  const { code, output } = await runScript('scrape-github.mjs', DISCOVER_ARGS, { store, fixture: 'discover-422.json' });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+  t.check('422 treated as an empty page', output.includes('2 consecutive empty responses'));
+  t.check('next query still ran', readTable(store, 'raw_repos').length === 4);
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 4: enrich — README, manifests, Gemini (truncated, SAFETY)
+// ═══════════════════════════════════════════════════════════════════
+
+async function testEnrich(store) {
+  console.log('\n═══ TEST 4: enrich (fetchReadme, Gemini) ═══\n');
+  const t = checker();
+  const { code, output } = await runScript('scrape-github.mjs', ['--enrich'], { store, fixture: 'enrich.json', env: LLM_ENV });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+
+  const artifacts = readTable(store, 'artifacts');
+  const byName = new Map(artifacts.map(a => [a.github_repo_full_name, a]));
+  t.check('4 artifacts', artifacts.length === 4, `got ${artifacts.length}`);
+
+  const raw = new Map(readTable(store, 'raw_repos').map(r => [r.github_full_name, r]));
+  t.check('README fetched and persisted', raw.get('devkit/ai-coding-guide')?.readme_raw?.startsWith('# AI coding guide'));
+
+  const acme = byName.get('acme/cursorrules-collection');
+  t.check('confident heuristic skips the LLM', acme?.classification_source === 'heuristic' && !output.includes('for acme/cursorrules-collection'));
+  t.check('.cursorrules manifest read', acme?.field_sources?.artifact_type === '.cursorrules', JSON.stringify(acme?.field_sources));
+
+  const devkit = byName.get('devkit/ai-coding-guide');
+  t.check('LLM classification applied', devkit?.classification_source === 'llm' && devkit?.tags?.includes('style-guide'),
+    `${devkit?.classification_source} ${JSON.stringify(devkit?.tags)}`);
+
+  const pack = byName.get('ruleset/prompt-pack');
+  t.check('truncated output (MAX_TOKENS) retried', output.includes('finish=length for ruleset/prompt-pack') &&
+    pack?.classification_source === 'llm' && pack?.long_description?.startsWith('Short, composable'));
+
+  const redTeam = byName.get('edgecase/red-team-rules');
+  t.check('SAFETY block falls back to heuristic', output.includes('finish=safety for edgecase/red-team-rules') &&
+    redTeam?.classification_source === 'heuristic' && !output.includes('retry 1/3 for edgecase/red-team-rules'));
+
+  t.check('raw_repos marked enriched', [...raw.values()].every(r => r.enrichment_status === 'enriched'),
+    [...raw.values()].map(r => r.enrichment_status).join(','));
+  const run = lastRun(store, 'scrape-github');
+  t.check('run recorded', run?.exit_reason === 'completed' && run?.stages?.enrich?.enriched === 4 &&
+    run?.stages?.enrich?.heuristic === 2, JSON.stringify(run?.stages));
+
+  // 4 Gemini calls: devkit, prompt-pack twice (truncated, retry), red-team (blocked)
+  const llmStage = run?.stages?.llm;
+  t.check('run LLM usage', llmStage?.model === 'gemini-2.5-flash' && llmStage?.calls === 4 &&
+    llmStage?.input_tokens === 5560 && llmStage?.output_tokens === 4456 && Math.abs(llmStage?.cost_usd - 0.012808) < 1e-9,
+    JSON.stringify(llmStage));
+  t.check('artifact LLM usage', devkit?.enrich_llm_usage?.calls === 1 && devkit?.enrich_llm_usage?.input_tokens === 1450 &&
+    pack?.enrich_llm_usage?.calls === 2 && pack?.enrich_llm_usage?.output_tokens === 4276 && acme?.enrich_llm_usage === null,
+    `${JSON.stringify(devkit?.enrich_llm_usage)} ${JSON.stringify(pack?.enrich_llm_usage)}`);
+  const charged = [devkit, pack, redTeam].reduce((n, a) => n + (a?.enrich_llm_usage?.input_tokens || 0), 0);
+  t.check('blocked call charged to the heuristic fallback', redTeam?.enrich_llm_usage?.calls === 1 && charged === llmStage?.input_tokens,
+    `${JSON.stringify(redTeam?.enrich_llm_usage)} ${charged}`);
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 5: vibe — HN, Reddit, Dev.to, sentiment
+// ═══════════════════════════════════════════════════════════════════
+
+async function testVibe(store) {
+  console.log('\n═══ TEST 5: vibe (searchHN, searchReddit, searchDevTo) ═══\n');
+  const t = checker();
+  const { code, output } = await runScript('vibe-score.mjs', [], {
+    store, fixture: 'vibe.json',
+    env: { ...LLM_ENV, REDDIT_CLIENT_ID: 'fixture', REDDIT_CLIENT_SECRET: 'fixture' },
+  });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+
+  const mentions = readTable(store, 'artifact_mentions');
+  const bySource = (s) => mentions.filter(m => m.source === s);
+  t.check('HN hits parsed', bySource('hackernews').length === 2 &&
+    bySource('hackernews').some(m => m.url === 'https://news.ycombinator.com/item?id=41902233' && m.score === 18),
+    JSON.stringify(bySource('hackernews')).substring(0, 200));
+  t.check('Reddit: irrelevant post filtered', bySource('reddit').length === 1 &&
+    bySource('reddit')[0].url === 'https://reddit.com/r/cursor/comments/1g4x9k2/aicodingguide/');
+  t.check('Dev.to article parsed', bySource('devto').length === 1 && bySource('devto')[0].author === 'sam');
+
+  const byName = new Map(readTable(store, 'artifacts').map(a => [a.name, a]));
+  const acme = byName.get('cursorrules-collection');
+  const devkit = byName.get('ai-coding-guide');
+  t.check('mention counts', acme?.mention_count_30d === 3 && devkit?.mention_count_30d === 1,
+    `${acme?.mention_count_30d} ${devkit?.mention_count_30d}`);
+  t.check('sentiment from Gemini', acme?.sentiment_avg === 0.7 && devkit?.sentiment_avg === 0.4,
+    `${acme?.sentiment_avg} ${devkit?.sentiment_avg}`);
+  t.check('vibe scores written', [...byName.values()].every(a => typeof a.vibe_score === 'number' && a.vibe_updated_at) &&
+    acme.vibe_score > byName.get('prompt-pack')?.vibe_score);
+  t.check('run recorded', lastRun(store, 'vibe-score')?.stages?.scores?.updated === 4);
+  t.check('sentiment LLM usage', lastRun(store, 'vibe-score')?.stages?.llm?.calls === 1 &&
+    acme?.sentiment_llm_usage?.batch_size === 2 && acme?.sentiment_llm_usage?.input_tokens === 155 && !byName.get('prompt-pack')?.sentiment_llm_usage,
+    JSON.stringify(acme?.sentiment_llm_usage));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 6: registries — official v0.1 + v0 schemas, PulseMCP, awesome list
+// ═══════════════════════════════════════════════════════════════════
+
+async function testRegistries() {
+  console.log('\n═══ TEST 6: registries (scrapeOfficialRegistry, scrapePulseMCP, extractGithubLinks) ═══\n');
+  const t = checker();
+  const store = tmpDir('registries');
+  const { code, output } = await runScript('scrape-registries.mjs', [], { store, fixture: 'registries.json' });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+
+  const rows = new Map(readTable(store, 'raw_repos').map(r => [r.github_full_name, r]));
+  const pg = rows.get('northwind/postgres-mcp');
+  t.check('v0.1 { server, _meta } entry', pg?.source === 'official-registry' &&
+    pg?.description === 'Read-only Postgres access for MCP clients' && pg?.github_updated_at === '2026-10-03T07:45:00Z',
+    JSON.stringify(pg)?.substring(0, 200));
+  t.check('metadata.nextCursor followed to a v0 page', rows.get('lumen/weather-mcp')?.github_created_at === '2025-11-02T09:00:00Z');
+  t.check('server without a repo skipped', output.includes('2 repos saved (3 fetched, 2 with GitHub repos)'));
+
+  const linear = rows.get('tacticlaunch/mcp-linear');
+  t.check('PulseMCP source_code_url + github_stars', linear?.source === 'pulsemcp' && linear?.stars === 118);
+  t.check('PulseMCP github_url', rows.get('makenotion/notion-mcp-server')?.stars === 2890);
+
+  t.check('awesome-list links parsed, .git stripped', rows.get('dbkit/pg-schema-mcp')?.source === 'awesome-list' &&
+    rows.has('hannes/sqlite-explorer'));
+  t.check('issue / file links ignored', !rows.has('punkpeye/awesome-mcp-servers'));
+  t.check('6 repos total', rows.size === 6, [...rows.keys()].join(', '));
+
+  const run = lastRun(store, 'scrape-registries');
+  t.check('run recorded', run?.exit_reason === 'completed' && run?.stages?.official?.saved === 2 &&
+    run?.stages?.pulsemcp?.saved === 2 && run?.stages?.awesome?.saved === 2, JSON.stringify(run?.stages));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 7: registry error paths — 503, PulseMCP fallback, master branch
+// ═══════════════════════════════════════════════════════════════════
+
+async function testRegistryFallbacks() {
+  console.log('\n═══ TEST 7: registry error paths ═══\n');
+  const t = checker();
+  const store = tmpDir('fallback');
+  const { code, output } = await runScript('scrape-registries.mjs', [], { store, fixture: 'registries-fallback.json' });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+  t.check('official 503 logged, nothing saved', output.includes('Official registry 503') && output.includes('Official registry: 0 repos saved'));
+
+  const rows = new Map(readTable(store, 'raw_repos').map(r => [r.github_full_name, r]));
+  t.check('PulseMCP category fallback ({ results })', output.includes('trying alternative endpoint') &&
+    rows.get('redis/mcp-redis')?.stars === 210);
+  t.check('awesome list README on master', rows.get('kleosr/nextjs-tailwind-cursorrules')?.type_hint === 'cursor-rules');
+  t.check('run completed', lastRun(store, 'scrape-registries')?.exit_reason === 'completed');
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 8: record → replay round trip
+// ═══════════════════════════════════════════════════════════════════
+
+async function testRecordReplay() {
+  console.log('\n═══ TEST 8: record → replay ═══\n');
+  const t = checker();
+  const dir = tmpDir('record');
+  const file = path.join(dir, 'fixtures.json');
+
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(req.url.startsWith('/limited') ? 429 : 200, {
+      'content-type': 'application/json', 'x-ratelimit-remaining': '41', 'set-cookie': 'session=secret',
+    });
+    res.end(JSON.stringify({ path: new URL(req.url, base).pathname }));
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // A tiny client: two GETs and a POST, printing what it got back
+  const client = `
+    import { installHttpFixtures } from ${JSON.stringify(path.join(ROOT, 'scripts', 'lib', 'http-fixtures.mjs'))};
+    installHttpFixtures();
+    const out = [];
+    for (const [url, init] of [
+      ['${base}/items?page=1&key=SECRET', { headers: { Authorization: 'token SECRET' } }],
+      ['${base}/limited', {}],
+      ['${base}/items', { method: 'POST', body: JSON.stringify({ q: 'one' }) }],
+    ]) {
+      const res = await fetch(url, init);
+      out.push(res.status + ' ' + res.headers.get('x-ratelimit-remaining') + ' ' + (await res.text()));
+    }
+    console.log(out.join('\\n'));
+  `;
+  const run = (mode) => new Promise((resolve) => {
+    execFile(process.execPath, ['--input-type=module', '-e', client], {
+      timeout: 30000,
+      env: { PATH: process.env.PATH, HTTP_FIXTURES: mode, HTTP_FIXTURES_FILE: file },
+    }, (err, stdout, stderr) => resolve({ code: err ? 1 : 0, output: stdout + stderr }));
+  });
+
+  const recorded = await run('record');
+  await new Promise(r => server.close(r));
+  t.check('record run', recorded.code === 0 && hits === 3, recorded.output);
+
+  const saved = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  t.check('API key and auth header not written', saved.length > 0 && !saved.includes('SECRET'));
+  t.check('only listed response headers kept', saved.includes('x-ratelimit-remaining') && !saved.includes('set-cookie'));
+
+  const replayed = await run('replay');
+  t.check('replay matches the live run', replayed.code === 0 && replayed.output === recorded.output,
+    `${JSON.stringify(recorded.output)} vs ${JSON.stringify(replayed.output)}`);
+  t.check('replay made no requests', hits === 3);
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 9: enrich row leases
+// ═══════════════════════════════════════════════════════════════════
+
+async function testLeases() {
+  console.log('\n═══ TEST 9: enrich row leases ═══\n');
+  const t = checker();
+  const store = tmpDir('leases');
+  await runScript('scrape-github.mjs', DISCOVER_ARGS, { store, fixture: 'discover.json' });
+
+  // Another job with the same ENRICH_WORKER_ID is mid-way through devkit,
+  // another worker through an LLM upgrade of legacy; a dead one left acme
+  // (failed last time) behind
+  const hour = 3600 * 1000;
+  const live = (leasedBy, prior) => ({
+    enrichment_status: 'in_progress', lease_prior_status: prior, leased_by: leasedBy,
+    lease_expires_at: new Date(Date.now() + hour).toISOString(),
+  });
+  const rows = readTable(store, 'raw_repos').map(r =>
+    r.github_full_name === 'devkit/ai-coding-guide'
+      ? { ...r, ...live('test-worker:1:0badcafe', 'pending') }
+      : r.github_full_name === 'acme/cursorrules-collection'
+        ? { ...r, enrichment_status: 'in_progress', lease_prior_status: 'failed', leased_by: 'dead-host:2:0', lease_expires_at: new Date(Date.now() - hour).toISOString() }
+        : r);
+  const legacy = rows.find(r => r.github_full_name === 'edgecase/red-team-rules');
+  rows.push({ ...legacy, ...live('other-host:1:0', 'enriched'), id: 'legacy-raw', github_full_name: 'legacy/old-rules' });
+  writeTable(store, 'raw_repos', rows);
+  writeTable(store, 'artifacts', [{
+    id: 'legacy-id', slug: 'old-rules', github_repo_full_name: 'legacy/old-rules', subpath: '', status: 'active',
+    classification_source: 'heuristic', classification_confidence: 0.3, stars: 1,
+  }]);
+
+  const { code, output } = await runScript('scrape-github.mjs', ['--enrich'], {
+    store, fixture: 'enrich.json', env: { ...LLM_ENV, ENRICH_WORKER_ID: 'test-worker' },
+  });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+
+  const raw = new Map(readTable(store, 'raw_repos').map(r => [r.github_full_name, r]));
+  const devkit = raw.get('devkit/ai-coding-guide');
+  t.check('live lease left alone, same worker id', devkit?.enrichment_status === 'in_progress' && devkit?.leased_by === 'test-worker:1:0badcafe' &&
+    !readTable(store, 'artifacts').some(a => a.github_repo_full_name === 'devkit/ai-coding-guide'),
+    `${devkit?.enrichment_status} ${devkit?.leased_by}`);
+  t.check('leased upgrade left alone', !output.includes('queued for an LLM upgrade') &&
+    raw.get('legacy/old-rules')?.leased_by === 'other-host:1:0', raw.get('legacy/old-rules')?.leased_by);
+  const acme = raw.get('acme/cursorrules-collection');
+  t.check('lapsed lease reclaimed', acme?.enrichment_status === 'enriched', `${acme?.enrichment_status} ${acme?.leased_by}`);
+  t.check('other repos enriched', ['ruleset/prompt-pack', 'edgecase/red-team-rules'].every(n => raw.get(n)?.enrichment_status === 'enriched'));
+  t.check('no leases left by this worker', ![...raw.values()].some(r =>
+    (r.leased_by?.startsWith('test-worker:') && r.leased_by !== devkit?.leased_by) ||
+    (r.lease_prior_status && r.enrichment_status !== 'in_progress')));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 10: LLM budget cap
+// ═══════════════════════════════════════════════════════════════════
+
+async function testBudget() {
+  console.log('\n═══ TEST 10: LLM budget cap ═══\n');
+  const t = checker();
+  const store = tmpDir('budget');
+  await runScript('scrape-github.mjs', DISCOVER_ARGS, { store, fixture: 'discover.json' });
+
+  // The first wave's three calls go out together and blow the 1000-token
+  // budget, so prompt-pack's retry after its truncated answer is never sent.
+  // It failed on an earlier run, and keeps that status when its lease is released.
+  writeTable(store, 'raw_repos', readTable(store, 'raw_repos').map(r =>
+    r.github_full_name === 'ruleset/prompt-pack' ? { ...r, enrichment_status: 'failed' } : r));
+  const { code, output } = await runScript('scrape-github.mjs', ['--enrich', '--max-tokens', '1000'], {
+    store, fixture: 'enrich.json', env: LLM_ENV,
+  });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+  t.check('budget stop logged', output.includes('LLM budget used up — 1 repos left for the next run'), output.slice(-500));
+
+  const raw = new Map(readTable(store, 'raw_repos').map(r => [r.github_full_name, r]));
+  const pack = raw.get('ruleset/prompt-pack');
+  t.check('over-budget repo released as it was', pack?.enrichment_status === 'failed' && !pack?.enrich_attempts && !pack?.leased_by &&
+    !readTable(store, 'artifacts').some(a => a.github_repo_full_name === 'ruleset/prompt-pack'),
+    `${pack?.enrichment_status} ${pack?.enrich_attempts} ${pack?.leased_by}`);
+  t.check('others enriched', ['acme/cursorrules-collection', 'devkit/ai-coding-guide', 'edgecase/red-team-rules']
+    .every(n => raw.get(n)?.enrichment_status === 'enriched'));
+
+  const stages = lastRun(store, 'scrape-github')?.stages;
+  t.check('budget in run log', stages?.enrich?.over_budget === 1 && stages?.llm?.calls === 3 && stages?.llm?.budget_exhausted === true,
+    JSON.stringify(stages));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 11: verify — npm lookups, corrected commands, transient errors
+// ═══════════════════════════════════════════════════════════════════
+
+async function testVerify() {
+  console.log('\n═══ TEST 11: verify (lookupPackage, verifyArtifactPackage) ═══\n');
+  const t = checker();
+  const store = tmpDir('verify');
+  const lastWeek = '2026-01-01T00:00:00.000Z';
+  const artifact = (slug, repo, install, source, extra = {}) => ({
+    id: `${slug}-id`, slug, github_repo_full_name: repo, subpath: '', status: 'active',
+    install_command: install, field_sources: { install_command: source }, ...extra,
+  });
+  writeTable(store, 'artifacts', [
+    artifact('mcp-weather', 'acme/mcp-weather', 'npx -y mcp-weather', 'package.json'),
+    artifact('gone-tool', 'devkit/gone-tool', 'npx -y gone-tool', 'package.json'),
+    artifact('flaky', 'flaky/pkg', 'npx -y flaky-pkg', 'package.json', { package_verified_at: lastWeek }),
+    artifact('foo-mcp', 'corrected/foo-mcp', 'npx -y mcp-foo-server', 'llm'),
+    artifact('skill', 'skills/writer', 'npx skills add skills/writer', 'llm'),
+  ]);
+
+  const { code, output } = await runScript('scrape-github.mjs', ['--verify'], { store, fixture: 'verify.json' });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+
+  const bySlug = new Map(readTable(store, 'artifacts').map(a => [a.slug, a]));
+  const weather = bySlug.get('mcp-weather');
+  t.check('verified with registry version', weather?.package_verification === 'verified' && weather?.version === '1.4.2' &&
+    !!weather?.package_verified_at, JSON.stringify(weather));
+  t.check('unpublished package not_found', bySlug.get('gone-tool')?.package_verification === 'not_found' &&
+    !!bySlug.get('gone-tool')?.package_verified_at);
+  const flaky = bySlug.get('flaky');
+  t.check('transient 503 keeps its place in the queue', flaky?.package_verification === 'error' && flaky?.package_verified_at === lastWeek,
+    `${flaky?.package_verification} ${flaky?.package_verified_at}`);
+  const foo = bySlug.get('foo-mcp');
+  t.check('LLM-guessed command corrected', foo?.install_command === 'npx -y foo-mcp' && foo?.package_verification === 'verified' &&
+    foo?.field_sources?.install_command === 'npm', JSON.stringify(foo));
+  t.check('GitHub-installed skill has no package', bySlug.get('skill')?.package_verification === 'no_package');
+
+  const run = lastRun(store, 'scrape-github');
+  t.check('run recorded', run?.stages?.verify?.verified === 2 && run?.stages?.verify?.error === 1 && run?.stages?.verify?.corrected === 1,
+    JSON.stringify(run?.stages));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 12: health — scored, not found and failed lookups
+// ═══════════════════════════════════════════════════════════════════
+
+async function testHealth() {
+  console.log('\n═══ TEST 12: health (fetchActivity, scoreHealth) ═══\n');
+  const t = checker();
+  const store = tmpDir('health');
+  const artifact = (slug, extra = {}) => ({
+    id: `${slug}-id`, slug, github_repo_full_name: `acme/${slug}`, subpath: '', status: 'active', ...extra,
+  });
+  // Five repos per GraphQL batch: alive … gone in the first, stale alone in the second
+  writeTable(store, 'artifacts', [
+    artifact('alive'), artifact('quiet-1'), artifact('quiet-2'), artifact('quiet-3'),
+    artifact('gone', { health_score: 55 }),
+    artifact('stale', { health_score: 70 }),
+    { id: 'alive-rule-id', slug: 'alive-rule', github_repo_full_name: 'acme/alive', subpath: 'rules/a', status: 'active', parent_artifact_id: 'alive-id' },
+  ]);
+
+  const { code, output } = await runScript('health-score.mjs', [], { store, fixture: 'health.json', env: { GITHUB_PAT: 'fixture' } });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+
+  const bySlug = new Map(readTable(store, 'artifacts').map(a => [a.slug, a]));
+  const alive = bySlug.get('alive');
+  t.check('resolved repo scored', alive?.health_status === 'scored' && typeof alive?.health_score === 'number' &&
+    alive?.health_breakdown?.issue_close_ratio?.value === 0.9 && !!alive?.health_updated_at, JSON.stringify(alive));
+  t.check('collection member takes its repo\'s score', bySlug.get('alive-rule')?.health_score === alive?.health_score);
+  const gone = bySlug.get('gone');
+  t.check('unresolved repo stamped not_found, score kept', gone?.health_status === 'not_found' && gone?.health_score === 55 &&
+    !!gone?.health_updated_at, JSON.stringify(gone));
+  const stale = bySlug.get('stale');
+  t.check('failed batch stamped failed, score kept', stale?.health_status === 'failed' && stale?.health_score === 70 &&
+    !!stale?.health_updated_at, JSON.stringify(stale));
+
+  const run = lastRun(store, 'health-score');
+  t.check('run recorded', run?.exit_reason === 'completed' && run?.stages?.health?.scored === 4 &&
+    run?.stages?.health?.not_found === 1 && run?.stages?.health?.failed === 1, JSON.stringify(run?.stages));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 13: MCP inventory — TypeScript, Python, Go, Rust and manifest extractors
+// ═══════════════════════════════════════════════════════════════════
+
+async function testMcpInventory() {
+  console.log('\n═══ TEST 13: mcp-inventory (extractTypeScript, extractPython, extractGo, extractRust, extractManifest) ═══\n');
+  const t = checker();
+  const store = tmpDir('inventory');
+  const repos = {
+    'acme/weather-mcp': 'mcp-inventory/typescript',
+    'acme/notes-mcp':   'mcp-inventory/python',
+    'acme/issues-mcp':  'mcp-inventory/go',
+    'acme/counter-mcp': 'mcp-inventory/rust',
+  };
+  writeTable(store, 'artifact_types', [{ id: 'type-mcp', slug: 'mcp-server', label: 'MCP Server' }]);
+  writeTable(store, 'artifacts', Object.keys(repos).map(fullName => ({
+    id: `${fullName.split('/')[1]}-id`, slug: fullName.split('/')[1], github_repo_full_name: fullName,
+    default_branch: 'main', subpath: '', status: 'active', artifact_type_id: 'type-mcp',
+  })));
+
+  const { code, output } = await runScript('mcp-inventory.mjs', [], { store, fixture: sourceFixture(repos) });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+
+  const caps = readTable(store, 'mcp_capabilities');
+  const find = (slug, kind, name) => caps.find(c => c.artifact_id === `${slug}-id` && c.kind === kind && c.name === name);
+
+  // TypeScript SDK + server.json
+  const forecast = find('weather-mcp', 'tool', 'get_forecast');
+  t.check('TS server.tool(): concatenated description, zod shape', forecast?.description === 'Get the weather forecast for a location' &&
+    forecast?.input_schema?.properties?.latitude?.description === 'Latitude of the location' &&
+    forecast?.input_schema?.properties?.days?.type === 'integer' &&
+    JSON.stringify(forecast?.input_schema?.required) === '["latitude","longitude"]' && forecast?.source === 'typescript',
+    JSON.stringify(forecast));
+  const alerts = find('weather-mcp', 'tool', 'get_alerts');
+  t.check('TS registerTool(): config description and z.enum', alerts?.description === 'Active weather alerts for a US state' &&
+    JSON.stringify(alerts?.input_schema?.properties?.state?.enum) === '["CA","NY"]', JSON.stringify(alerts));
+  t.check('TS resource template uri', find('weather-mcp', 'resource', 'stations')?.uri === 'weather://stations/{id}' &&
+    find('weather-mcp', 'resource', 'stations')?.description === 'Observation stations');
+  t.check('TS prompt with arguments', find('weather-mcp', 'prompt', 'summarize')?.input_schema?.properties?.city?.type === 'string');
+  t.check('manifest fills gaps, source wins', find('weather-mcp', 'tool', 'list_models')?.source === 'manifest' &&
+    forecast?.description !== 'Forecast (manifest copy)');
+  t.check('test files skipped', !caps.some(c => c.name === 'test_only_tool'));
+
+  // Python FastMCP
+  const addNote = find('notes-mcp', 'tool', 'add_note');
+  t.check('Python @mcp.tool(): docstring summary and Args', addNote?.description === 'Add a note to the notebook.' &&
+    addNote?.input_schema?.properties?.title?.description === 'Title of the note' &&
+    addNote?.input_schema?.properties?.tags?.type === 'array' && !('ctx' in (addNote?.input_schema?.properties || {})) &&
+    JSON.stringify(addNote?.input_schema?.required) === '["title"]', JSON.stringify(addNote));
+  const search = find('notes-mcp', 'tool', 'search');
+  t.check('Python decorator name / description, Field()', search?.description === 'Full-text search over notes' &&
+    search?.input_schema?.properties?.query?.description === 'Words to look for' &&
+    JSON.stringify(search?.input_schema?.required) === '["query"]', JSON.stringify(search));
+  t.check('Python resource uri and prompt', find('notes-mcp', 'resource', 'read_note')?.uri === 'notes://{title}' &&
+    find('notes-mcp', 'prompt', 'review')?.description === 'Ask for a review of a note');
+
+  // Go (mcp-go) and Rust (rmcp)
+  const issues = find('issues-mcp', 'tool', 'list_issues');
+  t.check('Go mcp.NewTool() options', issues?.description === 'List open issues in a repository' &&
+    issues?.input_schema?.properties?.limit?.type === 'number' &&
+    JSON.stringify(issues?.input_schema?.required) === '["repo"]' && issues?.line === 13, JSON.stringify(issues));
+  t.check('Rust #[tool] attributes', find('counter-mcp', 'tool', 'increment')?.description === 'Increment the counter by one' &&
+    find('counter-mcp', 'tool', 'get_value')?.description === 'Current value of the counter');
+
+  const weather = readTable(store, 'artifacts').find(a => a.slug === 'weather-mcp');
+  t.check('artifact tool summary', weather?.mcp_tool_count === 3 && !!weather?.mcp_inventory_at &&
+    [...(weather?.mcp_tool_names || [])].sort().join(',') === 'get_alerts,get_forecast,list_models', JSON.stringify(weather?.mcp_tool_names));
+  const run = lastRun(store, 'mcp-inventory');
+  t.check('run recorded', run?.exit_reason === 'completed' && run?.stages?.inventory?.inventoried === 4, JSON.stringify(run?.stages));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Test 14: config-schema — env vars, arguments, files and credentials
+// ═══════════════════════════════════════════════════════════════════
+
+async function testConfigSchema() {
+  console.log('\n═══ TEST 14: config-schema (env reads, CLI args, server.json, docs, n8n credentials) ═══\n');
+  const t = checker();
+  const store = tmpDir('config');
+  const repos = {
+    'acme/repo-watch':   'config-schema/node',
+    'acme/notebook-mcp': 'config-schema/python',
+    'acme/cache-proxy':  'config-schema/go',
+    'acme/job-runner':   'config-schema/rust',
+    'acme/n8n-nodes-acme': 'config-schema/n8n',
+  };
+  writeTable(store, 'artifact_types', [
+    { id: 'type-mcp', slug: 'mcp-server', label: 'MCP Server' },
+    { id: 'type-n8n', slug: 'n8n-node', label: 'n8n Node' },
+  ]);
+  writeTable(store, 'artifacts', [...Object.keys(repos), 'acme/gone'].map(fullName => ({
+    id: `${fullName.split('/')[1]}-id`, slug: fullName.split('/')[1], github_repo_full_name: fullName,
+    default_branch: 'main', subpath: '', status: 'active',
+    artifact_type_id: fullName.includes('n8n') ? 'type-n8n' : 'type-mcp',
+  })));
+
+  const { code, output } = await runScript('config-schema.mjs', [], { store, fixture: sourceFixture(repos) });
+  t.check('exits cleanly', code === 0, output.slice(-500));
+
+  const artifacts = readTable(store, 'artifacts');
+  const entry = (slug, list, name) => artifacts.find(a => a.slug === slug)?.config_schema?.[list]?.find(e => e.name === name);
+  const names = (slug, list) => (artifacts.find(a => a.slug === slug)?.config_schema?.[list] || []).map(e => e.name).join(',');
+
+  // TypeScript source + server.json + README + .env.example
+  const token = entry('repo-watch', 'env', 'GITHUB_TOKEN');
+  t.check('server.json declaration wins, sources merged', token?.required === true && token?.secret === true &&
+    token?.description === 'GitHub personal access token' && token?.sources?.join(',') === 'server.json,README.md,src/index.ts:10',
+    JSON.stringify(token));
+  const apiBase = entry('repo-watch', 'env', 'API_BASE_URL');
+  t.check('declared optional, default from `??`', apiBase?.required === false && apiBase?.default === 'https://api.github.com', JSON.stringify(apiBase));
+  t.check('destructured default', entry('repo-watch', 'env', 'LOG_LEVEL')?.default === 'info' && entry('repo-watch', 'env', 'LOG_LEVEL')?.required === false);
+  t.check('README table row', entry('repo-watch', 'env', 'SLACK_WEBHOOK_URL')?.required === false &&
+    entry('repo-watch', 'env', 'SLACK_WEBHOOK_URL')?.description === 'Webhook that receives notifications');
+  t.check('.env.example: empty value required, comment as description', entry('repo-watch', 'env', 'SENTRY_DSN')?.required === true &&
+    entry('repo-watch', 'env', 'SENTRY_DSN')?.description === 'Sentry project DSN');
+  t.check('standard and test-only variables skipped', !entry('repo-watch', 'env', 'NODE_ENV') && !entry('repo-watch', 'env', 'TEST_ONLY_TOKEN'),
+    names('repo-watch', 'env'));
+  t.check('commander options', entry('repo-watch', 'args', '--repo')?.required === true &&
+    entry('repo-watch', 'args', '--port')?.default === '8080' && entry('repo-watch', 'args', '--port')?.description === 'Port to listen on');
+  t.check('dotenv and config file, tsconfig ignored', names('repo-watch', 'files') === './config.json,.env', names('repo-watch', 'files'));
+
+  // Python, Go, Rust
+  t.check('Python os.environ / getenv, guarded read required', entry('notebook-mcp', 'env', 'OPENAI_API_KEY')?.required === true &&
+    entry('notebook-mcp', 'env', 'DB_PATH')?.required === true && entry('notebook-mcp', 'env', 'MODEL')?.default === 'gpt-4o',
+    names('notebook-mcp', 'env'));
+  t.check('argparse: positional, default, `#` comment in call', entry('notebook-mcp', 'args', '<notebook>')?.required === true &&
+    entry('notebook-mcp', 'args', '--host')?.default === '127.0.0.1' &&
+    entry('notebook-mcp', 'args', '--verbose')?.description === 'Log every request', names('notebook-mcp', 'args'));
+  t.check('Go os.Getenv with log.Fatal guard, flag', entry('cache-proxy', 'env', 'REDIS_URL')?.required === true &&
+    entry('cache-proxy', 'env', 'AWS_REGION')?.required === false && entry('cache-proxy', 'args', '--addr')?.default === ':8080' &&
+    entry('cache-proxy', 'env', 'REDIS_URL')?.sources?.[0] === 'main.go:13');
+  t.check('Rust env::var expect / unwrap_or', entry('job-runner', 'env', 'DATABASE_URL')?.required === true &&
+    entry('job-runner', 'env', 'DATABASE_URL')?.secret === true && entry('job-runner', 'env', 'WORKERS')?.default === '4');
+
+  // n8n credentials
+  const credential = artifacts.find(a => a.slug === 'n8n-nodes-acme')?.config_schema?.credentials?.[0];
+  t.check('n8n ICredentialType properties', credential?.name === 'acmeApi' && credential?.display_name === 'Acme API' &&
+    credential?.fields?.[0]?.secret === true && credential?.fields?.[0]?.required === true &&
+    credential?.fields?.[1]?.default === 'us', JSON.stringify(credential));
+
+  const gone = artifacts.find(a => a.slug === 'gone');
+  t.check('missing repo stamped without a schema', !!gone?.config_detected_at && gone?.config_schema == null, JSON.stringify(gone));
+  const run = lastRun(store, 'config-schema');
+  t.check('run recorded', run?.exit_reason === 'completed' && run?.stages?.config?.configured === 5 &&
+    run?.stages?.config?.unavailable === 1, JSON.stringify(run?.stages));
+  return t.done();
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// Run all tests
+// ═══════════════════════════════════════════════════════════════════
+
+async function main() {
+  console.log('🧪 Pipeline Fixture Test Suite (offline)\n');
+
+  const results = [];
+  try {
+    // Tests 1, 4 and 5 share one store: discover → enrich → vibe
+    const flow = tmpDir('flow');
+    results.push({ name: 'Discover', pass: await testDiscover(flow) });
+    results.push({ name: 'GitHub 403 rate limit', pass: await testRateLimit() });
+    results.push({ name: 'GitHub 422', pass: await testSearch422() });
+    results.push({ name: 'Enrich', pass: await testEnrich(flow) });
+    results.push({ name: 'Vibe score', pass: await testVibe(flow) });
+    results.push({ name: 'Registries', pass: await testRegistries() });
+    results.push({ name: 'Registry error paths', pass: await testRegistryFallbacks() });
+    results.push({ name: 'Record → replay', pass: await testRecordReplay() });
+    results.push({ name: 'Enrich row leases', pass: await testLeases() });
+    results.push({ name: 'LLM budget cap', pass: await testBudget() });
+    results.push({ name: 'Package verification', pass: await testVerify() });
+    results.push({ name: 'Health score', pass: await testHealth() });
+    results.push({ name: 'MCP inventory', pass: await testMcpInventory() });
+    results.push({ name: 'Config schema', pass: await testConfigSchema() });
+  } finally {
+    for (const dir of tmpDirs) fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  // Summary
+  console.log('\n═══ SUMMARY ═══\n');
+  for (const r of results) {
+    console.log(`  ${r.pass ? '✅' : '❌'} ${r.name}`);
+  }
+
+  const allPassed = results.every(r => r.pass);
+  console.log(`\n${allPassed ? '🎉 All tests passed!' : '⚠️  Some tests failed.'}\n`);
+  process.exit(allPassed ? 0 : 1);
+}
+
+main();
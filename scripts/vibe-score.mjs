@@ -14,8 +14,20 @@
  *   5. Dev.to                   – blog mentions
  *   6. GitHub Discussions        – project-level chatter
  *
- * Gemini is ONLY used for sentiment analysis on artifacts that actually
- * have social mentions — most won't, keeping cost at ~$2-4/month.
+ * The LLM (Gemini by default — LLM_PROVIDER switches to an OpenAI-compatible
+ * or local Ollama endpoint, see scripts/lib/llm.mjs) is ONLY used for
+ * sentiment analysis on artifacts that actually have social mentions —
+ * most won't, keeping cost at ~$2-4/month. Each run's tokens and estimated
+ * cost go to the run log (stage 'llm'); each artifact's share of its batch
+ * to artifacts.sentiment_llm_usage.
+ *
+ *   --max-llm-cost USD : stop sentiment batches once the run's estimated LLM
+ *                        cost reaches USD; the rest keep a neutral sentiment
+ *   --max-tokens N     : same, by prompt + output tokens
+ *
+ * LOCAL_STORE=<dir> reads and writes local JSON files instead of Supabase
+ * (scripts/lib/store.mjs). HTTP_FIXTURES=record|replay captures or serves
+ * the signal and LLM calls (scripts/lib/http-fixtures.mjs).
  *
  * Cost model:
  *   Signal APIs:  $0 (all free)
@@ -24,13 +36,30 @@
  *   Total:        ~$3-5/month
  */
 
+import { createLLM } from './lib/llm.mjs';
+import { startRun, recordStage, recordError, finishRun } from './lib/run-ledger.mjs';
+import { installHttpFixtures } from './lib/http-fixtures.mjs';
+import { createStore } from './lib/store.mjs';
+
+// HTTP_FIXTURES=record|replay — capture or serve external calls (tests)
+installHttpFixtures();
+
 // ─────────────────────────── Config ───────────────────────────────────
 
-const GEMINI_MODEL   = 'gemini-2.5-flash';
-const GEMINI_URL     = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent`;
-const SENTIMENT_BATCH = 30;   // artifacts per Gemini sentiment call
+const SENTIMENT_BATCH = 30;   // artifacts per LLM sentiment call
 const MENTION_LOOKBACK_DAYS = 30;
 
+// --max-llm-cost USD / --max-tokens N : LLM budget for the run. Sentiment stops
+// between batches once it is used up; unscored artifacts stay neutral.
+const MAX_LLM_COST_ARG = process.argv.indexOf('--max-llm-cost');
+const MAX_LLM_COST = MAX_LLM_COST_ARG !== -1
+  ? parseFloat(process.argv[MAX_LLM_COST_ARG + 1]) || null
+  : null;
+const MAX_TOKENS_ARG = process.argv.indexOf('--max-tokens');
+const MAX_TOKENS = MAX_TOKENS_ARG !== -1
+  ? parseInt(process.argv[MAX_TOKENS_ARG + 1], 10) || null
+  : null;
+
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 function log(emoji, msg) { console.log(`${emoji}  ${msg}`); }
 
@@ -40,54 +69,35 @@ const ENV = {
   SUPABASE_URL:              process.env.SUPABASE_URL,
   SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
   GITHUB_PAT:                process.env.GITHUB_PAT || process.env.GITHUB_TOKEN,
-  GEMINI_API_KEY:            process.env.GEMINI_API_KEY,
   REDDIT_CLIENT_ID:          process.env.REDDIT_CLIENT_ID || '',
   REDDIT_CLIENT_SECRET:      process.env.REDDIT_CLIENT_SECRET || '',
 };
 
+const llm = createLLM();
+llm.setBudget({ maxCostUsd: MAX_LLM_COST, maxTokens: MAX_TOKENS });
+
 function validateEnv() {
-  const required = ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
+  const required = store.kind === 'local' ? [] : ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'];
   const missing = required.filter(k => !ENV[k]);
   if (missing.length) { console.error(`Missing: ${missing.join(', ')}`); process.exit(1); }
   const optional = [];
-  if (!ENV.GEMINI_API_KEY) optional.push('GEMINI_API_KEY (no sentiment analysis)');
+  if (!llm.configured) optional.push(`${llm.name === 'gemini' ? 'GEMINI_API_KEY' : 'LLM_API_KEY'} (no sentiment analysis)`);
   if (!ENV.REDDIT_CLIENT_ID) optional.push('REDDIT_CLIENT_ID (no Reddit signals)');
   if (optional.length) log('⚠️', `Optional missing: ${optional.join(', ')}`);
-  log('✅', 'Vibe score pipeline starting');
+  if (MAX_LLM_COST && !llm.price) {
+    log('⚠️', `No price known for ${llm.model} — set LLM_PRICE_INPUT / LLM_PRICE_OUTPUT or --max-llm-cost can't stop anything`);
+  }
+  log('✅', `Vibe score pipeline starting${store.kind === 'local' ? ` — ${store.label}` : ''}`);
 }
 
 // ─────────────────────────── Supabase ─────────────────────────────────
+// Supabase REST, or the JSON files under LOCAL_STORE (scripts/lib/store.mjs)
 
-const sbHeaders = () => ({
-  'Content-Type': 'application/json',
-  Authorization: `Bearer ${ENV.SUPABASE_SERVICE_ROLE_KEY}`,
-  apikey: ENV.SUPABASE_SERVICE_ROLE_KEY,
-});
-
-async function sbGet(table, query = '') {
-  const res = await fetch(`${ENV.SUPABASE_URL}/rest/v1/${table}?${query}`, { headers: sbHeaders() });
-  if (!res.ok) throw new Error(`SB GET ${table}: ${res.status} ${await res.text()}`);
-  return res.json();
-}
-
-async function sbUpsert(table, rows, onConflict) {
-  const headers = { ...sbHeaders(), Prefer: 'resolution=merge-duplicates,return=representation' };
-  const res = await fetch(
-    `${ENV.SUPABASE_URL}/rest/v1/${table}${onConflict ? `?on_conflict=${onConflict}` : ''}`,
-    { method: 'POST', headers, body: JSON.stringify(rows) },
-  );
-  if (!res.ok) throw new Error(`SB UPSERT ${table}: ${res.status} ${(await res.text()).substring(0, 200)}`);
-  return res.json();
-}
+const store = createStore();
 
-async function sbPatch(table, query, body) {
-  const headers = { ...sbHeaders(), Prefer: 'return=minimal' };
-  const res = await fetch(
-    `${ENV.SUPABASE_URL}/rest/v1/${table}?${query}`,
-    { method: 'PATCH', headers, body: JSON.stringify(body) },
-  );
-  if (!res.ok) throw new Error(`SB PATCH ${table}: ${res.status} ${(await res.text()).substring(0, 200)}`);
-}
+const sbGet    = (table, query = '') => store.get(table, query);
+const sbUpsert = (table, rows, onConflict) => store.upsert(table, rows, onConflict);
+const sbPatch  = (table, query, body) => store.patch(table, query, body);
 
 // ─────────────────────────── Load artifacts ───────────────────────────
 
@@ -398,7 +408,7 @@ async function batchDevToMentions(artifacts) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════
-//  SENTIMENT ANALYSIS (Gemini — only for artifacts WITH mentions)
+//  SENTIMENT ANALYSIS (LLM — only for artifacts WITH mentions)
 // ═══════════════════════════════════════════════════════════════════════
 
 function repairJSON(raw) {
@@ -431,8 +441,14 @@ function repairJSON(raw) {
   throw new Error('JSON repair failed');
 }
 
+const SENTIMENT_SCHEMA = { type: 'ARRAY', items: { type: 'NUMBER' } };
+
+/**
+ * One LLM call scoring a batch. Returns { scores, usage } — usage is the
+ * call's tokens and cost, or null when no call was made or it failed.
+ */
 async function analyzeSentimentBatch(items) {
-  if (!ENV.GEMINI_API_KEY) return items.map(() => 0);
+  if (!llm.configured) return { scores: items.map(() => 0), usage: null };
 
   const prompt = `Analyze the sentiment of social media mentions for ${items.length} developer tools. Return ONLY a JSON array of ${items.length} numbers, each between -1.0 (very negative) and 1.0 (very positive). 0 = neutral.
 
@@ -447,24 +463,17 @@ ${items.map((item, idx) => {
 Return JSON array of ${items.length} floats, e.g. [0.7, -0.2, 0.5]`;
 
   try {
-    const res = await fetch(`${GEMINI_URL}?key=${ENV.GEMINI_API_KEY}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: { temperature: 0.1, maxOutputTokens: items.length * 15, responseMimeType: 'application/json' },
-      }),
+    const { text: raw, usage } = await llm.generateJSON({
+      prompt, schema: SENTIMENT_SCHEMA, temperature: 0.1, maxOutputTokens: items.length * 15,
     });
-    if (!res.ok) throw new Error(`${res.status}`);
-    const data = await res.json();
-    const raw = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
     const parsed = repairJSON(raw);
     const arr = Array.isArray(parsed) ? parsed : [parsed];
     // Clamp values to [-1, 1]
-    return arr.map(v => Math.max(-1, Math.min(1, parseFloat(v) || 0)));
+    return { scores: arr.map(v => Math.max(-1, Math.min(1, parseFloat(v) || 0))), usage };
   } catch (err) {
     log('⚠️', `Sentiment batch failed: ${err.message.substring(0, 100)}`);
-    return items.map(() => 0);
+    recordError('sentiment', err);
+    return { scores: items.map(() => 0), usage: null };
   }
 }
 
@@ -503,6 +512,7 @@ function computeVibeScore({ npmDownloads, pypiDownloads, mentions7d, mentions30d
 async function main() {
   const startTime = Date.now();
   validateEnv();
+  await startRun('vibe-score', { store });
 
   // 1. Load all active artifacts
   const artifacts = await loadArtifacts();
@@ -529,6 +539,10 @@ async function main() {
   }
 
   log('📊', `\n${allMentions.size} artifacts have social mentions\n`);
+  recordStage('signals', {
+    artifacts: artifacts.length, npm: npmMap.size, pypi: pypiMap.size,
+    hn: hnMap.size, reddit: redditMap.size, devto: devtoMap.size,
+  });
 
   // 4. Upsert mentions to DB
   log('💾', 'Upserting mentions to artifact_mentions');
@@ -550,6 +564,7 @@ async function main() {
       await sbUpsert('artifact_mentions', rows, 'source,external_id');
       mentionCount += rows.length;
     } catch (err) {
+      recordError('mentions', err);
       // Try individual inserts on batch failure
       for (const row of rows) {
         try { await sbUpsert('artifact_mentions', [row], 'source,external_id'); mentionCount++; }
@@ -558,29 +573,50 @@ async function main() {
     }
   }
   log('  ', `Stored ${mentionCount} mentions`);
+  recordStage('mentions', { artifacts: allMentions.size, stored: mentionCount });
 
-  // 5. Sentiment analysis via Gemini (only artifacts with mentions)
+  // 5. Sentiment analysis via the LLM (only artifacts with mentions)
   log('🤖', '\n═══ SENTIMENT ANALYSIS ═══\n');
   const sentimentMap = new Map();
+  const sentimentUsage = new Map();   // artifact id → its share of the batch's LLM call
   const artifactsWithMentions = artifacts.filter(a => allMentions.has(a.id));
 
-  if (ENV.GEMINI_API_KEY && artifactsWithMentions.length > 0) {
-    log('🤖', `Analyzing sentiment for ${artifactsWithMentions.length} artifacts`);
+  if (llm.configured && artifactsWithMentions.length > 0) {
+    log('🤖', `Analyzing sentiment for ${artifactsWithMentions.length} artifacts (${llm.label})`);
+    let overBudget = 0;
     for (let i = 0; i < artifactsWithMentions.length; i += SENTIMENT_BATCH) {
+      if (llm.exhausted) {
+        overBudget = artifactsWithMentions.length - i;
+        log('💸', `LLM budget used up — stopping sentiment, ${overBudget} artifacts stay neutral`);
+        break;
+      }
       const batch = artifactsWithMentions.slice(i, i + SENTIMENT_BATCH);
       const items = batch.map(a => ({
         name: a.name,
         mentions: allMentions.get(a.id) || [],
       }));
-      const scores = await analyzeSentimentBatch(items);
+      const { scores, usage } = await analyzeSentimentBatch(items);
       for (let j = 0; j < batch.length; j++) {
         sentimentMap.set(batch[j].id, scores[j]);
+        if (usage) {
+          sentimentUsage.set(batch[j].id, {
+            model:         llm.model,
+            batch_size:    batch.length,
+            input_tokens:  Math.round(usage.inputTokens / batch.length),
+            output_tokens: Math.round(usage.outputTokens / batch.length),
+            cost_usd:      Number((usage.costUsd / batch.length).toFixed(6)),
+            at:            new Date().toISOString(),
+          });
+        }
       }
       await sleep(500);
     }
-    log('  ', `Sentiment scored for ${sentimentMap.size} artifacts`);
+    const spend = llm.totals();
+    log('  ', `Sentiment scored for ${sentimentMap.size} artifacts — ${spend.calls} calls, ` +
+      `${spend.input_tokens} in + ${spend.output_tokens} out tokens, ~$${spend.cost_usd.toFixed(4)}`);
+    recordStage('sentiment', { scored: sentimentMap.size, over_budget: overBudget });
   } else {
-    log('⚠️', 'Skipping sentiment (no Gemini key or no mentions)');
+    log('⚠️', 'Skipping sentiment (no LLM configured or no mentions)');
   }
 
   // 6. Compute vibe scores and update artifacts
@@ -591,8 +627,10 @@ async function main() {
   let updated = 0;
 
   // Process in batches of 50 for DB updates
+  const today = now.toISOString().substring(0, 10);
   for (let i = 0; i < artifacts.length; i += 50) {
     const batch = artifacts.slice(i, i + 50);
+    const snapshots = [];
 
     for (const a of batch) {
       const mentions = allMentions.get(a.id) || [];
@@ -619,22 +657,44 @@ async function main() {
           mention_count_7d: mentions7d,
           mention_count_30d: mentions30d,
           sentiment_avg: sentimentMap.get(a.id) || 0,
+          ...(sentimentUsage.has(a.id) ? { sentiment_llm_usage: sentimentUsage.get(a.id) } : {}),
           vibe_updated_at: now.toISOString(),
         });
         updated++;
+        snapshots.push({
+          artifact_id: a.id, snapshot_date: today, vibe_score: vibeScore,
+          weekly_downloads: (npmMap.get(a.id) || a.npm_downloads_weekly || 0) + (pypiMap.get(a.id) || 0),
+        });
       } catch (err) {
         log('  ', `Update failed for ${a.slug}: ${err.message.substring(0, 80)}`);
+        recordError('scores', err);
       }
     }
+    // Same daily row --refresh writes stars into (artifact_snapshots, migration 018)
+    if (snapshots.length) {
+      try { await sbUpsert('artifact_snapshots', snapshots, 'artifact_id,snapshot_date'); }
+      catch (err) { log('  ', `Snapshot write failed: ${err.message.substring(0, 80)}`); }
+    }
     if (i > 0 && i % 500 === 0) log('  ', `Updated ${updated}/${artifacts.length}`);
   }
 
   const elapsed = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
   log('🏁', `\nVibe score pipeline complete: ${updated} artifacts updated, ${mentionCount} mentions stored`);
+  recordStage('scores', { updated });
   log('⏱️', `Total time: ${elapsed} min`);
 }
 
-main().catch(err => {
-  console.error('\n❌ Fatal:', err);
-  process.exit(1);
-});
+/** LLM tokens, model and estimated cost for the run log, when the run used the LLM. */
+function recordLLMUsage() {
+  const totals = llm.totals();
+  if (totals.calls || 'budget_exhausted' in totals) recordStage('llm', totals);
+}
+
+main()
+  .then(() => { recordLLMUsage(); return finishRun('completed'); })
+  .catch(async (err) => {
+    console.error('\n❌ Fatal:', err);
+    recordLLMUsage();
+    await finishRun('fatal', err);
+    process.exit(1);
+  });
@@ -0,0 +1,10 @@
+import { NextResponse } from "next/server";
+import { getPipelineStatus } from "@/lib/data";
+
+export async function GET() {
+  try {
+    return NextResponse.json(await getPipelineStatus());
+  } catch {
+    return NextResponse.json({ error: "Internal error" }, { status: 500 });
+  }
+}
@@ -2,13 +2,34 @@ import Link from "next/link";
 import Navigation from "@/components/Navigation";
 import Footer from "@/components/Footer";
 import SkillRow from "@/components/SkillRow";
-import { getArtifacts } from "@/lib/data";
+import { getArtifacts, getArtifactsByContributor, getContributor } from "@/lib/data";
+import { formatNumber } from "@/lib/types";
 import type { Artifact } from "@/lib/types";
 
 export default async function ContributorProfile({ params }: { params: Promise<{ username: string }> }) {
   const { username } = await params;
-  const allArtifacts = await getArtifacts();
-  const artifacts = allArtifacts.filter(a => a.contributor?.github_username === username);
+  const contributor = await getContributor(username);
+  // Without a contributors row (mock data, Supabase down) fall back to the joined relation
+  const artifacts = contributor
+    ? await getArtifactsByContributor(contributor.id)
+    : (await getArtifacts()).filter(a => a.contributor?.github_username === username);
+  const profile = contributor || artifacts[0]?.contributor || null;
+
+  // Collection members share their repo's stars — count each repo once
+  const totalStars = artifacts.filter(a => !a.parent_artifact_id).reduce((sum, a) => sum + (a.stars || 0), 0);
+  const byType = new Map<string, number>();
+  for (const a of artifacts) {
+    const label = a.artifact_type?.label || "Other";
+    byType.set(label, (byType.get(label) || 0) + 1);
+  }
+  const isOrg = profile?.owner_type === "organization";
+
+  const stats = [
+    { label: "Artifacts", value: String(artifacts.length) },
+    { label: "Total stars", value: formatNumber(totalStars) },
+    ...(profile?.followers != null ? [{ label: "Followers", value: formatNumber(profile.followers) }] : []),
+    ...(profile?.public_repos != null ? [{ label: "Public repos", value: formatNumber(profile.public_repos) }] : []),
+  ];
 
   return (
     <div className="min-h-screen flex flex-col">
@@ -20,15 +41,62 @@ export default async function ContributorProfile({ params }: { params: Promise<{
             ← Back to Explore
           </span>
         </Link>
-        <h1
-          className="text-[clamp(2rem,4vw,3.25rem)] font-bold tracking-[-0.04em] leading-[1] mt-6"
-          style={{ fontFamily: "var(--font-display)" }}
-        >
-          @{username}
-        </h1>
-        <p className="mt-3 text-[0.9375rem] text-muted-foreground">
-          {artifacts.length} artifact{artifacts.length !== 1 ? "s" : ""} in the directory
-        </p>
+        <div className="flex items-start gap-5 mt-6">
+          {profile?.avatar_url && (
+            <img
+              src={profile.avatar_url}
+              alt={username}
+              className={`w-16 h-16 object-cover shrink-0 border border-border ${isOrg ? "rounded-md" : "rounded-full"}`}
+            />
+          )}
+          <div className="min-w-0">
+            <h1
+              className="text-[clamp(2rem,4vw,3.25rem)] font-bold tracking-[-0.04em] leading-[1]"
+              style={{ fontFamily: "var(--font-display)" }}
+            >
+              {profile?.display_name && profile.display_name !== username ? profile.display_name : `@${username}`}
+            </h1>
+            <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-[0.75rem] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+              {profile?.display_name && profile.display_name !== username && <span>@{username}</span>}
+              {profile?.owner_type && <span>{isOrg ? "Organization" : "User"}</span>}
+              {profile?.is_verified && <span className="text-foreground">✓ Verified organization</span>}
+              {profile?.location && <span>{profile.location}</span>}
+              {profile?.website && (
+                <a href={profile.website} target="_blank" rel="noopener noreferrer nofollow" className="editorial-link">
+                  {profile.website.replace(/^https?:\/\//, "").replace(/\/$/, "")}
+                </a>
+              )}
+              <a href={profile?.github_url || `https://github.com/${username}`} target="_blank" rel="noopener noreferrer" className="editorial-link">
+                GitHub
+              </a>
+            </div>
+          </div>
+        </div>
+        {profile?.bio && (
+          <p className="mt-5 max-w-[60ch] text-[0.9375rem] text-muted-foreground">{profile.bio}</p>
+        )}
+
+        <div className="mt-8 flex flex-wrap gap-x-10 gap-y-4">
+          {stats.map((item) => (
+            <div key={item.label}>
+              <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-0.5" style={{ fontFamily: "var(--font-mono)" }}>{item.label}</span>
+              <span className="text-[1.125rem] text-foreground" style={{ fontFamily: "var(--font-mono)" }}>{item.value}</span>
+            </div>
+          ))}
+        </div>
+        {byType.size > 0 && (
+          <div className="mt-5 flex flex-wrap gap-2">
+            {[...byType.entries()].sort((a, b) => b[1] - a[1]).map(([label, count]) => (
+              <span
+                key={label}
+                className="text-[0.6875rem] px-2 py-0.5 border border-border text-muted-foreground"
+                style={{ fontFamily: "var(--font-mono)" }}
+              >
+                {label} · {count}
+              </span>
+            ))}
+          </div>
+        )}
       </div>
 
       <div className="rule flex-1">
@@ -4,12 +4,12 @@ import { useState, useMemo, useRef, useEffect } from "react";
 import Link from "next/link";
 import Navigation from "@/components/Navigation";
 import Footer from "@/components/Footer";
-import { artifactTypeSlugs, artifactTypeLabels, type ArtifactTypeSlug, type Category, type Platform } from "@/lib/types";
+import { SECURITY_SCANNED_TYPES, artifactTypeSlugs, artifactTypeLabels, type ArtifactTypeSlug, type Category, type Platform } from "@/lib/types";
 import type { Artifact } from "@/lib/types";
 import { formatNumber, getTimeAgo } from "@/lib/types";
 import { supabase } from "@/lib/supabase";
 
-type SortOption = "stars" | "updated" | "downloads" | "trending" | "vibe" | "name";
+type SortOption = "stars" | "updated" | "downloads" | "trending" | "vibe" | "health" | "name";
 
 export default function Explore() {
   const [artifacts, setArtifacts] = useState<Artifact[]>([]);
@@ -20,6 +20,7 @@ export default function Explore() {
   const [activePlatform, setActivePlatform] = useState("All");
   const [activeType, setActiveType] = useState<ArtifactTypeSlug | "all">("all");
   const [sortBy, setSortBy] = useState<SortOption>("trending");
+  const [noHighSeverity, setNoHighSeverity] = useState(false);
   const inputRef = useRef<HTMLInputElement>(null);
 
   useEffect(() => {
@@ -100,12 +101,18 @@ export default function Explore() {
         (s) =>
           s.name.toLowerCase().includes(q) ||
           s.description.toLowerCase().includes(q) ||
-          s.tags.some((t: string) => t.toLowerCase().includes(q))
+          s.tags.some((t: string) => t.toLowerCase().includes(q)) ||
+          !!s.mcp_tool_names?.some((t: string) => t.toLowerCase().includes(q))
       );
     }
     if (activeCategory !== "All") result = result.filter((s) => s.category?.label === activeCategory);
     if (activePlatform !== "All") result = result.filter((s) => s.artifact_platforms?.some(ap => ap.platform?.label === activePlatform));
     if (activeType !== "all") result = result.filter((s) => s.artifact_type?.slug === activeType);
+    // Scannable types must have been scanned with nothing high-severity; other types aren't scanned at all
+    if (noHighSeverity) {
+      result = result.filter((s) => !s.artifact_type || !SECURITY_SCANNED_TYPES.includes(s.artifact_type.slug) ||
+        (s.security_scan_status === "scanned" && !s.security_high));
+    }
 
     switch (sortBy) {
       case "stars": result = [...result].sort((a, b) => b.stars - a.stars); break;
@@ -113,12 +120,13 @@ export default function Explore() {
       case "downloads": result = [...result].sort((a, b) => b.weekly_downloads - a.weekly_downloads); break;
       case "trending": result = [...result].sort((a, b) => b.trending_score - a.trending_score); break;
       case "vibe": result = [...result].sort((a, b) => (b.vibe_score || 0) - (a.vibe_score || 0)); break;
+      case "health": result = [...result].sort((a, b) => (b.health_score ?? -1) - (a.health_score ?? -1)); break;
       case "name": result = [...result].sort((a, b) => a.name.localeCompare(b.name)); break;
     }
     return result;
-  }, [artifacts, searchQuery, activeCategory, activePlatform, activeType, sortBy]);
+  }, [artifacts, searchQuery, activeCategory, activePlatform, activeType, noHighSeverity, sortBy]);
 
-  const hasActiveFilters = activeCategory !== "All" || activePlatform !== "All" || activeType !== "all" || searchQuery !== "";
+  const hasActiveFilters = activeCategory !== "All" || activePlatform !== "All" || activeType !== "all" || noHighSeverity || searchQuery !== "";
 
   return (
     <div className="min-h-screen flex flex-col">
@@ -221,10 +229,24 @@ export default function Explore() {
               </ul>
             </div>
 
+            {/* Security */}
+            <div className="mb-5">
+              <label className="text-[0.5625rem] tracking-[0.1em] uppercase text-muted-foreground block mb-2" style={{ fontFamily: "var(--font-mono)" }}>
+                Security
+              </label>
+              <ul className="space-y-px">
+                <SidebarItem
+                  label="No high-severity findings"
+                  active={noHighSeverity}
+                  onClick={() => setNoHighSeverity(!noHighSeverity)}
+                />
+              </ul>
+            </div>
+
             {/* Clear */}
             {hasActiveFilters && (
               <button
-                onClick={() => { setActiveCategory("All"); setActivePlatform("All"); setActiveType("all"); setSearchQuery(""); }}
+                onClick={() => { setActiveCategory("All"); setActivePlatform("All"); setActiveType("all"); setNoHighSeverity(false); setSearchQuery(""); }}
                 className="text-[0.6875rem] hover:text-foreground transition-colors duration-150 mt-2"
                 style={{ fontFamily: "var(--font-mono)", color: "var(--color-vermillion)" }}
               >
@@ -244,6 +266,7 @@ export default function Explore() {
                 {([
                   { key: "trending", label: "Trending" },
                   { key: "vibe", label: "Vibe" },
+                  { key: "health", label: "Health" },
                   { key: "stars", label: "Stars" },
                   { key: "updated", label: "Updated" },
                   { key: "downloads", label: "Downloads" },
@@ -298,6 +321,13 @@ export default function Explore() {
                   <option key={cat.id} value={cat.label}>{cat.label}</option>
                 ))}
               </select>
+              <button
+                onClick={() => setNoHighSeverity(!noHighSeverity)}
+                className={`border px-2 py-1 text-[0.6875rem] shrink-0 ${noHighSeverity ? "border-foreground text-foreground" : "border-border text-muted-foreground"}`}
+                style={{ fontFamily: "var(--font-mono)" }}
+              >
+                No high-severity
+              </button>
             </div>
           </div>
 
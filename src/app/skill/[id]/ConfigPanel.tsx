@@ -0,0 +1,95 @@
+import { envFileSnippet } from "@/lib/install-snippets";
+import type { Artifact, ConfigEntry } from "@/lib/types";
+import CopyButton from "./CopyButton";
+
+interface ConfigPanelProps {
+  artifact: Pick<Artifact, "config_schema">;
+}
+
+const labelStyle = { fontFamily: "var(--font-mono)" };
+
+function EntryRow({ entry }: { entry: ConfigEntry }) {
+  return (
+    <div className="py-2.5 border-b border-border">
+      <div className="flex items-baseline gap-3 flex-wrap">
+        <code className="text-[0.8125rem] text-foreground font-semibold" style={labelStyle}>{entry.name}</code>
+        <span className={`text-[0.5625rem] tracking-[0.05em] uppercase ${entry.required ? "text-foreground" : "text-muted-foreground"}`} style={labelStyle}>
+          {entry.required ? "required" : "optional"}
+        </span>
+        {entry.secret && (
+          <span className="text-[0.5625rem] tracking-[0.05em] uppercase text-muted-foreground" style={labelStyle}>secret</span>
+        )}
+        {entry.default && (
+          <span className="text-[0.6875rem] text-muted-foreground" style={labelStyle}>default: {entry.default}</span>
+        )}
+      </div>
+      {entry.description && <p className="mt-1 text-[0.8125rem] text-muted-foreground">{entry.description}</p>}
+    </div>
+  );
+}
+
+export default function ConfigPanel({ artifact }: ConfigPanelProps) {
+  const schema = artifact.config_schema;
+  if (!schema) return null;
+
+  const required = [...schema.env, ...schema.args].filter((e) => e.required).length
+    + schema.credentials.reduce((n, c) => n + c.fields.filter((f) => f.required).length, 0);
+  const envFile = envFileSnippet(schema);
+
+  const sections = [
+    { label: "Environment variables", entries: schema.env },
+    { label: "Arguments", entries: schema.args },
+  ].filter((s) => s.entries.length > 0);
+
+  return (
+    <div className="mb-10">
+      <div className="flex items-baseline justify-between gap-4 mb-3">
+        <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground" style={labelStyle}>Configuration</span>
+        <span className="text-[0.625rem] text-muted-foreground" style={labelStyle}>
+          {required > 0 ? `${required} required` : "nothing required"}
+        </span>
+      </div>
+
+      {sections.map((section) => (
+        <div key={section.label} className="mb-5">
+          <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-1" style={labelStyle}>{section.label}</span>
+          <div className="border-t border-border">
+            {section.entries.map((e) => <EntryRow key={e.name} entry={e} />)}
+          </div>
+        </div>
+      ))}
+
+      {schema.credentials.map((cred) => (
+        <div key={cred.name} className="mb-5">
+          <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-1" style={labelStyle}>
+            Credential · {cred.display_name}
+          </span>
+          <div className="border-t border-border">
+            {cred.fields.map((f) => (
+              <EntryRow
+                key={f.name}
+                entry={{ ...f, name: f.display_name || f.name, sources: [] }}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+
+      {schema.files.length > 0 && (
+        <p className="mb-5 text-[0.75rem] text-muted-foreground" style={labelStyle}>
+          Reads {schema.files.map((f) => f.name).join(", ")}
+        </p>
+      )}
+
+      {envFile && (
+        <div>
+          <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-1" style={labelStyle}>.env</span>
+          <pre className="mb-2 p-3 border border-border bg-[oklch(0.96_0.005_80)] text-[0.75rem] text-foreground overflow-x-auto" style={labelStyle}>
+            {envFile}
+          </pre>
+          <CopyButton text={envFile} label="Copy .env" block />
+        </div>
+      )}
+    </div>
+  );
+}
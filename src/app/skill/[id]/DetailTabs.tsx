@@ -0,0 +1,38 @@
+"use client";
+
+import { useState, type ReactNode } from "react";
+
+interface DetailTabsProps {
+  tabs: { key: string; label: string; content: ReactNode }[];
+  className?: string;
+}
+
+export default function DetailTabs({ tabs, className = "rule pt-8" }: DetailTabsProps) {
+  const [active, setActive] = useState(tabs[0]?.key);
+  if (tabs.length === 0) return null;
+  const current = tabs.find((t) => t.key === active) || tabs[0];
+
+  return (
+    <div className={className}>
+      <div className="flex flex-wrap gap-x-6 mb-6 border-b border-border" role="tablist">
+        {tabs.map((tab) => (
+          <button
+            key={tab.key}
+            role="tab"
+            aria-selected={tab.key === current.key}
+            onClick={() => setActive(tab.key)}
+            className={`-mb-px pb-2 text-[0.625rem] tracking-[0.08em] uppercase border-b transition-colors duration-150 ${
+              tab.key === current.key
+                ? "border-foreground text-foreground"
+                : "border-transparent text-muted-foreground hover:text-foreground"
+            }`}
+            style={{ fontFamily: "var(--font-mono)" }}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+      <div role="tabpanel">{current.content}</div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import { installSnippets } from "@/lib/install-snippets";
+import CopyButton from "./CopyButton";
+import DetailTabs from "./DetailTabs";
+
+interface InstallPanelProps {
+  artifact: Parameters<typeof installSnippets>[0];
+}
+
+const labelStyle = { fontFamily: "var(--font-mono)" };
+
+/** Tabs per compatible platform, each with its client's snippet(s) and a copy button */
+export default function InstallPanel({ artifact }: InstallPanelProps) {
+  const installs = installSnippets(artifact);
+  if (installs.length === 0) return null;
+
+  return (
+    <DetailTabs
+      className="mt-6"
+      tabs={installs.map((install) => ({
+        key: install.key,
+        label: install.label,
+        content: (
+          <div className="flex flex-col gap-5">
+            {install.snippets.map((snippet) => (
+              <div key={snippet.title}>
+                <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-1" style={labelStyle}>
+                  {snippet.title}
+                </span>
+                <pre
+                  className="mb-2 p-3 border border-border bg-[oklch(0.96_0.005_80)] text-[0.75rem] text-foreground overflow-x-auto whitespace-pre"
+                  style={labelStyle}
+                >
+                  {snippet.code}
+                </pre>
+                <CopyButton text={snippet.code} label={`Copy ${snippet.language === "bash" ? "command" : snippet.language === "text" ? "steps" : "config"}`} block />
+              </div>
+            ))}
+          </div>
+        ),
+      }))}
+    />
+  );
+}
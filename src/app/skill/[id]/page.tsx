@@ -1,27 +1,41 @@
 import Link from "next/link";
-import { notFound } from "next/navigation";
+import { notFound, permanentRedirect } from "next/navigation";
 import Navigation from "@/components/Navigation";
 import Footer from "@/components/Footer";
 import VibePanel from "@/components/VibePanel";
 import SignalChips from "@/components/SignalChips";
-import { getArtifactById, getMentionsForArtifact } from "@/lib/data";
-import { artifactTypeLabels, formatNumber, getTimeAgo } from "@/lib/types";
+import GrowthChart from "@/components/GrowthChart";
+import HealthPanel from "@/components/HealthPanel";
+import SecurityPanel from "@/components/SecurityPanel";
+import McpToolsPanel from "@/components/McpToolsPanel";
+import { getArtifactById, getArtifactSnapshots, getCollection, getMcpCapabilities, getMentionsForArtifact, getMirrors, getSecurityFindings } from "@/lib/data";
+import { artifactTypeLabels, formatNumber, getTimeAgo, packageVerificationLabel } from "@/lib/types";
 import MarkdownRenderer from "@/components/MarkdownRenderer";
+import ConfigPanel from "./ConfigPanel";
 import CopyButton from "./CopyButton";
+import DetailTabs from "./DetailTabs";
+import InstallPanel from "./InstallPanel";
 
 export default async function SkillDetail({ params }: { params: Promise<{ id: string }> }) {
   const { id } = await params;
   // Support both slug and UUID lookups
-  let artifact = await getArtifactById(id);
-  if (!artifact) {
-    // Try as slug if not found as ID
-    const { getArtifactBySlug } = await import("@/lib/data");
-    artifact = await getArtifactBySlug(id);
-  }
+  const artifact = await getArtifactById(id);
   if (!artifact) notFound();
+  // Old slugs of renamed / transferred / merged / re-slugged repos resolve
+  // to the current artifact — send them to its URL
+  if (artifact.slug !== id && artifact.id !== id) permanentRedirect(`/skill/${artifact.slug}`);
+  // Failed the quality gate, or hidden by a moderator
+  if (artifact.status === "hidden") notFound();
 
-  // Fetch social mentions for vibe panel
-  const mentions = await getMentionsForArtifact(artifact.id);
+  // Fetch social mentions for vibe panel, the collection and mirror cluster this belongs to, growth history, security findings and MCP tools
+  const [mentions, collection, mirrorGroup, snapshots, securityFindings, mcpCapabilities] = await Promise.all([
+    getMentionsForArtifact(artifact.id),
+    getCollection(artifact),
+    getMirrors(artifact),
+    getArtifactSnapshots(artifact),
+    getSecurityFindings(artifact),
+    getMcpCapabilities(artifact),
+  ]);
 
   return (
     <div className="min-h-screen flex flex-col">
@@ -57,6 +71,34 @@ export default async function SkillDetail({ params }: { params: Promise<{ id: st
               </span>
             </div>
 
+            {(artifact.status === "archived" || artifact.status === "removed") && (
+              <div className="border border-border px-3 py-2 mb-4 max-w-[60ch]">
+                <span className="text-[0.6875rem] tracking-[0.02em] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+                  {artifact.status === "archived"
+                    ? "This repository is archived on GitHub — read-only and no longer maintained."
+                    : "This repository is no longer available on GitHub."}
+                </span>
+              </div>
+            )}
+
+            {artifact.status === "pending_review" && (
+              <div className="border border-border px-3 py-2 mb-4 max-w-[60ch]">
+                <span className="text-[0.6875rem] tracking-[0.02em] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+                  Awaiting review — not yet listed on Explore.
+                </span>
+              </div>
+            )}
+
+            {artifact.status === "mirror" && mirrorGroup && (
+              <div className="border border-border px-3 py-2 mb-4 max-w-[60ch]">
+                <span className="text-[0.6875rem] tracking-[0.02em] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+                  A fork or copy of{" "}
+                  <Link href={`/skill/${mirrorGroup.canonical.slug}`} className="editorial-link text-foreground">{mirrorGroup.canonical.github_repo_full_name}</Link>
+                  {" "}— the original is listed instead.
+                </span>
+              </div>
+            )}
+
             <p className="text-[1.0625rem] text-muted-foreground leading-relaxed max-w-[60ch] mb-4">
               {artifact.long_description}
             </p>
@@ -66,10 +108,22 @@ export default async function SkillDetail({ params }: { params: Promise<{ id: st
 
             {/* Install commands */}
             <div className="mb-10">
-              <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-2" style={{ fontFamily: "var(--font-mono)" }}>Install</span>
+              <div className="flex items-baseline gap-3 mb-2">
+                <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>Install</span>
+                {packageVerificationLabel(artifact) && (
+                  <span className={`text-[0.625rem] tracking-[0.02em] ${artifact.package_verification === "verified" ? "text-muted-foreground" : "text-foreground"}`} style={{ fontFamily: "var(--font-mono)" }}>
+                    {artifact.package_verification === "verified" ? "✓" : "⚠"} {packageVerificationLabel(artifact)}
+                  </span>
+                )}
+              </div>
               <CopyButton text={artifact.install_command} label="click to copy" primary />
+              {/* Per-platform snippets with the required env vars filled in */}
+              <InstallPanel artifact={artifact} />
             </div>
 
+            {/* Configuration — env vars, arguments and credentials it needs */}
+            <ConfigPanel artifact={artifact} />
+
             {/* Compatible Platforms */}
             <div className="mb-10">
               <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-3" style={{ fontFamily: "var(--font-mono)" }}>
@@ -96,13 +150,79 @@ export default async function SkillDetail({ params }: { params: Promise<{ id: st
               </div>
             </div>
 
-            {/* README */}
-            {artifact.readme_raw && (
-              <div className="rule pt-8">
-                <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-4" style={{ fontFamily: "var(--font-mono)" }}>README.md</span>
-                <MarkdownRenderer content={artifact.readme_raw} />
+            {/* Collection — repo with several skills / servers / rule files */}
+            {collection && (
+              <div className="mb-10">
+                <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-3" style={{ fontFamily: "var(--font-mono)" }}>
+                  {collection.parent.id === artifact.id ? (
+                    <>Collection · {collection.members.length} artifacts</>
+                  ) : (
+                    <>
+                      Part of{" "}
+                      <Link href={`/skill/${collection.parent.slug}`} className="editorial-link text-foreground">{collection.parent.name}</Link>
+                      {" "}· {collection.members.length} artifacts
+                    </>
+                  )}
+                </span>
+                <div className="border-t border-border">
+                  {collection.members.map((member) => (
+                    <Link key={member.id} href={`/skill/${member.slug}`} className="group flex items-baseline justify-between gap-4 py-2 border-b border-border">
+                      <span className="min-w-0">
+                        <span className={`text-[0.8125rem] ${member.id === artifact.id ? "text-foreground font-semibold" : "text-muted-foreground group-hover:text-foreground"} transition-colors duration-150`} style={{ fontFamily: "var(--font-mono)" }}>
+                          {member.name}
+                        </span>
+                        {member.subpath && (
+                          <span className="block text-[0.625rem] text-muted-foreground truncate" style={{ fontFamily: "var(--font-mono)" }}>{member.subpath}</span>
+                        )}
+                      </span>
+                      <span className="text-[0.5625rem] tracking-[0.05em] uppercase text-muted-foreground shrink-0" style={{ fontFamily: "var(--font-mono)" }}>
+                        {member.artifact_type?.label}
+                      </span>
+                    </Link>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Security — static scan of the source (MCP servers and skills) */}
+            <SecurityPanel artifact={artifact} findings={securityFindings} />
+
+            {/* Mirrors — forks and copies collapsed into this listing */}
+            {mirrorGroup && mirrorGroup.canonical.id === artifact.id && (
+              <div className="mb-10">
+                <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-3" style={{ fontFamily: "var(--font-mono)" }}>
+                  Mirrors · {mirrorGroup.mirrors.length} forks and copies
+                </span>
+                <div className="border-t border-border">
+                  {mirrorGroup.mirrors.map((mirror) => (
+                    <Link key={mirror.id} href={`/skill/${mirror.slug}`} className="group flex items-baseline justify-between gap-4 py-2 border-b border-border">
+                      <span className="text-[0.8125rem] text-muted-foreground group-hover:text-foreground transition-colors duration-150 truncate" style={{ fontFamily: "var(--font-mono)" }}>
+                        {mirror.github_repo_full_name}
+                      </span>
+                      <span className="text-[0.5625rem] tracking-[0.05em] uppercase text-muted-foreground shrink-0" style={{ fontFamily: "var(--font-mono)" }}>
+                        ★ {formatNumber(mirror.stars)}
+                      </span>
+                    </Link>
+                  ))}
+                </div>
               </div>
             )}
+
+            {/* README and, for inventoried MCP servers, their tools */}
+            <DetailTabs
+              tabs={[
+                ...(artifact.readme_raw
+                  ? [{ key: "readme", label: "README.md", content: <MarkdownRenderer content={artifact.readme_raw} /> }]
+                  : []),
+                ...(mcpCapabilities.length > 0
+                  ? [{
+                      key: "tools",
+                      label: `Tools (${mcpCapabilities.filter((c) => c.kind === "tool").length})`,
+                      content: <McpToolsPanel artifact={artifact} capabilities={mcpCapabilities} />,
+                    }]
+                  : []),
+              ]}
+            />
           </div>
 
           {/* Sidebar */}
@@ -144,6 +264,22 @@ export default async function SkillDetail({ params }: { params: Promise<{ id: st
                   </div>
                 ))}
               </div>
+              {snapshots.length >= 2 && (
+                <>
+                  <div className="rule" />
+                  <div className="py-6">
+                    <GrowthChart snapshots={snapshots} />
+                  </div>
+                </>
+              )}
+              {artifact.health_score != null && artifact.health_breakdown && (
+                <>
+                  <div className="rule" />
+                  <div className="py-6">
+                    <HealthPanel artifact={artifact} />
+                  </div>
+                </>
+              )}
               <div className="rule" />
               <div className="py-6 flex flex-col gap-3">
                 <a href={artifact.github_url} target="_blank" rel="noopener noreferrer" className="block text-center text-[0.8125rem] tracking-[0.02em] px-5 py-2.5 bg-foreground text-background transition-opacity duration-150 hover:opacity-80" style={{ fontFamily: "var(--font-display)" }}>
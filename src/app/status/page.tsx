@@ -0,0 +1,204 @@
+import Navigation from "@/components/Navigation";
+import Footer from "@/components/Footer";
+import { getPipelineStatus } from "@/lib/data";
+import type { BacklogBucket, DataFreshness, PipelineRun } from "@/lib/types";
+
+export const dynamic = "force-dynamic";
+
+const labelStyle = { fontFamily: "var(--font-mono)" };
+
+// Longer than any pipeline job's timeout: an unfinished run this old was killed
+const STALLED_AFTER_MS = 2 * 3600 * 1000;
+// The daily pipeline runs every 8 hours; three missed runs is stale
+const STALE_AFTER_MS = 24 * 3600 * 1000;
+
+const FRESHNESS: { key: keyof DataFreshness; label: string; staleAfter?: number }[] = [
+  { key: "discovered_at", label: "Discovery", staleAfter: STALE_AFTER_MS },
+  { key: "enriched_at", label: "Enrichment", staleAfter: STALE_AFTER_MS },
+  { key: "refreshed_at", label: "Metadata refresh", staleAfter: STALE_AFTER_MS },
+  { key: "oldest_refresh_at", label: "Oldest refresh" },
+  { key: "snapshot_date", label: "Daily snapshot", staleAfter: 2 * STALE_AFTER_MS },
+  { key: "vibe_updated_at", label: "Vibe scores" },
+  { key: "health_updated_at", label: "Health scores" },
+  { key: "security_scanned_at", label: "Security scan" },
+  { key: "mcp_inventory_at", label: "MCP inventory" },
+  { key: "config_detected_at", label: "Config schema" },
+];
+
+function formatAge(ms: number): string {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+}
+
+function formatDuration(ms: number): string {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function runOutcome(run: PipelineRun, now: number): { label: string; bad: boolean } {
+  if (run.exit_reason === "completed") return { label: "completed", bad: false };
+  if (run.exit_reason === "time_budget") return { label: "time budget", bad: false };
+  if (run.exit_reason === "fatal") return { label: "fatal", bad: true };
+  return now - Date.parse(run.started_at) > STALLED_AFTER_MS
+    ? { label: "stalled", bad: true }
+    : { label: "running", bad: false };
+}
+
+function stageSummary(counts: Record<string, number | boolean | string>): string {
+  return Object.entries(counts)
+    .filter(([, v]) => typeof v !== "boolean")
+    .map(([k, v]) => (typeof v === "string" ? v : k === "cost_usd" ? `~$${Number(v).toFixed(4)}` : `${v} ${k.replace(/_/g, " ")}`))
+    .join(" · ");
+}
+
+function RunRow({ run, now }: { run: PipelineRun; now: number }) {
+  const outcome = runOutcome(run, now);
+  const duration = run.finished_at ? Date.parse(run.finished_at) - Date.parse(run.started_at) : null;
+
+  return (
+    <div className="py-3 border-b border-border">
+      <div className="flex items-baseline gap-3 flex-wrap">
+        <span className="text-[0.8125rem] text-foreground font-semibold" style={labelStyle}>
+          {run.script} · {run.mode || "default"}{run.type_filter ? ` · ${run.type_filter}` : ""}
+        </span>
+        <span className={`text-[0.5625rem] tracking-[0.05em] uppercase ${outcome.bad ? "text-[var(--color-vermillion)]" : "text-muted-foreground"}`} style={labelStyle}>
+          {outcome.label}
+        </span>
+        <span className="ml-auto text-[0.6875rem] text-muted-foreground" style={labelStyle}>
+          {formatAge(now - Date.parse(run.started_at))}
+          {duration != null && ` · ${formatDuration(duration)}`}
+        </span>
+      </div>
+      {Object.entries(run.stages).map(([stage, counts]) => (
+        <p key={stage} className="mt-1 text-[0.75rem] text-muted-foreground" style={labelStyle}>
+          {stage}: {stageSummary(counts) || "—"}
+        </p>
+      ))}
+      {run.error_count > 0 && (
+        <details className="mt-1">
+          <summary className="text-[0.75rem] text-muted-foreground cursor-pointer" style={labelStyle}>
+            {run.error_count} error{run.error_count === 1 ? "" : "s"}
+          </summary>
+          <ul className="mt-1 space-y-0.5">
+            {run.errors.map((e, i) => (
+              <li key={i} className="text-[0.6875rem] text-muted-foreground break-words" style={labelStyle}>
+                [{e.stage}] {e.message}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+type BacklogCounts = Record<BacklogBucket["enrichment_status"], number>;
+
+function BacklogTable({ label, rows }: { label: string; rows: [string, BacklogCounts][] }) {
+  return (
+    <div>
+      <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-1" style={labelStyle}>{label}</span>
+      <div className="border-t border-border">
+        {rows.map(([key, n]) => (
+          <div key={key} className="py-2 border-b border-border flex items-baseline gap-3 text-[0.8125rem]" style={labelStyle}>
+            <span className="text-foreground">{key}</span>
+            <span className="ml-auto text-muted-foreground">{n.pending} pending</span>
+            {n.in_progress > 0 && <span className="text-muted-foreground">{n.in_progress} in progress</span>}
+            <span className={`w-20 text-right ${n.failed ? "text-foreground" : "text-muted-foreground"}`}>{n.failed} failed</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function groupBacklog(backlog: BacklogBucket[], by: "type_hint" | "source") {
+  const groups = new Map<string, BacklogCounts>();
+  for (const b of backlog) {
+    const key = b[by] || "unknown";
+    const g = groups.get(key) || { pending: 0, in_progress: 0, failed: 0 };
+    g[b.enrichment_status] += b.repos;
+    groups.set(key, g);
+  }
+  const total = (n: BacklogCounts) => n.pending + n.in_progress + n.failed;
+  return [...groups.entries()].sort((a, b) => total(b[1]) - total(a[1]));
+}
+
+export default async function Status() {
+  const status = await getPipelineStatus();
+  const now = Date.parse(status.generated_at);
+  const backlogTotal = status.backlog.reduce((n, b) => n + b.repos, 0);
+
+  return (
+    <div className="min-h-screen flex flex-col">
+      <Navigation />
+
+      <div className="container pt-12 pb-16 flex-1">
+        <h1
+          className="text-[clamp(2rem,4vw,3.25rem)] font-bold tracking-[-0.04em] leading-[1]"
+          style={{ fontFamily: "var(--font-display)" }}
+        >
+          Pipeline status
+        </h1>
+        <p className="mt-3 max-w-[60ch] text-[0.9375rem] text-muted-foreground">
+          How fresh the directory&apos;s data is and what the indexing pipeline did last.{" "}
+          <a href="/api/status" className="editorial-link">JSON</a>
+        </p>
+
+        <section className="mt-10">
+          <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-3" style={labelStyle}>Data age</span>
+          {status.freshness ? (
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-x-8 gap-y-4">
+              {FRESHNESS.map(({ key, label, staleAfter }) => {
+                const value = status.freshness?.[key];
+                const age = value ? now - Date.parse(value) : null;
+                const stale = staleAfter != null && (age == null || age > staleAfter);
+                return (
+                  <div key={key}>
+                    <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-0.5" style={labelStyle}>{label}</span>
+                    <span className={`text-[1rem] ${stale ? "text-[var(--color-vermillion)]" : "text-foreground"}`} style={labelStyle}>
+                      {age != null ? formatAge(age) : "never"}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <p className="text-[0.8125rem] text-muted-foreground">No freshness data yet.</p>
+          )}
+        </section>
+
+        <section className="mt-12">
+          <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-1" style={labelStyle}>Last runs</span>
+          {status.runs.length > 0 ? (
+            <div className="border-t border-border">
+              {status.runs.map((run) => <RunRow key={run.id} run={run} now={now} />)}
+            </div>
+          ) : (
+            <p className="text-[0.8125rem] text-muted-foreground">No pipeline runs recorded yet.</p>
+          )}
+        </section>
+
+        <section className="mt-12">
+          <div className="flex items-baseline justify-between gap-4 mb-3">
+            <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground" style={labelStyle}>Enrichment backlog</span>
+            <span className="text-[0.625rem] text-muted-foreground" style={labelStyle}>{backlogTotal} repos</span>
+          </div>
+          {backlogTotal > 0 ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+              <BacklogTable label="By type" rows={groupBacklog(status.backlog, "type_hint")} />
+              <BacklogTable label="By source" rows={groupBacklog(status.backlog, "source")} />
+            </div>
+          ) : (
+            <p className="text-[0.8125rem] text-muted-foreground">Nothing waiting for enrichment.</p>
+          )}
+        </section>
+      </div>
+
+      <Footer />
+    </div>
+  );
+}
@@ -43,6 +43,9 @@ export default function Footer() {
               <a href="https://github.com/sunboy/dev.oneskill" target="_blank" rel="noopener noreferrer" className="text-[0.8125rem] text-muted-foreground hover:text-foreground transition-colors">
                 GitHub
               </a>
+              <Link href="/status" className="text-[0.8125rem] text-muted-foreground hover:text-foreground transition-colors">
+                Status
+              </Link>
             </div>
           </div>
           <div>
@@ -0,0 +1,77 @@
+import { formatNumber } from "@/lib/types";
+import type { ArtifactSnapshot } from "@/lib/types";
+
+interface GrowthChartProps {
+  snapshots: ArtifactSnapshot[];
+}
+
+type Metric = "stars" | "weekly_downloads";
+
+const WIDTH = 240;
+const HEIGHT = 48;
+
+function series(snapshots: ArtifactSnapshot[], metric: Metric) {
+  return snapshots
+    .filter((s) => s[metric] != null)
+    .map((s) => ({ date: s.snapshot_date, value: s[metric] as number }));
+}
+
+// Change over the last `days` days, against the closest snapshot at or before that point
+function delta(points: { date: string; value: number }[], days: number): number | null {
+  if (points.length < 2) return null;
+  const last = points[points.length - 1];
+  const cutoff = new Date(new Date(last.date).getTime() - days * 86400000).toISOString().substring(0, 10);
+  const before = [...points].reverse().find((p) => p.date <= cutoff) || points[0];
+  return before === last ? null : last.value - before.value;
+}
+
+function Sparkline({ points }: { points: { date: string; value: number }[] }) {
+  const values = points.map((p) => p.value);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  const path = points
+    .map((p, i) => {
+      const x = (i / (points.length - 1)) * WIDTH;
+      const y = HEIGHT - ((p.value - min) / range) * (HEIGHT - 4) - 2;
+      return `${i === 0 ? "M" : "L"}${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-12" preserveAspectRatio="none" aria-hidden>
+      <path d={path} fill="none" stroke="var(--color-vermillion)" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+export default function GrowthChart({ snapshots }: GrowthChartProps) {
+  const charts = ([
+    { metric: "stars", label: "Stars" },
+    { metric: "weekly_downloads", label: "Weekly downloads" },
+  ] as { metric: Metric; label: string }[])
+    .map((c) => ({ ...c, points: series(snapshots, c.metric) }))
+    .filter((c) => c.points.length >= 2);
+
+  if (charts.length === 0) return null;
+
+  return (
+    <div className="flex flex-col gap-5">
+      {charts.map(({ metric, label, points }) => (
+        <div key={metric}>
+          <div className="flex items-baseline justify-between mb-1.5">
+            <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+              {label}
+            </span>
+            <span className="text-[0.625rem] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+              {[1, 7, 30]
+                .map((days) => ({ days, change: delta(points, days) }))
+                .flatMap(({ days, change }) => (change == null ? [] : [`${change >= 0 ? "+" : "−"}${formatNumber(Math.abs(change))} ${days}d`]))
+                .join("  ")}
+            </span>
+          </div>
+          <Sparkline points={points} />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import { HEALTH_COMPONENT_LABELS, formatHealthValue, getTimeAgo, healthLabel } from "@/lib/types";
+import type { Artifact, HealthComponent } from "@/lib/types";
+
+interface HealthPanelProps {
+  artifact: Pick<Artifact, "health_score" | "health_breakdown" | "health_status" | "health_updated_at">;
+}
+
+export default function HealthPanel({ artifact }: HealthPanelProps) {
+  const { health_score: score, health_breakdown: breakdown } = artifact;
+  if (score == null || !breakdown) return null;
+
+  const components = (Object.keys(HEALTH_COMPONENT_LABELS) as HealthComponent[]).map((key) => ({
+    key,
+    label: HEALTH_COMPONENT_LABELS[key],
+    component: breakdown[key] ?? null,
+  }));
+
+  return (
+    <div>
+      <div className="flex items-baseline justify-between mb-3">
+        <span className="text-[0.5625rem] tracking-[0.08em] uppercase text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+          Maintenance
+        </span>
+        <span className="text-[0.8125rem] text-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+          {score}/100 · {healthLabel(score)}
+        </span>
+      </div>
+      <div className="flex flex-col gap-2">
+        {components.map(({ key, label, component }) => (
+          <div key={key}>
+            <div className="flex items-baseline justify-between text-[0.6875rem]" style={{ fontFamily: "var(--font-mono)" }}>
+              <span className="text-muted-foreground">{label}</span>
+              <span className="text-foreground">{component ? formatHealthValue(component) : "n/a"}</span>
+            </div>
+            <div className="h-[2px] mt-1 bg-border">
+              {component && (
+                <div
+                  className="h-full"
+                  style={{ width: `${(component.points / component.max) * 100}%`, background: "var(--color-vermillion)" }}
+                />
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+      {/* A failed or not-found check leaves an older score in place */}
+      {artifact.health_updated_at && (artifact.health_status ?? "scored") === "scored" && (
+        <span className="block mt-3 text-[0.625rem] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+          From GitHub activity, checked {getTimeAgo(artifact.health_updated_at)}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import type { Artifact, JsonSchema, McpCapability, McpCapabilityKind } from "@/lib/types";
+
+interface McpToolsPanelProps {
+  artifact: Pick<Artifact, "github_url" | "default_branch">;
+  capabilities: McpCapability[];
+}
+
+const SECTIONS: { kind: McpCapabilityKind; label: string }[] = [
+  { kind: "tool", label: "Tools" },
+  { kind: "resource", label: "Resources" },
+  { kind: "prompt", label: "Prompts" },
+];
+
+function schemaType(schema: JsonSchema): string {
+  if (schema.enum?.length) return schema.enum.map((v) => JSON.stringify(v)).join(" | ");
+  const type = Array.isArray(schema.type) ? schema.type.join(" | ") : schema.type;
+  if (type === "array" && schema.items) return `${schemaType(schema.items)}[]`;
+  return type || "any";
+}
+
+export default function McpToolsPanel({ artifact, capabilities }: McpToolsPanelProps) {
+  const sourceUrl = (c: McpCapability) =>
+    `${artifact.github_url}/blob/${artifact.default_branch || "HEAD"}/${c.file}${c.line ? `#L${c.line}` : ""}`;
+  const live = capabilities.some((c) => c.source === "tools/list");
+
+  return (
+    <div>
+      {SECTIONS.map(({ kind, label }) => {
+        const items = capabilities.filter((c) => c.kind === kind);
+        if (items.length === 0) return null;
+        return (
+          <div key={kind} className="mb-8">
+            <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground block mb-3" style={{ fontFamily: "var(--font-mono)" }}>
+              {label} · {items.length}
+            </span>
+            <div className="border-t border-border">
+              {items.map((c) => {
+                const params = Object.entries(c.input_schema?.properties || {});
+                const required = new Set(c.input_schema?.required || []);
+                return (
+                  <div key={c.id} className="py-3 border-b border-border">
+                    <div className="flex items-baseline justify-between gap-4">
+                      <code className="text-[0.8125rem] text-foreground font-semibold" style={{ fontFamily: "var(--font-mono)" }}>
+                        {c.name}
+                      </code>
+                      {c.file && (
+                        <a
+                          href={sourceUrl(c)}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="text-[0.625rem] text-muted-foreground editorial-link truncate"
+                          style={{ fontFamily: "var(--font-mono)" }}
+                        >
+                          {c.file}{c.line ? `:${c.line}` : ""}
+                        </a>
+                      )}
+                    </div>
+                    {c.uri && (
+                      <code className="block mt-0.5 text-[0.6875rem] text-muted-foreground truncate" style={{ fontFamily: "var(--font-mono)" }}>
+                        {c.uri}
+                      </code>
+                    )}
+                    {c.description && (
+                      <p className="mt-1 text-[0.8125rem] text-muted-foreground">{c.description}</p>
+                    )}
+                    {params.length > 0 && (
+                      <ul className="mt-2 space-y-0.5">
+                        {params.map(([name, schema]) => (
+                          <li key={name} className="text-[0.6875rem] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+                            <span className="text-foreground">{name}</span>
+                            {required.has(name) ? "" : "?"}
+                            <span>: {schemaType(schema)}</span>
+                            {schema.description && <span> — {schema.description}</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+      <p className="text-[0.625rem] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+        {live ? "Reported by the server over tools/list." : "Extracted from the source — may miss tools registered dynamically."}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+import { SECURITY_RULE_LABELS, getTimeAgo } from "@/lib/types";
+import type { Artifact, SecurityFinding, SecuritySeverity } from "@/lib/types";
+
+interface SecurityPanelProps {
+  artifact: Pick<Artifact, "github_url" | "default_branch" | "security_high" | "security_medium" | "security_low" | "security_scan_status" | "security_scanned_at">;
+  findings: SecurityFinding[];
+}
+
+const SEVERITY_ORDER: SecuritySeverity[] = ["high", "medium", "low"];
+
+const SEVERITY_COLOR: Record<SecuritySeverity, string> = {
+  high: "var(--color-vermillion)",
+  medium: "oklch(0.65 0.18 55)",     // amber
+  low: "oklch(0.55 0.01 60)",        // gray
+};
+
+export default function SecurityPanel({ artifact, findings }: SecurityPanelProps) {
+  if (artifact.security_scan_status !== "scanned" || !artifact.security_scanned_at) return null;
+
+  const counts = { high: artifact.security_high || 0, medium: artifact.security_medium || 0, low: artifact.security_low || 0 };
+  const sorted = [...findings].sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+  const sourceUrl = (f: SecurityFinding) =>
+    `${artifact.github_url}/blob/${artifact.default_branch || "HEAD"}/${f.file}${f.line ? `#L${f.line}` : ""}`;
+
+  return (
+    <div className="mb-10">
+      <div className="flex items-baseline justify-between gap-4 mb-3">
+        <span className="text-[0.625rem] tracking-[0.08em] uppercase text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+          Security scan
+        </span>
+        <span className="text-[0.625rem] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+          {SEVERITY_ORDER.map((s) => `${counts[s]} ${s}`).join(" · ")} · {getTimeAgo(artifact.security_scanned_at)}
+        </span>
+      </div>
+
+      {sorted.length === 0 ? (
+        <p className="text-[0.8125rem] text-muted-foreground border-t border-b border-border py-3">
+          No risky patterns found in the source.
+        </p>
+      ) : (
+        <div className="border-t border-border">
+          {sorted.map((f) => (
+            <div key={f.id} className="py-2.5 border-b border-border">
+              <div className="flex items-baseline gap-3">
+                <span
+                  className="text-[0.5625rem] tracking-[0.05em] uppercase shrink-0 w-12"
+                  style={{ fontFamily: "var(--font-mono)", color: SEVERITY_COLOR[f.severity] }}
+                >
+                  {f.severity}
+                </span>
+                <span className="text-[0.8125rem] text-foreground">
+                  {SECURITY_RULE_LABELS[f.rule] || f.rule} — {f.message}
+                </span>
+              </div>
+              <div className="pl-[3.75rem] mt-1">
+                <a
+                  href={sourceUrl(f)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-[0.6875rem] text-muted-foreground editorial-link"
+                  style={{ fontFamily: "var(--font-mono)" }}
+                >
+                  {f.file}{f.line ? `:${f.line}` : ""}
+                </a>
+                {f.snippet && (
+                  <code className="block mt-1 text-[0.6875rem] text-muted-foreground truncate" style={{ fontFamily: "var(--font-mono)" }}>
+                    {f.snippet}
+                  </code>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      <p className="mt-2 text-[0.625rem] text-muted-foreground" style={{ fontFamily: "var(--font-mono)" }}>
+        Pattern-based static analysis — a flag is worth reading, not proof of malice.
+      </p>
+    </div>
+  );
+}
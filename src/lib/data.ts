@@ -1,5 +1,9 @@
 import { supabase } from "./supabase";
-import type { Artifact, ArtifactType, ArtifactMention, Category, Platform } from "./types";
+import { createLocalClient } from "./local-store";
+import type { Artifact, ArtifactCollection, ArtifactSnapshot, ArtifactType, ArtifactMention, BacklogBucket, Category, CollectionMember, Contributor, DataFreshness, McpCapability, MirrorGroup, MirrorSummary, PipelineRun, PipelineStatus, Platform, SecurityFinding } from "./types";
+
+// LOCAL_STORE: read the pipeline's offline JSON store (scripts/lib/store.mjs) instead of Supabase
+const db = process.env.LOCAL_STORE ? createLocalClient(process.env.LOCAL_STORE) : supabase;
 
 // ─── Supabase select with joined relations ──────────────────────────
 
@@ -19,7 +23,7 @@ let _platforms: Platform[] | null = null;
 
 export async function getArtifactTypes(): Promise<ArtifactType[]> {
   if (_artifactTypes) return _artifactTypes;
-  const { data } = await supabase
+  const { data } = await db
     .from("artifact_types")
     .select("*")
     .eq("is_active", true)
@@ -30,7 +34,7 @@ export async function getArtifactTypes(): Promise<ArtifactType[]> {
 
 export async function getCategories(): Promise<Category[]> {
   if (_categories) return _categories;
-  const { data } = await supabase
+  const { data } = await db
     .from("categories")
     .select("*")
     .eq("is_active", true)
@@ -41,7 +45,7 @@ export async function getCategories(): Promise<Category[]> {
 
 export async function getPlatforms(): Promise<Platform[]> {
   if (_platforms) return _platforms;
-  const { data } = await supabase
+  const { data } = await db
     .from("platforms")
     .select("*")
     .eq("is_active", true)
@@ -61,7 +65,7 @@ export async function getArtifacts(): Promise<Artifact[]> {
     let hasMore = true;
 
     while (hasMore) {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from("artifacts")
         .select(ARTIFACT_SELECT)
         .eq("status", "active")
@@ -81,16 +85,25 @@ export async function getArtifacts(): Promise<Artifact[]> {
   }
 }
 
+/**
+ * Artifact by slug. Old slugs (renamed, transferred, merged or re-slugged
+ * repos) resolve through slug_history to the current artifact — callers
+ * compare the returned slug to redirect.
+ */
 export async function getArtifactBySlug(
   slug: string
 ): Promise<Artifact | null> {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("artifacts")
       .select(ARTIFACT_SELECT)
       .eq("slug", slug)
-      .single();
+      .maybeSingle();
 
+    if (!error && !data) {
+      const target = await getSlugRedirect(slug);
+      if (target) return getArtifactBySlug(target);
+    }
     if (error || !data) {
       return mockArtifacts.find((a) => a.slug === slug) || null;
     }
@@ -109,7 +122,7 @@ export async function getArtifactById(id: string): Promise<Artifact | null> {
 
   if (isUuid) {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await db
         .from("artifacts")
         .select(ARTIFACT_SELECT)
         .eq("id", id)
@@ -126,7 +139,7 @@ export async function getArtifactById(id: string): Promise<Artifact | null> {
 
 export async function getFeaturedArtifacts(): Promise<Artifact[]> {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("artifacts")
       .select(ARTIFACT_SELECT)
       .eq("is_featured", true)
@@ -156,7 +169,7 @@ export async function getFeaturedArtifacts(): Promise<Artifact[]> {
 export async function getCuratedArtifacts(limit = 6): Promise<Artifact[]> {
   try {
     // 1. Manually curated (is_featured = true)
-    const { data: manual } = await supabase
+    const { data: manual } = await db
       .from("artifacts")
       .select(ARTIFACT_SELECT)
       .eq("is_featured", true)
@@ -171,7 +184,7 @@ export async function getCuratedArtifacts(limit = 6): Promise<Artifact[]> {
     const remaining = limit - manualList.length;
     let autoList: Artifact[] = [];
     if (remaining > 0) {
-      const { data: auto } = await supabase
+      const { data: auto } = await db
         .from("artifacts")
         .select(ARTIFACT_SELECT)
         .eq("status", "active")
@@ -193,7 +206,7 @@ export async function getCuratedArtifacts(limit = 6): Promise<Artifact[]> {
 
 export async function getRecentlyAdded(limit = 6): Promise<Artifact[]> {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("artifacts")
       .select(ARTIFACT_SELECT)
       .eq("status", "active")
@@ -211,7 +224,7 @@ export async function getRecentlyAdded(limit = 6): Promise<Artifact[]> {
 
 export async function getRecentArtifacts(): Promise<Artifact[]> {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("artifacts")
       .select(ARTIFACT_SELECT)
       .eq("status", "active")
@@ -240,14 +253,14 @@ export async function getRecentArtifacts(): Promise<Artifact[]> {
 }
 
 export async function getArtifactsByContributor(
-  username: string
+  contributorId: string
 ): Promise<Artifact[]> {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("artifacts")
       .select(ARTIFACT_SELECT)
       .eq("status", "active")
-      .eq("contributor.github_username", username)
+      .eq("contributor_id", contributorId)
       .order("trending_score", { ascending: false });
 
     if (error || !data) return [];
@@ -257,6 +270,178 @@ export async function getArtifactsByContributor(
   }
 }
 
+// ─── Contributors ────────────────────────────────────────────────────
+
+export async function getContributor(username: string): Promise<Contributor | null> {
+  try {
+    const { data, error } = await db
+      .from("contributors")
+      .select("*")
+      .eq("github_username", username)
+      .maybeSingle();
+
+    if (error || !data) return null;
+    return data as Contributor;
+  } catch {
+    return null;
+  }
+}
+
+// ─── Collections ─────────────────────────────────────────────────────
+
+/**
+ * The collection an artifact belongs to: itself when it is a repo with
+ * members, or its parent repo when it is a member. Null for plain artifacts.
+ */
+export async function getCollection(artifact: Artifact): Promise<ArtifactCollection | null> {
+  try {
+    let parent: ArtifactCollection["parent"] = artifact;
+    if (artifact.parent_artifact_id) {
+      const { data, error } = await db
+        .from("artifacts")
+        .select("id, slug, name, github_repo_full_name")
+        .eq("id", artifact.parent_artifact_id)
+        .single();
+      if (error || !data) return null;
+      parent = data;
+    }
+
+    const { data, error } = await db
+      .from("artifacts")
+      .select("id, slug, name, description, subpath, artifact_type:artifact_types(*)")
+      .eq("parent_artifact_id", parent.id)
+      .eq("status", "active")
+      .order("name", { ascending: true });
+
+    if (error || !data || data.length === 0) return null;
+    return { parent, members: data as unknown as CollectionMember[] };
+  } catch {
+    return null;
+  }
+}
+
+// ─── Mirrors ─────────────────────────────────────────────────────────
+
+/**
+ * The mirror cluster an artifact belongs to: its canonical plus every
+ * mirror pointing at it. Null when the artifact has no mirrors and isn't one.
+ */
+export async function getMirrors(artifact: Artifact): Promise<MirrorGroup | null> {
+  try {
+    let canonical: MirrorSummary = artifact;
+    if (artifact.canonical_artifact_id) {
+      const { data, error } = await db
+        .from("artifacts")
+        .select("id, slug, name, github_repo_full_name, stars")
+        .eq("id", artifact.canonical_artifact_id)
+        .single();
+      if (error || !data) return null;
+      canonical = data;
+    }
+
+    const { data, error } = await db
+      .from("artifacts")
+      .select("id, slug, name, github_repo_full_name, stars")
+      .eq("canonical_artifact_id", canonical.id)
+      .eq("status", "mirror")
+      .eq("subpath", "")
+      .order("stars", { ascending: false })
+      .limit(50);
+
+    if (error || !data || data.length === 0) return null;
+    return { canonical, mirrors: data as MirrorSummary[] };
+  } catch {
+    return null;
+  }
+}
+
+// ─── History ─────────────────────────────────────────────────────────
+
+/**
+ * Daily snapshots for growth charts, oldest first. Collection members are
+ * charted from their repo's history.
+ */
+export async function getArtifactSnapshots(
+  artifact: Pick<Artifact, "id" | "parent_artifact_id">,
+  days = 90
+): Promise<ArtifactSnapshot[]> {
+  try {
+    const since = new Date(Date.now() - days * 86400000).toISOString().substring(0, 10);
+    const { data, error } = await db
+      .from("artifact_snapshots")
+      .select("snapshot_date, stars, forks, open_issues, weekly_downloads, vibe_score")
+      .eq("artifact_id", artifact.parent_artifact_id || artifact.id)
+      .gte("snapshot_date", since)
+      .order("snapshot_date", { ascending: true });
+
+    if (error || !data) return [];
+    return data as ArtifactSnapshot[];
+  } catch {
+    return [];
+  }
+}
+
+// ─── Security ────────────────────────────────────────────────────────
+
+export async function getSecurityFindings(artifact: Artifact): Promise<SecurityFinding[]> {
+  if (artifact.security_scan_status !== "scanned") return [];
+  try {
+    const { data, error } = await db
+      .from("artifact_security_findings")
+      .select("*")
+      .eq("artifact_id", artifact.id)
+      .order("file")
+      .order("line");
+
+    if (error || !data) return [];
+    return data as SecurityFinding[];
+  } catch {
+    return [];
+  }
+}
+
+// ─── MCP capabilities ────────────────────────────────────────────────
+
+export async function getMcpCapabilities(artifact: Artifact): Promise<McpCapability[]> {
+  if (!artifact.mcp_inventory_at) return [];
+  try {
+    const { data, error } = await db
+      .from("mcp_capabilities")
+      .select("*")
+      .eq("artifact_id", artifact.id)
+      .order("kind", { ascending: false })
+      .order("name");
+
+    if (error || !data) return [];
+    return data as McpCapability[];
+  } catch {
+    return [];
+  }
+}
+
+// ─── Slug redirects ──────────────────────────────────────────────────
+
+/**
+ * Current slug for a slug that no longer exists — the repo was renamed or
+ * transferred, or its artifact was merged into another. Null if unknown.
+ */
+export async function getSlugRedirect(slug: string): Promise<string | null> {
+  try {
+    const { data, error } = await db
+      .from("slug_history")
+      .select("artifact:artifacts(slug)")
+      .eq("slug", slug)
+      .maybeSingle();
+
+    if (error || !data) return null;
+    const artifact = data.artifact as { slug: string } | { slug: string }[] | null;
+    const target = Array.isArray(artifact) ? artifact[0]?.slug : artifact?.slug;
+    return target && target !== slug ? target : null;
+  } catch {
+    return null;
+  }
+}
+
 // ─── Mention queries ──────────────────────────────────────────────────
 
 export async function getMentionsForArtifact(
@@ -264,7 +449,7 @@ export async function getMentionsForArtifact(
   limit = 10
 ): Promise<ArtifactMention[]> {
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("artifact_mentions")
       .select("*")
       .eq("artifact_id", artifactId)
@@ -278,6 +463,35 @@ export async function getMentionsForArtifact(
   }
 }
 
+// ─── Pipeline status ─────────────────────────────────────────────────
+
+/**
+ * Latest run of each script and mode, the enrichment backlog and the age of
+ * each kind of data, for /status. Empty before migration 024 is applied.
+ */
+export async function getPipelineStatus(): Promise<PipelineStatus> {
+  const status: PipelineStatus = { runs: [], backlog: [], freshness: null, generated_at: new Date().toISOString() };
+  try {
+    const [runsRes, backlogRes, freshnessRes] = await Promise.all([
+      db.from("pipeline_runs").select("*").order("started_at", { ascending: false }).limit(300),
+      db.from("enrichment_backlog").select("*").order("repos", { ascending: false }),
+      db.from("data_freshness").select("*").maybeSingle(),
+    ]);
+
+    const latest = new Map<string, PipelineRun>();
+    for (const run of (runsRes.data || []) as PipelineRun[]) {
+      const key = `${run.script}:${run.mode}`;
+      if (!latest.has(key)) latest.set(key, run);
+    }
+    status.runs = [...latest.values()].sort((a, b) => a.script.localeCompare(b.script) || (a.mode || "").localeCompare(b.mode || ""));
+    status.backlog = (backlogRes.data || []) as BacklogBucket[];
+    status.freshness = (freshnessRes.data as DataFreshness | null) ?? null;
+  } catch {
+    // Keep empty
+  }
+  return status;
+}
+
 // ─── Fallback mock data ─────────────────────────────────────────────
 // Used when Supabase has no artifacts yet (pre-scraper-run)
 
@@ -0,0 +1,232 @@
+import type { Artifact, ArtifactTypeSlug, ConfigSchema, Platform } from "./types";
+
+// ─── Per-platform install snippets ──────────────────────────────────
+// Built-in generators know each client's config format (claude mcp add,
+// .cursor/mcp.json, VS Code settings, …). A platform without one falls back
+// to platforms.install_command_template, then to the artifact's
+// install_command. Required env vars and arguments from config_schema are
+// filled in as <placeholders>.
+
+export interface InstallSnippet {
+  title: string;                       // "claude mcp add", ".cursor/mcp.json"
+  language: "bash" | "json" | "yaml" | "text";
+  code: string;
+}
+
+export interface PlatformInstall {
+  key: string;
+  label: string;                       // "Claude Code", or "Cursor · Windsurf" when identical
+  snippets: InstallSnippet[];
+}
+
+type LaunchArtifact = Pick<Artifact, "name" | "install_command" | "config_schema">;
+
+type InstallArtifact = Pick<
+  Artifact,
+  "name" | "install_command" | "github_repo_full_name" | "npm_package_name" | "config_schema" | "artifact_type" | "artifact_platforms"
+>;
+
+interface McpServerSpec {
+  key: string;
+  command: string;
+  args: string[];
+  env: Record<string, string>;
+}
+
+const MCP_LAUNCHERS = ["npx", "uvx", "bunx", "pipx", "docker"];
+
+/** `GITHUB_TOKEN` → `<github-token>` */
+export function configPlaceholder(name: string): string {
+  return `<${name.replace(/^--|^<|>$/g, "").toLowerCase().replace(/_/g, "-")}>`;
+}
+
+function shellQuote(s: string): string {
+  return /^[\w@%+=:,./-]+$/.test(s) ? s : `'${s.replace(/'/g, `'\\''`)}'`;
+}
+
+function requiredEnv(artifact: Pick<Artifact, "config_schema">): Record<string, string> {
+  const env = (artifact.config_schema?.env || []).filter((e) => e.required);
+  return Object.fromEntries(env.map((e) => [e.name, e.default ?? configPlaceholder(e.name)]));
+}
+
+/**
+ * How to launch the server, from a launcher-style install command (npx,
+ * uvx, docker …) plus the required arguments. Null when the install
+ * command does not start a server.
+ */
+function mcpServerSpec(artifact: LaunchArtifact): McpServerSpec | null {
+  const [command, ...args] = artifact.install_command?.trim().split(/\s+/) || [];
+  if (!command || !MCP_LAUNCHERS.includes(command)) return null;
+  const env = requiredEnv(artifact);
+  for (const arg of (artifact.config_schema?.args || []).filter((a) => a.required)) {
+    args.push(...(arg.name.startsWith("<") ? [arg.name] : [arg.name, configPlaceholder(arg.name)]));
+  }
+  // docker passes env through -e flags placed before the image
+  if (command === "docker" && Object.keys(env).length) {
+    const image = args.findIndex((a, i) => i > 0 && !a.startsWith("-") && args[i - 1] !== "-e" && args[i - 1] !== "--name");
+    if (image !== -1) args.splice(image, 0, ...Object.keys(env).flatMap((name) => ["-e", name]));
+  }
+  const key = artifact.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "server";
+  return { key, command, args, env };
+}
+
+const hasEnv = (s: McpServerSpec) => Object.keys(s.env).length > 0;
+const json = (value: unknown) => JSON.stringify(value, null, 2);
+
+/** The `{ command, args, env }` entry most clients share */
+function stdioEntry(s: McpServerSpec, extra: Record<string, unknown> = {}) {
+  return { ...extra, command: s.command, args: s.args, ...(hasEnv(s) ? { env: s.env } : {}) };
+}
+
+const mcpServersJson = (s: McpServerSpec) => json({ mcpServers: { [s.key]: stdioEntry(s) } });
+
+function mcpServersFile(title: string) {
+  return (s: McpServerSpec): InstallSnippet[] => [{ title, language: "json", code: mcpServersJson(s) }];
+}
+
+/**
+ * mcpServers client config for launcher-style install commands (npx, uvx,
+ * docker …), pre-filled with the required env vars and arguments. Null
+ * when the install command does not start a server.
+ */
+export function mcpClientConfig(artifact: LaunchArtifact): string | null {
+  const spec = mcpServerSpec(artifact);
+  return spec && mcpServersJson(spec);
+}
+
+/** `.env` file: required variables to fill in, optional ones commented out with their default. */
+export function envFileSnippet(schema: ConfigSchema | null | undefined): string | null {
+  if (!schema?.env.length) return null;
+  return schema.env
+    .map((e) => {
+      const comment = e.description ? `# ${e.description}\n` : "";
+      return e.required ? `${comment}${e.name}=` : `${comment}# ${e.name}=${e.default ?? ""}`;
+    })
+    .join("\n");
+}
+
+// ─── MCP client formats, by platform slug ───
+
+const MCP_GENERATORS: Record<string, (s: McpServerSpec) => InstallSnippet[]> = {
+  "claude-code": (s) => [
+    {
+      title: "claude mcp add",
+      language: "bash",
+      code: [
+        "claude mcp add",
+        s.key,
+        ...Object.entries(s.env).map(([k, v]) => `-e ${shellQuote(`${k}=${v}`)}`),
+        "--",
+        s.command,
+        ...s.args.map(shellQuote),
+      ].join(" "),
+    },
+    ...mcpServersFile("claude_desktop_config.json")(s),
+  ],
+  cursor: mcpServersFile(".cursor/mcp.json"),
+  windsurf: mcpServersFile("~/.codeium/windsurf/mcp_config.json"),
+  cline: mcpServersFile("cline_mcp_settings.json"),
+  "roo-code": mcpServersFile(".roo/mcp.json"),
+  "kiro-cli": mcpServersFile(".kiro/settings/mcp.json"),
+  "github-copilot": (s) => [
+    { title: "VS Code settings.json", language: "json", code: json({ mcp: { servers: { [s.key]: stdioEntry(s, { type: "stdio" }) } } }) },
+  ],
+  opencode: (s) => [
+    {
+      title: "opencode.json",
+      language: "json",
+      code: json({
+        mcp: {
+          [s.key]: { type: "local", command: [s.command, ...s.args], ...(hasEnv(s) ? { environment: s.env } : {}) },
+        },
+      }),
+    },
+  ],
+  continue: (s) => [
+    {
+      title: ".continue/config.yaml",
+      language: "yaml",
+      code: [
+        "mcpServers:",
+        `  - name: ${s.key}`,
+        `    command: ${s.command}`,
+        "    args:",
+        ...s.args.map((a) => `      - ${JSON.stringify(a)}`),
+        ...(hasEnv(s) ? ["    env:", ...Object.entries(s.env).map(([k, v]) => `      ${k}: ${JSON.stringify(v)}`)] : []),
+      ].join("\n"),
+    },
+  ],
+};
+
+// ─── Other artifact types ───
+
+function withEnv(artifact: InstallArtifact, snippets: InstallSnippet[]): InstallSnippet[] {
+  const env = Object.entries(requiredEnv(artifact));
+  if (env.length === 0) return snippets;
+  return [
+    ...snippets,
+    { title: "Environment", language: "bash", code: env.map(([k, v]) => `export ${k}=${shellQuote(v)}`).join("\n") },
+  ];
+}
+
+function n8nSnippets(artifact: InstallArtifact): InstallSnippet[] {
+  const pkg = artifact.npm_package_name || artifact.install_command.replace(/^npm (install|i) /, "");
+  return [
+    { title: "n8n UI", language: "text", code: `Settings → Community Nodes → Install → ${pkg}` },
+    { title: "Self-hosted (npm)", language: "bash", code: `mkdir -p ~/.n8n/nodes && cd ~/.n8n/nodes\nnpm install ${pkg}\n# restart n8n` },
+  ];
+}
+
+/** platforms.install_command_template: {{install_command}}, {{name}}, {{repo}}, {{package}}, {{env}} */
+function fromTemplate(template: string, artifact: InstallArtifact): InstallSnippet {
+  const values: Record<string, string> = {
+    install_command: artifact.install_command,
+    name: artifact.name,
+    repo: artifact.github_repo_full_name,
+    package: artifact.npm_package_name || "",
+    env: Object.entries(requiredEnv(artifact)).map(([k, v]) => `${k}=${shellQuote(v)}`).join(" "),
+  };
+  return {
+    title: "Install",
+    language: "bash",
+    code: template.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key: string) => values[key] ?? m).trim(),
+  };
+}
+
+function platformSlug(p: Platform): string {
+  return p.slug || p.label.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+}
+
+function snippetsFor(artifact: InstallArtifact, platform: Platform, type: ArtifactTypeSlug | undefined): InstallSnippet[] {
+  if (type === "mcp-server") {
+    const spec = mcpServerSpec(artifact);
+    const generate = MCP_GENERATORS[platformSlug(platform)];
+    if (spec && generate) return generate(spec);
+    if (spec && !platform.install_command_template) return mcpServersFile("MCP client config")(spec);
+  }
+  if (type === "n8n-node" && platformSlug(platform) === "n8n") return n8nSnippets(artifact);
+  if (platform.install_command_template) return withEnv(artifact, [fromTemplate(platform.install_command_template, artifact)]);
+  return withEnv(artifact, [{ title: "Install", language: "bash", code: artifact.install_command }]);
+}
+
+/**
+ * One entry per compatible platform; platforms that would get identical
+ * snippets (every skill platform runs `npx skills add`) share an entry.
+ */
+export function installSnippets(artifact: InstallArtifact): PlatformInstall[] {
+  const platforms = (artifact.artifact_platforms || [])
+    .map(({ platform }) => platform)
+    .filter((p) => p && p.is_active !== false)
+    .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0));
+
+  const byCode = new Map<string, PlatformInstall>();
+  for (const platform of platforms) {
+    const snippets = snippetsFor(artifact, platform, artifact.artifact_type?.slug);
+    if (!snippets.some((s) => s.code)) continue;
+    const signature = JSON.stringify(snippets);
+    const existing = byCode.get(signature);
+    if (existing) existing.label += ` · ${platform.label}`;
+    else byCode.set(signature, { key: platformSlug(platform), label: platform.label, snippets });
+  }
+  return [...byCode.values()];
+}
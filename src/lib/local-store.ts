@@ -0,0 +1,164 @@
+import fs from "node:fs";
+import path from "node:path";
+import type { SupabaseClient } from "@supabase/supabase-js";
+
+// ─── Local JSON store (LOCAL_STORE) ─────────────────────────────────
+// Read-only view of the pipeline's offline store (scripts/lib/store.mjs):
+// one <table>.json per table. Implements the part of the supabase-js query
+// builder data.ts uses — select with embedded relations, eq/neq/gt/gte/lt/
+// lte/in/is, order, limit, range, single, maybeSingle. Embeds resolve by
+// column name: `category:categories(*)` follows category_id, and
+// `artifact_platforms(…)` on artifacts collects rows whose artifact_id
+// matches. Views (enrichment_backlog, data_freshness) read as empty.
+//
+//   LOCAL_STORE=.local-store NEXT_PUBLIC_SUPABASE_URL=http://localhost NEXT_PUBLIC_SUPABASE_ANON_KEY=local npm run dev
+//
+// The Supabase variables only need to be set; the explore page, which
+// queries from the browser, stays empty.
+
+type Row = Record<string, unknown>;
+type Filter = (row: Row) => boolean;
+
+interface Column {
+  name: string;                        // column, "*" or embedded table
+  alias: string;
+  embed: Column[] | null;
+}
+
+/** Split on commas outside parentheses */
+function splitTopLevel(s: string): string[] {
+  const parts: string[] = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "(") depth++;
+    else if (s[i] === ")") depth--;
+    else if (s[i] === "," && depth === 0) {
+      parts.push(s.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(s.slice(start));
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+function parseSelect(select: string): Column[] {
+  return splitTopLevel(select.replace(/\s+/g, "")).map((part) => {
+    const m = part.match(/^(?:(\w+):)?(\w+|\*)(?:\((.*)\))?$/);
+    if (!m) throw new Error(`Local store: cannot parse select "${part}"`);
+    const [, alias, name, inner] = m;
+    return { name, alias: alias || name, embed: inner !== undefined ? parseSelect(inner) : null };
+  });
+}
+
+const singular = (table: string) => table.replace(/ies$/, "y").replace(/s$/, "");
+
+function compare(a: unknown, b: unknown): number {
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+class LocalQuery implements PromiseLike<{ data: unknown; error: { message: string } | null }> {
+  private columns = "*";
+  private filters: Filter[] = [];
+  private orders: { column: string; ascending: boolean; nullsFirst: boolean }[] = [];
+  private offset = 0;
+  private count: number | null = null;
+  private mode: "many" | "single" | "maybeSingle" = "many";
+
+  constructor(private readonly dir: string, private readonly table: string) {}
+
+  select(columns = "*") { this.columns = columns; return this; }
+
+  eq(column: string, value: unknown) { return this.where(column, (v) => v != null && String(v) === String(value)); }
+  neq(column: string, value: unknown) { return this.where(column, (v) => v != null && String(v) !== String(value)); }
+  gt(column: string, value: unknown) { return this.where(column, (v) => v != null && compare(v, value) > 0); }
+  gte(column: string, value: unknown) { return this.where(column, (v) => v != null && compare(v, value) >= 0); }
+  lt(column: string, value: unknown) { return this.where(column, (v) => v != null && compare(v, value) < 0); }
+  lte(column: string, value: unknown) { return this.where(column, (v) => v != null && compare(v, value) <= 0); }
+  in(column: string, values: unknown[]) { return this.where(column, (v) => v != null && values.map(String).includes(String(v))); }
+  is(column: string, value: null | boolean) { return this.where(column, (v) => (value === null ? v == null : v === value)); }
+
+  order(column: string, { ascending = true, nullsFirst }: { ascending?: boolean; nullsFirst?: boolean } = {}) {
+    // Postgres: nulls last ascending, first descending
+    this.orders.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending });
+    return this;
+  }
+
+  limit(n: number) { this.count = n; return this; }
+  range(from: number, to: number) { this.offset = from; this.count = to - from + 1; return this; }
+  single() { this.mode = "single"; return this; }
+  maybeSingle() { this.mode = "maybeSingle"; return this; }
+
+  then<T1 = { data: unknown; error: { message: string } | null }, T2 = never>(
+    onfulfilled?: ((value: { data: unknown; error: { message: string } | null }) => T1 | PromiseLike<T1>) | null,
+    onrejected?: ((reason: unknown) => T2 | PromiseLike<T2>) | null
+  ): PromiseLike<T1 | T2> {
+    return Promise.resolve().then(() => this.run()).then(onfulfilled, onrejected);
+  }
+
+  private where(column: string, test: (value: unknown) => boolean) {
+    this.filters.push((row) => test(row[column]));
+    return this;
+  }
+
+  private run(): { data: unknown; error: { message: string } | null } {
+    const tables = new Map<string, Row[]>();
+    const load = (table: string): Row[] => {
+      if (!tables.has(table)) {
+        try {
+          tables.set(table, JSON.parse(fs.readFileSync(path.join(this.dir, `${table}.json`), "utf8")));
+        } catch {
+          tables.set(table, []);
+        }
+      }
+      return tables.get(table)!;
+    };
+
+    const project = (row: Row, table: string, columns: Column[]): Row => {
+      const out: Row = {};
+      for (const col of columns) {
+        if (col.name === "*") Object.assign(out, row);
+        else if (!col.embed) out[col.alias] = row[col.name] ?? null;
+        else if (`${col.alias}_id` in row) {
+          const target = load(col.name).find((r) => r.id === row[`${col.alias}_id`]);
+          out[col.alias] = target ? project(target, col.name, col.embed) : null;
+        } else {
+          const fk = `${singular(table)}_id`;
+          out[col.alias] = load(col.name).filter((r) => r[fk] === row.id).map((r) => project(r, col.name, col.embed!));
+        }
+      }
+      return out;
+    };
+
+    let rows = load(this.table).filter((row) => this.filters.every((f) => f(row)));
+    if (this.orders.length) {
+      rows = [...rows].sort((a, b) => {
+        for (const { column, ascending, nullsFirst } of this.orders) {
+          const x = a[column];
+          const y = b[column];
+          if (x == null && y == null) continue;
+          if (x == null) return nullsFirst ? -1 : 1;
+          if (y == null) return nullsFirst ? 1 : -1;
+          const cmp = compare(x, y);
+          if (cmp) return ascending ? cmp : -cmp;
+        }
+        return 0;
+      });
+    }
+    rows = rows.slice(this.offset, this.count != null ? this.offset + this.count : undefined);
+    const data = rows.map((row) => project(row, this.table, parseSelect(this.columns)));
+
+    if (this.mode === "many") return { data, error: null };
+    if (data.length > 1 || (this.mode === "single" && data.length === 0)) {
+      return { data: null, error: { message: `Local store: expected one ${this.table} row, got ${data.length}` } };
+    }
+    return { data: data[0] ?? null, error: null };
+  }
+}
+
+/** A stand-in for the Supabase client that reads `dir` */
+export function createLocalClient(dir: string): SupabaseClient {
+  const client = { from: (table: string) => new LocalQuery(dir, table) };
+  return client as unknown as SupabaseClient;
+}
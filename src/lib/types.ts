@@ -46,8 +46,11 @@ export interface Contributor {
   location?: string;
   website?: string;
   github_url: string;
-  followers?: number;
-  public_repos?: number;
+  followers?: number | null;          // null for organisations
+  public_repos?: number | null;
+  owner_type?: "user" | "organization" | null;  // null until --contributors has profiled it
+  is_verified?: boolean;               // organisations with a verified domain
+  profile_updated_at?: string | null;
 }
 
 // ─── The main artifact, with joined relations ───────────────────────
@@ -63,6 +66,9 @@ export interface Artifact {
   contributor_id: string | null;
   github_url: string;
   github_repo_full_name: string;
+  subpath?: string;                    // path inside the repo for collection members, "" for the repo itself
+  parent_artifact_id?: string | null;  // repo-level artifact this member belongs to
+  canonical_artifact_id?: string | null;  // set on mirrors (status "mirror"): the listed original
   default_branch: string;
   language: string | null;
   license: string | null;
@@ -74,9 +80,18 @@ export interface Artifact {
   weekly_downloads: number;
   trending_score: number;
   version: string | null;
+  package_registry?: "npm" | "pypi" | null;
+  package_verification?: PackageVerification | null;
+  package_verified_at?: string | null;
   readme_raw: string | null;
   readme_excerpt: string | null;
   tags: string[];
+  field_sources?: Record<string, string>;  // field → "package.json" | "SKILL.md" | … | "llm" | "heuristic" | "github" | "default"
+  classification_source?: "llm" | "heuristic";
+  classification_confidence?: number | null;  // heuristic only, 0–1
+  quality_score?: number | null;       // 0–100, below 40 → "pending_review", below 20 → "hidden"
+  quality_reasons?: string[] | null;   // one line per signal, e.g. "-10 no license"
+  quality_override?: "active" | "hidden" | null;  // moderator decision, wins over the score
   meta_title: string | null;
   meta_description: string | null;
   status: string;
@@ -97,6 +112,32 @@ export interface Artifact {
   sentiment_avg: number;
   vibe_updated_at: string | null;
 
+  // Maintenance health (scripts/health-score.mjs)
+  health_score?: number | null;        // 0–100
+  health_breakdown?: HealthBreakdown | null;
+  health_status?: "scored" | "not_found" | "failed" | null;   // how the last check went
+  health_updated_at?: string | null;
+
+  // Static security scan (scripts/security-scan.mjs), MCP servers and skills only
+  security_high?: number | null;
+  security_medium?: number | null;
+  security_low?: number | null;
+  security_scan_status?: "scanned" | "unavailable" | null;   // unavailable: source couldn't be downloaded, no counts
+  security_scanned_at?: string | null;
+
+  // MCP capability inventory (scripts/mcp-inventory.mjs), MCP servers only
+  mcp_tool_count?: number | null;
+  mcp_tool_names?: string[] | null;
+  mcp_inventory_at?: string | null;
+
+  // Required configuration (scripts/config-schema.mjs)
+  config_schema?: ConfigSchema | null;
+  config_detected_at?: string | null;
+
+  // LLM spend (scripts/lib/llm.mjs): own classification, share of last sentiment batch
+  enrich_llm_usage?: LLMUsage | null;
+  sentiment_llm_usage?: LLMUsage | null;
+
   // Joined relations (populated via Supabase select)
   artifact_type?: ArtifactType;
   category?: Category;
@@ -104,6 +145,259 @@ export interface Artifact {
   artifact_platforms?: { platform: Platform }[];
 }
 
+// ─── Install package verification (npm / PyPI) ───────────────────────
+
+export type PackageVerification = "verified" | "repo_mismatch" | "not_found" | "no_package" | "error";
+
+export function packageVerificationLabel(artifact: Pick<Artifact, "package_registry" | "package_verification">): string | null {
+  const registry = artifact.package_registry === "pypi" ? "PyPI" : "npm";
+  switch (artifact.package_verification) {
+    case "verified": return `Verified on ${registry}`;
+    case "repo_mismatch": return `${registry} package links to a different repo`;
+    case "not_found": return `Package not found on ${registry}`;
+    default: return null;
+  }
+}
+
+// ─── Collections (multi-artifact repos) ──────────────────────────────
+
+export type CollectionMember = Pick<Artifact, "id" | "slug" | "name" | "description" | "subpath"> & {
+  artifact_type?: ArtifactType;
+};
+
+export interface ArtifactCollection {
+  parent: Pick<Artifact, "id" | "slug" | "name" | "github_repo_full_name">;
+  members: CollectionMember[];
+}
+
+// ─── Mirrors (forks, copies and near-duplicates) ─────────────────────
+
+export type MirrorSummary = Pick<Artifact, "id" | "slug" | "name" | "github_repo_full_name" | "stars">;
+
+export interface MirrorGroup {
+  canonical: MirrorSummary;
+  mirrors: MirrorSummary[];
+}
+
+// ─── Daily history (artifact_snapshots) ──────────────────────────────
+
+export interface ArtifactSnapshot {
+  snapshot_date: string;               // YYYY-MM-DD
+  stars: number | null;                // null on days only the vibe pipeline ran
+  forks: number | null;
+  open_issues: number | null;
+  weekly_downloads: number | null;     // npm + PyPI
+  vibe_score: number | null;
+}
+
+// ─── Maintenance health ──────────────────────────────────────────────
+
+export type HealthComponent =
+  | "commit_recency"
+  | "issue_response"
+  | "active_contributors"
+  | "pr_merge_latency"
+  | "issue_close_ratio"
+  | "release_cadence";
+
+export interface HealthComponentScore {
+  value: number;
+  unit: string;                        // "days" | "hours" | "people" | "closed share" | "releases / year"
+  points: number;
+  max: number;
+}
+
+/** null components had no data (no issues, never released, …) and don't count toward the score */
+export type HealthBreakdown = Partial<Record<HealthComponent, HealthComponentScore | null>>;
+
+export const HEALTH_COMPONENT_LABELS: Record<HealthComponent, string> = {
+  commit_recency: "Last commit",
+  issue_response: "Issue first response",
+  active_contributors: "Contributors (90d)",
+  pr_merge_latency: "PR merge time",
+  issue_close_ratio: "Issues closed",
+  release_cadence: "Releases (12mo)",
+};
+
+export function healthLabel(score: number): string {
+  if (score >= 70) return "Healthy";
+  if (score >= 40) return "Fair";
+  return "Unmaintained";
+}
+
+export function formatHealthValue(c: HealthComponentScore): string {
+  switch (c.unit) {
+    case "days": return c.value === 0 ? "today" : `${c.value}d ago`;
+    case "hours": return c.value < 48 ? `${c.value}h` : `${Math.round(c.value / 24)}d`;
+    case "closed share": return `${Math.round(c.value * 100)}%`;
+    default: return String(c.value);
+  }
+}
+
+// ─── Security findings (artifact_security_findings) ─────────────────
+
+export type SecuritySeverity = "high" | "medium" | "low";
+
+/** The types scripts/security-scan.mjs scans; the others have no source worth scanning */
+export const SECURITY_SCANNED_TYPES: ArtifactTypeSlug[] = ["mcp-server", "skill"];
+
+export type SecurityRule =
+  | "shell-exec"
+  | "eval"
+  | "fs-write"
+  | "network-host"
+  | "obfuscation"
+  | "install-script"
+  | "pipe-to-shell";
+
+export interface SecurityFinding {
+  id: number;
+  artifact_id: string;
+  rule: SecurityRule;
+  severity: SecuritySeverity;
+  file: string;                        // path from the repo root
+  line: number | null;
+  message: string;
+  snippet: string | null;
+}
+
+export const SECURITY_RULE_LABELS: Record<SecurityRule, string> = {
+  "shell-exec": "Shell execution",
+  eval: "Dynamic code evaluation",
+  "fs-write": "File system write",
+  "network-host": "Hard-coded host",
+  obfuscation: "Obfuscated code",
+  "install-script": "Install script",
+  "pipe-to-shell": "Pipe to shell",
+};
+
+// ─── MCP capabilities (mcp_capabilities) ─────────────────────────────
+
+export type McpCapabilityKind = "tool" | "resource" | "prompt";
+
+export interface McpCapability {
+  id: number;
+  artifact_id: string;
+  kind: McpCapabilityKind;
+  name: string;
+  description: string | null;
+  input_schema: JsonSchema | null;     // tool input / prompt arguments
+  uri: string | null;                  // resources only
+  source: "typescript" | "python" | "go" | "rust" | "manifest" | "tools/list";
+  file: string | null;                 // path from the repo root; null for tools/list
+  line: number | null;
+}
+
+export interface JsonSchema {
+  type?: string | string[];
+  description?: string;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  items?: JsonSchema;
+  enum?: unknown[];
+  default?: unknown;
+}
+
+// ─── Config schema (artifacts.config_schema) ─────────────────────────
+
+export interface ConfigEntry {
+  name: string;                        // GITHUB_TOKEN, --read-only, <workspace>
+  required: boolean;
+  secret: boolean;
+  description: string | null;
+  default: string | null;
+  sources: string[];                   // "src/index.ts:12", "server.json", "README.md"
+}
+
+export interface ConfigFile {
+  name: string;                        // path as read by the code, e.g. ".env"
+  description: string | null;
+  sources: string[];
+}
+
+export interface ConfigCredentialField {
+  name: string;
+  display_name: string | null;
+  type: string | null;
+  required: boolean;
+  secret: boolean;
+  description: string | null;
+  default: string | null;
+}
+
+/** An n8n ICredentialType */
+export interface ConfigCredential {
+  name: string;
+  display_name: string;
+  fields: ConfigCredentialField[];
+  source: string;
+}
+
+export interface ConfigSchema {
+  env: ConfigEntry[];
+  args: ConfigEntry[];
+  files: ConfigFile[];
+  credentials: ConfigCredential[];
+}
+
+/** Tokens and estimated cost of the LLM calls behind an artifact (migration 026) */
+export interface LLMUsage {
+  model: string;
+  calls?: number;                      // enrich: attempts, retries included
+  batch_size?: number;                 // sentiment: artifacts sharing the call
+  input_tokens: number;
+  output_tokens: number;
+  cost_usd: number;
+  at: string;
+}
+
+// ─── Pipeline status (pipeline_runs, migration 024) ──────────────────
+
+export type PipelineExitReason = "completed" | "time_budget" | "fatal";
+
+export interface PipelineRun {
+  id: number;
+  script: string;                      // scrape-github | scrape-registries | vibe-score | health-score | security-scan | mcp-inventory | config-schema
+  mode: string | null;                 // discover | enrich | refresh | … | incremental
+  type_filter: string | null;
+  args: string[] | null;
+  started_at: string;
+  finished_at: string | null;          // null while running, or when the job was killed
+  exit_reason: PipelineExitReason | null;
+  stages: Record<string, Record<string, number | boolean | string>>;   // stages.llm.model is a string
+  errors: { stage: string; message: string; at: string }[];
+  error_count: number;
+}
+
+/** enrichment_backlog view: raw_repos waiting for enrichment, or leased by a running enrich */
+export interface BacklogBucket {
+  type_hint: string;
+  source: string;
+  enrichment_status: "pending" | "in_progress" | "failed";
+  repos: number;
+}
+
+/** data_freshness view: newest write of each kind of data */
+export interface DataFreshness {
+  discovered_at: string | null;
+  enriched_at: string | null;
+  refreshed_at: string | null;
+  oldest_refresh_at: string | null;
+  vibe_updated_at: string | null;
+  health_updated_at: string | null;
+  security_scanned_at: string | null;
+  mcp_inventory_at: string | null;
+  config_detected_at: string | null;
+  snapshot_date: string | null;
+}
+
+export interface PipelineStatus {
+  runs: PipelineRun[];                 // latest run per script and mode
+  backlog: BacklogBucket[];
+  freshness: DataFreshness | null;
+  generated_at: string;
+}
+
 // ─── Mention type (from artifact_mentions table) ─────────────────────
 
 export type MentionSource = "hackernews" | "reddit" | "devto" | "hashnode" | "stackoverflow" | "github_discussions";
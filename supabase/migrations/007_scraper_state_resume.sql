@@ -0,0 +1,9 @@
+-- ============================================================================
+-- OneSkill: Resumable discovery — per-query completion tracking
+-- scraper_state.last_bucket_idx / last_page hold the position inside a query;
+-- completed_at marks queries already covered in the current discovery cycle.
+-- Run after 003_scraper_state.sql
+-- ============================================================================
+
+ALTER TABLE scraper_state
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
@@ -0,0 +1,11 @@
+-- ============================================================================
+-- OneSkill: Adaptive search partitioning — resumable slice work list
+-- Saturated star buckets are split at runtime into narrower stars:/created:
+-- slices, so a bucket index alone no longer identifies a position. The list
+-- of slices still to fetch is stored per query; last_page applies to the
+-- first one.
+-- Run after 007_scraper_state_resume.sql
+-- ============================================================================
+
+ALTER TABLE scraper_state
+  ADD COLUMN IF NOT EXISTS pending_slices JSONB;
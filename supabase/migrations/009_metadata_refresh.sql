@@ -0,0 +1,17 @@
+-- ============================================================================
+-- OneSkill: Metadata refresh for already-enriched artifacts
+-- `--refresh` re-pulls stars/forks/issues/license via GitHub GraphQL
+-- nodes(ids:) lookups, stalest last_pipeline_sync first.
+-- ============================================================================
+
+-- 1. GraphQL global node ids (captured at discover, backfilled by refresh)
+ALTER TABLE raw_repos
+  ADD COLUMN IF NOT EXISTS github_node_id TEXT;
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS github_node_id TEXT;
+
+-- 2. Refresh queue order
+CREATE INDEX IF NOT EXISTS idx_artifacts_pipeline_sync
+  ON public.artifacts (last_pipeline_sync ASC NULLS FIRST)
+  WHERE status = 'active';
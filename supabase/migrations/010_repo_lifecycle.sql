@@ -0,0 +1,40 @@
+-- ============================================================================
+-- OneSkill: Repo lifecycle — archived, removed, renamed/transferred repos
+-- Enrich verifies registry rows against GitHub; refresh flips status to
+-- 'archived' / 'removed' and renames artifacts in place, keeping the old
+-- slug as a redirect.
+-- ============================================================================
+
+-- 1. Archived flag on the staging table (artifacts use status = 'archived')
+ALTER TABLE raw_repos
+  ADD COLUMN IF NOT EXISTS archived BOOLEAN DEFAULT false;
+
+-- 2. Old slug → current artifact, for permanent redirects
+CREATE TABLE IF NOT EXISTS slug_history (
+  slug        TEXT PRIMARY KEY,
+  artifact_id UUID NOT NULL REFERENCES artifacts(id) ON DELETE CASCADE,
+  reason      TEXT,              -- 'renamed' | 'merged'
+  created_at  TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_slug_history_artifact
+  ON slug_history(artifact_id);
+
+-- 3. Rename detection matches artifacts by GraphQL node id
+CREATE INDEX IF NOT EXISTS idx_artifacts_node_id
+  ON public.artifacts(github_node_id);
+
+-- 4. Refresh now also revisits archived artifacts
+DROP INDEX IF EXISTS idx_artifacts_pipeline_sync;
+CREATE INDEX IF NOT EXISTS idx_artifacts_pipeline_sync
+  ON public.artifacts (last_pipeline_sync ASC NULLS FIRST)
+  WHERE status IN ('active', 'archived');
+
+-- 5. RLS for slug_history
+ALTER TABLE slug_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access on slug_history"
+  ON slug_history FOR SELECT USING (true);
+
+CREATE POLICY "Service role full access on slug_history"
+  ON slug_history FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,32 @@
+-- ============================================================================
+-- OneSkill: Multi-artifact repositories (collections)
+-- Enrich walks each repo tree; skill collections, MCP monorepos and rule
+-- packs get one child artifact per member, linked to the repo-level parent.
+-- ============================================================================
+
+-- 1. Member path inside the repo ('' = the repo itself) and parent link
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS subpath            TEXT NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS parent_artifact_id UUID REFERENCES public.artifacts(id) ON DELETE CASCADE;
+
+-- 2. Upsert key: one artifact per (repo, path) instead of per repo
+ALTER TABLE public.artifacts
+  DROP CONSTRAINT IF EXISTS artifacts_github_repo_full_name_key;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conrelid = 'public.artifacts'::regclass
+      AND conname = 'artifacts_repo_subpath_key'
+  ) THEN
+    ALTER TABLE public.artifacts
+      ADD CONSTRAINT artifacts_repo_subpath_key
+      UNIQUE (github_repo_full_name, subpath);
+  END IF;
+END $$;
+
+-- 3. Collection member lookups (detail page, rename, refresh)
+CREATE INDEX IF NOT EXISTS idx_artifacts_parent
+  ON public.artifacts(parent_artifact_id)
+  WHERE parent_artifact_id IS NOT NULL;
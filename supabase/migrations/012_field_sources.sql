@@ -0,0 +1,10 @@
+-- ============================================================================
+-- OneSkill: Field provenance for enriched artifacts
+-- Enrich reads SKILL.md / package.json / pyproject.toml / setup.py /
+-- server.json / mcp.json / .cursorrules before calling the LLM; manifest
+-- values are authoritative. field_sources maps each field to where its value
+-- came from, e.g. {"install_command": "package.json", "category": "llm"}.
+-- ============================================================================
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS field_sources JSONB DEFAULT '{}'::jsonb;
@@ -0,0 +1,15 @@
+-- ============================================================================
+-- OneSkill: Install command verification against npm / PyPI
+-- Enrich (and `--verify` for existing rows) resolves the package named by
+-- install_command / npm_package_name and checks that its registry metadata
+-- links back to github_repo_full_name.
+-- ============================================================================
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS package_registry     TEXT,          -- 'npm' | 'pypi' | NULL
+  ADD COLUMN IF NOT EXISTS package_verification TEXT,          -- verified | repo_mismatch | not_found | no_package | error
+  ADD COLUMN IF NOT EXISTS package_verified_at  TIMESTAMPTZ;
+
+-- `--verify` queue order (never-checked first)
+CREATE INDEX IF NOT EXISTS idx_artifacts_package_verified
+  ON public.artifacts (package_verified_at ASC NULLS FIRST);
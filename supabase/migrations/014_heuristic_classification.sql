@@ -0,0 +1,21 @@
+-- ============================================================================
+-- OneSkill: Heuristic classification
+-- Enrich classifies confident repos with deterministic rules (no LLM call) and
+-- falls back to them when the LLM fails or is not configured. Low-confidence
+-- heuristic artifacts are upgraded by a later run with an LLM.
+-- ============================================================================
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS classification_source     TEXT NOT NULL DEFAULT 'llm',  -- 'llm' | 'heuristic'
+  ADD COLUMN IF NOT EXISTS classification_confidence REAL;                         -- heuristic only, 0–1
+
+-- Upgrade queue (most starred first)
+CREATE INDEX IF NOT EXISTS idx_artifacts_heuristic
+  ON public.artifacts (classification_confidence, stars DESC)
+  WHERE classification_source = 'heuristic';
+
+-- Rows skipped after repeated LLM failures now have a fallback — requeue them
+UPDATE public.raw_repos
+SET enrichment_status = 'pending', enrich_attempts = 0, enrichment_error = NULL
+WHERE enrichment_status = 'skipped'
+  AND enrichment_error LIKE '%enrichment returned null';
@@ -0,0 +1,39 @@
+-- ============================================================================
+-- OneSkill: Content-hash re-enrichment
+-- Enrich stores a sha256 of the README + root manifest files it classified.
+-- `--reenrich` refetches them, compares hashes and re-classifies only repos
+-- whose content actually changed, recording which fields moved.
+-- ============================================================================
+
+ALTER TABLE raw_repos
+  ADD COLUMN IF NOT EXISTS content_hash TEXT;
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS content_hash       TEXT,
+  ADD COLUMN IF NOT EXISTS content_checked_at TIMESTAMPTZ;
+
+-- `--reenrich` queue order (never-checked first)
+CREATE INDEX IF NOT EXISTS idx_artifacts_content_checked
+  ON public.artifacts (content_checked_at ASC NULLS FIRST)
+  WHERE status IN ('active', 'archived') AND subpath = '';
+
+-- Audit of classified fields changed by re-enrichment
+CREATE TABLE IF NOT EXISTS artifact_field_changes (
+  id          BIGSERIAL PRIMARY KEY,
+  artifact_id UUID NOT NULL REFERENCES artifacts(id) ON DELETE CASCADE,
+  field       TEXT NOT NULL,
+  old_value   JSONB,
+  new_value   JSONB,
+  reason      TEXT,              -- 'reenrich'
+  old_hash    TEXT,
+  new_hash    TEXT,
+  changed_at  TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_artifact_field_changes_artifact
+  ON artifact_field_changes(artifact_id, changed_at DESC);
+
+ALTER TABLE artifact_field_changes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role full access on artifact_field_changes"
+  ON artifact_field_changes FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- OneSkill: Forks, mirrors and near-duplicates
+-- Discover records GitHub's fork flag and upstream. Enrich stores a 64-bit
+-- simhash of each repo's README + manifests, split into four 16-bit bands for
+-- candidate lookup; near-duplicates and forks of a listed upstream become
+-- status = 'mirror' pointing at one canonical artifact.
+-- ============================================================================
+
+ALTER TABLE raw_repos
+  ADD COLUMN IF NOT EXISTS is_fork     BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS fork_parent TEXT;      -- upstream owner/name
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS similarity_hash       TEXT,      -- 16 hex chars
+  ADD COLUMN IF NOT EXISTS similarity_bands      TEXT[],    -- {'0:abcd','1:…','2:…','3:…'}
+  ADD COLUMN IF NOT EXISTS canonical_artifact_id UUID REFERENCES artifacts(id) ON DELETE SET NULL;
+
+-- Candidate lookup: similarity_bands && '{…}'
+CREATE INDEX IF NOT EXISTS idx_artifacts_similarity_bands
+  ON public.artifacts USING GIN (similarity_bands);
+
+-- Mirrors listed on the canonical's detail page
+CREATE INDEX IF NOT EXISTS idx_artifacts_canonical
+  ON public.artifacts (canonical_artifact_id)
+  WHERE canonical_artifact_id IS NOT NULL;
+
+-- `--reenrich` also re-checks mirrors, so they can leave their cluster
+DROP INDEX IF EXISTS idx_artifacts_content_checked;
+CREATE INDEX idx_artifacts_content_checked
+  ON public.artifacts (content_checked_at ASC NULLS FIRST)
+  WHERE status IN ('active', 'archived', 'mirror') AND subpath = '';
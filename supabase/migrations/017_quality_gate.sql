@@ -0,0 +1,19 @@
+-- ============================================================================
+-- OneSkill: Quality and spam gate
+-- Enrich scores each repo 0–100 from README size/structure, real files and
+-- manifests, license, commit count, stars vs forks, staleness, keyword
+-- stuffing and the classifier's boilerplate flag. Below 40 the artifact gets
+-- status = 'pending_review', below 20 'hidden'. A moderator sets
+-- quality_override to release ('active') or bury ('hidden') it for good.
+-- ============================================================================
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS quality_score    SMALLINT,
+  ADD COLUMN IF NOT EXISTS quality_reasons  TEXT[],    -- e.g. {'-20 README only 140 characters','-10 no license'}
+  ADD COLUMN IF NOT EXISTS quality_override TEXT
+    CHECK (quality_override IN ('active', 'hidden'));
+
+-- Moderation queue: best candidates first
+CREATE INDEX IF NOT EXISTS idx_artifacts_pending_review
+  ON public.artifacts (quality_score DESC)
+  WHERE status = 'pending_review' AND subpath = '';
@@ -0,0 +1,101 @@
+-- ============================================================================
+-- OneSkill: Daily snapshots and velocity-based trending
+-- `--refresh` writes one row per artifact per day with stars / forks / open
+-- issues; the vibe score pipeline adds weekly downloads and vibe_score to the
+-- same row. refresh_trending_scores() then ranks artifacts by 1/7/30-day
+-- growth within their artifact type, so a project gaining 2k stars this week
+-- outranks a 40k-star repo that stopped moving. Snapshots also back the
+-- growth charts on the detail page.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS artifact_snapshots (
+  artifact_id      UUID NOT NULL REFERENCES artifacts(id) ON DELETE CASCADE,
+  snapshot_date    DATE NOT NULL DEFAULT current_date,
+  stars            INTEGER,
+  forks            INTEGER,
+  open_issues      INTEGER,
+  weekly_downloads INTEGER,    -- npm + PyPI
+  vibe_score       REAL,
+  created_at       TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (artifact_id, snapshot_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_artifact_snapshots_date
+  ON artifact_snapshots(snapshot_date);
+
+ALTER TABLE artifact_snapshots ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access on artifact_snapshots"
+  ON artifact_snapshots FOR SELECT USING (true);
+
+CREATE POLICY "Service role full access on artifact_snapshots"
+  ON artifact_snapshots FOR ALL USING (true) WITH CHECK (true);
+
+-- ─── Trending from snapshot deltas ──────────────────────────────────────
+-- Velocity in stars: 3 × 1-day delta + 7-day delta + ¼ × 30-day delta, plus
+-- weekly-download growth at 100 downloads per star. Relative growth is the
+-- 7-day delta over the stars a week ago (min 10). Score = 70% velocity
+-- percentile + 30% relative percentile, both within the artifact type.
+-- Missing windows fall back to the oldest snapshot; artifacts with a single
+-- snapshot keep their current score. Collection members take their parent's.
+
+-- The pipeline no longer writes trending_score; new artifacts start at 0
+ALTER TABLE artifacts ALTER COLUMN trending_score SET DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION refresh_trending_scores() RETURNS INTEGER
+LANGUAGE plpgsql AS $$
+DECLARE
+  updated INTEGER;
+BEGIN
+  WITH latest AS (
+    SELECT DISTINCT ON (artifact_id) artifact_id, snapshot_date, stars, weekly_downloads
+    FROM artifact_snapshots
+    WHERE stars IS NOT NULL
+    ORDER BY artifact_id, snapshot_date DESC
+  ),
+  history AS (
+    SELECT l.artifact_id, l.stars AS stars_now, COALESCE(l.weekly_downloads, 0) AS dl_now,
+      (SELECT s.stars FROM artifact_snapshots s WHERE s.artifact_id = l.artifact_id AND s.stars IS NOT NULL
+         AND s.snapshot_date <= l.snapshot_date - 1 ORDER BY s.snapshot_date DESC LIMIT 1) AS stars_1d,
+      (SELECT s.stars FROM artifact_snapshots s WHERE s.artifact_id = l.artifact_id AND s.stars IS NOT NULL
+         AND s.snapshot_date <= l.snapshot_date - 7 ORDER BY s.snapshot_date DESC LIMIT 1) AS stars_7d,
+      (SELECT s.stars FROM artifact_snapshots s WHERE s.artifact_id = l.artifact_id AND s.stars IS NOT NULL
+         AND s.snapshot_date <= l.snapshot_date - 30 ORDER BY s.snapshot_date DESC LIMIT 1) AS stars_30d,
+      (SELECT s.stars FROM artifact_snapshots s WHERE s.artifact_id = l.artifact_id AND s.stars IS NOT NULL
+         ORDER BY s.snapshot_date ASC LIMIT 1) AS stars_first,
+      (SELECT s.weekly_downloads FROM artifact_snapshots s WHERE s.artifact_id = l.artifact_id AND s.weekly_downloads IS NOT NULL
+         AND s.snapshot_date <= l.snapshot_date - 7 ORDER BY s.snapshot_date DESC LIMIT 1) AS dl_7d
+    FROM latest l
+  ),
+  velocity AS (
+    SELECT a.id, a.artifact_type_id,
+      3 * (h.stars_now - h.stars_1d)
+        + (h.stars_now - COALESCE(h.stars_7d, h.stars_first))
+        + (h.stars_now - COALESCE(h.stars_30d, h.stars_first)) / 4.0
+        + (h.dl_now - COALESCE(h.dl_7d, h.dl_now)) / 100.0 AS absolute_growth,
+      (h.stars_now - COALESCE(h.stars_7d, h.stars_first))::REAL
+        / GREATEST(COALESCE(h.stars_7d, h.stars_first), 10) AS relative_growth
+    FROM history h
+    JOIN artifacts a ON a.id = h.artifact_id
+    WHERE h.stars_1d IS NOT NULL AND a.status = 'active' AND a.subpath = ''
+  ),
+  ranked AS (
+    SELECT id, ROUND(100 * (
+      0.7 * PERCENT_RANK() OVER (PARTITION BY artifact_type_id ORDER BY absolute_growth) +
+      0.3 * PERCENT_RANK() OVER (PARTITION BY artifact_type_id ORDER BY relative_growth)
+    ))::INTEGER AS score
+    FROM velocity
+  )
+  UPDATE artifacts a SET trending_score = r.score
+  FROM ranked r
+  WHERE a.id = r.id AND a.trending_score IS DISTINCT FROM r.score;
+  GET DIAGNOSTICS updated = ROW_COUNT;
+
+  UPDATE artifacts child SET trending_score = parent.trending_score
+  FROM artifacts parent
+  WHERE child.parent_artifact_id = parent.id
+    AND child.trending_score IS DISTINCT FROM parent.trending_score;
+
+  RETURN updated;
+END;
+$$;
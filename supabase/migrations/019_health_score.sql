@@ -0,0 +1,22 @@
+-- ============================================================================
+-- OneSkill: Maintenance health score
+-- scripts/health-score.mjs scores each repo 0–100 from GitHub activity:
+-- last human commit, distinct contributors over 90 days, median issue
+-- first-response time, median PR merge latency, closed/open issue share and
+-- release cadence. health_breakdown keeps each component as
+-- { value, unit, points, max } (null when the repo gives no data for it).
+-- health_status records how the last check went; a repo GitHub didn't
+-- resolve ('not_found') or whose lookup failed keeps its previous score.
+-- ============================================================================
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS health_score      SMALLINT,
+  ADD COLUMN IF NOT EXISTS health_breakdown  JSONB,
+  ADD COLUMN IF NOT EXISTS health_status     TEXT
+    CHECK (health_status IN ('scored', 'not_found', 'failed')),
+  ADD COLUMN IF NOT EXISTS health_updated_at TIMESTAMPTZ;
+
+-- Stalest first for the pipeline
+CREATE INDEX IF NOT EXISTS idx_artifacts_health_updated
+  ON public.artifacts (health_updated_at ASC NULLS FIRST)
+  WHERE status = 'active' AND subpath = '';
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- OneSkill: Contributor profiles
+-- `scrape-github.mjs --contributors` fills the profile from the GitHub
+-- users / orgs API, records whether the owner is a user or an organisation
+-- (and whether the org is verified), and re-profiles every 7 days.
+-- ============================================================================
+
+ALTER TABLE public.contributors
+  ADD COLUMN IF NOT EXISTS bio                TEXT,
+  ADD COLUMN IF NOT EXISTS location           TEXT,
+  ADD COLUMN IF NOT EXISTS website            TEXT,
+  ADD COLUMN IF NOT EXISTS followers          INTEGER,   -- null for organisations
+  ADD COLUMN IF NOT EXISTS public_repos       INTEGER,
+  ADD COLUMN IF NOT EXISTS owner_type         TEXT
+    CHECK (owner_type IN ('user', 'organization')),
+  ADD COLUMN IF NOT EXISTS is_verified        BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS profile_updated_at TIMESTAMPTZ;
+
+-- Never-profiled first, then stalest
+CREATE INDEX IF NOT EXISTS idx_contributors_profile_updated
+  ON public.contributors (profile_updated_at ASC NULLS FIRST);
@@ -0,0 +1,45 @@
+-- ============================================================================
+-- OneSkill: Static security scan
+-- scripts/security-scan.mjs downloads MCP server and skill sources and flags
+-- risky patterns (shell exec with interpolated input, eval, writes outside
+-- the workspace, hard-coded hosts, obfuscation, npm install hooks, SKILL.md
+-- telling the agent to `curl | sh`). Findings are replaced on every scan;
+-- the per-severity counts on artifacts back the explore filter. A repo whose
+-- source couldn't be downloaded is 'unavailable', with no counts.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS artifact_security_findings (
+  id          BIGSERIAL PRIMARY KEY,
+  artifact_id UUID NOT NULL REFERENCES artifacts(id) ON DELETE CASCADE,
+  rule        TEXT NOT NULL,     -- shell-exec | eval | fs-write | network-host | obfuscation | install-script | pipe-to-shell
+  severity    TEXT NOT NULL CHECK (severity IN ('high', 'medium', 'low')),
+  file        TEXT NOT NULL,     -- path from the repo root
+  line        INTEGER,
+  message     TEXT NOT NULL,
+  snippet     TEXT,
+  created_at  TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_findings_artifact
+  ON artifact_security_findings(artifact_id);
+
+ALTER TABLE artifact_security_findings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access on artifact_security_findings"
+  ON artifact_security_findings FOR SELECT USING (true);
+
+CREATE POLICY "Service role full access on artifact_security_findings"
+  ON artifact_security_findings FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS security_high       SMALLINT,
+  ADD COLUMN IF NOT EXISTS security_medium     SMALLINT,
+  ADD COLUMN IF NOT EXISTS security_low        SMALLINT,
+  ADD COLUMN IF NOT EXISTS security_scan_status TEXT
+    CHECK (security_scan_status IN ('scanned', 'unavailable')),
+  ADD COLUMN IF NOT EXISTS security_scanned_at TIMESTAMPTZ;
+
+-- Never-scanned first for the pipeline
+CREATE INDEX IF NOT EXISTS idx_artifacts_security_scanned
+  ON public.artifacts (security_scanned_at ASC NULLS FIRST)
+  WHERE status = 'active' AND subpath = '';
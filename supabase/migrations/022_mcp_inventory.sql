@@ -0,0 +1,42 @@
+-- ============================================================================
+-- OneSkill: MCP server capability inventory
+-- scripts/mcp-inventory.mjs reads MCP server sources (TypeScript SDK, FastMCP,
+-- Go, Rust, server.json) and, with --probe, the live tools/list answer of
+-- verified npm packages. Capabilities are replaced on every run; the tool
+-- names on artifacts back the explore search.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS mcp_capabilities (
+  id           BIGSERIAL PRIMARY KEY,
+  artifact_id  UUID NOT NULL REFERENCES artifacts(id) ON DELETE CASCADE,
+  kind         TEXT NOT NULL CHECK (kind IN ('tool', 'resource', 'prompt')),
+  name         TEXT NOT NULL,
+  description  TEXT,
+  input_schema JSONB,            -- JSON Schema for tool input / prompt arguments
+  uri          TEXT,             -- resources only
+  source       TEXT NOT NULL,    -- typescript | python | go | rust | manifest | tools/list
+  file         TEXT,             -- path from the repo root; null for tools/list
+  line         INTEGER,
+  created_at   TIMESTAMPTZ DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_mcp_capabilities_artifact
+  ON mcp_capabilities(artifact_id);
+
+ALTER TABLE mcp_capabilities ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access on mcp_capabilities"
+  ON mcp_capabilities FOR SELECT USING (true);
+
+CREATE POLICY "Service role full access on mcp_capabilities"
+  ON mcp_capabilities FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS mcp_tool_count   SMALLINT,
+  ADD COLUMN IF NOT EXISTS mcp_tool_names   TEXT[],
+  ADD COLUMN IF NOT EXISTS mcp_inventory_at TIMESTAMPTZ;
+
+-- Never-inventoried first for the pipeline
+CREATE INDEX IF NOT EXISTS idx_artifacts_mcp_inventory
+  ON public.artifacts (mcp_inventory_at ASC NULLS FIRST)
+  WHERE status = 'active';
@@ -0,0 +1,22 @@
+-- ============================================================================
+-- OneSkill: Required configuration per artifact
+-- scripts/config-schema.mjs reads sources, server.json, README / SKILL.md and
+-- n8n credential definitions and records the environment variables, CLI
+-- arguments, config files and credentials an artifact needs:
+--
+--   { "env":         [{ name, required, secret, description, default, sources }],
+--     "args":        [{ name, required, secret, description, default, sources }],
+--     "files":       [{ name, description, sources }],
+--     "credentials": [{ name, display_name, fields: [...], source }] }
+--
+-- NULL config_schema with a config_detected_at means nothing was found.
+-- ============================================================================
+
+ALTER TABLE public.artifacts
+  ADD COLUMN IF NOT EXISTS config_schema      JSONB,
+  ADD COLUMN IF NOT EXISTS config_detected_at TIMESTAMPTZ;
+
+-- Never-inspected first for the pipeline
+CREATE INDEX IF NOT EXISTS idx_artifacts_config_detected
+  ON public.artifacts (config_detected_at ASC NULLS FIRST)
+  WHERE status = 'active';
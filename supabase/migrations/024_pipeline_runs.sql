@@ -0,0 +1,55 @@
+-- ============================================================================
+-- OneSkill: Pipeline run ledger and data freshness
+-- scrape-github.mjs, scrape-registries.mjs and vibe-score.mjs each write one
+-- pipeline_runs row per invocation (scripts/lib/run-ledger.mjs). A row with
+-- no finished_at is either still running or was killed by the job timeout.
+-- The two views back the /status page.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS pipeline_runs (
+  id           BIGSERIAL PRIMARY KEY,
+  script       TEXT NOT NULL,                -- scrape-github | scrape-registries | vibe-score
+  mode         TEXT,                         -- discover | enrich | refresh | … | incremental
+  type_filter  TEXT,                         -- --type, when given
+  args         TEXT[],
+  started_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  finished_at  TIMESTAMPTZ,
+  exit_reason  TEXT CHECK (exit_reason IN ('completed', 'time_budget', 'fatal')),
+  stages       JSONB NOT NULL DEFAULT '{}',  -- { "enrich": { "enriched": 40, "failed": 2 }, … }
+  errors       JSONB NOT NULL DEFAULT '[]',  -- first 20 plus any fatal: [{ stage, message, at }]
+  error_count  INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_pipeline_runs_script_started
+  ON pipeline_runs(script, mode, started_at DESC);
+
+ALTER TABLE pipeline_runs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public read access on pipeline_runs"
+  ON pipeline_runs FOR SELECT USING (true);
+
+CREATE POLICY "Service role full access on pipeline_runs"
+  ON pipeline_runs FOR ALL USING (true) WITH CHECK (true);
+
+-- Repos waiting for enrichment, by scraper hint and discovery source
+CREATE OR REPLACE VIEW enrichment_backlog AS
+SELECT type_hint, source, enrichment_status, count(*)::int AS repos
+FROM raw_repos
+WHERE enrichment_status IN ('pending', 'failed')
+GROUP BY type_hint, source, enrichment_status;
+
+-- Newest write of each kind of data the site shows
+CREATE OR REPLACE VIEW data_freshness AS
+SELECT
+  (SELECT max(discovered_at)       FROM raw_repos)                      AS discovered_at,
+  (SELECT max(enriched_at)         FROM raw_repos)                      AS enriched_at,
+  (SELECT max(last_pipeline_sync)  FROM artifacts WHERE status = 'active') AS refreshed_at,
+  (SELECT min(last_pipeline_sync)  FROM artifacts WHERE status = 'active') AS oldest_refresh_at,
+  (SELECT max(vibe_updated_at)     FROM artifacts)                      AS vibe_updated_at,
+  (SELECT max(health_updated_at)   FROM artifacts WHERE health_status = 'scored') AS health_updated_at,
+  (SELECT max(security_scanned_at) FROM artifacts WHERE security_scan_status = 'scanned') AS security_scanned_at,
+  (SELECT max(mcp_inventory_at)    FROM artifacts)                      AS mcp_inventory_at,
+  (SELECT max(config_detected_at)  FROM artifacts)                      AS config_detected_at,
+  (SELECT max(snapshot_date)       FROM artifact_snapshots)             AS snapshot_date;
+
+GRANT SELECT ON enrichment_backlog, data_freshness TO anon, authenticated;
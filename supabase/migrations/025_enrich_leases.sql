@@ -0,0 +1,34 @@
+-- ============================================================================
+-- OneSkill: Enrich row leases
+-- scrape-github.mjs --enrich claims each wave of raw_repos rows before
+-- working on it: enrichment_status becomes 'in_progress' with the worker's
+-- id, a lease expiry and the status the row had before (pending, failed, or
+-- enriched for an LLM upgrade of a heuristic artifact). The claim is a
+-- conditional update, so concurrent runs never get the same row; a row whose
+-- lease has lapsed (worker killed) can be claimed again. Releasing a row the
+-- run didn't finish puts lease_prior_status back.
+-- ============================================================================
+
+ALTER TABLE raw_repos ADD COLUMN IF NOT EXISTS leased_by          TEXT;         -- ENRICH_WORKER_ID or hostname, then :pid:random
+ALTER TABLE raw_repos ADD COLUMN IF NOT EXISTS lease_expires_at   TIMESTAMPTZ;
+ALTER TABLE raw_repos ADD COLUMN IF NOT EXISTS lease_prior_status TEXT
+  CHECK (lease_prior_status IN ('pending', 'failed', 'enriched'));
+
+ALTER TABLE raw_repos DROP CONSTRAINT IF EXISTS raw_repos_enrichment_status_check;
+ALTER TABLE raw_repos ADD CONSTRAINT raw_repos_enrichment_status_check
+  CHECK (enrichment_status IN ('pending', 'in_progress', 'enriched', 'failed', 'skipped'));
+
+CREATE INDEX IF NOT EXISTS idx_raw_repos_lease
+  ON raw_repos (lease_expires_at) WHERE enrichment_status = 'in_progress';
+
+-- Live leases count as in_progress; rows under a lapsed lease are waiting
+-- again under their prior status. Heuristic upgrades are not backlog.
+CREATE OR REPLACE VIEW enrichment_backlog AS
+SELECT type_hint, source,
+       CASE WHEN enrichment_status = 'in_progress' AND lease_expires_at < now() THEN lease_prior_status
+            ELSE enrichment_status END AS enrichment_status,
+       count(*)::int AS repos
+FROM raw_repos
+WHERE enrichment_status IN ('pending', 'failed')
+   OR (enrichment_status = 'in_progress' AND lease_prior_status IN ('pending', 'failed'))
+GROUP BY 1, 2, 3;
@@ -0,0 +1,29 @@
+-- ============================================================================
+-- OneSkill: LLM token and cost accounting
+-- Every LLM call's tokens are priced in scripts/lib/llm.mjs. Each run's totals
+-- go to pipeline_runs.stages.llm ({ model, calls, input_tokens, output_tokens,
+-- cost_usd, budget_exhausted? }); each artifact keeps what its own
+-- classification and its share of the last sentiment batch cost.
+-- ============================================================================
+
+-- { model, calls, input_tokens, output_tokens, cost_usd, at } — failed attempts included;
+-- null when no LLM call was made (heuristic fast path, no provider)
+ALTER TABLE artifacts ADD COLUMN IF NOT EXISTS enrich_llm_usage    JSONB;
+-- { model, batch_size, input_tokens, output_tokens, cost_usd, at } — 1/batch_size of the call
+ALTER TABLE artifacts ADD COLUMN IF NOT EXISTS sentiment_llm_usage JSONB;
+
+-- Monthly LLM spend per script and model, from the run log
+CREATE OR REPLACE VIEW llm_spend_monthly AS
+SELECT date_trunc('month', started_at)::date                      AS month,
+       script,
+       stages->'llm'->>'model'                                     AS model,
+       count(*)::int                                               AS runs,
+       sum((stages->'llm'->>'calls')::int)::int                    AS calls,
+       sum((stages->'llm'->>'input_tokens')::bigint)::bigint       AS input_tokens,
+       sum((stages->'llm'->>'output_tokens')::bigint)::bigint      AS output_tokens,
+       round(sum((stages->'llm'->>'cost_usd')::numeric), 4)        AS cost_usd
+FROM pipeline_runs
+WHERE stages ? 'llm'
+GROUP BY 1, 2, 3;
+
+GRANT SELECT ON llm_spend_monthly TO anon, authenticated;